@@ -0,0 +1,554 @@
+#!/usr/bin/env node
+const { parseArgs } = require('node:util');
+const { createUdpEngine, DEFAULT_LISTEN_PORT } = require('./core/udp-engine');
+const { ENVELOPE_FORMAT_ENCRYPTED, ENVELOPE_FORMAT_PLAIN, safeParseJson } = require('./core/envelope');
+const { createRoster, readMetadataField } = require('./core/roster');
+const { createSimulator, readCapture, replayCapture } = require('./core/simulator');
+const { VERIFY_OFF, VERIFY_MODES } = require('./core/inbound-verifier');
+const { listInterfaces, isIPv6Address } = require('./core/network');
+const { createSendQueue, DEFAULT_QUEUE_SETTINGS } = require('./core/send-queue');
+
+const USAGE = `Usage: udp-host <command> [options]
+
+Commands:
+  send      Send a command envelope to one or more hosts
+  listen    Print inbound packets and answer DiscoverHost probes
+  roster    Collect RegisterClient/Heartbeat packets and print the roster
+  simulate  Run virtual headsets that register, heartbeat and ack commands
+  replay    Resend the inbound packets of a packet-log capture (.jsonl)
+  interfaces  List interface addresses with their subnet and broadcast address
+
+Common options:
+  --listen-port <port>   Host listener port (default ${DEFAULT_LISTEN_PORT})
+  --verify <mode>        Inbound HMAC verification: off, flag or enforce (default off);
+                         uses --secret / $UDP_HOST_SECRET
+  --max-skew <ms>        Accepted timestamp drift for inbound verification (default 30000)
+  --interface <name>     Send broadcasts and multicast through this interface (name or address)
+  --multicast <group>    Join a multicast group, repeatable (IPv6 link-local groups need a zone, e.g. ff02::1%eth0)
+  --ipv4-only            Do not open the IPv6 listener socket
+  --mtu <bytes>          Path MTU used to size UDP datagrams (default 1500)
+  --chunk                Split envelopes larger than one datagram into Chunk packets
+  --tcp <port>           Also accept length-prefixed JSON envelopes over TCP on this port
+  --ws <port>            Also accept JSON envelopes over WebSocket on this port
+  --quota <packets/sec>  Inbound packets accepted per sender before throttling (default 50)
+  --json                 Print one JSON object per line
+  --help                 Show this help
+
+send options:
+  --action <name>        Command action (required)
+  --payload <json>       Payload JSON; serialised to a string before sending
+  --host <address>       Target host, repeatable (default 255.255.255.255)
+  --port <port>          Command port (default 3939)
+  --secret <secret>      Shared secret for HMAC signing (default $UDP_HOST_SECRET)
+  --cmd-id <id>          Explicit cmdId
+  --no-cmd-id            Omit the cmdId field
+  --encrypt              Send the AES-GCM envelope (key derived from --secret)
+  --wait-ack             Wait for acknowledgements; exits 1 unless every host delivered
+  --retries <ms,...>     Retry schedule while waiting for an ack (default 500,1000,2000)
+  --ack-timeout <ms>     Final wait after the last retry (default 3000)
+  --rate <packets/sec>   Pace sends to several hosts, 0 for no limit (default ${DEFAULT_QUEUE_SETTINGS.packetsPerSecond})
+  --jitter <ms>          Extra random delay of up to this long between hosts (default 0)
+
+roster options:
+  --duration <seconds>   How long to collect registrations (default 15)
+  --field <path>         Add a column for an extra heartbeat field, repeatable (e.g. fps, controller.left.battery)
+
+simulate / replay options:
+  --host <address>       Host listener address (default 127.0.0.1)
+  --port <port>          Host listener port (default ${DEFAULT_LISTEN_PORT})
+  --count <n>            Number of virtual headsets (default 3)
+  --name <prefix>        Device name prefix (default "Sim Headset")
+  --platform <name>      Reported platform (default Android)
+  --scene <name>         Reported scene (default Lobby)
+  --battery <percent>    Reported battery level (default 80)
+  --metadata <json>      Extra heartbeat fields as a JSON object, e.g. '{"fps":72,"thermalState":"Nominal"}'
+  --heartbeat <ms>       Heartbeat interval (default 2000)
+  --secret <secret>      Sign simulated reporter packets (default $UDP_HOST_SECRET)
+  --encrypt              Also wrap them in the AES-GCM envelope and ask for encrypted commands
+  --ack-drop <rate>      Fraction of commands left unacknowledged, 0-1 (default 0)
+  --ack-latency <ms>     Delay before each ack (default 0)
+  --ack-jitter <ms>      Extra random delay added to each ack (default 0)
+  --duration <seconds>   Stop the simulator after this long (default: until Ctrl+C)
+  --speed <factor>       Replay speed multiplier (default 1)
+`;
+
+const OPTIONS = {
+    'listen-port': { type: 'string' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    action: { type: 'string' },
+    payload: { type: 'string' },
+    host: { type: 'string', multiple: true },
+    port: { type: 'string' },
+    secret: { type: 'string' },
+    'cmd-id': { type: 'string' },
+    'no-cmd-id': { type: 'boolean', default: false },
+    encrypt: { type: 'boolean', default: false },
+    'wait-ack': { type: 'boolean', default: false },
+    retries: { type: 'string' },
+    'ack-timeout': { type: 'string' },
+    rate: { type: 'string' },
+    jitter: { type: 'string' },
+    duration: { type: 'string' },
+    verify: { type: 'string' },
+    'max-skew': { type: 'string' },
+    interface: { type: 'string' },
+    multicast: { type: 'string', multiple: true },
+    'ipv4-only': { type: 'boolean', default: false },
+    mtu: { type: 'string' },
+    chunk: { type: 'boolean', default: false },
+    tcp: { type: 'string' },
+    ws: { type: 'string' },
+    quota: { type: 'string' },
+    count: { type: 'string' },
+    name: { type: 'string' },
+    platform: { type: 'string' },
+    scene: { type: 'string' },
+    battery: { type: 'string' },
+    metadata: { type: 'string' },
+    field: { type: 'string', multiple: true },
+    heartbeat: { type: 'string' },
+    'ack-drop': { type: 'string' },
+    'ack-latency': { type: 'string' },
+    'ack-jitter': { type: 'string' },
+    speed: { type: 'string' },
+};
+
+class UsageError extends Error {}
+
+function parseMetadataOption(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch {
+        parsed = null;
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new UsageError('--metadata must be a JSON object.');
+    }
+
+    return parsed;
+}
+
+function parsePort(value, fallback, label) {
+    if (value === undefined) {
+        return fallback;
+    }
+
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isInteger(parsed) || parsed < 0 || parsed > 65535) {
+        throw new UsageError(`${label} must be between 0 and 65535.`);
+    }
+
+    return parsed;
+}
+
+// IPv6 addresses are bracketed so the port stays unambiguous.
+function formatHostPort(host, port) {
+    return isIPv6Address(host) ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+function print(options, value, text) {
+    process.stdout.write(`${options.json ? JSON.stringify(value) : text}\n`);
+}
+
+async function startEngine(options, { paceRetry } = {}) {
+    const mode = options.verify ?? VERIFY_OFF;
+    if (!VERIFY_MODES.includes(mode)) {
+        throw new UsageError(`--verify must be one of ${VERIFY_MODES.join(', ')}.`);
+    }
+
+    const sharedSecret = options.secret ?? process.env.UDP_HOST_SECRET ?? '';
+    if (mode !== VERIFY_OFF && !sharedSecret) {
+        throw new UsageError('--verify needs --secret or $UDP_HOST_SECRET.');
+    }
+
+    const engine = createUdpEngine({
+        sharedSecret,
+        paceRetry,
+        verification: {
+            mode,
+            maxSkewMs: options['max-skew'],
+        },
+        floodProtection: {
+            packetsPerSecond: parseNumberOption(options.quota, '--quota', { min: 1, max: 10000 }),
+        },
+    });
+    try {
+        engine.setNetwork({
+            interface: options.interface ?? '',
+            multicastGroups: options.multicast ?? [],
+            ipv6: !options['ipv4-only'],
+            mtu: parseNumberOption(options.mtu, '--mtu', { min: 576, max: 9000 }),
+            chunking: options.chunk,
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    engine.on('socket-error', (message) => {
+        process.stderr.write(`udp-host: socket error: ${message}\n`);
+    });
+    engine.on('rejected', (rejected) => {
+        process.stderr.write(
+            `udp-host: ${rejected.enforced ? 'rejected' : 'flagged'} ${rejected.action || 'packet'} ` +
+                `from ${formatHostPort(rejected.address, rejected.port)}: ${rejected.reason}\n`
+        );
+    });
+    engine.on('quarantined', (source) => {
+        process.stderr.write(`udp-host: quarantined ${source.source}: ${source.reason}\n`);
+    });
+    engine.on('released', (source) => {
+        process.stderr.write(`udp-host: released ${source.source}\n`);
+    });
+
+    await engine.listen(parsePort(options['listen-port'], DEFAULT_LISTEN_PORT, 'Listen port'));
+    try {
+        await engine.setTransports({
+            tcp: { enabled: options.tcp !== undefined, port: parsePort(options.tcp, undefined, 'TCP port') },
+            websocket: { enabled: options.ws !== undefined, port: parsePort(options.ws, undefined, 'WebSocket port') },
+        });
+    } catch (error) {
+        engine.close();
+        throw error;
+    }
+    return engine;
+}
+
+function waitForInterrupt() {
+    return new Promise((resolve) => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+}
+
+async function runSend(options) {
+    const action = options.action?.trim();
+    if (!action) {
+        throw new UsageError('--action is required.');
+    }
+
+    let payload = '';
+    if (options.payload !== undefined && options.payload.trim().length > 0) {
+        const parsed = safeParseJson(options.payload);
+        if (parsed === null) {
+            throw new UsageError('--payload must be valid JSON.');
+        }
+        payload = JSON.stringify(parsed);
+    }
+
+    // Repeated --host values would share one host:port outcome and keep
+    // --wait-ack from ever settling.
+    const hosts = options.host?.length ? Array.from(new Set(options.host.map((host) => host.trim()))) : ['255.255.255.255'];
+    const port = parsePort(options.port, 3939, 'Port');
+    const waitAck = options['wait-ack'];
+    const includeCmdId = !options['no-cmd-id'];
+    if (waitAck && !includeCmdId) {
+        throw new UsageError('--wait-ack needs a cmdId; drop --no-cmd-id.');
+    }
+    if (options.encrypt && !(options.secret ?? process.env.UDP_HOST_SECRET)) {
+        throw new UsageError('--encrypt needs --secret or $UDP_HOST_SECRET.');
+    }
+
+    const retryDelaysMs = options.retries === undefined
+        ? undefined
+        : options.retries.split(',').map((value) => Number.parseInt(value, 10));
+    const pacing = {
+        packetsPerSecond: parseNumberOption(options.rate, '--rate', { max: 1000 }),
+        jitterMs: parseNumberOption(options.jitter, '--jitter', { max: 5000 }),
+    };
+    const engine = await startEngine(options, {
+        paceRetry: (request, run) => sendQueue.enqueueTask(request, run),
+    });
+    const sendQueue = createSendQueue({ send: (request) => engine.send(request), settings: pacing });
+    const outcomes = new Map();
+    let settle = () => {};
+    const allSettled = new Promise((resolve) => {
+        settle = resolve;
+    });
+
+    engine.on('delivery', (delivery) => {
+        if (delivery.responder) {
+            print(options, delivery, `ACK ${delivery.responder} ${delivery.status}`);
+            return;
+        }
+
+        if (delivery.status === 'pending') {
+            return;
+        }
+
+        outcomes.set(`${delivery.host}:${delivery.port}`, delivery.status);
+        print(
+            options,
+            delivery,
+            `${delivery.host}:${delivery.port} ${delivery.status} after ${delivery.attempts} attempt(s)` +
+                `${delivery.reason ? ` (${delivery.reason})` : ''}`
+        );
+
+        if (outcomes.size === hosts.length) {
+            settle();
+        }
+    });
+
+    try {
+        let sharedCmdId = includeCmdId ? options['cmd-id'] ?? '' : '';
+        for (const host of hosts) {
+            const result = await sendQueue.enqueue({
+                action,
+                payload,
+                host,
+                port,
+                includeCmdId,
+                cmdId: sharedCmdId,
+                sharedSecret: options.secret ?? process.env.UDP_HOST_SECRET ?? '',
+                forcePayloadField: payload.length > 0,
+                envelopeFormat: options.encrypt ? ENVELOPE_FORMAT_ENCRYPTED : ENVELOPE_FORMAT_PLAIN,
+                expectAck: waitAck,
+                retryDelaysMs,
+                ackTimeoutMs: options['ack-timeout'],
+            });
+
+            sharedCmdId = result.message.cmdId ?? '';
+            print(
+                options,
+                { host, port, sentBytes: result.sentBytes, message: result.message },
+                `SEND ${host}:${port} ${result.sentBytes} bytes${result.chunks > 1 ? ` in ${result.chunks} chunks` : ''} ${JSON.stringify(result.message)}`
+            );
+        }
+
+        if (!waitAck) {
+            return 0;
+        }
+
+        await allSettled;
+        return Array.from(outcomes.values()).every((status) => status === 'delivered') ? 0 : 1;
+    } finally {
+        engine.close();
+    }
+}
+
+async function runListen(options) {
+    const engine = await startEngine(options);
+    engine.on('listening', (info) => {
+        print(options, { kind: 'listening', ...info }, `Listening on ${info.address}:${info.port}${info.ipv6 ? ' (IPv4 + IPv6)' : ''}`);
+    });
+    engine.on('message', (packet, parsed) => {
+        print(
+            options,
+            { kind: 'message', ...packet, message: parsed },
+            `RECV ${packet.transport === 'udp' ? '' : `${packet.transport} `}${formatHostPort(packet.address, packet.port)} ${packet.payload}`
+        );
+    });
+    engine.on('ack', (ack) => {
+        print(options, { kind: 'ack', ...ack }, `ACK ${formatHostPort(ack.address, ack.port)} ${ack.payload}`);
+    });
+    engine.on('connection', (connection) => {
+        print(
+            options,
+            { kind: 'connection', ...connection },
+            `${connection.connected ? 'CONNECT' : 'DISCONNECT'} ${connection.transport} ${formatHostPort(connection.address, connection.port)}`
+        );
+    });
+
+    process.stderr.write(`Listening on port ${engine.getListenPort()}, Ctrl+C to stop.\n`);
+    await waitForInterrupt();
+    engine.close();
+    return 0;
+}
+
+async function runRoster(options) {
+    const durationSeconds = options.duration === undefined ? 15 : Number.parseFloat(options.duration);
+    if (!Number.isFinite(durationSeconds) || durationSeconds <= 0) {
+        throw new UsageError('--duration must be a positive number of seconds.');
+    }
+
+    const engine = await startEngine(options);
+    const clients = createRoster();
+
+    engine.on('message', (packet, parsed) => {
+        clients.ingest(packet, parsed);
+    });
+
+    process.stderr.write(`Collecting registrations for ${durationSeconds}s on port ${engine.getListenPort()}...\n`);
+    await Promise.race([
+        new Promise((resolve) => setTimeout(resolve, durationSeconds * 1000)),
+        waitForInterrupt(),
+    ]);
+    engine.close();
+    clients.dispose();
+
+    const roster = clients.list();
+    if (options.json) {
+        roster.forEach((client) => print(options, client));
+        return 0;
+    }
+
+    if (roster.length === 0) {
+        process.stdout.write('No devices registered.\n');
+        return 0;
+    }
+
+    roster.forEach((client) => {
+        const columns = [
+            client.state,
+            client.deviceName || client.deviceId,
+            formatHostPort(client.ipv4 || client.ipv6 || client.remoteAddress, client.commandPort ?? '-'),
+            client.transport,
+            client.platform || '-',
+            client.buildVersion || '-',
+            client.scene || '-',
+            ...(options.field ?? []).map((path) => {
+                const value = readMetadataField(client, path);
+                return value === undefined || value === null ? '-' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+            }),
+        ];
+        process.stdout.write(`${columns.join('\t')}\n`);
+    });
+    return 0;
+}
+
+function parseNumberOption(value, label, { min = 0, max = Infinity } = {}) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+        throw new UsageError(`${label} must be a number between ${min} and ${max}.`);
+    }
+
+    return parsed;
+}
+
+function listenerTarget(options) {
+    return {
+        hostAddress: options.host?.[0] ?? '127.0.0.1',
+        hostPort: parsePort(options.port, DEFAULT_LISTEN_PORT, 'Port'),
+    };
+}
+
+async function runSimulate(options) {
+    const durationSeconds = parseNumberOption(options.duration, '--duration', { min: 0 });
+    const simulator = createSimulator();
+    simulator.on('activity', (activity) => {
+        print(options, activity, `${activity.deviceId} ${activity.kind}${activity.detail ? ` ${activity.detail}` : ''}`);
+    });
+
+    const state = await simulator.start({
+        ...listenerTarget(options),
+        count: parseNumberOption(options.count, '--count', { min: 1, max: 200 }),
+        namePrefix: options.name,
+        platform: options.platform,
+        scene: options.scene,
+        batteryLevel: parseNumberOption(options.battery, '--battery', { max: 100 }),
+        heartbeatIntervalMs: parseNumberOption(options.heartbeat, '--heartbeat', { min: 100 }),
+        ackDropRate: parseNumberOption(options['ack-drop'], '--ack-drop', { max: 1 }),
+        ackLatencyMs: parseNumberOption(options['ack-latency'], '--ack-latency'),
+        ackJitterMs: parseNumberOption(options['ack-jitter'], '--ack-jitter'),
+        sharedSecret: options.secret ?? process.env.UDP_HOST_SECRET ?? '',
+        encrypt: options.encrypt,
+        metadata: parseMetadataOption(options.metadata),
+    });
+
+    process.stderr.write(
+        `Simulating ${state.clients.length} headset(s) against ${state.options.hostAddress}:${state.options.hostPort}, Ctrl+C to stop.\n`
+    );
+    await Promise.race([
+        durationSeconds ? new Promise((resolve) => setTimeout(resolve, durationSeconds * 1000)) : new Promise(() => {}),
+        waitForInterrupt(),
+    ]);
+
+    const { clients } = simulator.stop();
+    if (options.json) {
+        clients.forEach((client) => print(options, client));
+        return 0;
+    }
+
+    process.stdout.write('Simulator stopped.\n');
+    return 0;
+}
+
+async function runReplay(options, positionals) {
+    const filePath = positionals[0];
+    if (!filePath) {
+        throw new UsageError('replay needs a capture file.');
+    }
+
+    const speed = parseNumberOption(options.speed, '--speed', { min: 0.01, max: 1000 }) ?? 1;
+    const entries = await readCapture(filePath);
+    if (entries.length === 0) {
+        process.stdout.write('Capture has no inbound packets to replay.\n');
+        return 0;
+    }
+
+    const replay = replayCapture(entries, { ...listenerTarget(options), speed });
+    replay.on('progress', (progress) => {
+        if (progress.state === 'playing' && progress.sent > 0 && !options.json) {
+            const entry = entries[progress.sent - 1];
+            process.stdout.write(`REPLAY ${progress.sent}/${progress.total} ${entry.host}:${entry.port} ${entry.action || '-'}\n`);
+        }
+    });
+
+    process.stderr.write(`Replaying ${entries.length} packet(s) at ${speed}x, Ctrl+C to stop.\n`);
+    void waitForInterrupt().then(() => replay.stop());
+    const result = await replay.done;
+    print(options, result, `Replayed ${result.sent}/${result.total} packet(s)${result.stopped ? ' (stopped)' : ''}.`);
+    return 0;
+}
+
+async function runInterfaces(options) {
+    listInterfaces().forEach((entry) => {
+        print(
+            options,
+            entry,
+            [entry.name, entry.family, entry.address, entry.cidr, entry.broadcast ?? '-', entry.internal ? 'internal' : ''].join('\t').trimEnd()
+        );
+    });
+    return 0;
+}
+
+const COMMANDS = {
+    send: runSend,
+    listen: runListen,
+    roster: runRoster,
+    simulate: runSimulate,
+    replay: runReplay,
+    interfaces: runInterfaces,
+};
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        process.stderr.write(`udp-host: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const [command, ...positionals] = parsed.positionals;
+    if (parsed.values.help || !command) {
+        process.stdout.write(USAGE);
+        return parsed.values.help ? 0 : 2;
+    }
+
+    const handler = COMMANDS[command];
+    if (!handler) {
+        process.stderr.write(`udp-host: unknown command "${command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        return await handler(parsed.values, positionals);
+    } catch (error) {
+        process.stderr.write(`udp-host: ${error.message}\n`);
+        return error instanceof UsageError ? 2 : 1;
+    }
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
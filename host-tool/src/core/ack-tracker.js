@@ -0,0 +1,291 @@
+const { EventEmitter } = require('node:events');
+const { safeParseJson } = require('./envelope');
+const { isBroadcastAddress, isMulticastAddress } = require('./network');
+const { TRANSPORT_UDP } = require('./transports');
+
+const DEFAULT_ACK_RETRY_DELAYS_MS = [500, 1000, 2000];
+const DEFAULT_ACK_TIMEOUT_MS = 3000;
+const ACK_ACTIONS = new Set(['ack', 'commandack', 'acknowledge', 'acknowledgement']);
+
+function normalizeRetryDelays(value) {
+    if (!Array.isArray(value)) {
+        return DEFAULT_ACK_RETRY_DELAYS_MS;
+    }
+
+    return value
+        .map((delay) => Number.parseInt(delay, 10))
+        .filter((delay) => Number.isInteger(delay) && delay > 0);
+}
+
+function normalizeAckTimeout(value) {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : DEFAULT_ACK_TIMEOUT_MS;
+}
+
+// How long a tracked send can stay pending: every retry delay plus the final
+// acknowledgement timeout.
+function ackWindowMs({ retryDelaysMs, ackTimeoutMs } = {}) {
+    return normalizeRetryDelays(retryDelaysMs).reduce((total, delay) => total + delay, 0) + normalizeAckTimeout(ackTimeoutMs);
+}
+
+function parseAcknowledgement(message) {
+    const action = typeof message.action === 'string' ? message.action.toLowerCase() : '';
+    if (!ACK_ACTIONS.has(action)) {
+        return null;
+    }
+
+    const payload = typeof message.payload === 'string'
+        ? safeParseJson(message.payload)
+        : message.payload;
+    const cmdId = typeof message.cmdId === 'string' && message.cmdId
+        ? message.cmdId
+        : typeof payload?.cmdId === 'string' ? payload.cmdId : '';
+
+    if (!cmdId) {
+        return null;
+    }
+
+    const statusText = typeof payload?.status === 'string' ? payload.status.toLowerCase() : '';
+    const ok = payload?.success !== false &&
+        payload?.ok !== false &&
+        !['error', 'fail', 'failed', 'rejected'].includes(statusText);
+
+    return {
+        cmdId,
+        ok,
+        reason: String(payload?.error ?? payload?.message ?? payload?.status ?? ''),
+    };
+}
+
+// Pending commands are keyed by cmdId; every host:port the command went to is
+// tracked separately so a multi-device send reports a result per device.
+function createAckTracker({ transmit }) {
+    const tracker = new EventEmitter();
+    const pendingCommands = new Map();
+
+    function track(message, buffer, options) {
+        let command = pendingCommands.get(message.cmdId);
+        if (!command) {
+            command = {
+                cmdId: message.cmdId,
+                action: message.action,
+                targets: new Map(),
+            };
+            pendingCommands.set(message.cmdId, command);
+        }
+
+        const targetKey = `${options.host}:${options.port}`;
+        const existing = command.targets.get(targetKey);
+        if (existing) {
+            clearTimeout(existing.timer);
+        }
+
+        const target = {
+            host: options.host,
+            port: options.port,
+            transport: options.transport ?? TRANSPORT_UDP,
+            deviceKey: typeof options.deviceKey === 'string' ? options.deviceKey : '',
+            priority: options.priority,
+            message,
+            buffer,
+            retryDelaysMs: normalizeRetryDelays(options.retryDelaysMs),
+            ackTimeoutMs: normalizeAckTimeout(options.ackTimeoutMs),
+            attempts: 1,
+            status: 'pending',
+            sentAt: Date.now(),
+            timer: null,
+            broadcast: isBroadcastAddress(options.host) || isMulticastAddress(options.host),
+            responders: new Map(),
+        };
+
+        command.targets.set(targetKey, target);
+        scheduleRetry(command, target);
+        emitDelivery(command, target);
+
+        return {
+            cmdId: command.cmdId,
+            status: target.status,
+            attempts: target.attempts,
+        };
+    }
+
+    function scheduleRetry(command, target) {
+        const retryIndex = target.attempts - 1;
+        if (retryIndex < target.retryDelaysMs.length) {
+            target.timer = setTimeout(() => {
+                void retryPendingTarget(command, target);
+            }, target.retryDelaysMs[retryIndex]);
+            return;
+        }
+
+        target.timer = setTimeout(() => {
+            if (target.broadcast && target.responders.size > 0) {
+                settleTarget(command, target, 'delivered');
+                return;
+            }
+
+            settleTarget(command, target, 'timeout', 'No acknowledgement received.');
+        }, target.ackTimeoutMs);
+    }
+
+    async function retryPendingTarget(command, target) {
+        if (target.status !== 'pending') {
+            return;
+        }
+
+        target.attempts += 1;
+
+        try {
+            await transmit(target.buffer, target.port, target.host, {
+                transport: target.transport,
+                deviceKey: target.deviceKey,
+                priority: target.priority,
+                attempt: target.attempts,
+                message: target.message,
+            });
+        } catch (error) {
+            settleTarget(command, target, 'failed', error.message);
+            return;
+        }
+
+        if (target.status !== 'pending') {
+            return;
+        }
+
+        scheduleRetry(command, target);
+        emitDelivery(command, target);
+    }
+
+    function settleTarget(command, target, status, reason = '') {
+        if (target.status !== 'pending') {
+            return;
+        }
+
+        clearTimeout(target.timer);
+        target.timer = null;
+        target.status = status;
+        target.reason = reason;
+        target.settledAt = Date.now();
+        emitDelivery(command, target);
+
+        const allSettled = Array.from(command.targets.values()).every((entry) => entry.status !== 'pending');
+        if (allSettled && pendingCommands.get(command.cmdId) === command) {
+            pendingCommands.delete(command.cmdId);
+            tracker.emit('settled', command.cmdId);
+        }
+    }
+
+    function emitDelivery(command, target, extra = {}) {
+        tracker.emit('delivery', {
+            cmdId: command.cmdId,
+            action: command.action,
+            host: target.host,
+            port: target.port,
+            deviceKey: target.deviceKey,
+            status: target.status,
+            attempts: target.attempts,
+            reason: target.reason || '',
+            sentAt: target.sentAt,
+            settledAt: target.settledAt,
+            responders: target.responders.size,
+            ...extra,
+        });
+    }
+
+    // Matches an inbound acknowledgement against the pending table. Broadcast
+    // targets stay open for the whole retry window and report every responder.
+    function resolve(acknowledgement, remote) {
+        const command = pendingCommands.get(acknowledgement.cmdId);
+        if (!command) {
+            return false;
+        }
+
+        const targets = Array.from(command.targets.values());
+        const reason = acknowledgement.ok ? '' : acknowledgement.reason;
+        const status = acknowledgement.ok ? 'delivered' : 'failed';
+
+        // Several devices can share an address (simulated headsets on
+        // loopback), so an exact host:port match or a still-pending target wins.
+        const sameHost = targets.filter((target) => target.host === remote.address && !target.broadcast);
+        const direct = sameHost.find((target) => target.port === remote.port) ??
+            sameHost.find((target) => target.status === 'pending') ??
+            sameHost[0];
+        if (direct) {
+            settleTarget(command, direct, status, reason);
+            return true;
+        }
+
+        const broadcast = targets.find((target) => target.broadcast && target.status === 'pending');
+        if (!broadcast) {
+            return false;
+        }
+
+        broadcast.responders.set(remote.address, status);
+        emitDelivery(command, broadcast, {
+            status,
+            responder: remote.address,
+            reason,
+        });
+        return true;
+    }
+
+    function isPending(cmdId) {
+        return pendingCommands.has(cmdId);
+    }
+
+    function clear() {
+        for (const command of pendingCommands.values()) {
+            for (const target of command.targets.values()) {
+                clearTimeout(target.timer);
+            }
+        }
+        pendingCommands.clear();
+    }
+
+    return Object.assign(tracker, {
+        track,
+        resolve,
+        isPending,
+        clear,
+    });
+}
+
+// Gathers settled per-target deliveries by cmdId for callers that need to
+// wait on a send they are about to make. Subscribe before sending so fast
+// acknowledgements are not missed.
+function createDeliveryCollector(subscribeDeliveries) {
+    const byCmdId = new Map();
+    let onUpdate = () => {};
+
+    const unsubscribe = subscribeDeliveries((delivery) => {
+        if (delivery.responder || delivery.status === 'pending') {
+            return;
+        }
+
+        if (!byCmdId.has(delivery.cmdId)) {
+            byCmdId.set(delivery.cmdId, new Map());
+        }
+        byCmdId.get(delivery.cmdId).set(`${delivery.host}:${delivery.port}`, delivery);
+        onUpdate();
+    });
+
+    return {
+        resultsFor(cmdId) {
+            return byCmdId.get(cmdId) ?? new Map();
+        },
+        setOnUpdate(callback) {
+            onUpdate = callback;
+        },
+        dispose: unsubscribe,
+    };
+}
+
+module.exports = {
+    ACK_ACTIONS,
+    DEFAULT_ACK_RETRY_DELAYS_MS,
+    DEFAULT_ACK_TIMEOUT_MS,
+    ackWindowMs,
+    parseAcknowledgement,
+    createAckTracker,
+    createDeliveryCollector,
+};
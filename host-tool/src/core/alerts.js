@@ -0,0 +1,251 @@
+const { EventEmitter } = require('node:events');
+const { randomUUID } = require('node:crypto');
+
+const ALERT_BATTERY_BELOW = 'battery-below';
+const ALERT_HEARTBEAT_MISSING = 'heartbeat-missing';
+const ALERT_UNEXPECTED_SCENE = 'unexpected-scene';
+const ALERT_PACKET_LOSS = 'packet-loss-above';
+const ALERT_TYPES = [ALERT_BATTERY_BELOW, ALERT_HEARTBEAT_MISSING, ALERT_UNEXPECTED_SCENE, ALERT_PACKET_LOSS];
+const EVALUATE_INTERVAL_MS = 1000;
+const HISTORY_LIMIT = 200;
+
+const DEFAULT_ALERT_RULES = [
+    { id: 'battery-low', name: 'Battery low', type: ALERT_BATTERY_BELOW, threshold: 20, scenes: [], group: '', notify: true, enabled: true },
+    { id: 'heartbeat-missing', name: 'Heartbeat missing', type: ALERT_HEARTBEAT_MISSING, threshold: 30, scenes: [], group: '', notify: true, enabled: true },
+];
+
+function normalizeRule(input, existing) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Alert rule must be an object.');
+    }
+
+    const name = String(input.name ?? '').trim();
+    if (!name) {
+        throw new Error('Alert rule name is required.');
+    }
+    if (!ALERT_TYPES.includes(input.type)) {
+        throw new Error(`Alert rule "${name}": type must be one of ${ALERT_TYPES.join(', ')}.`);
+    }
+
+    const scenes = (Array.isArray(input.scenes) ? input.scenes : String(input.scenes ?? '').split(','))
+        .map((scene) => String(scene).trim())
+        .filter(Boolean);
+    const threshold = Number(input.threshold);
+    if (input.type === ALERT_UNEXPECTED_SCENE) {
+        if (scenes.length === 0) {
+            throw new Error(`Alert rule "${name}" needs at least one expected scene.`);
+        }
+    } else if (!Number.isFinite(threshold) || threshold <= 0) {
+        throw new Error(`Alert rule "${name}" needs a positive threshold.`);
+    } else if (input.type !== ALERT_HEARTBEAT_MISSING && threshold > 100) {
+        throw new Error(`Alert rule "${name}": threshold is a percentage (1-100).`);
+    }
+
+    return {
+        id: existing?.id ?? randomUUID(),
+        name,
+        type: input.type,
+        threshold: input.type === ALERT_UNEXPECTED_SCENE ? null : threshold,
+        scenes: input.type === ALERT_UNEXPECTED_SCENE ? Array.from(new Set(scenes)) : [],
+        group: String(input.group ?? '').trim(),
+        notify: input.notify !== false,
+        enabled: input.enabled !== false,
+    };
+}
+
+// Returns the alert message when the device breaks the rule, or ''.
+function checkRule(rule, client, stats, now) {
+    if (rule.type === ALERT_BATTERY_BELOW) {
+        const level = stats?.batteryLevelPercent;
+        return client.online && typeof level === 'number' && level < rule.threshold
+            ? `Battery at ${Math.round(level)}% (below ${rule.threshold}%).`
+            : '';
+    }
+
+    // A device that said goodbye, or one only known from an earlier run, is
+    // not missing its heartbeat.
+    if (rule.type === ALERT_HEARTBEAT_MISSING) {
+        if (client.goodbyeAt || client.restored) {
+            return '';
+        }
+        const silentMs = now - (stats?.lastHeartbeatAt ?? client.lastSeen);
+        return silentMs >= rule.threshold * 1000
+            ? `No heartbeat for ${Math.floor(silentMs / 1000)} s (limit ${rule.threshold} s).`
+            : '';
+    }
+
+    if (rule.type === ALERT_UNEXPECTED_SCENE) {
+        const scene = String(client.scene ?? '').trim();
+        return client.online && scene && !rule.scenes.includes(scene)
+            ? `Scene "${scene}" is not one of ${rule.scenes.join(', ')}.`
+            : '';
+    }
+
+    const loss = stats?.lossPercent;
+    return client.online && typeof loss === 'number' && loss > rule.threshold
+        ? `Estimated packet loss ${loss.toFixed(1)}% (above ${rule.threshold}%).`
+        : '';
+}
+
+// Evaluates persisted alert rules against the roster and its telemetry once
+// a second. An alert is raised once when a device starts breaking a rule and
+// cleared when it recovers, the rule is disabled or the device is removed;
+// both transitions are emitted ('raised', 'cleared') and kept in a short
+// history. Rules can be limited to a device group.
+function createAlertMonitor({ store, roster, telemetry, groupsOf = () => [] }) {
+    const monitor = new EventEmitter();
+    const active = new Map();
+    let timer = null;
+
+    function listRules() {
+        return store.get('rules') ?? [];
+    }
+
+    function listHistory() {
+        return store.get('history') ?? [];
+    }
+
+    function snapshot() {
+        return {
+            rules: listRules(),
+            active: Array.from(active.values()),
+            history: listHistory(),
+        };
+    }
+
+    function emitChanged() {
+        monitor.emit('changed', snapshot());
+    }
+
+    function writeHistory(alert) {
+        const history = listHistory().filter((entry) => entry.id !== alert.id);
+        store.set('history', [alert, ...history].slice(0, HISTORY_LIMIT));
+    }
+
+    function appliesTo(rule, client) {
+        return !rule.group || groupsOf(client.key).includes(rule.group);
+    }
+
+    function raise(rule, client, message, now) {
+        const alert = {
+            id: randomUUID(),
+            ruleId: rule.id,
+            ruleName: rule.name,
+            type: rule.type,
+            key: client.key,
+            deviceName: client.deviceName || client.key,
+            message,
+            notify: rule.notify,
+            raisedAt: now,
+            clearedAt: null,
+        };
+        active.set(`${rule.id}|${client.key}`, alert);
+        writeHistory(alert);
+        monitor.emit('raised', alert);
+    }
+
+    function clear(id, now) {
+        const alert = { ...active.get(id), clearedAt: now };
+        active.delete(id);
+        writeHistory(alert);
+        monitor.emit('cleared', alert);
+    }
+
+    function evaluate(now = Date.now()) {
+        const rules = listRules().filter((rule) => rule.enabled);
+        const clients = roster.list();
+        const seen = new Set();
+        let changed = false;
+
+        for (const client of clients) {
+            const stats = telemetry.summary(client.key);
+            for (const rule of rules) {
+                if (!appliesTo(rule, client)) {
+                    continue;
+                }
+
+                const id = `${rule.id}|${client.key}`;
+                const message = checkRule(rule, client, stats, now);
+                if (message) {
+                    seen.add(id);
+                    if (!active.has(id)) {
+                        raise(rule, client, message, now);
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        for (const id of Array.from(active.keys())) {
+            if (!seen.has(id)) {
+                clear(id, now);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            emitChanged();
+        }
+    }
+
+    function start() {
+        if (timer) {
+            return;
+        }
+
+        timer = setInterval(() => evaluate(), EVALUATE_INTERVAL_MS);
+        timer.unref?.();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    function save(input) {
+        const rules = [...listRules()];
+        const index = rules.findIndex((rule) => rule.id === input?.id);
+        const rule = normalizeRule(input, index >= 0 ? rules[index] : null);
+        if (index >= 0) {
+            rules[index] = rule;
+        } else {
+            rules.push(rule);
+        }
+
+        store.set('rules', rules);
+        evaluate();
+        emitChanged();
+        return rule;
+    }
+
+    function remove(id) {
+        const rules = listRules();
+        const remaining = rules.filter((rule) => rule.id !== id);
+        store.set('rules', remaining);
+        evaluate();
+        emitChanged();
+        return remaining.length !== rules.length;
+    }
+
+    function clearHistory() {
+        store.set('history', []);
+        emitChanged();
+        return snapshot();
+    }
+
+    return Object.assign(monitor, {
+        start,
+        stop,
+        evaluate,
+        save,
+        remove,
+        clearHistory,
+        snapshot,
+    });
+}
+
+module.exports = {
+    ALERT_TYPES,
+    DEFAULT_ALERT_RULES,
+    createAlertMonitor,
+};
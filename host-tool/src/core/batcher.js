@@ -0,0 +1,45 @@
+// Collects keyed updates and hands them to `flush` together, at most once
+// every `intervalMs`. An update for a key that is already waiting is merged
+// into it (the newer one wins by default), so a chatty source costs one
+// entry per flush however often it reports.
+function createBatcher({ intervalMs, flush, merge = (previous, next) => next }) {
+    const pending = new Map();
+    let timer = null;
+
+    function add(key, value) {
+        pending.set(key, pending.has(key) ? merge(pending.get(key), value) : value);
+        if (!timer) {
+            timer = setTimeout(flushNow, intervalMs);
+            timer.unref?.();
+        }
+    }
+
+    function flushNow() {
+        clearTimeout(timer);
+        timer = null;
+        if (pending.size === 0) {
+            return;
+        }
+
+        const values = Array.from(pending.values());
+        pending.clear();
+        flush(values);
+    }
+
+    function clear() {
+        clearTimeout(timer);
+        timer = null;
+        pending.clear();
+    }
+
+    return {
+        add,
+        flush: flushNow,
+        clear,
+        pendingCount: () => pending.size,
+    };
+}
+
+module.exports = {
+    createBatcher,
+};
@@ -0,0 +1,166 @@
+const { randomBytes, createHash } = require('node:crypto');
+
+const CHUNK_ACTION = 'Chunk';
+const DEFAULT_MTU = 1500;
+const MIN_MTU = 576;
+const MAX_MTU = 9000;
+const UDP_HEADER_BYTES = 8;
+const IP_HEADER_BYTES = { IPv4: 20, IPv6: 40 };
+const MAX_CHUNKS = 1024;
+const MAX_REASSEMBLED_BYTES = 1024 * 1024;
+const DEFAULT_REASSEMBLY_TIMEOUT_MS = 10_000;
+const MAX_PENDING_REASSEMBLIES = 64;
+
+// Largest UDP payload that fits one unfragmented IP packet on this MTU.
+function maxDatagramBytes(mtu = DEFAULT_MTU, family = 'IPv4') {
+    return mtu - (IP_HEADER_BYTES[family] ?? IP_HEADER_BYTES.IPv4) - UDP_HEADER_BYTES;
+}
+
+function checksum(buffer) {
+    return createHash('sha256').update(buffer).digest('hex');
+}
+
+function isChunk(message) {
+    return Boolean(message) &&
+        message.action === CHUNK_ACTION &&
+        typeof message.chunkId === 'string' &&
+        Number.isInteger(message.index) &&
+        Number.isInteger(message.count) &&
+        typeof message.checksum === 'string' &&
+        typeof message.data === 'string';
+}
+
+// Splits an encoded envelope into `Chunk` datagrams no larger than
+// `maxBytes`: `{ action, chunkId, index, count, checksum, data }`, where
+// `data` is a base64 slice of the original bytes and `checksum` the SHA-256
+// (hex) of the whole envelope. The envelope is chunked after signing and
+// encryption, so the receiver reassembles first and then handles the result
+// like any other packet.
+function splitIntoChunks(buffer, maxBytes) {
+    const chunkId = randomBytes(4).toString('hex');
+    const digest = checksum(buffer);
+    const overhead = Buffer.byteLength(JSON.stringify({
+        action: CHUNK_ACTION,
+        chunkId,
+        index: buffer.length,
+        count: buffer.length,
+        checksum: digest,
+        data: '',
+    }));
+    const sliceBytes = Math.floor((maxBytes - overhead) / 4) * 3;
+    if (sliceBytes <= 0) {
+        throw new Error(`A ${maxBytes} byte datagram is too small for a chunk.`);
+    }
+
+    const count = Math.ceil(buffer.length / sliceBytes);
+    if (count > MAX_CHUNKS) {
+        throw new Error(`Envelope needs ${count} chunks; at most ${MAX_CHUNKS} are allowed.`);
+    }
+
+    return Array.from({ length: count }, (_, index) => Buffer.from(JSON.stringify({
+        action: CHUNK_ACTION,
+        chunkId,
+        index,
+        count,
+        checksum: digest,
+        data: buffer.subarray(index * sliceBytes, (index + 1) * sliceBytes).toString('base64'),
+    }), 'utf8'));
+}
+
+// Collects inbound chunks per sender (`source.key`) and chunkId. accept()
+// returns `{ buffer }` once every chunk arrived and the checksum matches,
+// `{ error }` for a bad chunk set, or null while still waiting. Sets that
+// stop short are handed back by prune(), with their source, after the
+// timeout.
+function createReassembler({ timeoutMs = DEFAULT_REASSEMBLY_TIMEOUT_MS } = {}) {
+    const pending = new Map();
+
+    function prune(now = Date.now()) {
+        const expired = [];
+        for (const [key, entry] of pending) {
+            if (now - entry.startedAt > timeoutMs) {
+                pending.delete(key);
+                expired.push({
+                    source: entry.source,
+                    chunkId: entry.chunkId,
+                    received: entry.received,
+                    count: entry.count,
+                });
+            }
+        }
+        return expired;
+    }
+
+    function accept(message, source, now = Date.now()) {
+        if (message.count < 1 || message.count > MAX_CHUNKS || message.index < 0 || message.index >= message.count) {
+            return { error: `Chunk ${message.index}/${message.count} is out of range.` };
+        }
+
+        const key = `${source.key}|${message.chunkId}`;
+        let entry = pending.get(key);
+        if (!entry) {
+            if (pending.size >= MAX_PENDING_REASSEMBLIES) {
+                const [oldest] = pending.keys();
+                pending.delete(oldest);
+            }
+            entry = {
+                source,
+                chunkId: message.chunkId,
+                count: message.count,
+                checksum: message.checksum,
+                parts: new Array(message.count),
+                received: 0,
+                bytes: 0,
+                startedAt: now,
+            };
+            pending.set(key, entry);
+        }
+
+        if (entry.count !== message.count || entry.checksum !== message.checksum) {
+            pending.delete(key);
+            return { error: `Chunk set ${message.chunkId} changed its count or checksum.` };
+        }
+
+        if (entry.parts[message.index]) {
+            return null;
+        }
+
+        const part = Buffer.from(message.data, 'base64');
+        entry.bytes += part.length;
+        if (entry.bytes > MAX_REASSEMBLED_BYTES) {
+            pending.delete(key);
+            return { error: `Chunk set ${message.chunkId} exceeds ${MAX_REASSEMBLED_BYTES} bytes.` };
+        }
+
+        entry.parts[message.index] = part;
+        entry.received += 1;
+        if (entry.received < entry.count) {
+            return null;
+        }
+
+        pending.delete(key);
+        const buffer = Buffer.concat(entry.parts);
+        if (checksum(buffer) !== entry.checksum) {
+            return { error: `Chunk set ${message.chunkId} failed its checksum.` };
+        }
+        return { buffer };
+    }
+
+    return {
+        accept,
+        prune,
+        pendingCount: () => pending.size,
+        clear: () => pending.clear(),
+    };
+}
+
+module.exports = {
+    CHUNK_ACTION,
+    DEFAULT_MTU,
+    MIN_MTU,
+    MAX_MTU,
+    maxDatagramBytes,
+    isChunk,
+    splitIntoChunks,
+    createReassembler,
+};
@@ -0,0 +1,270 @@
+const { randomUUID } = require('node:crypto');
+const { safeParseJson } = require('./envelope');
+
+const LIBRARY_EXPORT_VERSION = 1;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+const EXACT_PLACEHOLDER_PATTERN = /^\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}$/;
+const PARAM_TYPES = new Set(['string', 'number', 'boolean']);
+
+// Placeholders filled from the target device instead of operator input.
+const DEVICE_PLACEHOLDERS = {
+    'device.id': 'deviceId',
+    'device.name': 'deviceName',
+    'device.ipv4': 'ipv4',
+    'device.ipv6': 'ipv6',
+    'device.scene': 'scene',
+    'device.platform': 'platform',
+    'device.build': 'buildVersion',
+};
+
+function isDevicePlaceholder(name) {
+    return Object.prototype.hasOwnProperty.call(DEVICE_PLACEHOLDERS, name);
+}
+
+function findPlaceholders(template) {
+    const names = new Set();
+    for (const match of String(template ?? '').matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+    }
+    return Array.from(names);
+}
+
+function coerceParamValue(value, type) {
+    if (type === 'number') {
+        const parsed = Number.parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : 0;
+    }
+
+    if (type === 'boolean') {
+        return value === true || value === 'true' || value === '1';
+    }
+
+    return value === undefined || value === null ? '' : String(value);
+}
+
+// Substitutes placeholders inside the parsed JSON tree so values can never
+// break the document. A string that is exactly one placeholder takes the
+// typed value; placeholders embedded in longer strings are interpolated.
+function fillTemplate(template, values) {
+    const source = typeof template === 'string' ? template.trim() : '';
+    if (!source) {
+        return '';
+    }
+
+    const parsed = safeParseJson(source);
+    if (parsed === null) {
+        throw new Error('Payload template must be valid JSON.');
+    }
+
+    const missing = new Set();
+    const lookup = (name) => {
+        if (!Object.prototype.hasOwnProperty.call(values, name)) {
+            missing.add(name);
+            return '';
+        }
+        return values[name];
+    };
+
+    const visit = (node) => {
+        if (typeof node === 'string') {
+            const exact = node.match(EXACT_PLACEHOLDER_PATTERN);
+            if (exact) {
+                return lookup(exact[1]);
+            }
+            return node.replace(PLACEHOLDER_PATTERN, (_match, name) => String(lookup(name)));
+        }
+
+        if (Array.isArray(node)) {
+            return node.map(visit);
+        }
+
+        if (node && typeof node === 'object') {
+            return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, visit(value)]));
+        }
+
+        return node;
+    };
+
+    const filled = visit(parsed);
+    if (missing.size > 0) {
+        throw new Error(`Missing value for ${Array.from(missing).map((name) => `{{${name}}}`).join(', ')}.`);
+    }
+
+    return JSON.stringify(filled);
+}
+
+function normalizeParams(params, payloadTemplate) {
+    const declared = new Map();
+    for (const param of Array.isArray(params) ? params : []) {
+        const name = String(param?.name ?? '').trim();
+        if (!name) {
+            continue;
+        }
+
+        const type = PARAM_TYPES.has(param.type) ? param.type : 'string';
+        declared.set(name, {
+            name,
+            label: typeof param.label === 'string' ? param.label : '',
+            type,
+            default: coerceParamValue(param.default, type),
+        });
+    }
+
+    for (const name of findPlaceholders(payloadTemplate)) {
+        if (!declared.has(name) && !isDevicePlaceholder(name)) {
+            declared.set(name, { name, label: '', type: 'string', default: '' });
+        }
+    }
+
+    return Array.from(declared.values());
+}
+
+function normalizePreset(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Preset must be an object.');
+    }
+
+    const name = String(input.name ?? '').trim();
+    const action = String(input.action ?? '').trim();
+    if (!name) {
+        throw new Error('Preset name is required.');
+    }
+    if (!action) {
+        throw new Error(`Preset "${name}" needs an action.`);
+    }
+
+    const payload = typeof input.payload === 'string'
+        ? input.payload.trim()
+        : input.payload === undefined || input.payload === null ? '' : JSON.stringify(input.payload);
+    if (payload && safeParseJson(payload) === null) {
+        throw new Error(`Preset "${name}" payload must be valid JSON.`);
+    }
+
+    const port = Number.parseInt(input.port, 10);
+
+    return {
+        id: typeof input.id === 'string' && input.id ? input.id : randomUUID(),
+        name,
+        action,
+        payload,
+        port: Number.isInteger(port) && port > 0 && port <= 65535 ? port : null,
+        includeCmdId: input.includeCmdId !== false,
+        cmdId: typeof input.cmdId === 'string' ? input.cmdId.trim() : '',
+        sign: Boolean(input.sign),
+        expectAck: input.expectAck !== false,
+        defaultTargets: Array.isArray(input.defaultTargets) ? input.defaultTargets.map(String) : [],
+        quickFire: Boolean(input.quickFire),
+        params: normalizeParams(input.params, payload),
+    };
+}
+
+function buildParamValues(preset, device, overrides = {}) {
+    const values = {};
+    preset.params.forEach((param) => {
+        values[param.name] = param.default;
+    });
+
+    if (device) {
+        Object.entries(DEVICE_PLACEHOLDERS).forEach(([name, field]) => {
+            if (device[field] !== undefined && device[field] !== null) {
+                values[name] = device[field];
+            }
+        });
+    }
+
+    Object.entries(overrides ?? {}).forEach(([name, value]) => {
+        const param = preset.params.find((entry) => entry.name === name);
+        values[name] = param ? coerceParamValue(value, param.type) : value;
+    });
+
+    return values;
+}
+
+// Turns a preset into a `udp:send` request template for one device.
+function buildPresetRequest(preset, { device, values } = {}) {
+    const payload = fillTemplate(preset.payload, buildParamValues(preset, device, values));
+
+    return {
+        action: preset.action,
+        payload,
+        includeCmdId: preset.includeCmdId,
+        cmdId: preset.cmdId,
+        sign: preset.sign,
+        forcePayloadField: payload.length > 0,
+        expectAck: preset.includeCmdId && preset.expectAck,
+    };
+}
+
+function presetUsesDevicePlaceholders(preset) {
+    return findPlaceholders(preset.payload).some(isDevicePlaceholder);
+}
+
+function createCommandLibrary(store) {
+    function list() {
+        return store.get('presets') ?? [];
+    }
+
+    function get(id) {
+        return list().find((preset) => preset.id === id) ?? null;
+    }
+
+    function save(input) {
+        const preset = normalizePreset(input);
+        const presets = [...list()];
+        const index = presets.findIndex((entry) => entry.id === preset.id);
+        if (index >= 0) {
+            presets[index] = preset;
+        } else {
+            presets.push(preset);
+        }
+        store.set('presets', presets);
+        return preset;
+    }
+
+    function remove(id) {
+        const presets = list();
+        const remaining = presets.filter((preset) => preset.id !== id);
+        store.set('presets', remaining);
+        return remaining.length !== presets.length;
+    }
+
+    function importDocument(document) {
+        const entries = Array.isArray(document) ? document : document?.presets;
+        if (!Array.isArray(entries)) {
+            throw new Error('Import file must contain a "presets" array.');
+        }
+
+        const imported = entries.map(normalizePreset);
+        const importedIds = new Set(imported.map((preset) => preset.id));
+        const presets = list().filter((preset) => !importedIds.has(preset.id)).concat(imported);
+        store.set('presets', presets);
+        return imported.length;
+    }
+
+    function exportDocument() {
+        return {
+            version: LIBRARY_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            presets: list(),
+        };
+    }
+
+    return {
+        list,
+        get,
+        save,
+        remove,
+        importDocument,
+        exportDocument,
+    };
+}
+
+module.exports = {
+    DEVICE_PLACEHOLDERS,
+    findPlaceholders,
+    fillTemplate,
+    normalizePreset,
+    buildPresetRequest,
+    presetUsesDevicePlaceholders,
+    createCommandLibrary,
+};
@@ -0,0 +1,120 @@
+const { randomUUID } = require('node:crypto');
+const { buildPresetRequest } = require('./command-library');
+
+function normalizeInlinePayload(payload) {
+    if (payload === undefined || payload === null || payload === '') {
+        return '';
+    }
+
+    return typeof payload === 'string' ? payload : JSON.stringify(payload);
+}
+
+// Sends presets and inline commands from main-process features (renderer
+// preset buttons, cue lists) through the shared dispatcher.
+function createCommandRunner({ dispatcher, roster, library }) {
+    async function sendPreset(request) {
+        const preset = library.get(request?.presetId);
+        if (!preset) {
+            throw new Error('Preset not found.');
+        }
+
+        const selectors = Array.isArray(request.targets) && request.targets.length > 0
+            ? request.targets.map(String)
+            : preset.defaultTargets;
+        const { targets } = dispatcher.resolveSelectors(selectors, preset.port);
+        if (targets.length === 0) {
+            const host = String(request.host ?? '').trim();
+            if (!host) {
+                throw new Error('Preset has no targets and no manual host was given.');
+            }
+            targets.push({
+                ...dispatcher.manualTarget(host, preset.port ?? request.port),
+                envelopeFormat: request.envelopeFormat,
+            });
+        }
+
+        const expectAck = Boolean(request.expectAck);
+        const templates = targets.map((target) => buildPresetRequest(preset, {
+            device: target.deviceKey ? roster.get(target.deviceKey) : null,
+            values: request.values,
+        }));
+        let cmdId = typeof request.cmdId === 'string' && request.cmdId ? request.cmdId : preset.cmdId;
+        if (!cmdId && templates.some((template) => template.includeCmdId || expectAck)) {
+            cmdId = randomUUID().slice(0, 8);
+        }
+
+        // Each device gets its own fill so {{device.*}} placeholders resolve
+        // per target; all of them are queued together under one cmdId.
+        const outcomes = await Promise.all(targets.map((target, index) => dispatcher.dispatch({
+            ...templates[index],
+            cmdId,
+            includeCmdId: templates[index].includeCmdId || expectAck,
+            expectAck: templates[index].expectAck || expectAck,
+            retryDelaysMs: request.retryDelaysMs,
+            ackTimeoutMs: request.ackTimeoutMs,
+        }, [target])));
+        const results = outcomes.flatMap((outcome) => outcome.results);
+
+        return {
+            presetId: preset.id,
+            action: preset.action,
+            cmdId: cmdId || null,
+            results,
+        };
+    }
+
+    // Runs a `{ presetId, values }` or `{ action, payload, port, sign }`
+    // command against target selectors.
+    async function run({ command, targets, expectAck, ackTimeoutMs, retryDelaysMs }) {
+        if (command?.presetId) {
+            return sendPreset({
+                presetId: command.presetId,
+                values: command.values,
+                targets,
+                expectAck,
+                ackTimeoutMs,
+                retryDelaysMs,
+            });
+        }
+
+        const action = String(command?.action ?? '').trim();
+        if (!action) {
+            throw new Error('Command needs an action or a presetId.');
+        }
+
+        const { targets: resolved, unknown } = dispatcher.resolveSelectors(targets ?? [], command.port);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown device or group "${unknown[0]}".`);
+        }
+        if (resolved.length === 0) {
+            throw new Error('Command has no targets.');
+        }
+
+        const payload = normalizeInlinePayload(command.payload);
+        const outcome = await dispatcher.dispatch({
+            action,
+            payload,
+            includeCmdId: command.includeCmdId !== false || Boolean(expectAck),
+            cmdId: typeof command.cmdId === 'string' ? command.cmdId : '',
+            sign: command.sign !== false,
+            forcePayloadField: payload.length > 0,
+            expectAck: Boolean(expectAck) || command.expectAck === true,
+            retryDelaysMs,
+            ackTimeoutMs,
+        }, resolved);
+
+        return {
+            action,
+            ...outcome,
+        };
+    }
+
+    return {
+        sendPreset,
+        run,
+    };
+}
+
+module.exports = {
+    createCommandRunner,
+};
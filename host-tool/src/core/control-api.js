@@ -0,0 +1,308 @@
+const http = require('node:http');
+const { createHash, timingSafeEqual } = require('node:crypto');
+const { isWebSocketUpgrade, rejectUpgrade, acceptWebSocket } = require('./websocket');
+const { ONLINE_SELECTOR } = require('./dispatch');
+
+const DEFAULT_API_SETTINGS = {
+    enabled: false,
+    bindAddress: '127.0.0.1',
+    port: 4950,
+    token: '',
+};
+const MAX_BODY_BYTES = 256 * 1024;
+const EVENTS_PATH = '/api/events';
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+function tokensMatch(expected, provided) {
+    if (!expected || typeof provided !== 'string' || provided.length === 0) {
+        return false;
+    }
+
+    // Hash both sides so the comparison is constant-time regardless of length.
+    const expectedDigest = createHash('sha256').update(expected).digest();
+    const providedDigest = createHash('sha256').update(provided).digest();
+    return timingSafeEqual(expectedDigest, providedDigest);
+}
+
+function extractToken(request, url) {
+    const authorization = String(request.headers.authorization ?? '');
+    if (authorization.toLowerCase().startsWith('bearer ')) {
+        return authorization.slice(7).trim();
+    }
+
+    if (typeof request.headers['x-api-token'] === 'string') {
+        return request.headers['x-api-token'].trim();
+    }
+
+    return url.searchParams.get('token') ?? '';
+}
+
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large.'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        request.on('end', () => {
+            if (size === 0) {
+                resolve({});
+                return;
+            }
+
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch {
+                reject(new HttpError(400, 'Request body must be valid JSON.'));
+            }
+        });
+
+        request.on('error', reject);
+    });
+}
+
+function writeJson(response, statusCode, body) {
+    const text = JSON.stringify(body);
+    response.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(text),
+        'Cache-Control': 'no-store',
+    });
+    response.end(text);
+}
+
+function normalizeCommandPayload(payload) {
+    if (payload === undefined || payload === null || payload === '') {
+        return '';
+    }
+
+    return typeof payload === 'string' ? payload : JSON.stringify(payload);
+}
+
+// Embedded HTTP + WebSocket control surface for external show-control
+// systems. Commands go through the same dispatcher as the rest of the main
+// process, so signing and acknowledgement tracking behave identically.
+// A server error after startup is passed to `onError` and stops the API.
+function createControlApi({ dispatcher, roster, getStatus, onError = () => {} }) {
+    let server = null;
+    let settings = { ...DEFAULT_API_SETTINGS };
+    const subscribers = new Set();
+
+    async function handleCommand(body) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new HttpError(400, 'Command body must be a JSON object.');
+        }
+
+        if (typeof body.action !== 'string' || body.action.trim().length === 0) {
+            throw new HttpError(400, 'Action is required.');
+        }
+
+        const selectors = body.targets === 'online'
+            ? [ONLINE_SELECTOR]
+            : Array.isArray(body.targets) ? body.targets.map(String) : [];
+
+        const { targets, unknown } = dispatcher.resolveSelectors(selectors, body.port);
+        if (unknown.length > 0) {
+            throw new HttpError(404, `Unknown device or group "${unknown[0]}".`);
+        }
+
+        if (selectors.length > 0 && targets.length === 0) {
+            throw new HttpError(409, 'No online devices match the targets.');
+        }
+
+        if (targets.length === 0) {
+            if (!body.host) {
+                throw new HttpError(400, 'Either "targets" or "host" is required.');
+            }
+            targets.push(dispatcher.manualTarget(body.host, body.port));
+        }
+
+        return dispatcher.dispatch({
+            action: body.action,
+            payload: normalizeCommandPayload(body.payload),
+            includeCmdId: body.includeCmdId !== false,
+            cmdId: typeof body.cmdId === 'string' ? body.cmdId : '',
+            sharedSecret: typeof body.sharedSecret === 'string' ? body.sharedSecret : '',
+            sign: body.sign !== false,
+            timestamp: body.timestamp,
+            forcePayloadField: body.payload !== undefined && body.payload !== null && body.payload !== '',
+            expectAck: body.expectAck !== false,
+            retryDelaysMs: body.retryDelaysMs,
+            ackTimeoutMs: body.ackTimeoutMs,
+            priority: body.priority,
+        }, targets);
+    }
+
+    async function route(request, url) {
+        const method = request.method ?? 'GET';
+        const { pathname } = url;
+
+        if (pathname === '/api/status') {
+            if (method !== 'GET') {
+                throw new HttpError(405, 'Method not allowed.');
+            }
+            return { ...getStatus(), subscribers: subscribers.size };
+        }
+
+        if (pathname === '/api/roster') {
+            if (method !== 'GET') {
+                throw new HttpError(405, 'Method not allowed.');
+            }
+            return { clients: roster.list() };
+        }
+
+        if (pathname.startsWith('/api/roster/')) {
+            if (method !== 'GET') {
+                throw new HttpError(405, 'Method not allowed.');
+            }
+            const client = roster.get(decodeURIComponent(pathname.slice('/api/roster/'.length)));
+            if (!client) {
+                throw new HttpError(404, 'Device not found.');
+            }
+            return client;
+        }
+
+        if (pathname === '/api/commands') {
+            if (method !== 'POST') {
+                throw new HttpError(405, 'Method not allowed.');
+            }
+            return handleCommand(await readJsonBody(request));
+        }
+
+        throw new HttpError(404, 'Not found.');
+    }
+
+    function handleRequest(request, response) {
+        const url = new URL(request.url ?? '/', 'http://localhost');
+
+        if (!tokensMatch(settings.token, extractToken(request, url))) {
+            writeJson(response, 401, { error: 'Invalid or missing API token.' });
+            return;
+        }
+
+        route(request, url)
+            .then((body) => writeJson(response, 200, body))
+            .catch((error) => {
+                const statusCode = error instanceof HttpError ? error.statusCode : 500;
+                writeJson(response, statusCode, { error: error.message });
+            });
+    }
+
+    function handleUpgrade(request, socket, head) {
+        const url = new URL(request.url ?? '/', 'http://localhost');
+
+        if (url.pathname !== EVENTS_PATH || !isWebSocketUpgrade(request)) {
+            rejectUpgrade(socket, 404, 'Not Found');
+            return;
+        }
+
+        if (!tokensMatch(settings.token, extractToken(request, url))) {
+            rejectUpgrade(socket, 401, 'Unauthorized');
+            return;
+        }
+
+        const connection = acceptWebSocket(request, socket, head);
+        subscribers.add(connection);
+        connection.on('close', () => subscribers.delete(connection));
+        connection.send(JSON.stringify({ type: 'hello', timestamp: Date.now(), data: getStatus() }));
+    }
+
+    function publish(type, data) {
+        if (subscribers.size === 0) {
+            return;
+        }
+
+        const frame = JSON.stringify({ type, timestamp: Date.now(), data });
+        subscribers.forEach((connection) => connection.send(frame));
+    }
+
+    async function stop() {
+        subscribers.forEach((connection) => connection.close(1001, 'Server stopping.'));
+        subscribers.clear();
+
+        if (!server) {
+            return;
+        }
+
+        const closing = server;
+        server = null;
+        await new Promise((resolve) => {
+            closing.close(() => resolve());
+            closing.closeAllConnections?.();
+        });
+    }
+
+    async function apply(nextSettings) {
+        settings = { ...DEFAULT_API_SETTINGS, ...nextSettings };
+        await stop();
+
+        if (!settings.enabled) {
+            return getState();
+        }
+
+        if (!settings.token) {
+            throw new Error('API token is required.');
+        }
+
+        const port = Number.parseInt(settings.port, 10);
+        if (!Number.isInteger(port) || port < 0 || port > 65535) {
+            throw new Error('API port must be between 0 and 65535.');
+        }
+
+        const created = http.createServer(handleRequest);
+        created.on('upgrade', handleUpgrade);
+
+        await new Promise((resolve, reject) => {
+            created.once('error', reject);
+            created.listen(port, settings.bindAddress || DEFAULT_API_SETTINGS.bindAddress, () => {
+                created.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        created.on('error', (error) => {
+            onError(error);
+            if (server === created) {
+                void stop();
+            }
+        });
+        server = created;
+        return getState();
+    }
+
+    function getState() {
+        const address = server?.address();
+        return {
+            running: Boolean(server),
+            address: address?.address ?? null,
+            port: address?.port ?? null,
+            subscribers: subscribers.size,
+        };
+    }
+
+    return {
+        apply,
+        stop,
+        publish,
+        getState,
+    };
+}
+
+module.exports = {
+    DEFAULT_API_SETTINGS,
+    createControlApi,
+};
@@ -0,0 +1,141 @@
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MAX_SEARCH_STEPS = 100000;
+
+const ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+function parseValue(text, field) {
+    const lower = text.toLowerCase();
+    const nameIndex = field.names ? field.names.indexOf(lower) : -1;
+    // Plain digits only: Number('') is 0, so an empty list item (`1,,2`) would
+    // otherwise schedule the field's zero.
+    const value = nameIndex >= 0 ? nameIndex + field.nameOffset : /^\d+$/.test(text) ? Number(text) : NaN;
+
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} value "${text}".`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        if (!part) {
+            throw new Error(`Empty list item in ${field.name} "${text}".`);
+        }
+
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name} "${part}".`);
+        }
+
+        let start;
+        let end;
+        if (rangeText === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (rangeText.includes('-')) {
+            const [from, to] = rangeText.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+        } else {
+            start = parseValue(rangeText, field);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (start > end) {
+            throw new Error(`Invalid range in ${field.name} "${part}".`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+// Parses a standard five-field cron expression (minute hour day-of-month
+// month day-of-week) with lists, ranges, steps, month/day names and the usual
+// @daily-style aliases. Times are evaluated in the host's local time zone.
+function parseCron(expression) {
+    const source = String(expression ?? '').trim();
+    const expanded = ALIASES[source.toLowerCase()] ?? source;
+    const parts = expanded.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new Error('Cron expression needs five fields: minute hour day month weekday.');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+        daysOfWeek.delete(7);
+    }
+
+    return {
+        source,
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        // Classic cron semantics: when both day fields are restricted, either may match.
+        anyDay: parts[2] !== '*' && parts[4] !== '*',
+    };
+}
+
+function matchesDay(schedule, date) {
+    const domMatch = schedule.daysOfMonth.has(date.getDate());
+    const dowMatch = schedule.daysOfWeek.has(date.getDay());
+    return schedule.anyDay ? domMatch || dowMatch : domMatch && dowMatch;
+}
+
+// Returns the first matching minute strictly after `afterMs`, or null when
+// the expression never fires (e.g. 31 February).
+function nextCronTime(schedule, afterMs) {
+    const date = new Date(afterMs);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    for (let step = 0; step < MAX_SEARCH_STEPS; step += 1) {
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!matchesDay(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!schedule.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    nextCronTime,
+};
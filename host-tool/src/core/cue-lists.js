@@ -0,0 +1,155 @@
+const { randomUUID } = require('node:crypto');
+
+const WAIT_NONE = 'none';
+const WAIT_ACK = 'ack';
+const FAILURE_CONTINUE = 'continue';
+const FAILURE_ABORT = 'abort';
+const FAILURE_GOTO_PREFIX = 'goto:';
+
+// `owner` names the step or job in validation errors.
+function normalizeCommand(command, owner) {
+    if (!command || typeof command !== 'object') {
+        throw new Error(`${owner} needs a command.`);
+    }
+
+    if (typeof command.presetId === 'string' && command.presetId) {
+        return {
+            presetId: command.presetId,
+            values: command.values && typeof command.values === 'object' ? command.values : {},
+        };
+    }
+
+    const action = String(command.action ?? '').trim();
+    if (!action) {
+        throw new Error(`${owner} needs an action or a presetId.`);
+    }
+
+    const port = Number.parseInt(command.port, 10);
+    return {
+        action,
+        payload: typeof command.payload === 'string' || command.payload === undefined
+            ? command.payload ?? ''
+            : JSON.stringify(command.payload),
+        port: Number.isInteger(port) && port > 0 && port <= 65535 ? port : null,
+        sign: command.sign !== false,
+    };
+}
+
+function normalizeStep(step, index) {
+    if (!step || typeof step !== 'object') {
+        throw new Error(`Step ${index + 1} must be an object.`);
+    }
+
+    const id = typeof step.id === 'string' && step.id.trim() ? step.id.trim() : `step-${index + 1}`;
+    const label = typeof step.label === 'string' && step.label.trim() ? step.label.trim() : id;
+    const delayMs = Number.parseInt(step.delayMs ?? 0, 10);
+    const ackTimeoutMs = Number.parseInt(step.ackTimeoutMs, 10);
+    const onFailure = typeof step.onFailure === 'string' ? step.onFailure.trim() : FAILURE_ABORT;
+
+    if (![FAILURE_CONTINUE, FAILURE_ABORT].includes(onFailure) && !onFailure.startsWith(FAILURE_GOTO_PREFIX)) {
+        throw new Error(`Step "${label}": onFailure must be "continue", "abort" or "goto:<stepId>".`);
+    }
+
+    const targets = Array.isArray(step.targets) ? step.targets.map(String).filter(Boolean) : [];
+    if (targets.length === 0) {
+        throw new Error(`Step "${label}" needs at least one target.`);
+    }
+
+    return {
+        id,
+        label,
+        delayMs: Number.isInteger(delayMs) && delayMs > 0 ? delayMs : 0,
+        command: normalizeCommand(step.command, `Step "${label}"`),
+        targets,
+        waitFor: step.waitFor === WAIT_ACK ? WAIT_ACK : WAIT_NONE,
+        ackTimeoutMs: Number.isInteger(ackTimeoutMs) && ackTimeoutMs > 0 ? ackTimeoutMs : null,
+        onFailure,
+    };
+}
+
+function normalizeCueList(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Cue list must be an object.');
+    }
+
+    const name = String(input.name ?? '').trim();
+    if (!name) {
+        throw new Error('Cue list name is required.');
+    }
+
+    if (!Array.isArray(input.steps) || input.steps.length === 0) {
+        throw new Error(`Cue list "${name}" needs at least one step.`);
+    }
+
+    const steps = input.steps.map(normalizeStep);
+    const ids = new Set();
+    steps.forEach((step) => {
+        if (ids.has(step.id)) {
+            throw new Error(`Duplicate step id "${step.id}".`);
+        }
+        ids.add(step.id);
+    });
+
+    steps.forEach((step) => {
+        if (step.onFailure.startsWith(FAILURE_GOTO_PREFIX)) {
+            const targetId = step.onFailure.slice(FAILURE_GOTO_PREFIX.length);
+            if (!ids.has(targetId)) {
+                throw new Error(`Step "${step.label}" branches to unknown step "${targetId}".`);
+            }
+        }
+    });
+
+    return {
+        id: typeof input.id === 'string' && input.id ? input.id : randomUUID(),
+        name,
+        steps,
+    };
+}
+
+function createCueListStore(store) {
+    function list() {
+        return store.get('cueLists') ?? [];
+    }
+
+    function get(id) {
+        return list().find((cueList) => cueList.id === id) ?? null;
+    }
+
+    function save(input) {
+        const cueList = normalizeCueList(input);
+        const cueLists = [...list()];
+        const index = cueLists.findIndex((entry) => entry.id === cueList.id);
+        if (index >= 0) {
+            cueLists[index] = cueList;
+        } else {
+            cueLists.push(cueList);
+        }
+        store.set('cueLists', cueLists);
+        return cueList;
+    }
+
+    function remove(id) {
+        const cueLists = list();
+        const remaining = cueLists.filter((cueList) => cueList.id !== id);
+        store.set('cueLists', remaining);
+        return remaining.length !== cueLists.length;
+    }
+
+    return {
+        list,
+        get,
+        save,
+        remove,
+    };
+}
+
+module.exports = {
+    WAIT_NONE,
+    WAIT_ACK,
+    FAILURE_CONTINUE,
+    FAILURE_ABORT,
+    FAILURE_GOTO_PREFIX,
+    normalizeCommand,
+    normalizeCueList,
+    createCueListStore,
+};
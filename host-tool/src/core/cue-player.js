@@ -0,0 +1,360 @@
+const { EventEmitter } = require('node:events');
+const { WAIT_ACK, FAILURE_CONTINUE, FAILURE_GOTO_PREFIX } = require('./cue-lists');
+const { createDeliveryCollector } = require('./ack-tracker');
+
+const DEFAULT_STEP_ACK_TIMEOUT_MS = 5000;
+const MAX_BRANCH_JUMPS = 100;
+const ACTIVE_STATES = new Set(['playing', 'paused']);
+
+// Plays one cue list at a time in the main process so step timing does not
+// depend on renderer throttling. Delays and acknowledgement waits go through a
+// single interruptible waiter, which is what pause, skip and abort act on.
+function createCuePlayer({ runCommand, subscribeDeliveries }) {
+    const player = new EventEmitter();
+    let run = null;
+
+    function snapshot() {
+        if (!run) {
+            return {
+                state: 'idle',
+                cueListId: null,
+                name: '',
+                currentIndex: -1,
+                steps: [],
+            };
+        }
+
+        return {
+            state: run.state,
+            cueListId: run.cueList.id,
+            name: run.cueList.name,
+            currentIndex: run.currentIndex,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt,
+            steps: run.steps.map((step) => ({ ...step })),
+        };
+    }
+
+    function emitProgress() {
+        player.emit('progress', snapshot());
+    }
+
+    function wait(current, ms) {
+        return new Promise((resolve) => {
+            current.waiter = { resolve, remainingMs: ms, timer: null, startedAt: 0 };
+            if (!current.paused) {
+                startWaiterTimer(current);
+            }
+        });
+    }
+
+    function startWaiterTimer(current) {
+        const waiter = current.waiter;
+        if (!waiter || !Number.isFinite(waiter.remainingMs)) {
+            return;
+        }
+
+        waiter.startedAt = Date.now();
+        waiter.timer = setTimeout(() => finishWait(current, 'elapsed'), waiter.remainingMs);
+    }
+
+    function finishWait(current, reason) {
+        const waiter = current.waiter;
+        if (!waiter) {
+            return false;
+        }
+
+        current.waiter = null;
+        clearTimeout(waiter.timer);
+        waiter.resolve(reason);
+        return true;
+    }
+
+    function untilResumed(current) {
+        if (!current.paused) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => current.resumeWaiters.push(resolve));
+    }
+
+    function releaseResumeWaiters(current) {
+        const waiters = current.resumeWaiters.splice(0);
+        waiters.forEach((resolve) => resolve());
+    }
+
+    function finishStep(progress, status, detail = '') {
+        progress.status = status;
+        progress.detail = detail;
+        progress.finishedAt = Date.now();
+        emitProgress();
+    }
+
+    async function awaitAcknowledgements(current, collector, cmdId, expected) {
+        const isSettled = () => {
+            const results = collector.resultsFor(cmdId);
+            return expected.every((key) => results.has(key));
+        };
+
+        if (!isSettled()) {
+            if (current.skipRequested) {
+                return 'skip';
+            }
+
+            collector.setOnUpdate(() => {
+                if (isSettled()) {
+                    finishWait(current, 'settled');
+                }
+            });
+
+            const reason = await wait(current, Infinity);
+            if (reason !== 'settled') {
+                return reason;
+            }
+        }
+
+        return 'settled';
+    }
+
+    async function executeStep(current, step, progress) {
+        progress.status = 'sending';
+        emitProgress();
+
+        const waitForAck = step.waitFor === WAIT_ACK;
+        const collector = waitForAck ? createDeliveryCollector(subscribeDeliveries) : null;
+
+        try {
+            let outcome;
+            try {
+                outcome = await runCommand({
+                    command: step.command,
+                    targets: step.targets,
+                    expectAck: waitForAck,
+                    ackTimeoutMs: waitForAck ? step.ackTimeoutMs ?? DEFAULT_STEP_ACK_TIMEOUT_MS : undefined,
+                });
+            } catch (error) {
+                return { status: 'failed', detail: error.message };
+            }
+
+            const sent = outcome.results.filter((result) => result.ok);
+            const failed = outcome.results.filter((result) => !result.ok);
+            progress.cmdId = outcome.cmdId;
+
+            if (sent.length === 0) {
+                return { status: 'failed', detail: failed[0]?.error ?? 'No targets resolved.' };
+            }
+
+            if (!waitForAck) {
+                return failed.length > 0
+                    ? { status: 'failed', detail: `${failed.length}/${outcome.results.length} sends failed: ${failed[0].error}` }
+                    : { status: 'done', detail: `Sent to ${sent.length} target(s).` };
+            }
+
+            progress.status = 'awaiting-ack';
+            emitProgress();
+
+            const expected = sent.map((result) => `${result.host}:${result.port}`);
+            const reason = await awaitAcknowledgements(current, collector, outcome.cmdId, expected);
+            if (reason === 'abort') {
+                return { status: 'aborted', detail: '' };
+            }
+            if (reason === 'skip') {
+                return { status: 'skipped', detail: 'Stopped waiting for acknowledgements.' };
+            }
+
+            const results = collector.resultsFor(outcome.cmdId);
+            const delivered = expected.filter((key) => results.get(key)?.status === 'delivered').length;
+            const total = outcome.results.length;
+            return delivered === total
+                ? { status: 'done', detail: `Acknowledged by ${delivered}/${total}.` }
+                : { status: 'failed', detail: `Acknowledged by ${delivered}/${total}.` };
+        } finally {
+            collector?.dispose();
+        }
+    }
+
+    async function execute(current) {
+        const { steps } = current.cueList;
+        const indexById = new Map(steps.map((step, index) => [step.id, index]));
+        let index = 0;
+        let jumps = 0;
+
+        while (index < steps.length && !current.aborted) {
+            await untilResumed(current);
+            if (current.aborted) {
+                break;
+            }
+
+            const step = steps[index];
+            const progress = current.steps[index];
+            current.currentIndex = index;
+            current.skipRequested = false;
+            progress.startedAt = Date.now();
+            progress.finishedAt = null;
+            progress.detail = '';
+
+            if (step.delayMs > 0) {
+                progress.status = 'waiting';
+                emitProgress();
+                const reason = await wait(current, step.delayMs);
+                if (reason === 'abort') {
+                    break;
+                }
+                if (reason === 'skip') {
+                    finishStep(progress, 'skipped', 'Skipped before sending.');
+                    index += 1;
+                    continue;
+                }
+            }
+
+            await untilResumed(current);
+            if (current.aborted) {
+                break;
+            }
+
+            const outcome = await executeStep(current, step, progress);
+            if (current.aborted) {
+                break;
+            }
+
+            finishStep(progress, outcome.status, outcome.detail);
+            if (outcome.status !== 'failed' || step.onFailure === FAILURE_CONTINUE) {
+                index += 1;
+                continue;
+            }
+
+            if (step.onFailure.startsWith(FAILURE_GOTO_PREFIX)) {
+                jumps += 1;
+                if (jumps > MAX_BRANCH_JUMPS) {
+                    progress.detail = `${progress.detail} Branch limit of ${MAX_BRANCH_JUMPS} reached.`.trim();
+                    current.state = 'failed';
+                    break;
+                }
+                index = indexById.get(step.onFailure.slice(FAILURE_GOTO_PREFIX.length));
+                continue;
+            }
+
+            current.state = 'failed';
+            break;
+        }
+
+        if (current.aborted) {
+            const progress = current.steps[current.currentIndex];
+            if (progress && !progress.finishedAt) {
+                progress.status = 'aborted';
+                progress.finishedAt = Date.now();
+            }
+            current.state = 'aborted';
+        } else if (current.state !== 'failed') {
+            current.state = 'finished';
+        }
+
+        current.finishedAt = Date.now();
+        emitProgress();
+    }
+
+    function isActive() {
+        return Boolean(run && ACTIVE_STATES.has(run.state));
+    }
+
+    function play(cueList) {
+        if (isActive()) {
+            throw new Error('A cue list is already running.');
+        }
+
+        run = {
+            cueList,
+            state: 'playing',
+            currentIndex: -1,
+            steps: cueList.steps.map((step) => ({
+                id: step.id,
+                label: step.label,
+                status: 'pending',
+                detail: '',
+                startedAt: null,
+                finishedAt: null,
+            })),
+            paused: false,
+            aborted: false,
+            skipRequested: false,
+            waiter: null,
+            resumeWaiters: [],
+            startedAt: Date.now(),
+            finishedAt: null,
+        };
+
+        emitProgress();
+        void execute(run);
+        return snapshot();
+    }
+
+    function pause() {
+        if (!run || run.state !== 'playing') {
+            return snapshot();
+        }
+
+        run.paused = true;
+        run.state = 'paused';
+
+        const waiter = run.waiter;
+        if (waiter?.timer) {
+            clearTimeout(waiter.timer);
+            waiter.timer = null;
+            waiter.remainingMs = Math.max(0, waiter.remainingMs - (Date.now() - waiter.startedAt));
+        }
+
+        emitProgress();
+        return snapshot();
+    }
+
+    function resume() {
+        if (!run || run.state !== 'paused') {
+            return snapshot();
+        }
+
+        run.paused = false;
+        run.state = 'playing';
+        if (run.waiter && !run.waiter.timer) {
+            startWaiterTimer(run);
+        }
+        releaseResumeWaiters(run);
+        emitProgress();
+        return snapshot();
+    }
+
+    function skip() {
+        if (!isActive()) {
+            return snapshot();
+        }
+
+        if (!finishWait(run, 'skip')) {
+            run.skipRequested = true;
+        }
+        return snapshot();
+    }
+
+    function abort() {
+        if (!isActive()) {
+            return snapshot();
+        }
+
+        run.aborted = true;
+        finishWait(run, 'abort');
+        releaseResumeWaiters(run);
+        return snapshot();
+    }
+
+    return Object.assign(player, {
+        play,
+        pause,
+        resume,
+        skip,
+        abort,
+        isActive,
+        snapshot,
+    });
+}
+
+module.exports = {
+    createCuePlayer,
+};
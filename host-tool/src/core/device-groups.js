@@ -0,0 +1,153 @@
+const { readMetadataField } = require('./roster');
+
+const GROUP_SELECTOR_PREFIX = '@group:';
+const TAG_SELECTOR_PREFIX = '@tag:';
+
+// Filter fields a dynamic group can match on, mapped to roster client fields.
+const FILTER_FIELDS = {
+    platform: 'platform',
+    scene: 'scene',
+    build: 'buildVersion',
+};
+
+function normalizeName(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function normalizeFilter(filter) {
+    if (!filter || typeof filter !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    for (const field of [...Object.keys(FILTER_FIELDS), 'tag']) {
+        const value = normalizeName(filter[field]);
+        if (value) {
+            normalized[field] = value;
+        }
+    }
+
+    // Heartbeat metadata fields by path, compared as text.
+    const metadata = {};
+    const sourceMetadata = filter.metadata && typeof filter.metadata === 'object' ? filter.metadata : {};
+    for (const [path, value] of Object.entries(sourceMetadata)) {
+        if (normalizeName(path) && value !== undefined && value !== null && value !== '') {
+            metadata[normalizeName(path)] = String(value);
+        }
+    }
+    if (Object.keys(metadata).length > 0) {
+        normalized.metadata = metadata;
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+// Groups and tags are owned by the renderer (localStorage, next to custom
+// device names) and mirrored here so main-process senders can resolve
+// `@group:` and `@tag:` selectors.
+function normalizeDeviceGroups(document) {
+    const groups = [];
+    const seen = new Set();
+    for (const group of Array.isArray(document?.groups) ? document.groups : []) {
+        const name = normalizeName(group?.name);
+        if (!name || seen.has(name)) {
+            continue;
+        }
+        seen.add(name);
+
+        const filter = normalizeFilter(group.filter);
+        groups.push({
+            name,
+            members: filter || !Array.isArray(group.members)
+                ? []
+                : Array.from(new Set(group.members.map(String).filter(Boolean))),
+            filter,
+        });
+    }
+
+    const tags = {};
+    const sourceTags = document?.tags && typeof document.tags === 'object' ? document.tags : {};
+    for (const [key, values] of Object.entries(sourceTags)) {
+        const list = Array.isArray(values)
+            ? Array.from(new Set(values.map(normalizeName).filter(Boolean)))
+            : [];
+        if (list.length > 0) {
+            tags[key] = list;
+        }
+    }
+
+    return { groups, tags };
+}
+
+function matchesFilter(client, filter, tags) {
+    for (const [field, clientField] of Object.entries(FILTER_FIELDS)) {
+        if (filter[field] && normalizeName(client[clientField]) !== filter[field]) {
+            return false;
+        }
+    }
+
+    for (const [path, value] of Object.entries(filter.metadata ?? {})) {
+        if (String(readMetadataField(client, path) ?? '') !== value) {
+            return false;
+        }
+    }
+
+    return !filter.tag || (tags[client.key] ?? []).includes(filter.tag);
+}
+
+function createDeviceGroups(store) {
+    let current = normalizeDeviceGroups(store.get('deviceGroups'));
+
+    function replace(document) {
+        current = normalizeDeviceGroups(document);
+        store.set('deviceGroups', current);
+        return current;
+    }
+
+    // Returns the keys of online members, or null when the group is unknown.
+    function resolveGroup(name, roster) {
+        const group = current.groups.find((entry) => entry.name === name);
+        if (!group) {
+            return null;
+        }
+
+        const online = roster.list().filter((client) => client.online);
+        if (group.filter) {
+            return online.filter((client) => matchesFilter(client, group.filter, current.tags)).map((client) => client.key);
+        }
+
+        const members = new Set(group.members);
+        return online.filter((client) => members.has(client.key)).map((client) => client.key);
+    }
+
+    function resolveTag(tag, roster) {
+        return roster.list()
+            .filter((client) => client.online && (current.tags[client.key] ?? []).includes(tag))
+            .map((client) => client.key);
+    }
+
+    // Names of every group the device belongs to, online or not.
+    function groupsOf(key, roster) {
+        const client = roster.get(key);
+        return current.groups
+            .filter((group) => (group.filter
+                ? Boolean(client) && matchesFilter(client, group.filter, current.tags)
+                : group.members.includes(key)))
+            .map((group) => group.name);
+    }
+
+    return {
+        get: () => current,
+        replace,
+        resolveGroup,
+        resolveTag,
+        groupsOf,
+    };
+}
+
+module.exports = {
+    GROUP_SELECTOR_PREFIX,
+    TAG_SELECTOR_PREFIX,
+    normalizeDeviceGroups,
+    createDeviceGroups,
+};
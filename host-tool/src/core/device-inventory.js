@@ -0,0 +1,73 @@
+const { createBatcher } = require('./batcher');
+
+const INVENTORY_SAVE_INTERVAL_MS = 5000;
+
+function toEntry(client, groups) {
+    return {
+        key: client.key,
+        deviceId: client.deviceId,
+        deviceName: client.deviceName,
+        platform: client.platform,
+        buildVersion: client.buildVersion,
+        ipv4: client.ipv4,
+        ipv6: client.ipv6,
+        macAddress: client.macAddress ?? '',
+        remoteAddress: client.remoteAddress,
+        commandPort: client.commandPort,
+        envelopeFormat: client.envelopeFormat,
+        groups,
+        firstSeen: client.firstSeen,
+        lastSeen: client.lastSeen,
+    };
+}
+
+// Every device the host has seen, persisted so the roster can show known
+// devices (offline) right after a restart and commands can reach their
+// last-known address before they report again. Entries follow roster
+// changes and are written at most every few seconds; removing a device from
+// the roster or letting it expire forgets it.
+function createDeviceInventory({ store, roster, groupsOf = () => [] }) {
+    const entries = new Map((store.get('devices') ?? []).filter((entry) => entry?.key).map((entry) => [entry.key, entry]));
+    const writes = createBatcher({
+        intervalMs: INVENTORY_SAVE_INTERVAL_MS,
+        flush: () => store.set('devices', Array.from(entries.values())),
+    });
+
+    function handleChange(change) {
+        if (change.reason === 'removed' || change.reason === 'expired') {
+            entries.delete(change.key);
+            writes.add('devices', true);
+            return;
+        }
+
+        const client = roster.get(change.key);
+        if (client && !client.restored) {
+            entries.set(change.key, toEntry(client, groupsOf(change.key)));
+            writes.add('devices', true);
+        }
+    }
+
+    function start() {
+        const expired = roster.restore(Array.from(entries.values()));
+        expired.forEach((key) => entries.delete(key));
+        if (expired.length > 0) {
+            writes.add('devices', true);
+        }
+        roster.on('changed', handleChange);
+    }
+
+    function stop() {
+        roster.off('changed', handleChange);
+        writes.flush();
+    }
+
+    return {
+        start,
+        stop,
+        list: () => Array.from(entries.values()),
+    };
+}
+
+module.exports = {
+    createDeviceInventory,
+};
@@ -0,0 +1,119 @@
+const { randomUUID } = require('node:crypto');
+const { GROUP_SELECTOR_PREFIX, TAG_SELECTOR_PREFIX } = require('./device-groups');
+
+const DEFAULT_MANUAL_PORT = 3939;
+const ONLINE_SELECTOR = '@online';
+const HOST_SELECTOR_PREFIX = '@host:';
+
+// Fans a single command template out to roster devices or a manual host,
+// keeping one cmdId for the whole batch so acknowledgements line up.
+function createDispatcher({ send, roster, groups = null }) {
+    function resolveTargets(keys) {
+        const targets = [];
+        const unknown = [];
+
+        for (const key of keys) {
+            const target = roster.resolveTarget(key);
+            if (target) {
+                targets.push({ ...target, deviceKey: key });
+            } else {
+                unknown.push(key);
+            }
+        }
+
+        return { targets, unknown };
+    }
+
+    // Selectors are device keys, `@online` for every online device,
+    // `@group:<name>` / `@tag:<tag>` for online members of a group or tag, or
+    // `@host:<address>` for a manual/broadcast address on the default port.
+    function resolveSelectors(selectors, defaultPort) {
+        const keys = [];
+        const hosts = [];
+        const unknownGroups = [];
+
+        for (const selector of selectors) {
+            if (selector === ONLINE_SELECTOR) {
+                keys.push(...roster.getOnlineKeys());
+            } else if (selector.startsWith(GROUP_SELECTOR_PREFIX)) {
+                const members = groups?.resolveGroup(selector.slice(GROUP_SELECTOR_PREFIX.length), roster) ?? null;
+                if (members) {
+                    keys.push(...members);
+                } else {
+                    unknownGroups.push(selector);
+                }
+            } else if (selector.startsWith(TAG_SELECTOR_PREFIX)) {
+                keys.push(...(groups?.resolveTag(selector.slice(TAG_SELECTOR_PREFIX.length), roster) ?? []));
+            } else if (selector.startsWith(HOST_SELECTOR_PREFIX)) {
+                hosts.push(manualTarget(selector.slice(HOST_SELECTOR_PREFIX.length), defaultPort));
+            } else {
+                keys.push(selector);
+            }
+        }
+
+        const { targets, unknown } = resolveTargets(Array.from(new Set(keys)));
+        return {
+            targets: targets.concat(hosts),
+            unknown: unknownGroups.concat(unknown),
+        };
+    }
+
+    // Every target is handed to send() at once so the send queue sees the
+    // whole batch: it paces it as one, and cancelling the queue drops every
+    // device still waiting instead of only the current one. The cmdId is
+    // fixed before anything is sent so all targets share it.
+    async function dispatch(template, targets) {
+        const request = { ...template };
+        if (request.includeCmdId && !(typeof request.cmdId === 'string' && request.cmdId.trim())) {
+            request.cmdId = randomUUID().slice(0, 8);
+        }
+
+        const results = await Promise.all(targets.map(async (target) => {
+            if (!target.host) {
+                return { ...target, ok: false, error: 'Device has no known address.' };
+            }
+
+            try {
+                const result = await send({ ...request, ...target });
+                return {
+                    ...target,
+                    ok: true,
+                    sentBytes: result.sentBytes,
+                    message: result.message,
+                    delivery: result.delivery,
+                };
+            } catch (error) {
+                return { ...target, ok: false, error: error.message };
+            }
+        }));
+
+        return {
+            cmdId: request.cmdId || null,
+            results,
+        };
+    }
+
+    function manualTarget(host, port) {
+        const parsedPort = Number.parseInt(port, 10);
+        return {
+            host: String(host ?? '').trim(),
+            port: Number.isInteger(parsedPort) ? parsedPort : DEFAULT_MANUAL_PORT,
+            deviceKey: '',
+        };
+    }
+
+    return {
+        resolveTargets,
+        resolveSelectors,
+        dispatch,
+        manualTarget,
+    };
+}
+
+module.exports = {
+    ONLINE_SELECTOR,
+    HOST_SELECTOR_PREFIX,
+    GROUP_SELECTOR_PREFIX,
+    TAG_SELECTOR_PREFIX,
+    createDispatcher,
+};
@@ -0,0 +1,184 @@
+const {
+    randomUUID,
+    randomBytes,
+    createHmac,
+    createCipheriv,
+    createDecipheriv,
+    hkdfSync,
+    timingSafeEqual,
+} = require('node:crypto');
+
+const ENVELOPE_FORMAT_PLAIN = 'plain';
+const ENVELOPE_FORMAT_ENCRYPTED = 'aes-gcm';
+const ENVELOPE_FORMATS = [ENVELOPE_FORMAT_PLAIN, ENVELOPE_FORMAT_ENCRYPTED];
+const ENCRYPTED_ENVELOPE_VERSION = 1;
+const ENCRYPTED_ENVELOPE_ALGORITHM = 'A256GCM';
+const ENCRYPTION_KEY_SALT = 'udp-host-envelope';
+const derivedKeys = new Map();
+
+function safeParseJson(payload) {
+    if (typeof payload !== 'string' || payload.length === 0) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(payload);
+    } catch {
+        return null;
+    }
+}
+
+function buildEnvelope(request) {
+    const action = String(request.action ?? '').trim();
+    const includeCmdId = Boolean(request.includeCmdId);
+    const explicitCmdId = typeof request.cmdId === 'string' ? request.cmdId.trim() : '';
+    const sharedSecret = typeof request.sharedSecret === 'string' ? request.sharedSecret : '';
+
+    if (!action) {
+        throw new Error('Action is required.');
+    }
+
+    const timestamp = Number.isFinite(request.timestamp)
+        ? Math.trunc(request.timestamp)
+        : Date.now();
+
+    const payloadString = typeof request.payload === 'string' ? request.payload : '';
+
+    const message = {
+        action,
+        timestamp,
+    };
+
+    if (payloadString.length > 0 || request.forcePayloadField) {
+        message.payload = payloadString;
+    }
+
+    if (includeCmdId) {
+        message.cmdId = explicitCmdId || randomUUID().slice(0, 8);
+    }
+
+    if (sharedSecret) {
+        signEnvelope(message, sharedSecret);
+    }
+
+    return message;
+}
+
+function canonicalString(message) {
+    return `${message.action}|${message.payload ?? ''}|${message.timestamp}`;
+}
+
+function signEnvelope(message, sharedSecret) {
+    const hmac = createHmac('sha256', sharedSecret);
+    message.signature = hmac.update(canonicalString(message)).digest('base64');
+    return message;
+}
+
+function verifySignature(message, sharedSecret) {
+    if (typeof message?.signature !== 'string' || !sharedSecret) {
+        return false;
+    }
+
+    const expected = createHmac('sha256', sharedSecret).update(canonicalString(message)).digest();
+    const actual = Buffer.from(message.signature, 'base64');
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// AES-256-GCM keys are derived from the deployment's shared secret with HKDF,
+// so the secret itself never doubles as a cipher key.
+function deriveEnvelopeKey(sharedSecret, version = ENCRYPTED_ENVELOPE_VERSION) {
+    const cacheKey = `${version}|${sharedSecret}`;
+    if (!derivedKeys.has(cacheKey)) {
+        if (derivedKeys.size >= 32) {
+            derivedKeys.clear();
+        }
+        const key = hkdfSync('sha256', sharedSecret, ENCRYPTION_KEY_SALT, `udp-host envelope v${version}`, 32);
+        derivedKeys.set(cacheKey, Buffer.from(key));
+    }
+    return derivedKeys.get(cacheKey);
+}
+
+function encryptedEnvelopeAad(version, keyId) {
+    const suffix = keyId ? `|${keyId}` : '';
+    return Buffer.from(`udp-host|v${version}|${ENCRYPTED_ENVELOPE_ALGORITHM}${suffix}`, 'utf8');
+}
+
+// Wraps a complete (optionally signed) envelope as
+// `{ v, alg, kid?, nonce, ct, tag }`; the receiver decrypts it back to the
+// same JSON document a legacy listener would have received. `kid` names the
+// key so receivers holding several keys know which one to try.
+function encryptEnvelope(message, sharedSecret, keyId = '') {
+    if (!sharedSecret) {
+        throw new Error('Encrypted envelopes need a shared secret.');
+    }
+
+    const nonce = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', deriveEnvelopeKey(sharedSecret), nonce);
+    cipher.setAAD(encryptedEnvelopeAad(ENCRYPTED_ENVELOPE_VERSION, keyId));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(message), 'utf8'), cipher.final()]);
+
+    return {
+        v: ENCRYPTED_ENVELOPE_VERSION,
+        alg: ENCRYPTED_ENVELOPE_ALGORITHM,
+        ...(keyId ? { kid: keyId } : {}),
+        nonce: nonce.toString('base64'),
+        ct: ciphertext.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+    };
+}
+
+function isEncryptedEnvelope(value) {
+    return Boolean(value) &&
+        typeof value === 'object' &&
+        value.alg === ENCRYPTED_ENVELOPE_ALGORITHM &&
+        typeof value.ct === 'string' &&
+        typeof value.nonce === 'string' &&
+        typeof value.tag === 'string';
+}
+
+// Returns the decrypted JSON text. Throws when the version is unknown or the
+// key / tag do not match.
+function decryptEnvelope(envelope, sharedSecret) {
+    if (envelope.v !== ENCRYPTED_ENVELOPE_VERSION) {
+        throw new Error(`Unsupported encrypted envelope version ${envelope.v}.`);
+    }
+
+    if (!sharedSecret) {
+        throw new Error('Encrypted packet received but no shared secret is configured.');
+    }
+
+    try {
+        const decipher = createDecipheriv(
+            'aes-256-gcm',
+            deriveEnvelopeKey(sharedSecret, envelope.v),
+            Buffer.from(envelope.nonce, 'base64')
+        );
+        decipher.setAAD(encryptedEnvelopeAad(envelope.v, typeof envelope.kid === 'string' ? envelope.kid : ''));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        return Buffer.concat([
+            decipher.update(Buffer.from(envelope.ct, 'base64')),
+            decipher.final(),
+        ]).toString('utf8');
+    } catch {
+        throw new Error('Decryption failed (wrong key or tampered packet).');
+    }
+}
+
+function encodeEnvelope(message) {
+    return Buffer.from(JSON.stringify(message), 'utf8');
+}
+
+module.exports = {
+    ENVELOPE_FORMAT_PLAIN,
+    ENVELOPE_FORMAT_ENCRYPTED,
+    ENVELOPE_FORMATS,
+    safeParseJson,
+    buildEnvelope,
+    canonicalString,
+    signEnvelope,
+    verifySignature,
+    encryptEnvelope,
+    isEncryptedEnvelope,
+    decryptEnvelope,
+    encodeEnvelope,
+};
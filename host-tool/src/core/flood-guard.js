@@ -0,0 +1,246 @@
+const { EventEmitter } = require('node:events');
+
+const QUARANTINE_WINDOW_MS = 10_000;
+const STATS_INTERVAL_MS = 1000;
+const SOURCE_IDLE_MS = 60_000;
+const MAX_SOURCES = 4096;
+const MAX_REPORTED_SOURCES = 10;
+
+const DEFAULT_FLOOD_SETTINGS = {
+    enabled: true,
+    packetsPerSecond: 50,
+    burst: 100,
+    quarantineThreshold: 200,
+    quarantineMs: 30_000,
+};
+
+function clampInteger(value, min, max, fallback) {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : fallback;
+}
+
+function normalizeFloodSettings(input = {}) {
+    return {
+        enabled: input?.enabled !== false,
+        packetsPerSecond: clampInteger(input?.packetsPerSecond, 1, 10_000, DEFAULT_FLOOD_SETTINGS.packetsPerSecond),
+        burst: clampInteger(input?.burst, 1, 100_000, DEFAULT_FLOOD_SETTINGS.burst),
+        quarantineThreshold: clampInteger(input?.quarantineThreshold, 0, 1_000_000, DEFAULT_FLOOD_SETTINGS.quarantineThreshold),
+        quarantineMs: clampInteger(input?.quarantineMs, 1000, 24 * 60 * 60 * 1000, DEFAULT_FLOOD_SETTINGS.quarantineMs),
+    };
+}
+
+function emptyTotals() {
+    return { accepted: 0, throttled: 0, dropped: 0, quarantines: 0 };
+}
+
+// Per-source inbound quota. Every source (sender address and port) gets a
+// token bucket of `burst` packets refilled at `packetsPerSecond`; packets
+// beyond it are throttled (dropped and counted). A source that is throttled
+// `quarantineThreshold` times within 10 seconds is quarantined: everything it
+// sends is dropped for `quarantineMs` (zero threshold disables quarantine).
+// admit() is the only per-packet call and does no parsing, so a flood costs
+// a map lookup. Counters are emitted as 'stats' at most once a second while
+// they change; sources entering and leaving quarantine as 'quarantined' and
+// 'released'.
+function createFloodGuard(settings = DEFAULT_FLOOD_SETTINGS) {
+    const guard = new EventEmitter();
+    const sources = new Map();
+    let current = normalizeFloodSettings(settings);
+    let totals = emptyTotals();
+    let timer = null;
+    let dirty = false;
+
+    function sourceFor(key, now) {
+        let source = sources.get(key);
+        if (!source) {
+            if (sources.size >= MAX_SOURCES) {
+                const idle = Array.from(sources.keys()).find((candidate) => !sources.get(candidate).quarantinedUntil);
+                sources.delete(idle ?? sources.keys().next().value);
+            }
+            source = {
+                key,
+                tokens: current.burst,
+                refilledAt: now,
+                lastSeen: now,
+                accepted: 0,
+                throttled: 0,
+                dropped: 0,
+                windowStart: now,
+                windowThrottled: 0,
+                quarantinedUntil: 0,
+            };
+            sources.set(key, source);
+        }
+        return source;
+    }
+
+    function publicSource(source) {
+        return {
+            source: source.key,
+            accepted: source.accepted,
+            throttled: source.throttled,
+            dropped: source.dropped,
+            quarantinedUntil: source.quarantinedUntil || null,
+        };
+    }
+
+    function snapshot() {
+        const all = Array.from(sources.values());
+        return {
+            settings: current,
+            totals: { ...totals },
+            sources: all.length,
+            quarantined: all.filter((source) => source.quarantinedUntil).map(publicSource),
+            noisiest: all
+                .filter((source) => source.throttled + source.dropped > 0)
+                .sort((a, b) => (b.throttled + b.dropped) - (a.throttled + a.dropped))
+                .slice(0, MAX_REPORTED_SOURCES)
+                .map(publicSource),
+        };
+    }
+
+    function markChanged() {
+        dirty = true;
+        armTimer();
+    }
+
+    function armTimer() {
+        if (timer) {
+            return;
+        }
+
+        timer = setTimeout(() => {
+            timer = null;
+            tick();
+        }, STATS_INTERVAL_MS);
+        timer.unref?.();
+    }
+
+    function release(key, reason = 'expired') {
+        const source = sources.get(key);
+        if (!source?.quarantinedUntil) {
+            return false;
+        }
+
+        source.quarantinedUntil = 0;
+        source.windowStart = Date.now();
+        source.windowThrottled = 0;
+        source.tokens = current.burst;
+        guard.emit('released', { ...publicSource(source), reason });
+        markChanged();
+        return true;
+    }
+
+    function tick(now = Date.now()) {
+        let quarantined = false;
+        for (const source of Array.from(sources.values())) {
+            if (source.quarantinedUntil && source.quarantinedUntil <= now) {
+                release(source.key);
+            } else if (source.quarantinedUntil) {
+                quarantined = true;
+            } else if (now - source.lastSeen > SOURCE_IDLE_MS) {
+                sources.delete(source.key);
+            }
+        }
+
+        if (dirty) {
+            dirty = false;
+            guard.emit('stats', snapshot());
+        }
+        if (quarantined || dirty) {
+            armTimer();
+        }
+    }
+
+    function quarantine(source, now) {
+        source.quarantinedUntil = now + current.quarantineMs;
+        totals.quarantines += 1;
+        guard.emit('quarantined', {
+            ...publicSource(source),
+            reason: `${source.windowThrottled} packets over quota within ${QUARANTINE_WINDOW_MS / 1000}s.`,
+        });
+    }
+
+    // Returns true when the packet may be processed.
+    function admit(key, now = Date.now()) {
+        if (!current.enabled) {
+            return true;
+        }
+
+        const source = sourceFor(key, now);
+        source.lastSeen = now;
+        markChanged();
+
+        if (source.quarantinedUntil > now) {
+            source.dropped += 1;
+            totals.dropped += 1;
+            return false;
+        }
+        if (source.quarantinedUntil) {
+            release(key);
+        }
+
+        source.tokens = Math.min(current.burst, source.tokens + ((now - source.refilledAt) / 1000) * current.packetsPerSecond);
+        source.refilledAt = now;
+        if (source.tokens >= 1) {
+            source.tokens -= 1;
+            source.accepted += 1;
+            totals.accepted += 1;
+            return true;
+        }
+
+        source.throttled += 1;
+        totals.throttled += 1;
+        if (now - source.windowStart > QUARANTINE_WINDOW_MS) {
+            source.windowStart = now;
+            source.windowThrottled = 0;
+        }
+        source.windowThrottled += 1;
+        if (current.quarantineThreshold > 0 && source.windowThrottled >= current.quarantineThreshold) {
+            quarantine(source, now);
+        }
+        return false;
+    }
+
+    function setSettings(input) {
+        current = normalizeFloodSettings(input);
+        if (!current.enabled) {
+            Array.from(sources.keys()).forEach((key) => release(key, 'disabled'));
+        }
+        markChanged();
+        return snapshot();
+    }
+
+    function resetCounters() {
+        totals = emptyTotals();
+        for (const source of sources.values()) {
+            source.accepted = 0;
+            source.throttled = 0;
+            source.dropped = 0;
+        }
+        markChanged();
+        return snapshot();
+    }
+
+    function dispose() {
+        clearTimeout(timer);
+        timer = null;
+        sources.clear();
+    }
+
+    return Object.assign(guard, {
+        admit,
+        release: (key) => release(key, 'manual'),
+        setSettings,
+        getSettings: () => current,
+        resetCounters,
+        snapshot,
+        dispose,
+    });
+}
+
+module.exports = {
+    DEFAULT_FLOOD_SETTINGS,
+    normalizeFloodSettings,
+    createFloodGuard,
+};
@@ -0,0 +1,117 @@
+const { canonicalString, verifySignature } = require('./envelope');
+const { ACK_ACTIONS } = require('./ack-tracker');
+
+const VERIFY_OFF = 'off';
+const VERIFY_FLAG = 'flag';
+const VERIFY_ENFORCE = 'enforce';
+const VERIFY_MODES = [VERIFY_OFF, VERIFY_FLAG, VERIFY_ENFORCE];
+const DEFAULT_MAX_SKEW_MS = 30_000;
+const VERIFIED_ACTIONS = new Set(['registerclient', 'heartbeat', 'goodbye', 'unregisterclient', 'discoverhost', ...ACK_ACTIONS]);
+
+const DEFAULT_VERIFICATION_SETTINGS = {
+    mode: VERIFY_OFF,
+    maxSkewMs: DEFAULT_MAX_SKEW_MS,
+};
+
+function normalizeVerificationSettings(input = {}) {
+    const mode = VERIFY_MODES.includes(input?.mode) ? input.mode : VERIFY_OFF;
+    const maxSkewMs = Number.parseInt(input?.maxSkewMs, 10);
+
+    return {
+        mode,
+        maxSkewMs: Number.isInteger(maxSkewMs) && maxSkewMs > 0 ? maxSkewMs : DEFAULT_MAX_SKEW_MS,
+    };
+}
+
+// Checks reporter packets (RegisterClient, Heartbeat, Goodbye, DiscoverHost)
+// and acknowledgements against the sender's accepted keys with the same
+// canonical string outgoing commands are signed with, plus a timestamp window
+// and a replay cache. Anything that already passed is remembered for twice
+// the window, which covers every timestamp the freshness check would still
+// accept. cmdIds are remembered per sender, since devices pick their own.
+function createInboundVerifier(initialSettings = DEFAULT_VERIFICATION_SETTINGS) {
+    let settings = normalizeVerificationSettings(initialSettings);
+    const seen = new Map();
+
+    function configure(next) {
+        settings = normalizeVerificationSettings(next);
+        seen.clear();
+        return { ...settings };
+    }
+
+    function pruneSeen(now) {
+        for (const [key, expiresAt] of seen) {
+            if (expiresAt <= now) {
+                seen.delete(key);
+            }
+        }
+    }
+
+    // Returns null when the packet is fine (or not subject to verification),
+    // otherwise the rejection reason. `secretsFor` lists the secrets the sender
+    // may use and is only called when a signature has to be checked. Packets
+    // that arrived in an encrypted envelope are already authenticated by the
+    // cipher, so only freshness and replay are checked for them. `sender`
+    // (the device ID, else the source address) scopes the cmdId replay check.
+    function check(message, { authenticated = false, secretsFor = () => [], sender = '', now = Date.now() } = {}) {
+        if (settings.mode === VERIFY_OFF || !message || typeof message !== 'object') {
+            return null;
+        }
+
+        const action = typeof message.action === 'string' ? message.action.toLowerCase() : '';
+        if (!VERIFIED_ACTIONS.has(action)) {
+            return null;
+        }
+
+        if (!authenticated && (typeof message.signature !== 'string' || !message.signature)) {
+            return 'Missing signature.';
+        }
+
+        if (!authenticated) {
+            const secrets = secretsFor(message);
+            if (secrets.length === 0) {
+                return 'No key configured for this sender.';
+            }
+            if (!secrets.some((secret) => verifySignature(message, secret))) {
+                return 'Bad signature.';
+            }
+        }
+
+        if (!Number.isFinite(message.timestamp)) {
+            return 'Missing timestamp.';
+        }
+
+        if (Math.abs(now - message.timestamp) > settings.maxSkewMs) {
+            return `Timestamp outside the ±${Math.round(settings.maxSkewMs / 1000)}s window.`;
+        }
+
+        const hasCmdId = typeof message.cmdId === 'string' && message.cmdId;
+        const replayKey = hasCmdId ? `cmd:${sender}:${message.cmdId}` : `sig:${message.signature ?? canonicalString(message)}`;
+        if ((seen.get(replayKey) ?? 0) > now) {
+            return hasCmdId ? `Replayed cmdId "${message.cmdId}".` : 'Replayed packet.';
+        }
+
+        if (seen.size >= 10_000) {
+            pruneSeen(now);
+        }
+        seen.set(replayKey, now + settings.maxSkewMs * 2);
+        return null;
+    }
+
+    return {
+        configure,
+        check,
+        getSettings: () => ({ ...settings }),
+        isEnforcing: () => settings.mode === VERIFY_ENFORCE,
+    };
+}
+
+module.exports = {
+    VERIFY_OFF,
+    VERIFY_FLAG,
+    VERIFY_ENFORCE,
+    VERIFY_MODES,
+    DEFAULT_VERIFICATION_SETTINGS,
+    normalizeVerificationSettings,
+    createInboundVerifier,
+};
@@ -0,0 +1,283 @@
+const MAX_DEPTH = 64;
+const MAX_ERRORS = 20;
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: (value) => Array.isArray(value),
+    null: (value) => value === null,
+};
+
+function describeType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+function deepEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i += 1) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j += 1) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+// The closest declared property, for "unknown field" errors caused by typos.
+function suggestProperty(name, candidates) {
+    const lower = name.toLowerCase();
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = editDistance(lower, candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best !== null && bestDistance <= Math.max(2, Math.floor(name.length / 3)) ? best : null;
+}
+
+function childPath(path, key) {
+    return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+// Local references only (`#/$defs/...`, `#/definitions/...`); the exported
+// schemas are self-contained documents.
+function resolveRef(root, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+        return undefined;
+    }
+
+    return ref.slice(1).split('/').filter(Boolean).reduce((node, segment) => (
+        node === undefined || node === null ? undefined : node[segment.replace(/~1/g, '/').replace(/~0/g, '~')]
+    ), root);
+}
+
+function validateNode(schema, value, path, context, depth) {
+    const { errors } = context;
+    if (errors.length >= MAX_ERRORS || schema === true || schema === undefined || schema === null) {
+        return;
+    }
+    if (schema === false) {
+        errors.push({ path, message: 'is not allowed' });
+        return;
+    }
+    if (depth > MAX_DEPTH) {
+        errors.push({ path, message: 'schema nests too deeply' });
+        return;
+    }
+
+    if (schema.$ref !== undefined) {
+        const target = resolveRef(context.root, schema.$ref);
+        if (target === undefined) {
+            errors.push({ path, message: `cannot resolve ${schema.$ref}` });
+        } else {
+            validateNode(target, value, path, context, depth + 1);
+        }
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => TYPE_CHECKS[type]?.(value))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${describeType(value)}` });
+            return;
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some((option) => deepEqual(option, value))) {
+        errors.push({ path, message: `must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}` });
+    }
+    if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+        errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof value === 'number') {
+        validateNumber(schema, value, path, errors);
+    } else if (typeof value === 'string') {
+        validateString(schema, value, path, errors);
+    } else if (Array.isArray(value)) {
+        validateArray(schema, value, path, context, depth);
+    } else if (TYPE_CHECKS.object(value)) {
+        validateObject(schema, value, path, context, depth);
+    }
+
+    validateCombinators(schema, value, path, context, depth);
+}
+
+function validateNumber(schema, value, path, errors) {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+        errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+        errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+        errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+        errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+        const ratio = value / schema.multipleOf;
+        if (Math.abs(ratio - Math.round(ratio)) > 1e-9) {
+            errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+        }
+    }
+}
+
+function validateString(schema, value, path, errors) {
+    const length = Array.from(value).length;
+    if (Number.isInteger(schema.minLength) && length < schema.minLength) {
+        errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (Number.isInteger(schema.maxLength) && length > schema.maxLength) {
+        errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (typeof schema.pattern === 'string') {
+        let pattern = null;
+        try {
+            pattern = new RegExp(schema.pattern, 'u');
+        } catch {
+            errors.push({ path, message: `schema pattern ${schema.pattern} is invalid` });
+        }
+        if (pattern && !pattern.test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+}
+
+function validateArray(schema, value, path, context, depth) {
+    const { errors } = context;
+    if (Number.isInteger(schema.minItems) && value.length < schema.minItems) {
+        errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (Number.isInteger(schema.maxItems) && value.length > schema.maxItems) {
+        errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems === true && value.some((item, index) => value.findIndex((other) => deepEqual(other, item)) !== index)) {
+        errors.push({ path, message: 'must not contain duplicate items' });
+    }
+
+    const tuple = Array.isArray(schema.prefixItems) ? schema.prefixItems : Array.isArray(schema.items) ? schema.items : null;
+    value.forEach((item, index) => {
+        if (tuple && index < tuple.length) {
+            validateNode(tuple[index], item, childPath(path, index), context, depth + 1);
+        } else if (tuple) {
+            validateNode(schema.prefixItems ? schema.items : schema.additionalItems, item, childPath(path, index), context, depth + 1);
+        } else {
+            validateNode(schema.items, item, childPath(path, index), context, depth + 1);
+        }
+    });
+}
+
+function validateObject(schema, value, path, context, depth) {
+    const { errors } = context;
+    const properties = TYPE_CHECKS.object(schema.properties) ? schema.properties : {};
+    const keys = Object.keys(value);
+
+    for (const name of Array.isArray(schema.required) ? schema.required : []) {
+        if (!Object.prototype.hasOwnProperty.call(value, name)) {
+            errors.push({ path: childPath(path, name), message: 'is required' });
+        }
+    }
+    if (Number.isInteger(schema.minProperties) && keys.length < schema.minProperties) {
+        errors.push({ path, message: `must have at least ${schema.minProperties} fields` });
+    }
+    if (Number.isInteger(schema.maxProperties) && keys.length > schema.maxProperties) {
+        errors.push({ path, message: `must have at most ${schema.maxProperties} fields` });
+    }
+
+    for (const key of keys) {
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+            validateNode(properties[key], value[key], childPath(path, key), context, depth + 1);
+        } else if (schema.additionalProperties === false) {
+            const suggestion = suggestProperty(key, Object.keys(properties));
+            errors.push({
+                path: childPath(path, key),
+                message: suggestion ? `unknown field (did you mean "${suggestion}"?)` : 'unknown field',
+            });
+        } else if (schema.additionalProperties !== undefined) {
+            validateNode(schema.additionalProperties, value[key], childPath(path, key), context, depth + 1);
+        }
+    }
+}
+
+// Branches are checked against a scratch error list so only the summary of a
+// failed anyOf/oneOf/not is reported.
+function passes(schema, value, path, context, depth) {
+    const scratch = { root: context.root, errors: [] };
+    validateNode(schema, value, path, scratch, depth + 1);
+    return scratch.errors.length === 0;
+}
+
+function validateCombinators(schema, value, path, context, depth) {
+    const { errors } = context;
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach((branch) => validateNode(branch, value, path, context, depth + 1));
+    }
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some((branch) => passes(branch, value, path, context, depth))) {
+        errors.push({ path, message: 'does not match any allowed shape' });
+    }
+    if (Array.isArray(schema.oneOf)) {
+        const matches = schema.oneOf.filter((branch) => passes(branch, value, path, context, depth)).length;
+        if (matches !== 1) {
+            errors.push({ path, message: matches === 0 ? 'does not match any allowed shape' : 'matches more than one allowed shape' });
+        }
+    }
+    if (schema.not !== undefined && passes(schema.not, value, path, context, depth)) {
+        errors.push({ path, message: 'matches a disallowed shape' });
+    }
+}
+
+// Validates `value` against a JSON Schema (the keyword subset Unity's
+// exporter emits: types, enum/const, ranges, lengths, patterns, items,
+// properties/required/additionalProperties, allOf/anyOf/oneOf/not and local
+// $ref). Unknown keywords are ignored. Returns `[{ path, message }]`, with
+// paths like `payload.items[2].name`; an empty list means valid.
+function validateSchema(schema, value, rootPath = 'payload') {
+    const context = { root: schema, errors: [] };
+    validateNode(schema, value, rootPath, context, 0);
+    return context.errors;
+}
+
+function formatSchemaErrors(errors, limit = 3) {
+    const shown = errors.slice(0, limit).map((error) => `${error.path} ${error.message}`);
+    if (errors.length > limit) {
+        shown.push(`${errors.length - limit} more`);
+    }
+    return shown.join('; ');
+}
+
+module.exports = {
+    validateSchema,
+    formatSchemaErrors,
+};
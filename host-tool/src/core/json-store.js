@@ -0,0 +1,51 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Small synchronous JSON file store for settings and libraries that must
+// survive restarts. Writes go through a temp file so a crash never leaves a
+// half-written document behind.
+function createJsonStore(filePath, defaults = {}) {
+    let data = load();
+
+    function load() {
+        try {
+            const raw = fs.readFileSync(filePath, 'utf8');
+            const parsed = JSON.parse(raw);
+            if (parsed && typeof parsed === 'object') {
+                return { ...structuredClone(defaults), ...parsed };
+            }
+        } catch {
+            // missing or unreadable file falls back to defaults
+        }
+
+        return structuredClone(defaults);
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tempPath, filePath);
+    }
+
+    return {
+        filePath,
+        get(key) {
+            return key === undefined ? data : data[key];
+        },
+        set(key, value) {
+            data[key] = value;
+            save();
+            return value;
+        },
+        update(patch) {
+            data = { ...data, ...patch };
+            save();
+            return data;
+        },
+    };
+}
+
+module.exports = {
+    createJsonStore,
+};
@@ -0,0 +1,391 @@
+const { EventEmitter } = require('node:events');
+const { randomBytes, randomUUID, createHash } = require('node:crypto');
+
+const KEY_SCOPE_DEFAULT = 'default';
+const KEY_SCOPE_DEVICE = 'device';
+const KEY_SCOPE_GROUP = 'group';
+const KEY_SCOPES = [KEY_SCOPE_DEFAULT, KEY_SCOPE_DEVICE, KEY_SCOPE_GROUP];
+const DEFAULT_GRACE_MS = 24 * 60 * 60 * 1000;
+const MIN_ROTATION_MS = 60 * 1000;
+const MAX_TIMER_MS = 60_000;
+
+function generateSecret() {
+    return randomBytes(32).toString('base64url');
+}
+
+function fingerprintSecret(secret) {
+    return createHash('sha256').update(secret).digest('hex').slice(0, 8);
+}
+
+function createKeyVersion(secret, protect) {
+    return {
+        kid: randomBytes(4).toString('hex'),
+        secret: protect(secret),
+        fingerprint: fingerprintSecret(secret),
+        createdAt: Date.now(),
+    };
+}
+
+function parseDuration(value, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : 0;
+}
+
+// Keyring that always answers with one secret. The CLI uses it for --secret
+// and the engine falls back to it when no key store is attached.
+function createStaticKeyring(secret) {
+    const key = secret ? { id: '', secret } : null;
+    return {
+        forTarget: () => key,
+        candidates: () => (key ? [key] : []),
+    };
+}
+
+// Main-process store of signing/encryption secrets: one optional default key
+// plus per-device and per-group keys. Secrets are kept encrypted at rest via
+// the injected codec and never leave this module except to sign, encrypt or
+// verify. Rotating a key keeps the previous secret acceptable for inbound
+// packets until its grace period ends. Outgoing commands use the current
+// secret, except that a generated one (automatic rotation, or a rotation
+// without a secret) is marked `undistributed` and outgoing commands keep the
+// previous secret until it is exported for provisioning or the grace period
+// ends, since no device can know it before then. A secret the codec can no longer decrypt is reported once
+// through 'unreadable' and left out until the key is rotated or removed.
+function createKeyStore({ store, codec, groupsOf = () => [] }) {
+    const keyStore = new EventEmitter();
+    const plainSecrets = new Map();
+    const unreadable = new Map();
+    let timer = null;
+    let started = false;
+
+    function listEntries() {
+        return store.get('keys') ?? [];
+    }
+
+    function writeEntries(entries) {
+        store.set('keys', entries);
+        keyStore.emit('changed', snapshot());
+    }
+
+    // Returns the plain secret, or null when it cannot be decrypted.
+    function reveal(version) {
+        if (unreadable.has(version.kid)) {
+            return null;
+        }
+
+        if (!plainSecrets.has(version.kid)) {
+            try {
+                plainSecrets.set(version.kid, codec.decrypt(version.secret));
+            } catch (error) {
+                unreadable.set(version.kid, error.message);
+                keyStore.emit('unreadable', { kid: version.kid, error: error.message });
+                keyStore.emit('changed', snapshot());
+                return null;
+            }
+        }
+        return plainSecrets.get(version.kid);
+    }
+
+    function forget(kid) {
+        plainSecrets.delete(kid);
+        unreadable.delete(kid);
+    }
+
+    function revealOrThrow(version) {
+        const secret = reveal(version);
+        if (secret === null) {
+            throw new Error(`Key ${version.kid} cannot be decrypted (${unreadable.get(version.kid)}); rotate it or enter the secret again.`);
+        }
+        return secret;
+    }
+
+    function publicVersion(version) {
+        if (!version) {
+            return null;
+        }
+
+        const { secret, ...rest } = version;
+        return unreadable.has(version.kid) ? { ...rest, unreadable: true } : rest;
+    }
+
+    function publicEntry(entry) {
+        return {
+            ...entry,
+            current: publicVersion(entry.current),
+            previous: publicVersion(entry.previous),
+        };
+    }
+
+    function snapshot() {
+        return {
+            keys: listEntries().map(publicEntry),
+        };
+    }
+
+    function normalizeTarget(scope, target) {
+        if (!KEY_SCOPES.includes(scope)) {
+            throw new Error(`Unknown key scope "${scope}".`);
+        }
+
+        const normalized = scope === KEY_SCOPE_DEFAULT ? '' : String(target ?? '').trim();
+        if (scope !== KEY_SCOPE_DEFAULT && !normalized) {
+            throw new Error(`A ${scope} key needs a target.`);
+        }
+
+        return normalized;
+    }
+
+    function scheduleNextRotation(entry, from) {
+        return entry.rotation.everyMs ? from + entry.rotation.everyMs : null;
+    }
+
+    // Creates a key or updates its rotation settings. A new secret (or a
+    // generated one for a new key) is applied through rotation so the old
+    // one stays valid for the grace period.
+    function save(input) {
+        const entries = listEntries();
+        const existing = input?.id ? entries.find((entry) => entry.id === input.id) : null;
+        if (input?.id && !existing) {
+            throw new Error('Key not found.');
+        }
+
+        const scope = existing?.scope ?? input?.scope;
+        const target = existing?.target ?? normalizeTarget(scope, input?.target);
+        const duplicate = entries.find((entry) => entry !== existing && entry.scope === scope && entry.target === target);
+        if (duplicate) {
+            throw new Error(scope === KEY_SCOPE_DEFAULT
+                ? 'A default key already exists.'
+                : `A key for ${scope} "${target}" already exists.`);
+        }
+
+        // Leaving a field out keeps its current value; zero turns rotation off.
+        const rotation = {
+            everyMs: parseDuration(input?.rotationEveryMs, existing?.rotation.everyMs ?? 0) || null,
+            graceMs: parseDuration(input?.graceMs, existing?.rotation.graceMs ?? DEFAULT_GRACE_MS),
+        };
+        if (rotation.everyMs !== null && rotation.everyMs < MIN_ROTATION_MS) {
+            throw new Error(`Rotation interval must be at least ${MIN_ROTATION_MS / 1000}s.`);
+        }
+        const secret = typeof input?.secret === 'string' ? input.secret.trim() : '';
+
+        let entry;
+        if (existing) {
+            entry = { ...existing, rotation };
+            if (secret) {
+                entry = rotateEntry(entry, secret);
+            } else {
+                entry.nextRotationAt = scheduleNextRotation(entry, entry.current.createdAt);
+            }
+        } else {
+            entry = {
+                id: randomUUID(),
+                scope,
+                target,
+                rotation,
+                current: createKeyVersion(secret || generateSecret(), codec.encrypt),
+                previous: null,
+            };
+            entry.nextRotationAt = scheduleNextRotation(entry, entry.current.createdAt);
+        }
+
+        writeEntries(existing
+            ? entries.map((candidate) => (candidate.id === entry.id ? entry : candidate))
+            : entries.concat(entry));
+        armTimer();
+        return publicEntry(entry);
+    }
+
+    function rotateEntry(entry, secret) {
+        const now = Date.now();
+        if (entry.previous) {
+            forget(entry.previous.kid);
+        }
+
+        const rotated = {
+            ...entry,
+            previous: { ...entry.current, acceptUntil: now + entry.rotation.graceMs },
+            current: secret
+                ? createKeyVersion(secret, codec.encrypt)
+                : { ...createKeyVersion(generateSecret(), codec.encrypt), undistributed: true },
+            lastRotatedAt: now,
+        };
+        rotated.nextRotationAt = scheduleNextRotation(rotated, now);
+        keyStore.emit('rotated', publicEntry(rotated));
+        return rotated;
+    }
+
+    function rotate(id, secret = '') {
+        const entries = listEntries();
+        const entry = entries.find((candidate) => candidate.id === id);
+        if (!entry) {
+            throw new Error('Key not found.');
+        }
+
+        const rotated = rotateEntry(entry, typeof secret === 'string' ? secret.trim() : '');
+        writeEntries(entries.map((candidate) => (candidate.id === id ? rotated : candidate)));
+        armTimer();
+        return publicEntry(rotated);
+    }
+
+    function remove(id) {
+        const entries = listEntries();
+        const entry = entries.find((candidate) => candidate.id === id);
+        if (!entry) {
+            return false;
+        }
+
+        [entry.current, entry.previous].filter(Boolean).forEach((version) => forget(version.kid));
+        writeEntries(entries.filter((candidate) => candidate !== entry));
+        return true;
+    }
+
+    // Returns the current secret of a single key, for provisioning devices.
+    // From then on outgoing commands are signed with it.
+    function exportSecret(id) {
+        const entries = listEntries();
+        const entry = entries.find((candidate) => candidate.id === id);
+        if (!entry) {
+            throw new Error('Key not found.');
+        }
+
+        const secret = revealOrThrow(entry.current);
+        if (entry.current.undistributed) {
+            const { undistributed, ...current } = entry.current;
+            writeEntries(entries.map((candidate) => (candidate.id === id ? { ...entry, current } : candidate)));
+        }
+        return secret;
+    }
+
+    // Device key first, then the device's groups (by name), then the default.
+    function entriesFor(deviceKey) {
+        const entries = listEntries();
+        const matches = [];
+        if (deviceKey) {
+            matches.push(...entries.filter((entry) => entry.scope === KEY_SCOPE_DEVICE && entry.target === deviceKey));
+            const groups = new Set(groupsOf(deviceKey));
+            matches.push(...entries
+                .filter((entry) => entry.scope === KEY_SCOPE_GROUP && groups.has(entry.target))
+                .sort((a, b) => a.target.localeCompare(b.target)));
+        }
+        matches.push(...entries.filter((entry) => entry.scope === KEY_SCOPE_DEFAULT));
+        return matches;
+    }
+
+    function acceptedVersions(entry, now) {
+        const versions = [entry.current];
+        if (entry.previous && entry.previous.acceptUntil > now) {
+            versions.push(entry.previous);
+        }
+        return versions;
+    }
+
+    function signingVersion(entry) {
+        const [current, previous] = acceptedVersions(entry, Date.now());
+        return current.undistributed && previous && reveal(previous) !== null ? previous : current;
+    }
+
+    function forTarget({ deviceKey } = {}) {
+        const [entry] = entriesFor(deviceKey);
+        if (!entry) {
+            return null;
+        }
+
+        const version = signingVersion(entry);
+        return { id: version.kid, secret: revealOrThrow(version) };
+    }
+
+    // Every secret an inbound packet may legitimately use: the one matching a
+    // key id when the sender named it, otherwise the keys covering the device
+    // (or every key when the device is unknown).
+    function candidates({ deviceId, kid } = {}) {
+        const now = Date.now();
+        const entries = kid || !deviceId ? listEntries() : entriesFor(deviceId);
+        return entries
+            .flatMap((entry) => acceptedVersions(entry, now))
+            .filter((version) => !kid || version.kid === kid)
+            .map((version) => ({ id: version.kid, secret: reveal(version) }))
+            .filter((key) => key.secret !== null);
+    }
+
+    function runDueRotations() {
+        const now = Date.now();
+        let changed = false;
+        const entries = listEntries().map((entry) => {
+            if (entry.nextRotationAt && entry.nextRotationAt <= now) {
+                changed = true;
+                return rotateEntry(entry, '');
+            }
+
+            if (entry.previous && entry.previous.acceptUntil <= now) {
+                changed = true;
+                forget(entry.previous.kid);
+                return { ...entry, previous: null };
+            }
+
+            return entry;
+        });
+
+        if (changed) {
+            writeEntries(entries);
+        }
+    }
+
+    function armTimer() {
+        clearTimeout(timer);
+        timer = null;
+        if (!started) {
+            return;
+        }
+
+        const dueTimes = listEntries()
+            .flatMap((entry) => [entry.nextRotationAt, entry.previous?.acceptUntil])
+            .filter((value) => Number.isFinite(value));
+        if (dueTimes.length === 0) {
+            return;
+        }
+
+        const delay = Math.min(Math.max(Math.min(...dueTimes) - Date.now(), 0), MAX_TIMER_MS);
+        timer = setTimeout(() => {
+            runDueRotations();
+            armTimer();
+        }, delay);
+    }
+
+    function start() {
+        started = true;
+        runDueRotations();
+        armTimer();
+    }
+
+    function stop() {
+        started = false;
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    return Object.assign(keyStore, {
+        save,
+        rotate,
+        remove,
+        exportSecret,
+        forTarget,
+        candidates,
+        snapshot,
+        start,
+        stop,
+    });
+}
+
+module.exports = {
+    KEY_SCOPE_DEFAULT,
+    KEY_SCOPE_DEVICE,
+    KEY_SCOPE_GROUP,
+    KEY_SCOPES,
+    DEFAULT_GRACE_MS,
+    createStaticKeyring,
+    createKeyStore,
+};
@@ -0,0 +1,375 @@
+const { EventEmitter, once } = require('node:events');
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const readline = require('node:readline');
+const { safeParseJson } = require('./envelope');
+const { TRANSPORT_UDP } = require('./transports');
+
+const DEFAULT_MAX_FILE_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 20;
+const DEFAULT_QUERY_LIMIT = 1000;
+const LOG_FILE_PATTERN = /^packets-(\d+)\.jsonl$/;
+const LOG_KINDS = ['send', 'receive', 'rejected', 'ack', 'delivery', 'alert', 'wake', 'error'];
+const CSV_COLUMNS = ['timestamp', 'kind', 'host', 'port', 'deviceKey', 'deviceName', 'action', 'cmdId', 'status', 'detail', 'data'];
+
+function normalizeQuery(query = {}) {
+    const from = Number(query.from);
+    const to = Number(query.to);
+    const limit = Number.parseInt(query.limit, 10);
+    const kinds = Array.isArray(query.kinds) ? query.kinds.filter((kind) => LOG_KINDS.includes(kind)) : [];
+
+    return {
+        kinds: new Set(kinds.length > 0 ? kinds : LOG_KINDS),
+        device: String(query.device ?? '').trim().toLowerCase(),
+        action: String(query.action ?? '').trim().toLowerCase(),
+        text: String(query.text ?? '').trim().toLowerCase(),
+        from: Number.isFinite(from) && from > 0 ? from : 0,
+        to: Number.isFinite(to) && to > 0 ? to : Infinity,
+        limit: Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_QUERY_LIMIT,
+    };
+}
+
+function matchesQuery(entry, line, query) {
+    if (!query.kinds.has(entry.kind) || entry.timestamp < query.from || entry.timestamp > query.to) {
+        return false;
+    }
+
+    if (query.device) {
+        const identity = [entry.deviceKey, entry.deviceName, entry.host].filter(Boolean).join(' ').toLowerCase();
+        if (!identity.includes(query.device)) {
+            return false;
+        }
+    }
+
+    if (query.action && !String(entry.action ?? '').toLowerCase().includes(query.action)) {
+        return false;
+    }
+
+    // Payloads are nested JSON strings, so unescape quotes before matching.
+    return !query.text || line.replace(/\\"/g, '"').toLowerCase().includes(query.text);
+}
+
+function toCsvCell(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(entry) {
+    return CSV_COLUMNS.map((column) => toCsvCell(
+        column === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[column]
+    )).join(',');
+}
+
+// Append-only packet log written as rotating JSONL files. Writes are batched
+// off the hot path; queries and exports stream the files so old sessions can
+// be searched without loading everything into memory.
+function createLogStore({ directory, maxFileBytes = DEFAULT_MAX_FILE_BYTES, maxFiles = DEFAULT_MAX_FILES }) {
+    const store = new EventEmitter();
+    const pending = [];
+    let currentFile = null;
+    let currentSize = 0;
+    let flushing = null;
+
+    async function listFiles() {
+        let names = [];
+        try {
+            names = await fsp.readdir(directory);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        return names
+            .map((name) => ({ name, match: LOG_FILE_PATTERN.exec(name) }))
+            .filter((file) => file.match)
+            .map((file) => ({ filePath: path.join(directory, file.name), startedAt: Number(file.match[1]) }))
+            .sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    async function openFile(forceNew) {
+        await fsp.mkdir(directory, { recursive: true });
+        const files = await listFiles();
+        const latest = files[files.length - 1];
+
+        if (!forceNew && latest) {
+            const { size } = await fsp.stat(latest.filePath);
+            if (size < maxFileBytes) {
+                currentFile = latest.filePath;
+                currentSize = size;
+                return;
+            }
+        }
+
+        const startedAt = Math.max(Date.now(), (latest?.startedAt ?? 0) + 1);
+        currentFile = path.join(directory, `packets-${startedAt}.jsonl`);
+        currentSize = 0;
+
+        const excess = files.length + 1 - maxFiles;
+        for (const file of files.slice(0, Math.max(excess, 0))) {
+            await fsp.rm(file.filePath, { force: true });
+        }
+    }
+
+    async function writePending() {
+        const lines = pending.splice(0);
+        if (lines.length === 0) {
+            return;
+        }
+
+        const chunk = lines.join('');
+        const bytes = Buffer.byteLength(chunk);
+        if (!currentFile) {
+            await openFile(false);
+        }
+        if (currentSize > 0 && currentSize + bytes > maxFileBytes) {
+            await openFile(true);
+        }
+
+        await fsp.appendFile(currentFile, chunk, 'utf8');
+        currentSize += bytes;
+    }
+
+    function scheduleFlush() {
+        if (flushing) {
+            return;
+        }
+
+        flushing = new Promise((resolve) => setImmediate(resolve))
+            .then(writePending)
+            .catch((error) => {
+                store.emit('write-error', error);
+            })
+            .finally(() => {
+                flushing = null;
+                if (pending.length > 0) {
+                    scheduleFlush();
+                }
+            });
+    }
+
+    function append(entry) {
+        const record = {
+            timestamp: Date.now(),
+            ...entry,
+        };
+        pending.push(`${JSON.stringify(record)}\n`);
+        scheduleFlush();
+        return record;
+    }
+
+    async function flush() {
+        while (flushing) {
+            await flushing;
+        }
+    }
+
+    // Visits matching entries oldest-first within the queried window, skipping
+    // files whose time span cannot overlap it.
+    async function scan(query, visit) {
+        await flush();
+        const files = await listFiles();
+
+        for (let index = 0; index < files.length; index += 1) {
+            const file = files[index];
+            const nextStart = files[index + 1]?.startedAt ?? Infinity;
+            if (file.startedAt > query.to || nextStart < query.from) {
+                continue;
+            }
+
+            const lines = readline.createInterface({
+                input: fs.createReadStream(file.filePath, { encoding: 'utf8' }),
+                crlfDelay: Infinity,
+            });
+
+            for await (const line of lines) {
+                if (!line) {
+                    continue;
+                }
+
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch {
+                    continue;
+                }
+
+                if (matchesQuery(entry, line, query)) {
+                    await visit(entry, line);
+                }
+            }
+        }
+    }
+
+    // Returns the newest matching entries first.
+    async function query(rawQuery) {
+        const normalized = normalizeQuery(rawQuery);
+        const matches = [];
+        let total = 0;
+
+        await scan(normalized, async (entry) => {
+            total += 1;
+            matches.push(entry);
+            if (matches.length > normalized.limit) {
+                matches.shift();
+            }
+        });
+
+        return {
+            entries: matches.reverse(),
+            total,
+            truncated: total > matches.length,
+        };
+    }
+
+    async function exportTo(filePath, rawQuery, format) {
+        const normalized = { ...normalizeQuery(rawQuery), limit: Infinity };
+        const output = fs.createWriteStream(filePath, { encoding: 'utf8' });
+        let exported = 0;
+
+        const finished = new Promise((resolve, reject) => {
+            output.on('finish', resolve);
+            output.on('error', reject);
+        });
+
+        if (format === 'csv') {
+            output.write(`${CSV_COLUMNS.join(',')}\n`);
+        }
+
+        try {
+            await scan(normalized, async (entry, line) => {
+                exported += 1;
+                if (!output.write(format === 'csv' ? `${toCsvRow(entry)}\n` : `${line}\n`)) {
+                    await once(output, 'drain');
+                }
+            });
+        } finally {
+            output.end();
+        }
+
+        await finished;
+        return exported;
+    }
+
+    return Object.assign(store, {
+        append,
+        flush,
+        query,
+        exportTo,
+        directory,
+    });
+}
+
+// UDP is the default and left unmarked.
+function describeTransport(transport) {
+    return transport && transport !== TRANSPORT_UDP ? `Via ${transport}` : '';
+}
+
+// Encrypted traffic is not written to disk in the clear: its action and
+// cmdId are logged, the decrypted envelope is left out.
+function plainData(encrypted, data) {
+    return encrypted ? undefined : data;
+}
+
+// Records every datagram the engine sends or receives, packets that failed
+// inbound verification, acknowledgement outcomes and socket errors, tagged
+// with the roster identity of the peer.
+function attachEngineLog(logStore, { engine, roster }) {
+    function identify(host, deviceKey) {
+        const client = deviceKey ? roster.get(deviceKey) : roster.findByAddress(host);
+        return {
+            deviceKey: client?.key ?? deviceKey ?? '',
+            deviceName: client?.deviceName ?? '',
+        };
+    }
+
+    const listeners = {
+        sent: (sent) => logStore.append({
+            kind: 'send',
+            host: sent.host,
+            port: sent.port,
+            ...identify(sent.host, sent.deviceKey),
+            action: sent.message?.action ?? '',
+            cmdId: sent.message?.cmdId ?? '',
+            detail: [
+                sent.attempt > 1 ? `Retry ${sent.attempt - 1}` : '',
+                sent.encrypted ? 'Encrypted' : '',
+                sent.chunks > 1 ? `${sent.chunks} chunks` : '',
+                describeTransport(sent.transport),
+            ].filter(Boolean).join(', '),
+            data: plainData(sent.encrypted, sent.message),
+        }),
+        message: (packet, parsed) => logStore.append({
+            kind: 'receive',
+            host: packet.address,
+            port: packet.port,
+            ...identify(packet.address, ''),
+            action: parsed?.action ?? '',
+            cmdId: parsed?.cmdId ?? '',
+            detail: [packet.encrypted ? 'Encrypted' : '', describeTransport(packet.transport)].filter(Boolean).join(', '),
+            data: plainData(packet.encrypted, parsed ?? packet.payload),
+        }),
+        rejected: (rejected) => logStore.append({
+            kind: 'rejected',
+            host: rejected.address,
+            port: rejected.port,
+            ...identify(rejected.address, ''),
+            action: rejected.action,
+            cmdId: rejected.cmdId,
+            status: rejected.enforced ? 'dropped' : 'flagged',
+            detail: rejected.reason,
+            data: plainData(rejected.encrypted, safeParseJson(rejected.payload) ?? rejected.payload),
+        }),
+        quarantined: (source) => logStore.append({
+            kind: 'rejected',
+            host: source.source,
+            action: '',
+            status: 'quarantined',
+            detail: source.reason,
+        }),
+        ack: (ack) => logStore.append({
+            kind: 'ack',
+            host: ack.address,
+            port: ack.port,
+            ...identify(ack.address, ''),
+            action: 'Ack',
+            cmdId: ack.cmdId,
+            status: ack.ok ? 'ok' : 'failed',
+            detail: ack.matched ? '' : 'No pending command matched.',
+            data: plainData(ack.encrypted, safeParseJson(ack.payload) ?? ack.payload),
+        }),
+        delivery: (delivery) => {
+            if (delivery.status === 'pending' || delivery.responder) {
+                return;
+            }
+            logStore.append({
+                kind: 'delivery',
+                host: delivery.host,
+                port: delivery.port,
+                ...identify(delivery.host, delivery.deviceKey),
+                action: delivery.action ?? '',
+                cmdId: delivery.cmdId,
+                status: delivery.status,
+                detail: delivery.reason || `${delivery.attempts} attempt(s)`,
+            });
+        },
+        'socket-error': (message) => logStore.append({
+            kind: 'error',
+            detail: message,
+        }),
+    };
+
+    Object.entries(listeners).forEach(([event, listener]) => engine.on(event, listener));
+    return () => Object.entries(listeners).forEach(([event, listener]) => engine.off(event, listener));
+}
+
+module.exports = {
+    LOG_KINDS,
+    createLogStore,
+    attachEngineLog,
+};
@@ -0,0 +1,298 @@
+const os = require('node:os');
+const net = require('node:net');
+const { DEFAULT_MTU, MIN_MTU, MAX_MTU } = require('./chunking');
+
+const LIMITED_BROADCAST = '255.255.255.255';
+
+const DEFAULT_NETWORK_SETTINGS = {
+    interface: '',
+    directedBroadcast: true,
+    multicastGroups: [],
+    multicastTtl: 1,
+    multicastLoopback: false,
+    ipv6: true,
+    mtu: DEFAULT_MTU,
+    chunking: false,
+};
+
+function parseIPv4(address) {
+    const parts = typeof address === 'string' ? address.trim().split('.') : [];
+    if (parts.length !== 4 || !parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+        return null;
+    }
+
+    return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+// Splits `fe80::1%eth0` into the address and its zone (scope id).
+function splitScope(address) {
+    const [base, scope = ''] = String(address ?? '').trim().split('%');
+    return { address: base, scope };
+}
+
+function isIPv6Address(host) {
+    return net.isIPv6(splitScope(host).address);
+}
+
+function addressFamily(host) {
+    return isIPv6Address(host) ? 'IPv6' : 'IPv4';
+}
+
+function parseIPv6(address) {
+    const { address: base } = splitScope(address);
+    if (!net.isIPv6(base)) {
+        return null;
+    }
+
+    let text = base;
+    const embedded = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+    if (embedded) {
+        const value = parseIPv4(embedded[1]);
+        text = `${text.slice(0, -embedded[1].length)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    const parts = tail === undefined ? headParts : [...headParts, ...Array(missing).fill('0'), ...tailParts];
+    return parts.reduce((value, part) => (value << 16n) + BigInt(`0x${part || '0'}`), 0n);
+}
+
+function isLinkLocalIPv6(address) {
+    const value = parseIPv6(address);
+    return value !== null && value >> 118n === 0x3fan;
+}
+
+function formatIPv4(value) {
+    return [24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+function prefixMask(prefixLength) {
+    return prefixLength === 0 ? 0 : (0xffffffff << (32 - prefixLength)) >>> 0;
+}
+
+function parseIPv6Cidr(address, prefixText) {
+    const base = parseIPv6(address);
+    const prefixLength = prefixText === undefined ? 128 : Number(prefixText);
+    if (base === null || !Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > 128) {
+        return null;
+    }
+
+    const mask = ((1n << 128n) - 1n) ^ ((1n << BigInt(128 - prefixLength)) - 1n);
+    return {
+        family: 'IPv6',
+        network: base & mask,
+        mask,
+        prefixLength,
+    };
+}
+
+// Accepts `a.b.c.d/nn` or an IPv6 prefix (a bare address is a host route).
+function parseCidr(cidr) {
+    const [address, prefixText] = String(cidr ?? '').trim().split('/');
+    if (isIPv6Address(address)) {
+        return parseIPv6Cidr(address, prefixText);
+    }
+
+    const base = parseIPv4(address);
+    const prefixLength = prefixText === undefined ? 32 : Number(prefixText);
+    if (base === null || !Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > 32) {
+        return null;
+    }
+
+    const mask = prefixMask(prefixLength);
+    return {
+        family: 'IPv4',
+        network: (base & mask) >>> 0,
+        mask,
+        prefixLength,
+    };
+}
+
+function isInSubnet(address, cidr) {
+    const subnet = typeof cidr === 'string' ? parseCidr(cidr) : cidr;
+    if (!subnet) {
+        return false;
+    }
+
+    if (subnet.family === 'IPv6') {
+        const value = parseIPv6(address);
+        return value !== null && (value & subnet.mask) === subnet.network;
+    }
+
+    const value = parseIPv4(address);
+    return value !== null && ((value & subnet.mask) >>> 0) === subnet.network;
+}
+
+// 224.0.0.0/4 or ff00::/8 (optionally with a zone, e.g. `ff02::1%eth0`).
+function isMulticastAddress(host) {
+    const v6 = parseIPv6(host);
+    if (v6 !== null) {
+        return v6 >> 120n === 0xffn;
+    }
+
+    const value = parseIPv4(host);
+    return value !== null && value >= parseIPv4('224.0.0.0') && value <= parseIPv4('239.255.255.255');
+}
+
+function normalizeNetworkSettings(input = {}) {
+    const groups = Array.isArray(input?.multicastGroups)
+        ? input.multicastGroups
+        : String(input?.multicastGroups ?? '').split(',');
+    const multicastGroups = [...new Set(groups.map((group) => String(group).trim()).filter(Boolean))];
+    const invalid = multicastGroups.find((group) => !isMulticastAddress(group));
+    if (invalid) {
+        throw new Error(`"${invalid}" is not a multicast address (224.0.0.0/4 or ff00::/8).`);
+    }
+
+    const ttl = Number.parseInt(input?.multicastTtl, 10);
+    const mtu = Number.parseInt(input?.mtu, 10);
+    return {
+        interface: typeof input?.interface === 'string' ? input.interface.trim() : '',
+        directedBroadcast: input?.directedBroadcast !== false,
+        multicastGroups,
+        multicastTtl: Number.isInteger(ttl) && ttl >= 1 && ttl <= 255 ? ttl : DEFAULT_NETWORK_SETTINGS.multicastTtl,
+        multicastLoopback: Boolean(input?.multicastLoopback),
+        ipv6: input?.ipv6 !== false,
+        mtu: Number.isInteger(mtu) && mtu >= MIN_MTU && mtu <= MAX_MTU ? mtu : DEFAULT_MTU,
+        chunking: Boolean(input?.chunking),
+    };
+}
+
+// Every interface address with its subnet; IPv4 entries also carry their
+// directed broadcast address. Point-to-point links (/31, /32, typical for
+// VPNs) have none.
+function listInterfaces() {
+    const result = [];
+    for (const [name, addresses] of Object.entries(os.networkInterfaces())) {
+        for (const details of addresses ?? []) {
+            if (details?.family === 'IPv6') {
+                const subnet = parseCidr(details.cidr ?? `${details.address}/128`);
+                result.push({
+                    name,
+                    family: 'IPv6',
+                    address: details.address,
+                    netmask: details.netmask,
+                    cidr: details.cidr ?? `${details.address}/${subnet.prefixLength}`,
+                    broadcast: null,
+                    internal: details.internal,
+                    mac: details.mac,
+                    scopeId: details.scopeid ?? 0,
+                });
+                continue;
+            }
+
+            if (!details || details.family !== 'IPv4') {
+                continue;
+            }
+
+            const subnet = parseCidr(details.cidr ?? `${details.address}/32`);
+            const hostBits = 32 - subnet.prefixLength;
+            result.push({
+                name,
+                family: 'IPv4',
+                address: details.address,
+                netmask: details.netmask,
+                cidr: `${formatIPv4(subnet.network)}/${subnet.prefixLength}`,
+                broadcast: hostBits >= 2 ? formatIPv4((subnet.network | ~subnet.mask) >>> 0) : null,
+                internal: details.internal,
+                mac: details.mac,
+            });
+        }
+    }
+    return result;
+}
+
+// Finds an interface address of one family by interface name or address.
+function findInterface(selector, interfaces = listInterfaces(), family = 'IPv4') {
+    const wanted = String(selector ?? '').trim();
+    if (!wanted) {
+        return null;
+    }
+
+    const candidates = interfaces.filter((entry) => entry.family === family);
+    return candidates.find((entry) => entry.name === wanted && !isLinkLocalIPv6(entry.address)) ??
+        candidates.find((entry) => entry.name === wanted || entry.address === wanted) ??
+        null;
+}
+
+function hasInterface(selector, interfaces = listInterfaces()) {
+    return Boolean(findInterface(selector, interfaces, 'IPv4') || findInterface(selector, interfaces, 'IPv6'));
+}
+
+// Interface address of the remote's family on the same subnet, preferring the
+// most specific one. Link-local IPv6 peers are matched by their zone so the
+// interface the packet came in on wins.
+function resolveLocalInterface(remoteAddress, { interfaces = listInterfaces(), preferred = '' } = {}) {
+    const family = addressFamily(remoteAddress);
+    const { scope } = splitScope(remoteAddress);
+    const sameFamily = interfaces.filter((entry) => entry.family === family && (!scope || entry.name === scope));
+    const matches = sameFamily
+        .map((entry) => ({ entry, subnet: parseCidr(entry.cidr) }))
+        .filter(({ subnet }) => isInSubnet(remoteAddress, subnet))
+        .sort((a, b) => b.subnet.prefixLength - a.subnet.prefixLength);
+
+    if (matches.length > 0) {
+        return matches[0].entry;
+    }
+
+    return findInterface(preferred, interfaces, family) ??
+        sameFamily.find((entry) => !entry.internal) ??
+        null;
+}
+
+// Addresses of both families on one interface, for announcements. Routable
+// IPv6 addresses are preferred over link-local ones; zones are left off since
+// they only mean something on this host.
+function interfaceAddresses(name, interfaces = listInterfaces()) {
+    const onInterface = interfaces.filter((entry) => entry.name === name);
+    const ipv6 = onInterface
+        .filter((entry) => entry.family === 'IPv6')
+        .sort((a, b) => Number(isLinkLocalIPv6(a.address)) - Number(isLinkLocalIPv6(b.address)))[0];
+    return {
+        ipv4: onInterface.find((entry) => entry.family === 'IPv4')?.address ?? '',
+        ipv6: ipv6?.address ?? '',
+    };
+}
+
+// True for the limited broadcast address and for directed broadcasts. When a
+// local interface covers the address its real subnet decides; remote subnets
+// fall back to the /24 convention.
+function isBroadcastAddress(host, interfaces = listInterfaces()) {
+    if (host === LIMITED_BROADCAST) {
+        return true;
+    }
+
+    if (isIPv6Address(host)) {
+        return false;
+    }
+
+    const local = interfaces.find((entry) => entry.broadcast && isInSubnet(host, entry.cidr));
+    if (local) {
+        return local.broadcast === host;
+    }
+
+    return /^\d+\.\d+\.\d+\.255$/.test(host);
+}
+
+module.exports = {
+    LIMITED_BROADCAST,
+    DEFAULT_NETWORK_SETTINGS,
+    normalizeNetworkSettings,
+    parseIPv4,
+    parseIPv6,
+    splitScope,
+    isIPv6Address,
+    isLinkLocalIPv6,
+    addressFamily,
+    parseCidr,
+    isInSubnet,
+    isMulticastAddress,
+    listInterfaces,
+    findInterface,
+    hasInterface,
+    resolveLocalInterface,
+    interfaceAddresses,
+    isBroadcastAddress,
+};
@@ -0,0 +1,527 @@
+const { EventEmitter } = require('node:events');
+const { ENVELOPE_FORMATS, ENVELOPE_FORMAT_ENCRYPTED, ENVELOPE_FORMAT_PLAIN, safeParseJson } = require('./envelope');
+const { isIPv6Address, isLinkLocalIPv6, splitScope } = require('./network');
+const { TRANSPORT_UDP } = require('./transports');
+const { normalizeMacAddress } = require('./wake');
+
+const DEFAULT_COMMAND_PORT = 3939;
+const DEFAULT_HEARTBEAT_TIMEOUT_MS = 10_000;
+const CLIENT_STATE_ONLINE = 'online';
+const CLIENT_STATE_STALE = 'stale';
+const CLIENT_STATE_OFFLINE = 'offline';
+const CLIENT_STATE_EXPIRED = 'expired';
+const GOODBYE_ACTIONS = new Set(['goodbye', 'unregisterclient']);
+const GROUP_TARGET_PREFIX = '@group:';
+const MIN_OFFLINE_AFTER_MS = 1000;
+const MAX_LIFECYCLE_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_LIFECYCLE_SETTINGS = {
+    staleAfterMs: 5000,
+    offlineAfterMs: DEFAULT_HEARTBEAT_TIMEOUT_MS,
+    expireAfterMs: 30 * 60 * 1000,
+    overrides: [],
+};
+const TIMEOUT_FIELDS = ['staleAfterMs', 'offlineAfterMs', 'expireAfterMs'];
+const MAX_METADATA_FIELDS = 64;
+const MAX_METADATA_VALUE_BYTES = 1024;
+// Report fields the roster maps onto its own client fields; everything else
+// a reporter sends is kept as metadata.
+const REPORT_FIELDS = new Set([
+    'deviceId', 'deviceID', 'deviceName', 'platform', 'buildVersion', 'ipv4', 'ipv6', 'macAddress', 'scene',
+    'commandPort', 'batteryLevelPercent', 'batteryStatus', 'envelopeFormat',
+]);
+
+function normalizeBatteryLevel(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return value;
+    }
+
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+// A device may announce the command format it accepts; otherwise it gets the
+// format its own reports arrived in.
+function resolveEnvelopeFormat(packet, payload) {
+    if (ENVELOPE_FORMATS.includes(payload.envelopeFormat)) {
+        return payload.envelopeFormat;
+    }
+
+    return packet.encrypted ? ENVELOPE_FORMAT_ENCRYPTED : ENVELOPE_FORMAT_PLAIN;
+}
+
+// Reported addresses win; otherwise the packet's source fills the matching
+// family. A link-local IPv6 address is only usable with a zone, so the
+// source's zone is borrowed when the device reported the same address bare.
+function resolveAddresses(packet, reported, current) {
+    const sourceIsIPv6 = isIPv6Address(packet.address);
+    let ipv6 = reported.ipv6 || current.ipv6 || (sourceIsIPv6 ? packet.address : '');
+    if (sourceIsIPv6 && isLinkLocalIPv6(ipv6) && !splitScope(ipv6).scope &&
+        splitScope(packet.address).address === ipv6) {
+        ipv6 = packet.address;
+    }
+
+    return {
+        ipv4: reported.ipv4 || current.ipv4 || (sourceIsIPv6 ? '' : packet.address),
+        ipv6,
+    };
+}
+
+// Extra report fields (FPS, thermal state, tracking state, ...) are kept
+// as reported, up to a field count and a serialized size per value so a
+// misbehaving build cannot bloat the roster.
+function extractMetadata(payload) {
+    const metadata = {};
+    let count = 0;
+    for (const [field, value] of Object.entries(payload)) {
+        if (REPORT_FIELDS.has(field) || value === undefined || count >= MAX_METADATA_FIELDS) {
+            continue;
+        }
+        if (Buffer.byteLength(JSON.stringify(value) ?? '', 'utf8') > MAX_METADATA_VALUE_BYTES) {
+            continue;
+        }
+        metadata[field] = value;
+        count += 1;
+    }
+    return metadata;
+}
+
+// Dotted paths reach into nested metadata (`controller.left.battery`).
+function readMetadataField(client, path) {
+    return String(path ?? '').split('.').filter(Boolean).reduce(
+        (node, segment) => (node !== null && typeof node === 'object' ? node[segment] : undefined),
+        client?.metadata,
+    );
+}
+
+function clampInteger(value, min, max, fallback) {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : fallback;
+}
+
+// Silence before a device counts as stale, offline and expired. A zero
+// stale or expiry time turns that stage off; otherwise the stages are kept
+// in order (stale before offline before expiry).
+function normalizeTimeouts(input, fallback = DEFAULT_LIFECYCLE_SETTINGS) {
+    const offlineAfterMs = clampInteger(input?.offlineAfterMs, MIN_OFFLINE_AFTER_MS, MAX_LIFECYCLE_MS, fallback.offlineAfterMs);
+    const staleAfterMs = clampInteger(input?.staleAfterMs, 0, MAX_LIFECYCLE_MS, fallback.staleAfterMs);
+    const expireAfterMs = clampInteger(input?.expireAfterMs, 0, MAX_LIFECYCLE_MS, fallback.expireAfterMs);
+    return {
+        staleAfterMs: staleAfterMs >= offlineAfterMs ? 0 : staleAfterMs,
+        offlineAfterMs,
+        expireAfterMs: expireAfterMs === 0 ? 0 : Math.max(expireAfterMs, offlineAfterMs),
+    };
+}
+
+// Overrides target a device key or `@group:<name>` and only carry the
+// timeouts they change; the rest are inherited.
+function normalizeLifecycleSettings(input = {}) {
+    const defaults = normalizeTimeouts(input);
+    const overrides = new Map();
+    (Array.isArray(input?.overrides) ? input.overrides : []).forEach((override) => {
+        const target = String(override?.target ?? '').trim();
+        if (!target || target === GROUP_TARGET_PREFIX) {
+            return;
+        }
+
+        const timeouts = Object.fromEntries(TIMEOUT_FIELDS
+            .filter((field) => override[field] !== undefined && override[field] !== null && override[field] !== '')
+            .map((field) => [field, clampInteger(override[field], 0, MAX_LIFECYCLE_MS, null)])
+            .filter(([, value]) => value !== null));
+        if (Object.keys(timeouts).length > 0) {
+            overrides.set(target, { target, ...timeouts });
+        }
+    });
+
+    return { ...defaults, overrides: Array.from(overrides.values()) };
+}
+
+function normalizeBatteryStatus(value) {
+    if (typeof value === 'string') {
+        return value.trim();
+    }
+
+    return '';
+}
+
+// Main-process roster of reporter clients. It owns registration, heartbeat
+// bookkeeping and the device lifecycle: a device that stops reporting turns
+// stale, then offline, and is purged once it expires; a Goodbye (or
+// UnregisterClient) takes it offline at once. Timeouts come from the
+// lifecycle settings, where a device override beats the first matching group
+// override, which beats the defaults. Transitions are driven by a timer set
+// for the next due deadline. Every change is announced through a single
+// 'changed' event with the reason and affected key.
+function createRoster(options = {}) {
+    const roster = new EventEmitter();
+    const clients = new Map();
+    const defaultCommandPort = options.defaultCommandPort ?? DEFAULT_COMMAND_PORT;
+    const groupsOf = options.groupsOf ?? (() => []);
+    let lifecycle = normalizeLifecycleSettings(options.lifecycle);
+    let sweepTimer = null;
+    let sweepAt = Infinity;
+
+    function ingest(packet, message) {
+        const action = String(message?.action ?? '').toLowerCase();
+        if (GOODBYE_ACTIONS.has(action)) {
+            const payload = safeParseJson(message.payload) ?? {};
+            goodbye(payload.deviceId || payload.deviceID || packet.address);
+            return null;
+        }
+        if (action !== 'registerclient' && action !== 'heartbeat') {
+            return null;
+        }
+
+        const payload = safeParseJson(message.payload);
+        if (!payload) {
+            return null;
+        }
+
+        return upsertClient(packet, {
+            deviceId: payload.deviceId ?? payload.deviceID,
+            deviceName: payload.deviceName,
+            platform: payload.platform,
+            buildVersion: payload.buildVersion,
+            ipv4: payload.ipv4,
+            ipv6: payload.ipv6,
+            macAddress: normalizeMacAddress(payload.macAddress) || undefined,
+            scene: payload.scene,
+            commandPort: Number.isInteger(payload.commandPort) ? payload.commandPort : undefined,
+            batteryLevelPercent: normalizeBatteryLevel(payload.batteryLevelPercent),
+            batteryStatus: normalizeBatteryStatus(payload.batteryStatus),
+            envelopeFormat: resolveEnvelopeFormat(packet, payload),
+            metadata: extractMetadata(payload),
+        });
+    }
+
+    function upsertClient(packet, payload) {
+        const key = payload?.deviceId || packet.address || `client-${clients.size + 1}`;
+        const now = Date.now();
+        const current = clients.get(key) || {
+            deviceId: payload?.deviceId || key,
+            deviceName: payload?.deviceName || '',
+            platform: payload?.platform || '',
+            buildVersion: payload?.buildVersion || '',
+            ...resolveAddresses(packet, payload ?? {}, {}),
+            scene: payload?.scene || '',
+            commandPort: payload?.commandPort,
+            batteryLevelPercent: payload?.batteryLevelPercent,
+            batteryStatus: payload?.batteryStatus,
+            metadata: {},
+            remoteAddress: packet.address,
+            remotePort: packet.port,
+            transport: packet.transport ?? TRANSPORT_UDP,
+            firstSeen: now,
+            lastSeen: now,
+        };
+
+        const updated = {
+            ...current,
+            remoteAddress: packet.address,
+            remotePort: packet.port,
+            transport: packet.transport ?? TRANSPORT_UDP,
+            lastSeen: now,
+        };
+
+        Object.entries(payload ?? {}).forEach(([prop, value]) => {
+            if (value !== undefined && value !== null) {
+                updated[prop] = value;
+            }
+        });
+
+        Object.assign(updated, resolveAddresses(packet, payload ?? {}, current));
+        // Heartbeats may report only what changed, so metadata fields are
+        // merged rather than replaced; a field reported as null is removed.
+        const metadata = { ...current.metadata, ...payload?.metadata };
+        Object.keys(metadata).filter((field) => metadata[field] === null).forEach((field) => delete metadata[field]);
+        updated.metadata = Object.fromEntries(Object.entries(metadata).slice(0, MAX_METADATA_FIELDS));
+        updated.scene = updated.scene || current.scene;
+        updated.commandPort = updated.commandPort || defaultCommandPort;
+
+        if (!updated.deviceName) {
+            updated.deviceName = updated.deviceId;
+        }
+
+        const cameOnline = current.state !== CLIENT_STATE_ONLINE;
+        updated.online = true;
+        updated.state = CLIENT_STATE_ONLINE;
+        updated.stateSince = cameOnline ? now : current.stateSince;
+        updated.goodbyeAt = null;
+        updated.restored = false;
+
+        clients.set(key, updated);
+        updated.timeouts = timeoutsFor(key);
+        scheduleSweep(nextDeadline(updated));
+        roster.emit('changed', { reason: cameOnline ? 'online' : 'heartbeat', key });
+        return { key, client: updated };
+    }
+
+    // Marks a device that shut down cleanly as offline without waiting for
+    // its heartbeat to time out; it still expires on the usual schedule.
+    function goodbye(identity) {
+        const key = clients.has(identity) ? identity : findByAddress(identity)?.key;
+        const client = clients.get(key);
+        if (!client || client.goodbyeAt) {
+            return false;
+        }
+
+        const now = Date.now();
+        Object.assign(client, {
+            online: false,
+            state: CLIENT_STATE_OFFLINE,
+            stateSince: now,
+            lastSeen: now,
+            goodbyeAt: now,
+        });
+        scheduleSweep(nextDeadline(client));
+        roster.emit('changed', { reason: 'goodbye', key });
+        return true;
+    }
+
+    function timeoutsFor(key) {
+        const { overrides, ...defaults } = lifecycle;
+        const groups = overrides.some((override) => override.target.startsWith(GROUP_TARGET_PREFIX)) ? groupsOf(key) : [];
+        const groupOverride = overrides.find((override) => (
+            override.target.startsWith(GROUP_TARGET_PREFIX) && groups.includes(override.target.slice(GROUP_TARGET_PREFIX.length))
+        ));
+        const deviceOverride = overrides.find((override) => override.target === key);
+        return normalizeTimeouts({ ...defaults, ...groupOverride, ...deviceOverride }, defaults);
+    }
+
+    function stateAt(client, now) {
+        const silentMs = now - client.lastSeen;
+        const { staleAfterMs, offlineAfterMs, expireAfterMs } = client.timeouts;
+        if (expireAfterMs > 0 && silentMs >= expireAfterMs) {
+            return CLIENT_STATE_EXPIRED;
+        }
+        if (client.restored || client.goodbyeAt || silentMs >= offlineAfterMs) {
+            return CLIENT_STATE_OFFLINE;
+        }
+        return staleAfterMs > 0 && silentMs >= staleAfterMs ? CLIENT_STATE_STALE : CLIENT_STATE_ONLINE;
+    }
+
+    // When the device's next transition is due, or Infinity when none is.
+    function nextDeadline(client) {
+        const { staleAfterMs, offlineAfterMs, expireAfterMs } = client.timeouts;
+        const stages = client.restored || client.goodbyeAt ? [expireAfterMs] : [staleAfterMs, offlineAfterMs, expireAfterMs];
+        const due = stages
+            .filter((ms) => ms > 0)
+            .map((ms) => client.lastSeen + ms)
+            .filter((at) => at > Date.now());
+        return due.length > 0 ? Math.min(...due) : Infinity;
+    }
+
+    function scheduleSweep(at) {
+        if (!Number.isFinite(at) || at >= sweepAt) {
+            return;
+        }
+
+        clearTimeout(sweepTimer);
+        sweepAt = at;
+        sweepTimer = setTimeout(sweep, Math.max(0, at - Date.now()));
+        sweepTimer.unref?.();
+    }
+
+    function sweep() {
+        clearTimeout(sweepTimer);
+        sweepTimer = null;
+        sweepAt = Infinity;
+        const now = Date.now();
+        let next = Infinity;
+
+        Array.from(clients.entries()).forEach(([key, client]) => {
+            const state = stateAt(client, now);
+            if (state === CLIENT_STATE_EXPIRED) {
+                clients.delete(key);
+                roster.emit('changed', { reason: 'expired', key });
+                return;
+            }
+
+            if (state !== client.state) {
+                Object.assign(client, {
+                    online: state !== CLIENT_STATE_OFFLINE,
+                    state,
+                    stateSince: now,
+                });
+                roster.emit('changed', { reason: state, key });
+            }
+            next = Math.min(next, nextDeadline(client));
+        });
+
+        scheduleSweep(next);
+    }
+
+    // Seeds devices known from an earlier run as offline entries. They keep
+    // their last-known address (over UDP, since stream connections do not
+    // survive a restart) and still expire counting from their persisted
+    // last-seen time. Returns the keys of entries that had already expired
+    // and were left out.
+    function restore(entries) {
+        const now = Date.now();
+        const expired = [];
+        (Array.isArray(entries) ? entries : []).forEach((entry) => {
+            const key = String(entry?.key ?? '');
+            if (!key || clients.has(key)) {
+                return;
+            }
+
+            const timeouts = timeoutsFor(key);
+            const lastSeen = Number.isFinite(entry.lastSeen) ? entry.lastSeen : now;
+            if (timeouts.expireAfterMs > 0 && now - lastSeen >= timeouts.expireAfterMs) {
+                expired.push(key);
+                return;
+            }
+
+            clients.set(key, {
+                deviceId: entry.deviceId || key,
+                deviceName: entry.deviceName || entry.deviceId || key,
+                platform: entry.platform || '',
+                buildVersion: entry.buildVersion || '',
+                ipv4: entry.ipv4 || '',
+                ipv6: entry.ipv6 || '',
+                macAddress: normalizeMacAddress(entry.macAddress),
+                scene: '',
+                commandPort: Number.isInteger(entry.commandPort) ? entry.commandPort : defaultCommandPort,
+                batteryLevelPercent: undefined,
+                batteryStatus: '',
+                envelopeFormat: ENVELOPE_FORMATS.includes(entry.envelopeFormat) ? entry.envelopeFormat : ENVELOPE_FORMAT_PLAIN,
+                metadata: {},
+                remoteAddress: entry.remoteAddress || '',
+                remotePort: null,
+                transport: TRANSPORT_UDP,
+                firstSeen: entry.firstSeen ?? lastSeen,
+                lastSeen,
+                online: false,
+                state: CLIENT_STATE_OFFLINE,
+                stateSince: now,
+                goodbyeAt: null,
+                restored: true,
+                timeouts,
+            });
+            scheduleSweep(nextDeadline(clients.get(key)));
+            roster.emit('changed', { reason: 'restored', key });
+        });
+        return expired;
+    }
+
+    function getLifecycle() {
+        return lifecycle;
+    }
+
+    // Re-resolves every device's timeouts (group membership may have changed
+    // too) and applies any transition that is now due.
+    function setLifecycle(input) {
+        lifecycle = normalizeLifecycleSettings(input);
+        refreshTimeouts();
+        return lifecycle;
+    }
+
+    function refreshTimeouts() {
+        clients.forEach((client, key) => {
+            client.timeouts = timeoutsFor(key);
+        });
+        sweep();
+    }
+
+    function remove(key) {
+        if (!clients.delete(key)) {
+            return false;
+        }
+
+        roster.emit('changed', { reason: 'removed', key });
+        return true;
+    }
+
+    function list() {
+        return Array.from(clients.entries()).map(([key, client]) => ({ key, ...client }));
+    }
+
+    function get(key) {
+        const client = clients.get(key);
+        return client ? { key, ...client } : null;
+    }
+
+    function findByAddress(address) {
+        for (const [key, client] of clients) {
+            if (client.ipv4 === address || client.ipv6 === address || client.remoteAddress === address) {
+                return { key, ...client };
+            }
+        }
+        return null;
+    }
+
+    function getOnlineKeys() {
+        return Array.from(clients.entries())
+            .filter(([, client]) => client.online)
+            .map(([key]) => key);
+    }
+
+    function snapshot() {
+        return {
+            lifecycle,
+            clients: list(),
+        };
+    }
+
+    function dispose() {
+        clearTimeout(sweepTimer);
+        sweepTimer = null;
+        sweepAt = Infinity;
+    }
+
+    // Devices on a stream transport are reached over the connection their
+    // last packet arrived on; UDP devices on their reported command port.
+    function resolveTarget(key) {
+        const client = clients.get(key);
+        if (!client) {
+            return null;
+        }
+
+        const envelopeFormat = client.envelopeFormat ?? ENVELOPE_FORMAT_PLAIN;
+        if (client.transport && client.transport !== TRANSPORT_UDP) {
+            return {
+                host: client.remoteAddress,
+                port: client.remotePort,
+                transport: client.transport,
+                envelopeFormat,
+            };
+        }
+
+        return {
+            host: (client.ipv4 || client.ipv6 || client.remoteAddress || '').trim(),
+            port: Number.isInteger(client.commandPort) ? client.commandPort : defaultCommandPort,
+            transport: TRANSPORT_UDP,
+            envelopeFormat,
+        };
+    }
+
+    return Object.assign(roster, {
+        ingest,
+        goodbye,
+        restore,
+        remove,
+        list,
+        get,
+        getOnlineKeys,
+        findByAddress,
+        snapshot,
+        resolveTarget,
+        getLifecycle,
+        setLifecycle,
+        refreshTimeouts,
+        dispose,
+    });
+}
+
+module.exports = {
+    DEFAULT_COMMAND_PORT,
+    DEFAULT_HEARTBEAT_TIMEOUT_MS,
+    DEFAULT_LIFECYCLE_SETTINGS,
+    CLIENT_STATE_ONLINE,
+    CLIENT_STATE_STALE,
+    CLIENT_STATE_OFFLINE,
+    normalizeLifecycleSettings,
+    normalizeBatteryLevel,
+    normalizeBatteryStatus,
+    readMetadataField,
+    createRoster,
+};
@@ -0,0 +1,447 @@
+const { EventEmitter } = require('node:events');
+const { randomUUID } = require('node:crypto');
+const { normalizeCommand } = require('./cue-lists');
+const { ackWindowMs, createDeliveryCollector } = require('./ack-tracker');
+const { parseCron, nextCronTime } = require('./cron');
+
+const TRIGGER_ONCE = 'once';
+const TRIGGER_INTERVAL = 'interval';
+const TRIGGER_CRON = 'cron';
+const MIN_INTERVAL_MS = 1000;
+const HISTORY_LIMIT = 200;
+// Re-evaluate at least once a minute so wall-clock jumps and system sleep are
+// picked up without relying on one long timer.
+const MAX_TIMER_MS = 60000;
+// Slack on top of the ACK window for sends and retries waiting in the queue.
+const ACK_WAIT_GRACE_MS = 5000;
+
+function parseTime(value, label) {
+    const time = typeof value === 'number' ? value : Date.parse(String(value ?? ''));
+    if (!Number.isFinite(time)) {
+        throw new Error(`${label} is not a valid date/time.`);
+    }
+    return time;
+}
+
+function normalizeTrigger(trigger, owner) {
+    if (!trigger || typeof trigger !== 'object') {
+        throw new Error(`${owner} needs a trigger.`);
+    }
+
+    if (trigger.type === TRIGGER_ONCE) {
+        return { type: TRIGGER_ONCE, at: parseTime(trigger.at, `${owner} run time`) };
+    }
+
+    if (trigger.type === TRIGGER_INTERVAL) {
+        const everyMs = Number.parseInt(trigger.everyMs, 10);
+        if (!Number.isInteger(everyMs) || everyMs < MIN_INTERVAL_MS) {
+            throw new Error(`${owner}: interval must be at least ${MIN_INTERVAL_MS} ms.`);
+        }
+        const hasStart = trigger.startAt !== undefined && trigger.startAt !== null && trigger.startAt !== '';
+        return {
+            type: TRIGGER_INTERVAL,
+            everyMs,
+            startAt: hasStart ? parseTime(trigger.startAt, `${owner} start time`) : null,
+        };
+    }
+
+    if (trigger.type === TRIGGER_CRON) {
+        const schedule = parseCron(trigger.expression);
+        if (nextCronTime(schedule, Date.now()) === null) {
+            throw new Error(`${owner}: cron expression never fires.`);
+        }
+        return { type: TRIGGER_CRON, expression: schedule.source };
+    }
+
+    throw new Error(`${owner}: trigger type must be "once", "interval" or "cron".`);
+}
+
+function normalizeJob(input, existing) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Job must be an object.');
+    }
+
+    const name = String(input.name ?? '').trim();
+    if (!name) {
+        throw new Error('Job name is required.');
+    }
+
+    const owner = `Job "${name}"`;
+    const targets = Array.isArray(input.targets) ? input.targets.map(String).filter(Boolean) : [];
+    if (targets.length === 0) {
+        throw new Error(`${owner} needs at least one target.`);
+    }
+
+    const trigger = normalizeTrigger(input.trigger, owner);
+    const triggerChanged = JSON.stringify(trigger) !== JSON.stringify(existing?.trigger);
+    const ackTimeoutMs = Number.parseInt(input.ackTimeoutMs, 10);
+
+    return {
+        id: existing?.id ?? randomUUID(),
+        name,
+        enabled: input.enabled !== false,
+        trigger,
+        command: normalizeCommand(input.command, owner),
+        targets,
+        expectAck: Boolean(input.expectAck),
+        ackTimeoutMs: Number.isInteger(ackTimeoutMs) && ackTimeoutMs > 0 ? ackTimeoutMs : null,
+        createdAt: triggerChanged ? Date.now() : existing.createdAt,
+        lastRunAt: triggerChanged ? null : existing.lastRunAt,
+    };
+}
+
+function computeNextRun(job, now) {
+    if (!job.enabled) {
+        return null;
+    }
+
+    const { trigger } = job;
+    if (trigger.type === TRIGGER_ONCE) {
+        return job.lastRunAt ? null : trigger.at;
+    }
+
+    if (trigger.type === TRIGGER_INTERVAL) {
+        const anchor = trigger.startAt ?? job.createdAt;
+        if (now < anchor) {
+            return anchor;
+        }
+        return anchor + (Math.floor((now - anchor) / trigger.everyMs) + 1) * trigger.everyMs;
+    }
+
+    return nextCronTime(parseCron(trigger.expression), now);
+}
+
+function summarizeResults(results) {
+    const sent = results.filter((result) => result.ok);
+    const failed = results.filter((result) => !result.ok);
+    return { sent, failed };
+}
+
+// Fires persisted jobs on one-shot, interval or cron triggers through the same
+// command runner as manual sends. Interval and cron jobs do not catch up on
+// runs missed while the host was closed; a missed one-shot is recorded and
+// disabled instead of firing late.
+function createScheduler({ store, runCommand, subscribeDeliveries }) {
+    const scheduler = new EventEmitter();
+    const nextRuns = new Map();
+    const running = new Set();
+    let timer = null;
+    let started = false;
+
+    function listJobs() {
+        return store.get('jobs') ?? [];
+    }
+
+    function listHistory() {
+        return store.get('history') ?? [];
+    }
+
+    function publicJob(job) {
+        return {
+            ...job,
+            nextRunAt: nextRuns.get(job.id) ?? null,
+            running: running.has(job.id),
+        };
+    }
+
+    function snapshot() {
+        return {
+            jobs: listJobs().map(publicJob),
+            history: listHistory(),
+        };
+    }
+
+    function emitChanged() {
+        scheduler.emit('changed', snapshot());
+    }
+
+    function writeJob(job) {
+        const jobs = [...listJobs()];
+        const index = jobs.findIndex((entry) => entry.id === job.id);
+        if (index >= 0) {
+            jobs[index] = job;
+        } else {
+            jobs.push(job);
+        }
+        store.set('jobs', jobs);
+    }
+
+    function writeHistory(entry) {
+        const history = listHistory().filter((existing) => existing.id !== entry.id);
+        history.unshift({ ...entry });
+        store.set('history', history.slice(0, HISTORY_LIMIT));
+    }
+
+    function recordMissed(job) {
+        writeHistory({
+            id: randomUUID(),
+            jobId: job.id,
+            jobName: job.name,
+            scheduledAt: job.trigger.at,
+            startedAt: null,
+            finishedAt: Date.now(),
+            status: 'missed',
+            detail: 'Host was not running at the scheduled time.',
+            cmdId: null,
+        });
+    }
+
+    function armTimer() {
+        clearTimeout(timer);
+        timer = null;
+        if (!started) {
+            return;
+        }
+
+        const upcoming = Array.from(nextRuns.values());
+        if (upcoming.length === 0) {
+            return;
+        }
+
+        const delay = Math.min(Math.max(Math.min(...upcoming) - Date.now(), 0), MAX_TIMER_MS);
+        timer = setTimeout(tick, delay);
+        timer.unref?.();
+    }
+
+    function reschedule(job, now = Date.now()) {
+        const next = computeNextRun(job, now);
+        if (next === null) {
+            nextRuns.delete(job.id);
+        } else {
+            nextRuns.set(job.id, next);
+        }
+    }
+
+    function tick() {
+        const now = Date.now();
+        for (const job of listJobs()) {
+            const due = nextRuns.get(job.id);
+            if (due === undefined || due > now) {
+                continue;
+            }
+
+            const fired = { ...job, lastRunAt: now };
+            if (fired.trigger.type === TRIGGER_ONCE) {
+                fired.enabled = false;
+            }
+            writeJob(fired);
+            reschedule(fired, now);
+            void fire(fired, due);
+        }
+
+        armTimer();
+        emitChanged();
+    }
+
+    // Resolves once every expected target has settled, or when `limitMs`
+    // runs out so a run whose deliveries never arrive cannot hold the job.
+    async function awaitDeliveries(collector, cmdId, expected, limitMs) {
+        const isSettled = () => {
+            const results = collector.resultsFor(cmdId);
+            return expected.every((key) => results.has(key));
+        };
+
+        let settled = isSettled();
+        if (!settled) {
+            settled = await new Promise((resolve) => {
+                const timer = setTimeout(() => resolve(false), limitMs);
+                collector.setOnUpdate(() => {
+                    if (isSettled()) {
+                        clearTimeout(timer);
+                        resolve(true);
+                    }
+                });
+            });
+        }
+
+        const results = collector.resultsFor(cmdId);
+        return {
+            settled,
+            delivered: expected.filter((key) => results.get(key)?.status === 'delivered').length,
+        };
+    }
+
+    async function fire(job, scheduledAt) {
+        const entry = {
+            id: randomUUID(),
+            jobId: job.id,
+            jobName: job.name,
+            scheduledAt,
+            startedAt: Date.now(),
+            finishedAt: null,
+            status: 'running',
+            detail: '',
+            cmdId: null,
+        };
+
+        if (running.has(job.id)) {
+            writeHistory({ ...entry, finishedAt: entry.startedAt, status: 'skipped', detail: 'Previous run was still in progress.' });
+            emitChanged();
+            return;
+        }
+
+        running.add(job.id);
+        writeHistory(entry);
+
+        const collector = job.expectAck ? createDeliveryCollector(subscribeDeliveries) : null;
+        try {
+            const outcome = await runCommand({
+                command: job.command,
+                targets: job.targets,
+                expectAck: job.expectAck,
+                ackTimeoutMs: job.ackTimeoutMs ?? undefined,
+            });
+            const { sent, failed } = summarizeResults(outcome.results);
+            const total = outcome.results.length;
+            entry.cmdId = outcome.cmdId;
+
+            if (sent.length === 0) {
+                entry.status = 'failed';
+                entry.detail = failed[0]?.error ?? 'No targets resolved.';
+            } else if (job.expectAck) {
+                entry.status = 'awaiting-ack';
+                writeHistory(entry);
+                emitChanged();
+
+                const expected = sent.map((result) => `${result.host}:${result.port}`);
+                const limitMs = ackWindowMs({ ackTimeoutMs: job.ackTimeoutMs ?? undefined }) + ACK_WAIT_GRACE_MS;
+                const { settled, delivered } = await awaitDeliveries(collector, outcome.cmdId, expected, limitMs);
+                if (!settled) {
+                    entry.status = 'failed';
+                    entry.detail = `Acknowledged by ${delivered}/${total}; gave up waiting after ${limitMs} ms.`;
+                } else {
+                    entry.status = delivered === total ? 'delivered' : delivered > 0 ? 'partial' : 'failed';
+                    entry.detail = `Acknowledged by ${delivered}/${total}.`;
+                }
+            } else {
+                entry.status = failed.length > 0 ? 'partial' : 'sent';
+                entry.detail = failed.length > 0
+                    ? `${failed.length}/${total} sends failed: ${failed[0].error}`
+                    : `Sent to ${total} target(s).`;
+            }
+        } catch (error) {
+            entry.status = 'failed';
+            entry.detail = error.message;
+        } finally {
+            collector?.dispose();
+            running.delete(job.id);
+        }
+
+        entry.finishedAt = Date.now();
+        writeHistory(entry);
+        emitChanged();
+    }
+
+    function start() {
+        if (started) {
+            return;
+        }
+
+        started = true;
+        const now = Date.now();
+        // Jobs used to carry their own signing secret; the key store owns them now.
+        const jobs = listJobs();
+        if (jobs.some((job) => 'sharedSecret' in job)) {
+            store.set('jobs', jobs.map(({ sharedSecret, ...job }) => job));
+        }
+        const history = listHistory();
+        if (history.some((entry) => !entry.finishedAt)) {
+            store.set('history', history.map((entry) => (entry.finishedAt
+                ? entry
+                : { ...entry, finishedAt: now, status: 'interrupted', detail: 'Host closed before the run finished.' })));
+        }
+
+        for (const job of listJobs()) {
+            if (job.enabled && job.trigger.type === TRIGGER_ONCE && !job.lastRunAt && job.trigger.at <= now) {
+                recordMissed(job);
+                writeJob({ ...job, enabled: false });
+                continue;
+            }
+            reschedule(job, now);
+        }
+
+        armTimer();
+        emitChanged();
+    }
+
+    function stop() {
+        started = false;
+        armTimer();
+    }
+
+    function save(input) {
+        const existing = listJobs().find((job) => job.id === input?.id) ?? null;
+        const job = normalizeJob(input, existing);
+        if (job.enabled && job.trigger.type === TRIGGER_ONCE && job.trigger.at <= Date.now() && !job.lastRunAt) {
+            throw new Error(`Job "${job.name}": run time is in the past.`);
+        }
+
+        writeJob(job);
+        reschedule(job);
+        armTimer();
+        emitChanged();
+        return publicJob(job);
+    }
+
+    function setEnabled(id, enabled) {
+        const job = listJobs().find((entry) => entry.id === id);
+        if (!job) {
+            throw new Error('Job not found.');
+        }
+
+        const updated = { ...job, enabled: Boolean(enabled) };
+        if (updated.enabled && updated.trigger.type === TRIGGER_ONCE && (updated.lastRunAt || updated.trigger.at <= Date.now())) {
+            throw new Error(`Job "${job.name}" already ran or its time has passed; edit the run time first.`);
+        }
+
+        writeJob(updated);
+        reschedule(updated);
+        armTimer();
+        emitChanged();
+        return publicJob(updated);
+    }
+
+    function remove(id) {
+        const jobs = listJobs();
+        const remaining = jobs.filter((job) => job.id !== id);
+        store.set('jobs', remaining);
+        nextRuns.delete(id);
+        armTimer();
+        emitChanged();
+        return remaining.length !== jobs.length;
+    }
+
+    // Fires a job immediately without touching its schedule.
+    function runNow(id) {
+        const job = listJobs().find((entry) => entry.id === id);
+        if (!job) {
+            throw new Error('Job not found.');
+        }
+
+        void fire(job, Date.now());
+        return publicJob(job);
+    }
+
+    function clearHistory() {
+        store.set('history', []);
+        emitChanged();
+    }
+
+    return Object.assign(scheduler, {
+        start,
+        stop,
+        save,
+        setEnabled,
+        remove,
+        runNow,
+        clearHistory,
+        snapshot,
+    });
+}
+
+module.exports = {
+    TRIGGER_ONCE,
+    TRIGGER_INTERVAL,
+    TRIGGER_CRON,
+    createScheduler,
+};
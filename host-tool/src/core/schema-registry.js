@@ -0,0 +1,126 @@
+const { EventEmitter } = require('node:events');
+const { safeParseJson } = require('./envelope');
+const { validateSchema, formatSchemaErrors } = require('./json-schema');
+
+const SCHEMA_DIRECTION_COMMAND = 'command';
+const SCHEMA_DIRECTION_REPORT = 'report';
+const REPORT_ACTIONS = ['registerclient', 'heartbeat', 'goodbye', 'unregisterclient'];
+
+function actionKey(action) {
+    return String(action ?? '').trim().toLowerCase();
+}
+
+function normalizeEntry(input) {
+    const action = String(input?.action ?? '').trim();
+    if (!action) {
+        throw new Error('Every schema entry needs an action.');
+    }
+
+    const schema = input.payload ?? input.schema;
+    if (typeof schema !== 'boolean' && (!schema || typeof schema !== 'object' || Array.isArray(schema))) {
+        throw new Error(`Schema for "${action}" must be a JSON Schema object.`);
+    }
+
+    return {
+        action,
+        description: typeof input.description === 'string' ? input.description : '',
+        direction: input.direction === SCHEMA_DIRECTION_REPORT || REPORT_ACTIONS.includes(actionKey(action))
+            ? SCHEMA_DIRECTION_REPORT
+            : SCHEMA_DIRECTION_COMMAND,
+        payload: schema,
+    };
+}
+
+// Payload JSON Schemas per action, persisted in their own JSON store. The
+// Unity project exports `{ "actions": [{ action, description, direction,
+// payload }] }`, where `payload` is the schema of the action's payload
+// object and `direction` is `command` (host to headset) or `report`
+// (headset to host; RegisterClient, Heartbeat and Goodbye always are). Importing
+// merges by action, case-insensitively. Changes are emitted as 'changed'.
+function createSchemaRegistry(store) {
+    const registry = new EventEmitter();
+
+    function list() {
+        return store.get('schemas') ?? [];
+    }
+
+    function write(entries) {
+        store.set('schemas', entries);
+        registry.emit('changed', entries);
+    }
+
+    function get(action) {
+        const key = actionKey(action);
+        return key ? list().find((entry) => actionKey(entry.action) === key) ?? null : null;
+    }
+
+    function importDocument(document) {
+        const entries = Array.isArray(document) ? document : document?.actions;
+        if (!Array.isArray(entries)) {
+            throw new Error('Schema file must contain an "actions" array.');
+        }
+
+        const imported = entries.map(normalizeEntry);
+        const importedKeys = new Set(imported.map((entry) => actionKey(entry.action)));
+        write(list().filter((entry) => !importedKeys.has(actionKey(entry.action))).concat(imported));
+        return imported.length;
+    }
+
+    function clear() {
+        write([]);
+    }
+
+    // A missing or empty payload is checked as `{}` so required fields are
+    // still reported. Actions without a schema are always valid.
+    function validatePayload(action, payload) {
+        const entry = get(action);
+        if (!entry) {
+            return { known: false, errors: [] };
+        }
+
+        const text = typeof payload === 'string' ? payload.trim() : '';
+        const value = typeof payload === 'string'
+            ? (text ? safeParseJson(text) : {})
+            : payload ?? {};
+        if (value === null) {
+            return { known: true, errors: [{ path: 'payload', message: 'is not valid JSON' }] };
+        }
+
+        return { known: true, errors: validateSchema(entry.payload, value) };
+    }
+
+    function assertCommand(request) {
+        const { errors } = validatePayload(request?.action, request?.payload);
+        if (errors.length > 0) {
+            throw new Error(`Payload does not match the "${request.action}" schema: ${formatSchemaErrors(errors)}.`);
+        }
+        return request;
+    }
+
+    // Reason text for a report (RegisterClient, Heartbeat, Goodbye) whose
+    // payload breaks its schema, or '' when it passes (or has none).
+    function checkReport(message) {
+        if (!REPORT_ACTIONS.includes(actionKey(message?.action))) {
+            return '';
+        }
+
+        const { errors } = validatePayload(message.action, message.payload);
+        return errors.length > 0 ? `Payload schema: ${formatSchemaErrors(errors)}.` : '';
+    }
+
+    return Object.assign(registry, {
+        list,
+        get,
+        importDocument,
+        clear,
+        validatePayload,
+        assertCommand,
+        checkReport,
+    });
+}
+
+module.exports = {
+    SCHEMA_DIRECTION_COMMAND,
+    SCHEMA_DIRECTION_REPORT,
+    createSchemaRegistry,
+};
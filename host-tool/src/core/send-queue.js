@@ -0,0 +1,192 @@
+const { EventEmitter } = require('node:events');
+
+const LANE_URGENT = 'urgent';
+const LANE_NORMAL = 'normal';
+const SEND_LANES = [LANE_URGENT, LANE_NORMAL];
+const MAX_PACKETS_PER_SECOND = 1000;
+const MAX_JITTER_MS = 5000;
+
+const DEFAULT_QUEUE_SETTINGS = {
+    packetsPerSecond: 20,
+    jitterMs: 0,
+    urgentActions: ['stop', 'beep'],
+};
+
+function clampInteger(value, min, max, fallback) {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : fallback;
+}
+
+function normalizeQueueSettings(input = {}) {
+    const actions = Array.isArray(input?.urgentActions)
+        ? input.urgentActions
+        : input?.urgentActions === undefined
+            ? DEFAULT_QUEUE_SETTINGS.urgentActions
+            : String(input.urgentActions).split(',');
+    return {
+        packetsPerSecond: clampInteger(input?.packetsPerSecond, 0, MAX_PACKETS_PER_SECOND, DEFAULT_QUEUE_SETTINGS.packetsPerSecond),
+        jitterMs: clampInteger(input?.jitterMs, 0, MAX_JITTER_MS, DEFAULT_QUEUE_SETTINGS.jitterMs),
+        urgentActions: [...new Set(actions.map((action) => String(action).trim()).filter(Boolean))],
+    };
+}
+
+// Paces outgoing sends so a fleet-wide command does not flood the access
+// point: the normal lane sends at most `packetsPerSecond` datagrams (chunked
+// envelopes count every chunk) with up to `jitterMs` of random extra spacing
+// between devices, while the urgent lane (requests with `priority: 'urgent'`
+// or an action in `urgentActions`) goes out at once. Zero packets/sec turns
+// pacing off. Queue depth and batch progress are emitted as 'progress'.
+function createSendQueue({ send, settings = DEFAULT_QUEUE_SETTINGS }) {
+    const queue = new EventEmitter();
+    const pending = [];
+    let current = normalizeQueueSettings(settings);
+    let nextSlotAt = 0;
+    let timer = null;
+    let sending = false;
+    let batch = { total: 0, sent: 0, failed: 0, cancelled: 0 };
+    let urgentSent = 0;
+
+    function snapshot() {
+        return {
+            settings: current,
+            depth: pending.length,
+            active: pending.length > 0 || sending,
+            urgentSent,
+            ...batch,
+        };
+    }
+
+    function emitProgress() {
+        queue.emit('progress', snapshot());
+    }
+
+    function laneFor(request) {
+        const priority = String(request?.priority ?? '').trim().toLowerCase();
+        if (SEND_LANES.includes(priority)) {
+            return priority;
+        }
+
+        const action = String(request?.action ?? '').trim().toLowerCase();
+        return current.urgentActions.some((entry) => entry.toLowerCase() === action) ? LANE_URGENT : LANE_NORMAL;
+    }
+
+    function spacingMs(packets) {
+        if (current.packetsPerSecond === 0) {
+            return 0;
+        }
+        return (1000 / current.packetsPerSecond) * packets + Math.random() * current.jitterMs;
+    }
+
+    async function sendUrgent(run) {
+        try {
+            return await run();
+        } finally {
+            urgentSent += 1;
+            emitProgress();
+        }
+    }
+
+    async function drain() {
+        if (sending || timer || pending.length === 0) {
+            return;
+        }
+
+        const wait = nextSlotAt - Date.now();
+        if (wait > 0) {
+            timer = setTimeout(() => {
+                timer = null;
+                void drain();
+            }, wait);
+            return;
+        }
+
+        const entry = pending.shift();
+        sending = true;
+        let packets = 1;
+        try {
+            const result = await entry.run();
+            packets = result?.chunks ?? 1;
+            batch.sent += 1;
+            entry.resolve(result);
+        } catch (error) {
+            batch.failed += 1;
+            entry.reject(error);
+        } finally {
+            sending = false;
+        }
+
+        nextSlotAt = Date.now() + spacingMs(packets);
+        emitProgress();
+        void drain();
+    }
+
+    // A batch runs from the first queued send after an idle period until the
+    // queue is empty again, so back-to-back callers add up to one progress
+    // bar.
+    function enqueue(request) {
+        return enqueueTask(request, () => send(request));
+    }
+
+    // Paces `run` in the lane `request` picks, for sends that do not go
+    // through `send` (ACK retries resend the original datagram).
+    function enqueueTask(request, run) {
+        if (laneFor(request) === LANE_URGENT) {
+            return sendUrgent(run);
+        }
+
+        if (pending.length === 0 && !sending && Date.now() >= nextSlotAt) {
+            batch = { total: 0, sent: 0, failed: 0, cancelled: 0 };
+        }
+
+        return new Promise((resolve, reject) => {
+            pending.push({ request, run, resolve, reject });
+            batch.total += 1;
+            emitProgress();
+            void drain();
+        });
+    }
+
+    // Drops every send still waiting in the normal lane.
+    function cancel() {
+        const dropped = pending.splice(0, pending.length);
+        clearTimeout(timer);
+        timer = null;
+        batch.cancelled += dropped.length;
+        for (const entry of dropped) {
+            entry.reject(new Error('Send cancelled.'));
+        }
+        emitProgress();
+        return dropped.length;
+    }
+
+    function setSettings(input) {
+        current = normalizeQueueSettings(input);
+        nextSlotAt = Math.min(nextSlotAt, Date.now() + spacingMs(1));
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+            void drain();
+        }
+        emitProgress();
+        return current;
+    }
+
+    return Object.assign(queue, {
+        enqueue,
+        enqueueTask,
+        cancel,
+        laneFor,
+        setSettings,
+        getSettings: () => current,
+        snapshot,
+    });
+}
+
+module.exports = {
+    LANE_URGENT,
+    LANE_NORMAL,
+    SEND_LANES,
+    DEFAULT_QUEUE_SETTINGS,
+    normalizeQueueSettings,
+    createSendQueue,
+};
@@ -0,0 +1,449 @@
+const { EventEmitter } = require('node:events');
+const dgram = require('node:dgram');
+const fs = require('node:fs');
+const readline = require('node:readline');
+const {
+    ENVELOPE_FORMAT_ENCRYPTED,
+    safeParseJson,
+    encodeEnvelope,
+    signEnvelope,
+    encryptEnvelope,
+    isEncryptedEnvelope,
+    decryptEnvelope,
+} = require('./envelope');
+const { DEFAULT_LISTEN_PORT } = require('./udp-engine');
+const { isChunk, createReassembler } = require('./chunking');
+const { REREGISTER_ACTION } = require('./wake');
+
+const LOOPBACK = '127.0.0.1';
+const MAX_SIMULATED_CLIENTS = 200;
+
+const DEFAULT_SIMULATOR_OPTIONS = {
+    count: 3,
+    hostAddress: LOOPBACK,
+    hostPort: DEFAULT_LISTEN_PORT,
+    namePrefix: 'Sim Headset',
+    platform: 'Android',
+    buildVersion: '1.0.0-sim',
+    scene: 'Lobby',
+    batteryLevel: 80,
+    batteryStatus: 'Discharging',
+    heartbeatIntervalMs: 2000,
+    ackDropRate: 0,
+    ackLatencyMs: 0,
+    ackJitterMs: 0,
+    discover: true,
+    sharedSecret: '',
+    encrypt: false,
+    metadata: {},
+};
+
+function clampNumber(value, fallback, min, max) {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) {
+        return fallback;
+    }
+    return Math.min(Math.max(parsed, min), max);
+}
+
+function normalizeSimulatorOptions(input = {}) {
+    const defaults = DEFAULT_SIMULATOR_OPTIONS;
+    const text = (value, fallback) => (typeof value === 'string' && value.trim() ? value.trim() : fallback);
+
+    return {
+        count: Math.round(clampNumber(input.count, defaults.count, 1, MAX_SIMULATED_CLIENTS)),
+        hostAddress: text(input.hostAddress, defaults.hostAddress),
+        hostPort: Math.round(clampNumber(input.hostPort, defaults.hostPort, 1, 65535)),
+        namePrefix: text(input.namePrefix, defaults.namePrefix),
+        platform: text(input.platform, defaults.platform),
+        buildVersion: text(input.buildVersion, defaults.buildVersion),
+        scene: text(input.scene, defaults.scene),
+        batteryLevel: clampNumber(input.batteryLevel, defaults.batteryLevel, 0, 100),
+        batteryStatus: text(input.batteryStatus, defaults.batteryStatus),
+        heartbeatIntervalMs: Math.round(clampNumber(input.heartbeatIntervalMs, defaults.heartbeatIntervalMs, 100, 600000)),
+        ackDropRate: clampNumber(input.ackDropRate, defaults.ackDropRate, 0, 1),
+        ackLatencyMs: Math.round(clampNumber(input.ackLatencyMs, defaults.ackLatencyMs, 0, 60000)),
+        ackJitterMs: Math.round(clampNumber(input.ackJitterMs, defaults.ackJitterMs, 0, 60000)),
+        discover: input.discover === undefined ? defaults.discover : Boolean(input.discover),
+        sharedSecret: typeof input.sharedSecret === 'string' ? input.sharedSecret : defaults.sharedSecret,
+        encrypt: Boolean(input.encrypt),
+        metadata: input.metadata && typeof input.metadata === 'object' && !Array.isArray(input.metadata)
+            ? { ...input.metadata }
+            : {},
+    };
+}
+
+function bindLoopbackSocket() {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        socket.once('error', reject);
+        socket.bind(0, LOOPBACK, () => {
+            socket.removeListener('error', reject);
+            resolve(socket);
+        });
+    });
+}
+
+function sendJson(socket, message, port, host) {
+    const buffer = typeof message === 'string' ? Buffer.from(message, 'utf8') : encodeEnvelope(message);
+    return new Promise((resolve, reject) => {
+        socket.send(buffer, 0, buffer.length, port, host, (error) => (error ? reject(error) : resolve()));
+    });
+}
+
+// Spawns virtual reporter clients on loopback sockets. Each one registers,
+// heartbeats, probes for the host and acknowledges commands that carry a
+// cmdId, with an optional drop rate and latency so ack retries can be
+// exercised without headsets. With a shared secret the reporter packets are
+// signed like real clients do; with `encrypt` they are also sent in the
+// AES-GCM envelope and announce that format for commands. Chunked commands
+// are reassembled first, like a real client would.
+function createSimulator() {
+    const simulator = new EventEmitter();
+    let clients = [];
+    let options = null;
+
+    function publicOptions() {
+        if (!options) {
+            return null;
+        }
+
+        const { sharedSecret, ...rest } = options;
+        return { ...rest, signed: Boolean(sharedSecret) };
+    }
+
+    function snapshot() {
+        return {
+            running: clients.length > 0,
+            options: publicOptions(),
+            clients: clients.map((client) => ({
+                deviceId: client.deviceId,
+                deviceName: client.deviceName,
+                commandPort: client.port,
+                ...client.stats,
+            })),
+        };
+    }
+
+    function emitActivity(client, kind, detail = '') {
+        simulator.emit('activity', { deviceId: client.deviceId, kind, detail, timestamp: Date.now() });
+        simulator.emit('changed', snapshot());
+    }
+
+    function reporterPayload(client) {
+        return JSON.stringify({
+            ...options.metadata,
+            deviceId: client.deviceId,
+            deviceName: client.deviceName,
+            platform: options.platform,
+            buildVersion: options.buildVersion,
+            ipv4: LOOPBACK,
+            macAddress: client.macAddress,
+            scene: options.scene,
+            commandPort: client.port,
+            batteryLevelPercent: options.batteryLevel,
+            batteryStatus: options.batteryStatus,
+            ...(options.encrypt ? { envelopeFormat: ENVELOPE_FORMAT_ENCRYPTED } : {}),
+        });
+    }
+
+    function wrap(message, encrypted) {
+        return encrypted ? encryptEnvelope(message, options.sharedSecret) : message;
+    }
+
+    function sendToHost(client, action, payload) {
+        const message = { action, timestamp: Date.now(), payload };
+        if (options.sharedSecret) {
+            signEnvelope(message, options.sharedSecret);
+        }
+        return sendJson(client.socket, wrap(message, options.encrypt), options.hostPort, options.hostAddress)
+            .catch((error) => emitActivity(client, 'error', `${action} failed: ${error.message}`));
+    }
+
+    function handleCommand(client, packet, remote) {
+        let message = safeParseJson(packet.toString('utf8'));
+        if (isChunk(message)) {
+            client.reassembler.prune();
+            const result = client.reassembler.accept(message, { key: `${remote.address}:${remote.port}` });
+            if (result?.error) {
+                emitActivity(client, 'error', result.error);
+            } else if (result?.buffer) {
+                handleCommand(client, result.buffer, remote);
+            }
+            return;
+        }
+
+        const encrypted = isEncryptedEnvelope(message);
+        if (encrypted) {
+            try {
+                message = safeParseJson(decryptEnvelope(message, options.sharedSecret));
+            } catch (error) {
+                emitActivity(client, 'error', error.message);
+                return;
+            }
+        }
+
+        if (!message) {
+            return;
+        }
+
+        if (String(message.action ?? '').toLowerCase() === 'hostannouncement') {
+            client.stats.announcements += 1;
+            emitActivity(client, 'announcement', `${remote.address}:${remote.port}`);
+            return;
+        }
+
+        // The host's wake action asks for a fresh RegisterClient.
+        if (String(message.action ?? '').toLowerCase() === REREGISTER_ACTION.toLowerCase()) {
+            client.stats.commands += 1;
+            emitActivity(client, 'command', message.action);
+            sendToHost(client, 'RegisterClient', reporterPayload(client));
+            return;
+        }
+
+        client.stats.commands += 1;
+        if (typeof message.cmdId !== 'string' || !message.cmdId) {
+            emitActivity(client, 'command', message.action ?? '');
+            return;
+        }
+
+        if (Math.random() < options.ackDropRate) {
+            client.stats.dropped += 1;
+            emitActivity(client, 'dropped', `${message.action} ${message.cmdId}`);
+            return;
+        }
+
+        const delay = options.ackLatencyMs + Math.random() * options.ackJitterMs;
+        const timer = setTimeout(() => {
+            client.timers.delete(timer);
+            const ack = {
+                action: 'Ack',
+                cmdId: message.cmdId,
+                timestamp: Date.now(),
+                payload: JSON.stringify({ cmdId: message.cmdId, deviceId: client.deviceId, success: true }),
+            };
+            if (options.sharedSecret) {
+                signEnvelope(ack, options.sharedSecret);
+            }
+            sendJson(client.socket, wrap(ack, encrypted), remote.port, remote.address)
+                .then(() => {
+                    client.stats.acked += 1;
+                    emitActivity(client, 'ack', `${message.action} ${message.cmdId}`);
+                })
+                .catch((error) => emitActivity(client, 'error', `Ack failed: ${error.message}`));
+        }, delay);
+        client.timers.add(timer);
+    }
+
+    async function start(input) {
+        if (clients.length > 0) {
+            throw new Error('Simulator is already running.');
+        }
+
+        const next = normalizeSimulatorOptions(input);
+        if (next.encrypt && !next.sharedSecret) {
+            throw new Error('Encrypted simulation needs a shared secret.');
+        }
+
+        options = next;
+        const idPrefix = options.namePrefix.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'sim';
+        const created = [];
+        try {
+            for (let index = 0; index < options.count; index += 1) {
+                const socket = await bindLoopbackSocket();
+                const number = String(index + 1).padStart(2, '0');
+                // Locally administered, so it never matches real hardware.
+                const macSuffix = (index + 1).toString(16).toUpperCase().padStart(4, '0');
+                created.push({
+                    socket,
+                    port: socket.address().port,
+                    deviceId: `${idPrefix}-${number}`,
+                    deviceName: `${options.namePrefix} ${number}`,
+                    macAddress: `02:00:00:00:${macSuffix.slice(0, 2)}:${macSuffix.slice(2)}`,
+                    timers: new Set(),
+                    reassembler: createReassembler(),
+                    heartbeat: null,
+                    stats: { heartbeats: 0, commands: 0, acked: 0, dropped: 0, announcements: 0 },
+                });
+            }
+        } catch (error) {
+            created.forEach((client) => client.socket.close());
+            throw error;
+        }
+
+        clients = created;
+        clients.forEach((client, index) => {
+            client.socket.on('message', (packet, remote) => handleCommand(client, packet, remote));
+            client.socket.on('error', (error) => emitActivity(client, 'error', error.message));
+
+            sendToHost(client, 'RegisterClient', reporterPayload(client));
+            if (options.discover) {
+                sendToHost(client, 'DiscoverHost', JSON.stringify({ commandPort: client.port }));
+            }
+
+            // Stagger heartbeats so a large fleet does not arrive in one burst.
+            const offset = Math.round((options.heartbeatIntervalMs / clients.length) * index);
+            const kickoff = setTimeout(() => {
+                client.timers.delete(kickoff);
+                client.heartbeat = setInterval(() => {
+                    client.stats.heartbeats += 1;
+                    sendToHost(client, 'Heartbeat', reporterPayload(client));
+                }, options.heartbeatIntervalMs);
+            }, offset);
+            client.timers.add(kickoff);
+        });
+
+        simulator.emit('changed', snapshot());
+        return snapshot();
+    }
+
+    // Simulated devices shut down cleanly: each says Goodbye before its
+    // socket closes.
+    function stop() {
+        clients.forEach((client) => {
+            clearInterval(client.heartbeat);
+            client.timers.forEach((timer) => clearTimeout(timer));
+            client.socket.removeAllListeners('message');
+            sendToHost(client, 'Goodbye', JSON.stringify({ deviceId: client.deviceId })).finally(() => {
+                try {
+                    client.socket.close();
+                } catch {
+                    // ignore shutdown errors
+                }
+            });
+        });
+        clients = [];
+        simulator.emit('changed', snapshot());
+        return snapshot();
+    }
+
+    return Object.assign(simulator, {
+        start,
+        stop,
+        snapshot,
+        isRunning: () => clients.length > 0,
+    });
+}
+
+// Loads the inbound packets ('receive' entries) of a packet-log capture,
+// oldest first.
+async function readCapture(filePath) {
+    const entries = [];
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+        crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+        const entry = line ? safeParseJson(line) : null;
+        if (entry?.kind === 'receive' && entry.data !== undefined && Number.isFinite(entry.timestamp)) {
+            entries.push(entry);
+        }
+    }
+
+    return entries.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Points a replayed reporter payload at the replay socket so commands the host
+// sends back stay on this machine instead of reaching the original headset.
+function rewriteForLoopback(data, localPort) {
+    if (!data || typeof data !== 'object' || typeof data.payload !== 'string') {
+        return data;
+    }
+
+    const payload = safeParseJson(data.payload);
+    if (!payload || typeof payload !== 'object') {
+        return data;
+    }
+
+    if ('ipv4' in payload) {
+        payload.ipv4 = LOOPBACK;
+    }
+    if ('commandPort' in payload) {
+        payload.commandPort = localPort;
+    }
+    return { ...data, payload: JSON.stringify(payload) };
+}
+
+// Replays captured inbound packets into a listener at their original relative
+// timing (scaled by `speed`). Each original source address gets its own
+// loopback socket so the host still sees distinct peers.
+function replayCapture(entries, { hostAddress = LOOPBACK, hostPort = DEFAULT_LISTEN_PORT, speed = 1, rewriteAddresses = true } = {}) {
+    const replay = new EventEmitter();
+    const sockets = new Map();
+    const rate = Number(speed) > 0 ? Number(speed) : 1;
+    let stopped = false;
+    let wake = null;
+    let sent = 0;
+
+    function progress(state) {
+        replay.emit('progress', { state, sent, total: entries.length });
+    }
+
+    function sleep(ms) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, ms);
+            wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    async function socketFor(entry) {
+        const source = `${entry.host}:${entry.port}`;
+        if (!sockets.has(source)) {
+            sockets.set(source, await bindLoopbackSocket());
+        }
+        return sockets.get(source);
+    }
+
+    async function run() {
+        progress('playing');
+        const startedAt = Date.now();
+        const firstTimestamp = entries[0]?.timestamp ?? 0;
+
+        try {
+            for (const entry of entries) {
+                const dueAt = startedAt + (entry.timestamp - firstTimestamp) / rate;
+                const wait = dueAt - Date.now();
+                if (wait > 0) {
+                    await sleep(wait);
+                }
+                if (stopped) {
+                    break;
+                }
+
+                const socket = await socketFor(entry);
+                const data = rewriteAddresses ? rewriteForLoopback(entry.data, socket.address().port) : entry.data;
+                await sendJson(socket, typeof data === 'string' ? data : JSON.stringify(data), hostPort, hostAddress);
+                sent += 1;
+                progress('playing');
+            }
+        } finally {
+            sockets.forEach((socket) => socket.close());
+            sockets.clear();
+        }
+
+        progress(stopped ? 'stopped' : 'finished');
+        return { sent, total: entries.length, stopped };
+    }
+
+    const done = run();
+
+    return Object.assign(replay, {
+        done,
+        stop() {
+            stopped = true;
+            wake?.();
+        },
+    });
+}
+
+module.exports = {
+    DEFAULT_SIMULATOR_OPTIONS,
+    normalizeSimulatorOptions,
+    createSimulator,
+    readCapture,
+    replayCapture,
+};
@@ -0,0 +1,189 @@
+const { EventEmitter } = require('node:events');
+const { normalizeBatteryLevel } = require('./roster');
+
+const DEFAULT_SERIES_LIMIT = 720;
+const SCENE_HISTORY_LIMIT = 50;
+const EXPECTED_INTERVAL_SAMPLES = 15;
+const MIN_INTERVAL_SAMPLES = 3;
+const LOSS_WINDOW = 60;
+const SPARKLINE_POINTS = 60;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function pushLimited(list, entry, limit) {
+    list.push(entry);
+    if (list.length > limit) {
+        list.splice(0, list.length - limit);
+    }
+}
+
+function lastValue(series) {
+    return series.length > 0 ? series[series.length - 1][1] : null;
+}
+
+function tail(series, points) {
+    return series.slice(-points).map(([, value]) => value);
+}
+
+// Per-device time series built from RegisterClient and Heartbeat reports:
+// battery level, heartbeat interval and jitter, estimated packet loss and
+// scene changes. Heartbeats carry no sequence number, so loss is estimated
+// from gaps: the device's usual interval is the median of its recent ones,
+// and a gap of N usual intervals counts N - 1 missed heartbeats. Each
+// series keeps the latest `limit` samples. Every recorded report is
+// announced as 'sample' with the device key.
+function createTelemetry(options = {}) {
+    const telemetry = new EventEmitter();
+    const limit = options.limit ?? DEFAULT_SERIES_LIMIT;
+    const devices = new Map();
+
+    function deviceFor(key) {
+        let device = devices.get(key);
+        if (!device) {
+            device = {
+                battery: [],
+                interval: [],
+                jitter: [],
+                loss: [],
+                scenes: [],
+                scene: null,
+                lastHeartbeatAt: null,
+                heartbeats: 0,
+                window: [],
+            };
+            devices.set(key, device);
+        }
+        return device;
+    }
+
+    function expectedInterval(device) {
+        const recent = device.interval.slice(-EXPECTED_INTERVAL_SAMPLES).map(([, value]) => value);
+        return recent.length >= MIN_INTERVAL_SAMPLES ? median(recent) : null;
+    }
+
+    function recordHeartbeat(device, now) {
+        device.heartbeats += 1;
+        if (device.lastHeartbeatAt === null) {
+            device.lastHeartbeatAt = now;
+            return;
+        }
+
+        const interval = now - device.lastHeartbeatAt;
+        device.lastHeartbeatAt = now;
+        const expected = expectedInterval(device);
+        const missed = expected ? Math.max(0, Math.round(interval / expected) - 1) : 0;
+
+        // Gaps spanning missed heartbeats would skew the usual interval, so
+        // only regular ones join the interval series.
+        if (missed === 0) {
+            pushLimited(device.interval, [now, interval], limit);
+            if (expected) {
+                pushLimited(device.jitter, [now, Math.abs(interval - expected)], limit);
+            }
+        }
+
+        pushLimited(device.window, missed, LOSS_WINDOW);
+        const lost = device.window.reduce((sum, count) => sum + count, 0);
+        const total = device.window.length + lost;
+        pushLimited(device.loss, [now, total > 0 ? (lost / total) * 100 : 0], limit);
+    }
+
+    function record(key, client, action, now = Date.now()) {
+        if (!key || !client) {
+            return;
+        }
+
+        const device = deviceFor(key);
+        const battery = normalizeBatteryLevel(client.batteryLevelPercent);
+        if (battery !== undefined) {
+            pushLimited(device.battery, [now, battery], limit);
+        }
+
+        const scene = typeof client.scene === 'string' ? client.scene : '';
+        if (device.scene !== null && scene !== device.scene) {
+            pushLimited(device.scenes, { at: now, from: device.scene, to: scene }, SCENE_HISTORY_LIMIT);
+        }
+        device.scene = scene;
+
+        if (String(action ?? '').toLowerCase() === 'heartbeat') {
+            recordHeartbeat(device, now);
+        }
+
+        telemetry.emit('sample', key);
+    }
+
+    function summarize(key, device) {
+        return {
+            key,
+            batteryLevelPercent: lastValue(device.battery),
+            intervalMs: expectedInterval(device),
+            jitterMs: device.jitter.length > 0
+                ? median(device.jitter.slice(-EXPECTED_INTERVAL_SAMPLES).map(([, value]) => value))
+                : null,
+            lossPercent: lastValue(device.loss),
+            heartbeats: device.heartbeats,
+            lastHeartbeatAt: device.lastHeartbeatAt,
+            scene: device.scene ?? '',
+            sceneChanges: device.scenes.length,
+            lastSceneChange: device.scenes[device.scenes.length - 1] ?? null,
+        };
+    }
+
+    function summary(key) {
+        const device = devices.get(key);
+        return device ? summarize(key, device) : null;
+    }
+
+    // Latest values plus the tail of each series, sized for sparklines.
+    function overview(points = SPARKLINE_POINTS) {
+        return Array.from(devices.entries()).map(([key, device]) => ({
+            ...summarize(key, device),
+            sparklines: {
+                battery: tail(device.battery, points),
+                interval: tail(device.interval, points),
+                loss: tail(device.loss, points),
+            },
+        }));
+    }
+
+    function history(key) {
+        const device = devices.get(key);
+        if (!device) {
+            return null;
+        }
+
+        return {
+            ...summarize(key, device),
+            battery: device.battery,
+            interval: device.interval,
+            jitter: device.jitter,
+            loss: device.loss,
+            scenes: device.scenes,
+        };
+    }
+
+    function remove(key) {
+        return devices.delete(key);
+    }
+
+    function clear() {
+        devices.clear();
+    }
+
+    return Object.assign(telemetry, {
+        record,
+        summary,
+        overview,
+        history,
+        remove,
+        clear,
+    });
+}
+
+module.exports = {
+    createTelemetry,
+};
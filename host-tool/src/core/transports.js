@@ -0,0 +1,260 @@
+const { EventEmitter } = require('node:events');
+const net = require('node:net');
+const http = require('node:http');
+const { isWebSocketUpgrade, rejectUpgrade, acceptWebSocket } = require('./websocket');
+
+const TRANSPORT_UDP = 'udp';
+const TRANSPORT_TCP = 'tcp';
+const TRANSPORT_WEBSOCKET = 'websocket';
+const TRANSPORTS = [TRANSPORT_UDP, TRANSPORT_TCP, TRANSPORT_WEBSOCKET];
+const STREAM_TRANSPORTS = [TRANSPORT_TCP, TRANSPORT_WEBSOCKET];
+const FRAME_HEADER_BYTES = 4;
+const MAX_FRAME_BYTES = 1024 * 1024;
+
+const DEFAULT_TRANSPORT_SETTINGS = {
+    tcp: { enabled: false, port: 4951 },
+    websocket: { enabled: false, port: 4952 },
+};
+
+function normalizeTransportSettings(input = {}) {
+    const result = {};
+    for (const name of STREAM_TRANSPORTS) {
+        const port = Number.parseInt(input?.[name]?.port, 10);
+        result[name] = {
+            enabled: Boolean(input?.[name]?.enabled),
+            port: Number.isInteger(port) && port >= 1 && port <= 65535 ? port : DEFAULT_TRANSPORT_SETTINGS[name].port,
+        };
+    }
+    return result;
+}
+
+function normalizeTransportName(value) {
+    const name = String(value ?? '').trim().toLowerCase();
+    if (!name) {
+        return TRANSPORT_UDP;
+    }
+    if (!TRANSPORTS.includes(name)) {
+        throw new Error(`Unknown transport "${value}".`);
+    }
+    return name;
+}
+
+// Dual-stack servers report IPv4 peers as `::ffff:a.b.c.d`; the roster and
+// the ack tracker expect the plain form UDP would have given.
+function unmapAddress(address) {
+    const text = String(address ?? '');
+    return /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(text) ? text.slice(7) : text;
+}
+
+function encodeFrame(buffer) {
+    const header = Buffer.alloc(FRAME_HEADER_BYTES);
+    header.writeUInt32BE(buffer.length, 0);
+    return Buffer.concat([header, buffer]);
+}
+
+// Splits a TCP byte stream into envelopes: each one is a 4-byte big-endian
+// length followed by that many bytes of UTF-8 JSON.
+function createFrameDecoder(onFrame) {
+    let buffered = Buffer.alloc(0);
+
+    return (chunk) => {
+        buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : chunk;
+        while (buffered.length >= FRAME_HEADER_BYTES) {
+            const length = buffered.readUInt32BE(0);
+            if (length > MAX_FRAME_BYTES) {
+                throw new Error(`Frame of ${length} bytes exceeds the ${MAX_FRAME_BYTES} byte limit.`);
+            }
+            if (buffered.length < FRAME_HEADER_BYTES + length) {
+                return;
+            }
+
+            const frame = Buffer.from(buffered.subarray(FRAME_HEADER_BYTES, FRAME_HEADER_BYTES + length));
+            buffered = buffered.subarray(FRAME_HEADER_BYTES + length);
+            onFrame(frame);
+        }
+    };
+}
+
+// Server transports for clients that cannot use UDP (browsers) or need large
+// envelopes delivered reliably. Devices connect to the host and commands go
+// back over the device's own connection, so a target is the connection's
+// remote address and port. Inbound envelopes are emitted as
+// 'packet' (buffer, { address, port, transport }); connection changes as
+// 'connection' / 'disconnect'; problems as 'socket-error'.
+function createStreamTransport(name, startServer) {
+    const transport = new EventEmitter();
+    const connections = new Map();
+    let server = null;
+    let boundPort = null;
+
+    function peerKey(address, port) {
+        return `${address}:${port}`;
+    }
+
+    function register(peer) {
+        connections.set(peerKey(peer.address, peer.port), peer);
+        transport.emit('connection', { transport: name, address: peer.address, port: peer.port });
+    }
+
+    function unregister(peer) {
+        const key = peerKey(peer.address, peer.port);
+        if (connections.get(key) !== peer) {
+            return;
+        }
+        connections.delete(key);
+        transport.emit('disconnect', { transport: name, address: peer.address, port: peer.port });
+    }
+
+    function receive(peer, buffer) {
+        transport.emit('packet', buffer, { address: peer.address, port: peer.port, transport: name });
+    }
+
+    // The exact connection wins; a device that reconnected before its next
+    // heartbeat is still reachable through its newest connection.
+    function findConnection(host, port) {
+        const exact = connections.get(peerKey(host, port));
+        if (exact) {
+            return exact;
+        }
+
+        const fromHost = Array.from(connections.values()).filter((peer) => peer.address === host);
+        return fromHost[fromHost.length - 1] ?? null;
+    }
+
+    async function send(buffer, port, host) {
+        const peer = findConnection(host, port);
+        if (!peer) {
+            throw new Error(`No ${name} connection from ${host}.`);
+        }
+        peer.write(buffer);
+        return { address: peer.address, port: peer.port };
+    }
+
+    function listen(port) {
+        if (server && boundPort === port) {
+            return Promise.resolve(boundPort);
+        }
+
+        return close().then(() => new Promise((resolve, reject) => {
+            const created = startServer({
+                register,
+                unregister,
+                receive,
+                fail: (message) => transport.emit('socket-error', message),
+            });
+            const initialError = (error) => {
+                created.close();
+                reject(error);
+            };
+
+            created.once('error', initialError);
+            created.listen(port, () => {
+                created.removeListener('error', initialError);
+                created.on('error', (error) => transport.emit('socket-error', error.message));
+                server = created;
+                boundPort = created.address().port;
+                resolve(boundPort);
+            });
+        }));
+    }
+
+    function close() {
+        const closing = server;
+        server = null;
+        boundPort = null;
+        if (!closing) {
+            return Promise.resolve();
+        }
+
+        for (const peer of connections.values()) {
+            peer.close();
+        }
+        connections.clear();
+        return new Promise((resolve) => {
+            closing.close(() => resolve());
+        });
+    }
+
+    return Object.assign(transport, {
+        name,
+        listen,
+        close,
+        send,
+        isListening: () => Boolean(server),
+        getPort: () => boundPort,
+        connectionCount: () => connections.size,
+    });
+}
+
+function createTcpTransport() {
+    return createStreamTransport(TRANSPORT_TCP, ({ register, unregister, receive, fail }) => net.createServer((socket) => {
+        const peer = {
+            address: unmapAddress(socket.remoteAddress),
+            port: socket.remotePort,
+            write: (buffer) => socket.write(encodeFrame(buffer)),
+            close: () => socket.destroy(),
+        };
+        const decode = createFrameDecoder((frame) => receive(peer, frame));
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => {
+            try {
+                decode(chunk);
+            } catch (error) {
+                fail(`TCP ${peer.address}:${peer.port}: ${error.message}`);
+                socket.destroy();
+            }
+        });
+        socket.on('close', () => unregister(peer));
+        socket.on('error', () => socket.destroy());
+        register(peer);
+    }));
+}
+
+// Text frames carry the envelope JSON; binary frames are accepted as UTF-8.
+function createWebSocketTransport() {
+    return createStreamTransport(TRANSPORT_WEBSOCKET, ({ register, unregister, receive }) => {
+        const server = http.createServer((request, response) => {
+            response.writeHead(426, { Upgrade: 'websocket', 'Content-Type': 'text/plain' });
+            response.end('WebSocket upgrade required.');
+        });
+
+        server.on('upgrade', (request, socket, head) => {
+            if (!isWebSocketUpgrade(request)) {
+                rejectUpgrade(socket, 400, 'Bad Request');
+                return;
+            }
+
+            const connection = acceptWebSocket(request, socket, head);
+            const peer = {
+                address: unmapAddress(socket.remoteAddress),
+                port: socket.remotePort,
+                write: (buffer) => connection.send(buffer.toString('utf8')),
+                close: () => {
+                    connection.close(1001, 'Host shutting down.');
+                    setTimeout(() => socket.destroy(), 1000).unref();
+                },
+            };
+            connection.on('message', (data) => receive(peer, Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8')));
+            connection.on('close', () => unregister(peer));
+            register(peer);
+        });
+
+        return server;
+    });
+}
+
+module.exports = {
+    TRANSPORT_UDP,
+    TRANSPORT_TCP,
+    TRANSPORT_WEBSOCKET,
+    TRANSPORTS,
+    STREAM_TRANSPORTS,
+    DEFAULT_TRANSPORT_SETTINGS,
+    normalizeTransportSettings,
+    normalizeTransportName,
+    encodeFrame,
+    createFrameDecoder,
+    createTcpTransport,
+    createWebSocketTransport,
+};
@@ -0,0 +1,856 @@
+const { EventEmitter } = require('node:events');
+const dgram = require('node:dgram');
+const os = require('node:os');
+const {
+    ENVELOPE_FORMAT_ENCRYPTED,
+    safeParseJson,
+    buildEnvelope,
+    encodeEnvelope,
+    encryptEnvelope,
+    isEncryptedEnvelope,
+    decryptEnvelope,
+} = require('./envelope');
+const { createAckTracker, parseAcknowledgement } = require('./ack-tracker');
+const {
+    LIMITED_BROADCAST,
+    normalizeNetworkSettings,
+    listInterfaces,
+    findInterface,
+    hasInterface,
+    resolveLocalInterface,
+    interfaceAddresses,
+    isIPv6Address,
+    splitScope,
+    isBroadcastAddress,
+    isMulticastAddress,
+    addressFamily,
+} = require('./network');
+const { maxDatagramBytes, isChunk, splitIntoChunks, createReassembler } = require('./chunking');
+const { createInboundVerifier, DEFAULT_VERIFICATION_SETTINGS } = require('./inbound-verifier');
+const { createStaticKeyring } = require('./key-store');
+const { createFloodGuard, DEFAULT_FLOOD_SETTINGS } = require('./flood-guard');
+const { WAKE_ON_LAN_PORT, normalizeMacAddress, buildMagicPacket, wakeDestinations } = require('./wake');
+const {
+    TRANSPORT_UDP,
+    STREAM_TRANSPORTS,
+    normalizeTransportSettings,
+    normalizeTransportName,
+    createTcpTransport,
+    createWebSocketTransport,
+} = require('./transports');
+
+const DEFAULT_LISTEN_PORT = 4949;
+
+function reporterDeviceId(message) {
+    const payload = safeParseJson(message.payload);
+    return String(payload?.deviceId ?? payload?.deviceID ?? '');
+}
+
+// Shared UDP command engine used by the Electron main process and the CLI.
+// Every datagram it transmits (first sends, ack retries, discovery replies) is
+// reported as 'sent'. Socket problems are reported through 'socket-error'
+// (never 'error') so a missing listener cannot crash the host process.
+// Reporter packets that fail inbound verification are reported as 'rejected';
+// in enforce mode they go no further. Encrypted envelopes are opened before
+// anything else looks at them, and packets that cannot be decrypted are
+// always dropped.
+//
+// Secrets come from `options.keyring` ({ forTarget, candidates }, see
+// key-store.js) or from a single `options.sharedSecret`. A request with
+// `sign: true` is signed with the key that covers its target; an explicit
+// `request.sharedSecret` still wins.
+//
+// ACK retries resend the original datagram through `options.paceRetry(request,
+// run)` when given (send-queue.js enqueueTask), so a fleet-wide timeout is
+// paced like the first sends instead of going out in one burst.
+//
+// `options.schemas.checkReport(message)` (see schema-registry.js) may return
+// a reason for a report whose payload breaks its schema; such packets are
+// flagged as 'rejected' but still processed.
+//
+// Network settings pick the outgoing interface. The socket stays bound to
+// every address so broadcasts keep arriving; sends to 255.255.255.255 are
+// turned into the directed broadcast of the chosen interface (or of every
+// external interface), and multicast leaves through it. Unicast follows the
+// routing table.
+//
+// IPv6 runs on a second, IPv6-only socket bound to the same port, so IPv4
+// broadcast and multicast behave exactly as on a single-stack host. Hosts
+// without IPv6 simply keep the IPv4 socket.
+//
+// UDP is always on. The framed TCP and WebSocket servers (transports.js) are
+// enabled through setTransports(); whatever arrives on them goes through the
+// same decryption, verification, ack and discovery path, and a request with
+// `transport: 'tcp' | 'websocket'` is written back over the connection its
+// host:port names. Connections coming and going are reported as 'connection'.
+//
+// UDP envelopes larger than one datagram on the configured MTU are refused,
+// or split into `Chunk` datagrams when chunking is on (chunking.js). Chunked
+// packets from clients are reassembled before anything else sees them.
+//
+// Every inbound packet first passes the per-source flood guard
+// (flood-guard.js); throttled and quarantined packets are dropped before
+// they are parsed. Its counters are re-emitted as 'flood-stats', and
+// quarantine changes as 'quarantined' / 'released'.
+function createUdpEngine(options = {}) {
+    const engine = new EventEmitter();
+    const respondToDiscovery = options.respondToDiscovery !== false;
+    const verifier = createInboundVerifier(options.verification ?? DEFAULT_VERIFICATION_SETTINGS);
+    const keyring = options.keyring ?? createStaticKeyring(options.sharedSecret ?? '');
+    const schemas = options.schemas ?? null;
+    const paceRetry = options.paceRetry ?? ((_request, run) => run());
+    let network = normalizeNetworkSettings(options.network);
+    let memberships = [];
+    let udpSocket = null;
+    let udp6Socket = null;
+    let listenPort = Number.isInteger(options.listenPort) ? options.listenPort : DEFAULT_LISTEN_PORT;
+    let transportSettings = normalizeTransportSettings(options.transports);
+    const reassembler = createReassembler();
+    const floodGuard = createFloodGuard(options.floodProtection ?? DEFAULT_FLOOD_SETTINGS);
+    let reassemblyTimer = null;
+    const streamTransports = {
+        tcp: createTcpTransport(),
+        websocket: createWebSocketTransport(),
+    };
+
+    const ackTracker = createAckTracker({
+        transmit: (buffer, port, host, { deviceKey, priority, attempt, message, transport }) => paceRetry({ action: message.action, priority }, async () => {
+            let sentChunks = 1;
+            await transmit(buffer, port, host, transport, (destination, chunks) => {
+                sentChunks = chunks;
+                engine.emit('sent', {
+                    host: destination,
+                    port,
+                    transport,
+                    deviceKey,
+                    message,
+                    encrypted: isEncryptedEnvelope(safeParseJson(buffer.toString('utf8'))),
+                    sentBytes: buffer.length,
+                    chunks,
+                    attempt,
+                });
+            });
+            return { chunks: sentChunks };
+        }),
+    });
+    ackTracker.on('delivery', (delivery) => engine.emit('delivery', delivery));
+    floodGuard.on('stats', (stats) => engine.emit('flood-stats', stats));
+    floodGuard.on('quarantined', (source) => engine.emit('quarantined', source));
+    floodGuard.on('released', (source) => engine.emit('released', source));
+
+    Object.values(streamTransports).forEach((transport) => {
+        transport.on('packet', (buffer, remote) => {
+            receive(buffer, remote, (reply) => transport.send(reply, remote.port, remote.address));
+        });
+        transport.on('connection', (info) => engine.emit('connection', { ...info, connected: true }));
+        transport.on('disconnect', (info) => engine.emit('connection', { ...info, connected: false }));
+        transport.on('socket-error', (message) => engine.emit('socket-error', `${transport.name}: ${message}`));
+    });
+
+    async function ensureSocket(port = listenPort) {
+        if (udpSocket) {
+            const bound = udpSocket.address();
+            if (bound && bound.port === port) {
+                return udpSocket;
+            }
+
+            await Promise.all([closeSocket(udpSocket), closeSocket(udp6Socket)]);
+        }
+
+        const socket = await createSocket(port, 'udp4');
+        listenPort = socket.address().port;
+        if (network.ipv6) {
+            await openIPv6Socket();
+        }
+
+        emitListening();
+        return socket;
+    }
+
+    function emitListening() {
+        if (!udpSocket) {
+            return;
+        }
+
+        engine.emit('listening', {
+            address: udpSocket.address().address,
+            port: listenPort,
+            ipv6: Boolean(udp6Socket),
+        });
+    }
+
+    async function openIPv6Socket() {
+        try {
+            await createSocket(listenPort, 'udp6');
+        } catch (error) {
+            engine.emit('socket-error', `IPv6 listener unavailable: ${error.message}`);
+        }
+    }
+
+    async function socketFor(host) {
+        const socket = await ensureSocket(listenPort);
+        if (!isIPv6Address(host)) {
+            return socket;
+        }
+
+        if (!udp6Socket) {
+            throw new Error('IPv6 is not available: the listener has no IPv6 socket.');
+        }
+        return udp6Socket;
+    }
+
+    function closeSocket(socket) {
+        return new Promise((resolve) => {
+            if (!socket) {
+                resolve();
+                return;
+            }
+
+            const handleClose = () => {
+                socket.removeListener('close', handleClose);
+                resolve();
+            };
+
+            socket.once('close', handleClose);
+            socket.close();
+        });
+    }
+
+    function createSocket(port, type) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket({ type, ipv6Only: type === 'udp6' });
+
+            const initialError = (error) => {
+                socket.removeListener('listening', handleListening);
+                socket.close();
+                reject(error);
+            };
+
+            const handleListening = () => {
+                socket.removeListener('error', initialError);
+                configureSocket(socket, type);
+                resolve(socket);
+            };
+
+            socket.once('error', initialError);
+            socket.once('listening', handleListening);
+            socket.bind(port);
+        });
+    }
+
+    function configureSocket(socket, type) {
+        if (type === 'udp6') {
+            udp6Socket = socket;
+        } else {
+            udpSocket = socket;
+            try {
+                socket.setBroadcast(true);
+            } catch (error) {
+                engine.emit('socket-error', `Broadcast configuration failed: ${error.message}`);
+            }
+        }
+        memberships = memberships.filter((membership) => membership.type !== type);
+        applyNetwork(socket, type);
+
+        socket.on('error', (error) => {
+            engine.emit('socket-error', error.message);
+        });
+
+        socket.on('close', () => {
+            if (type === 'udp6') {
+                if (udp6Socket === socket) {
+                    udp6Socket = null;
+                }
+                return;
+            }
+            if (udpSocket === socket) {
+                udpSocket = null;
+            }
+            engine.emit('closed');
+        });
+
+        socket.on('message', (message, remote) => {
+            receive(message, { address: remote.address, port: remote.port, transport: TRANSPORT_UDP }, (reply) => (
+                sendDatagram(socket, reply, remote.port, remote.address)
+            ));
+        });
+    }
+
+    function sourceKey(remote) {
+        const host = isIPv6Address(remote.address) ? `[${remote.address}]` : remote.address;
+        return `${host}:${remote.port}`;
+    }
+
+    function receive(message, remote, reply) {
+        if (floodGuard.admit(sourceKey(remote))) {
+            handlePacket(message, remote, reply);
+        }
+    }
+
+    // Every transport feeds inbound envelopes through here; `reply` writes a
+    // response back to the sender on the same transport.
+    function handlePacket(message, remote, reply) {
+        const packet = {
+            address: remote.address,
+            port: remote.port,
+            transport: remote.transport,
+            payload: message.toString('utf8'),
+        };
+
+        let parsed = safeParseJson(packet.payload);
+        if (isChunk(parsed)) {
+            acceptChunk(parsed, remote, reply);
+            return;
+        }
+
+        let replyKey = null;
+        if (isEncryptedEnvelope(parsed)) {
+            const opened = openEnvelope(parsed);
+            if (opened.error) {
+                engine.emit('rejected', { ...packet, action: '', cmdId: '', reason: opened.error, enforced: true });
+                return;
+            }
+
+            packet.payload = opened.plaintext;
+            packet.encrypted = true;
+            replyKey = opened.key;
+            parsed = safeParseJson(packet.payload);
+        }
+
+        // Acknowledgements are verified too, so a spoofed ack cannot settle a
+        // command and stop its retries. A batch shares one cmdId, so senders
+        // without a deviceId are told apart by address and port.
+        const rejection = verifier.check(parsed, {
+            authenticated: packet.encrypted === true,
+            secretsFor: (checked) => keyring
+                .candidates({ deviceId: reporterDeviceId(checked) })
+                .map((key) => key.secret),
+            sender: (parsed && reporterDeviceId(parsed)) || sourceKey(remote),
+        });
+        if (rejection) {
+            const enforced = verifier.isEnforcing();
+            engine.emit('rejected', {
+                ...packet,
+                action: parsed.action ?? '',
+                cmdId: parsed.cmdId ?? '',
+                reason: rejection,
+                enforced,
+            });
+            if (enforced) {
+                return;
+            }
+        }
+
+        const acknowledgement = parsed ? parseAcknowledgement(parsed) : null;
+        if (acknowledgement) {
+            const matched = ackTracker.resolve(acknowledgement, remote);
+            engine.emit('ack', {
+                ...packet,
+                cmdId: acknowledgement.cmdId,
+                ok: acknowledgement.ok,
+                matched,
+            });
+            return;
+        }
+
+        const schemaProblem = parsed ? schemas?.checkReport(parsed) : '';
+        if (schemaProblem) {
+            engine.emit('rejected', {
+                ...packet,
+                action: parsed.action ?? '',
+                cmdId: parsed.cmdId ?? '',
+                reason: schemaProblem,
+                enforced: false,
+            });
+        }
+
+        engine.emit('message', packet, parsed);
+
+        if (parsed && respondToDiscovery) {
+            handleHostDiscovery(parsed, remote, replyKey, reply);
+        }
+    }
+
+    function rejectChunks(remote, reason) {
+        engine.emit('rejected', {
+            address: remote.address,
+            port: remote.port,
+            transport: remote.transport,
+            payload: '',
+            action: 'Chunk',
+            cmdId: '',
+            reason,
+            enforced: true,
+        });
+    }
+
+    // A completed set goes back through handlePacket, so it is decrypted,
+    // verified and acknowledged like a single datagram.
+    function acceptChunk(chunk, remote, reply) {
+        const result = reassembler.accept(chunk, { key: `${remote.transport}|${remote.address}:${remote.port}`, remote });
+        if (result?.error) {
+            rejectChunks(remote, result.error);
+        } else if (result?.buffer) {
+            handlePacket(result.buffer, remote, reply);
+        }
+        armReassemblyTimer();
+    }
+
+    function armReassemblyTimer() {
+        if (reassemblyTimer || reassembler.pendingCount() === 0) {
+            return;
+        }
+
+        reassemblyTimer = setInterval(() => {
+            reassembler.prune().forEach(({ source, chunkId, received, count }) => {
+                rejectChunks(source.remote, `Chunk set ${chunkId} incomplete: ${received} of ${count} chunks arrived.`);
+            });
+            if (reassembler.pendingCount() === 0) {
+                clearInterval(reassemblyTimer);
+                reassemblyTimer = null;
+            }
+        }, 1000);
+        reassemblyTimer.unref?.();
+    }
+
+    function selectedInterface() {
+        return findInterface(network.interface);
+    }
+
+    function externalInterfaces() {
+        return listInterfaces().filter((entry) => !entry.internal && entry.family === 'IPv4');
+    }
+
+    // Limited broadcasts are expanded to directed broadcasts so they leave
+    // on the intended NICs instead of only the default route.
+    function resolveDestinations(host) {
+        if (host !== LIMITED_BROADCAST || !network.directedBroadcast) {
+            return [host];
+        }
+
+        const selected = selectedInterface();
+        const broadcasts = (selected ? [selected] : externalInterfaces())
+            .map((entry) => entry.broadcast)
+            .filter(Boolean);
+        return broadcasts.length > 0 ? [...new Set(broadcasts)] : [host];
+    }
+
+    // Where each multicast group is joined. IPv4 groups are joined by
+    // interface address; IPv6 groups by zone (`::%eth0`), taken from the
+    // group itself, the chosen interface, or left to the OS.
+    function wantedMemberships(type) {
+        if (type === 'udp6') {
+            return network.multicastGroups
+                .filter((group) => isIPv6Address(group))
+                .map((group) => {
+                    const { address, scope } = splitScope(group);
+                    const zone = scope || network.interface;
+                    return { type, group: address, iface: zone ? `::%${zone}` : undefined };
+                });
+        }
+
+        const selected = selectedInterface();
+        const joinOn = selected ? [selected.address] : [...new Set(externalInterfaces().map((entry) => entry.address))];
+        return network.multicastGroups
+            .filter((group) => !isIPv6Address(group))
+            .flatMap((group) => joinOn.map((iface) => ({ type, group, iface })));
+    }
+
+    // Joins the configured multicast groups and points multicast sends at
+    // the chosen interface.
+    function applyNetwork(socket, type) {
+        const wanted = wantedMemberships(type);
+        const same = (a, b) => a.type === b.type && a.group === b.group && a.iface === b.iface;
+
+        try {
+            socket.setMulticastTTL(network.multicastTtl);
+            socket.setMulticastLoopback(network.multicastLoopback);
+            if (type === 'udp6') {
+                socket.setMulticastInterface(network.interface ? `::%${network.interface}` : '::');
+            } else {
+                socket.setMulticastInterface(selectedInterface()?.address ?? '0.0.0.0');
+            }
+        } catch (error) {
+            engine.emit('socket-error', `Multicast configuration failed: ${error.message}`);
+        }
+
+        memberships
+            .filter((membership) => membership.type === type && !wanted.some((entry) => same(entry, membership)))
+            .forEach(({ group, iface }) => {
+                try {
+                    socket.dropMembership(group, iface);
+                } catch {
+                    // membership already gone with the interface
+                }
+            });
+
+        const joined = wanted.filter((membership) => {
+            try {
+                socket.addMembership(membership.group, membership.iface);
+                return true;
+            } catch (error) {
+                if (error.code === 'EADDRINUSE') {
+                    return true;
+                }
+                engine.emit(
+                    'socket-error',
+                    `Joining ${membership.group}${membership.iface ? ` on ${membership.iface}` : ''} failed: ${error.message}`
+                );
+                return false;
+            }
+        });
+        memberships = memberships.filter((membership) => membership.type !== type).concat(joined);
+    }
+
+    function setNetwork(settings) {
+        const next = normalizeNetworkSettings(settings);
+        if (next.interface && !hasInterface(next.interface)) {
+            throw new Error(`Unknown network interface "${next.interface}".`);
+        }
+
+        network = next;
+        if (udpSocket) {
+            applyNetwork(udpSocket, 'udp4');
+        }
+        if (udp6Socket && !network.ipv6) {
+            void closeSocket(udp6Socket).then(emitListening);
+        } else if (udp6Socket) {
+            applyNetwork(udp6Socket, 'udp6');
+        } else if (udpSocket && network.ipv6) {
+            void openIPv6Socket().then(emitListening);
+        }
+        return { ...network };
+    }
+
+    // Tries the named key, or every accepted key when the sender did not name one.
+    function openEnvelope(envelope) {
+        const keys = keyring.candidates({ kid: typeof envelope.kid === 'string' ? envelope.kid : '' });
+        if (keys.length === 0) {
+            return { error: 'Encrypted packet received but no matching key is configured.' };
+        }
+
+        let lastError = null;
+        for (const key of keys) {
+            try {
+                return { plaintext: decryptEnvelope(envelope, key.secret), key };
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        return { error: lastError.message };
+    }
+
+    // Probes that arrived encrypted are answered in the same format and key,
+    // and on the transport they came in on.
+    function handleHostDiscovery(message, remote, replyKey, reply) {
+        const action = typeof message.action === 'string' ? message.action.toLowerCase() : '';
+        if (action !== 'discoverhost') {
+            return;
+        }
+
+        let requestPayload = null;
+        if (typeof message.payload === 'string' && message.payload.length > 0) {
+            requestPayload = safeParseJson(message.payload);
+        }
+
+        const requestedCommandPort = Number.parseInt(requestPayload?.commandPort, 10);
+        const response = {
+            action: 'HostAnnouncement',
+            timestamp: Date.now(),
+            payload: JSON.stringify(
+                announcementPayload(remote.address, Number.isInteger(requestedCommandPort) ? requestedCommandPort : 0)
+            ),
+        };
+
+        if (typeof message.cmdId === 'string' && message.cmdId.length > 0) {
+            response.cmdId = message.cmdId;
+        }
+
+        const buffer = encodeEnvelope(
+            replyKey ? encryptEnvelope(response, replyKey.secret, replyKey.id) : response
+        );
+        reply(buffer).then(() => {
+            engine.emit('sent', {
+                host: remote.address,
+                port: remote.port,
+                transport: remote.transport,
+                deviceKey: '',
+                message: response,
+                encrypted: Boolean(replyKey),
+                sentBytes: buffer.length,
+                attempt: 1,
+            });
+        }, (error) => {
+            engine.emit('socket-error', `Discovery response failed: ${error.message}`);
+        });
+    }
+
+    // `hostAddress` matches the peer's address family; `ipv4`/`ipv6` list
+    // both families of the interface that reaches it.
+    function announcementPayload(remoteAddress, commandPort = 0) {
+        const local = resolveLocalInterface(remoteAddress, { preferred: network.interface });
+        const addresses = local ? interfaceAddresses(local.name) : { ipv4: '', ipv6: '' };
+        return {
+            hostName: os.hostname(),
+            hostAddress: local?.address || udpSocket?.address().address || '0.0.0.0',
+            ipv4: addresses.ipv4,
+            ipv6: addresses.ipv6,
+            hostPort: listenPort,
+            commandPort,
+            transports: listeningTransports(),
+        };
+    }
+
+    // Magic packets go out on the listener socket, which may broadcast. The
+    // send only fails when no destination could be reached.
+    async function sendWakeOnLan(macAddress, lastAddress, port = WAKE_ON_LAN_PORT) {
+        const packet = buildMagicPacket(macAddress);
+        const socket = await socketFor(LIMITED_BROADCAST);
+        const destinations = [];
+        const errors = [];
+        for (const destination of wakeDestinations(lastAddress, listInterfaces())) {
+            try {
+                await sendDatagram(socket, packet, port, destination);
+                destinations.push(destination);
+            } catch (error) {
+                errors.push(`${destination}: ${error.message}`);
+            }
+        }
+
+        if (destinations.length === 0) {
+            throw new Error(`Wake-on-LAN failed (${errors.join('; ')}).`);
+        }
+        return { macAddress: normalizeMacAddress(macAddress), port, destinations, errors };
+    }
+
+    // Port of every enabled stream transport, for HostAnnouncement.
+    function listeningTransports() {
+        return Object.fromEntries(STREAM_TRANSPORTS
+            .filter((name) => streamTransports[name].isListening())
+            .map((name) => [name, streamTransports[name].getPort()]));
+    }
+
+    function streamTransport(name) {
+        const transport = streamTransports[name];
+        if (!transport.isListening()) {
+            throw new Error(`The ${name} transport is not enabled.`);
+        }
+        return transport;
+    }
+
+    // Datagrams for one UDP envelope: itself when it fits the MTU, otherwise
+    // its chunks, or an error when chunking is off.
+    function packetize(buffer, host) {
+        const limit = maxDatagramBytes(network.mtu, addressFamily(host));
+        if (buffer.length <= limit) {
+            return [buffer];
+        }
+
+        if (!network.chunking) {
+            throw new Error(
+                `Envelope is ${buffer.length} bytes but one UDP datagram fits ${limit} bytes at MTU ${network.mtu}. ` +
+                    'Enable chunking or use the TCP transport.'
+            );
+        }
+        return splitIntoChunks(buffer, limit);
+    }
+
+    // Writes one envelope and calls `report` for every address it went to:
+    // UDP expands broadcasts, stream transports use the target's connection.
+    async function transmit(buffer, port, host, transportName, report) {
+        if (transportName !== TRANSPORT_UDP) {
+            await streamTransport(transportName).send(buffer, port, host);
+            report(host, 1);
+            return [host];
+        }
+
+        const datagrams = packetize(buffer, host);
+        const socket = await socketFor(host);
+        const destinations = resolveDestinations(host);
+        for (const destination of destinations) {
+            for (const datagram of datagrams) {
+                await sendDatagram(socket, datagram, port, destination);
+            }
+            report(destination, datagrams.length);
+        }
+        return destinations;
+    }
+
+    async function send(request) {
+        if (!request || typeof request !== 'object') {
+            throw new Error('Invalid request payload.');
+        }
+
+        const targetHost = String(request.host ?? '').trim();
+        const port = Number.parseInt(request.port, 10);
+
+        if (!targetHost) {
+            throw new Error('Target host is required.');
+        }
+
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error('Port must be between 1 and 65535.');
+        }
+
+        const transport = normalizeTransportName(request.transport);
+        if (transport !== TRANSPORT_UDP && (isBroadcastAddress(targetHost) || isMulticastAddress(targetHost))) {
+            throw new Error('Broadcast and multicast targets need the UDP transport.');
+        }
+
+        const encrypted = request.envelopeFormat === ENVELOPE_FORMAT_ENCRYPTED;
+        const targetKey = request.sharedSecret
+            ? { id: '', secret: request.sharedSecret }
+            : request.sign || encrypted ? keyring.forTarget({ deviceKey: request.deviceKey, host: targetHost }) : null;
+        if (encrypted && !targetKey) {
+            throw new Error('No key is configured for this target; it cannot receive encrypted commands.');
+        }
+
+        const message = buildEnvelope({
+            ...request,
+            sharedSecret: request.sharedSecret || (request.sign ? targetKey?.secret ?? '' : ''),
+        });
+        const wireMessage = encrypted ? encryptEnvelope(message, targetKey.secret, targetKey.id) : message;
+        const buffer = encodeEnvelope(wireMessage);
+
+        let chunks = 1;
+        const destinations = await transmit(buffer, port, targetHost, transport, (destination, count) => {
+            chunks = count;
+            engine.emit('sent', {
+                host: destination,
+                port,
+                transport,
+                deviceKey: typeof request.deviceKey === 'string' ? request.deviceKey : '',
+                message,
+                encrypted,
+                sentBytes: buffer.length,
+                chunks,
+                attempt: 1,
+            });
+        });
+
+        const result = {
+            sentBytes: buffer.length,
+            chunks,
+            message,
+            encrypted,
+            transport,
+            destinations,
+        };
+
+        if (request.expectAck && message.cmdId) {
+            result.delivery = ackTracker.track(message, buffer, {
+                host: targetHost,
+                port,
+                transport,
+                deviceKey: request.deviceKey,
+                priority: request.priority,
+                retryDelaysMs: request.retryDelaysMs,
+                ackTimeoutMs: request.ackTimeoutMs,
+            });
+        }
+
+        return result;
+    }
+
+    async function listen(port) {
+        const parsed = Number.parseInt(port, 10);
+        if (!Number.isInteger(parsed) || parsed < 0 || parsed > 65535) {
+            throw new Error('Listen port must be between 0 and 65535.');
+        }
+
+        const socket = await ensureSocket(parsed);
+        return { ...socket.address(), ipv6: Boolean(udp6Socket) };
+    }
+
+    // Starts, moves or stops the stream servers. Every transport is tried;
+    // ports that cannot be bound are reported together afterwards.
+    async function setTransports(settings) {
+        transportSettings = normalizeTransportSettings(settings);
+        const failures = [];
+        for (const name of STREAM_TRANSPORTS) {
+            const { enabled, port } = transportSettings[name];
+            try {
+                await (enabled ? streamTransports[name].listen(port) : streamTransports[name].close());
+            } catch (error) {
+                failures.push(`${name} port ${port}: ${error.message}`);
+            }
+        }
+
+        if (failures.length > 0) {
+            throw new Error(`Transport unavailable (${failures.join('; ')}).`);
+        }
+        return getTransports();
+    }
+
+    function getTransports() {
+        return {
+            udp: { enabled: true, port: listenPort, listening: Boolean(udpSocket), connections: 0 },
+            ...Object.fromEntries(STREAM_TRANSPORTS.map((name) => [name, {
+                ...transportSettings[name],
+                listening: streamTransports[name].isListening(),
+                connections: streamTransports[name].connectionCount(),
+            }])),
+        };
+    }
+
+    function close() {
+        ackTracker.clear();
+        reassembler.clear();
+        floodGuard.dispose();
+        clearInterval(reassemblyTimer);
+        reassemblyTimer = null;
+        Object.values(streamTransports).forEach((transport) => {
+            void transport.close();
+        });
+
+        [udp6Socket, udpSocket].forEach((socket) => {
+            if (!socket) {
+                return;
+            }
+            try {
+                socket.close();
+            } catch {
+                // ignore shutdown errors
+            }
+        });
+        udp6Socket = null;
+        udpSocket = null;
+    }
+
+    return Object.assign(engine, {
+        send,
+        listen,
+        close,
+        isAwaitingAck: (cmdId) => ackTracker.isPending(cmdId),
+        setVerification: (settings) => verifier.configure(settings),
+        getVerification: () => verifier.getSettings(),
+        getListenPort: () => listenPort,
+        setNetwork,
+        getNetwork: () => ({ ...network }),
+        setTransports,
+        getTransports,
+        setFloodProtection: (settings) => floodGuard.setSettings(settings),
+        getFloodProtection: () => floodGuard.snapshot(),
+        releaseSource: (source) => floodGuard.release(String(source ?? '')),
+        resetFloodCounters: () => floodGuard.resetCounters(),
+        announcementPayload,
+        sendWakeOnLan,
+    });
+}
+
+function sendDatagram(socket, buffer, port, host) {
+    return new Promise((resolve, reject) => {
+        socket.send(buffer, 0, buffer.length, port, host, (error) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_LISTEN_PORT,
+    createUdpEngine,
+};
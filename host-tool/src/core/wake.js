@@ -0,0 +1,56 @@
+const { LIMITED_BROADCAST, listInterfaces, isIPv6Address, isInSubnet } = require('./network');
+
+const WAKE_ON_LAN_PORT = 9;
+const MAGIC_PACKET_REPEAT = 16;
+// The host-to-device counterpart of DiscoverHost: a command telling a device
+// the host lost track of where the host is and asking it to register again.
+const REREGISTER_ACTION = 'RequestRegistration';
+
+// Accepts `aa:bb:cc:dd:ee:ff`, `aa-bb-cc-dd-ee-ff`, `aabb.ccdd.eeff` and bare
+// hex; returns the colon form in upper case, or '' when it is not a MAC.
+function normalizeMacAddress(value) {
+    const hex = String(value ?? '').trim().replace(/[:.-]/g, '');
+    if (!/^[0-9a-fA-F]{12}$/.test(hex) || /^0+$/.test(hex)) {
+        return '';
+    }
+
+    return hex.toUpperCase().match(/../g).join(':');
+}
+
+// Six 0xFF bytes followed by the MAC repeated sixteen times.
+function buildMagicPacket(macAddress) {
+    const normalized = normalizeMacAddress(macAddress);
+    if (!normalized) {
+        throw new Error(`"${macAddress}" is not a MAC address.`);
+    }
+
+    const mac = Buffer.from(normalized.replace(/:/g, ''), 'hex');
+    return Buffer.concat([Buffer.alloc(6, 0xff), ...Array(MAGIC_PACKET_REPEAT).fill(mac)]);
+}
+
+// A sleeping device has no ARP entry, so the packet goes to the broadcast
+// address of its subnet (a local interface's real one, else the /24
+// convention) and to the limited broadcast, plus the last-known address in
+// case it still answers.
+function wakeDestinations(lastAddress, interfaces = listInterfaces()) {
+    const address = String(lastAddress ?? '').trim();
+    const destinations = [];
+    if (address && !isIPv6Address(address)) {
+        const local = interfaces.find((entry) => entry.broadcast && isInSubnet(address, entry.cidr));
+        const directed = local?.broadcast ?? (/^\d+\.\d+\.\d+\.\d+$/.test(address) ? address.replace(/\.\d+$/, '.255') : '');
+        if (directed) {
+            destinations.push(directed);
+        }
+        destinations.push(address);
+    }
+    destinations.push(LIMITED_BROADCAST);
+    return Array.from(new Set(destinations));
+}
+
+module.exports = {
+    WAKE_ON_LAN_PORT,
+    REREGISTER_ACTION,
+    normalizeMacAddress,
+    buildMagicPacket,
+    wakeDestinations,
+};
@@ -0,0 +1,229 @@
+const { EventEmitter } = require('node:events');
+const { createHash } = require('node:crypto');
+
+// Minimal RFC 6455 server-side connection: enough for JSON event feeds and
+// command envelopes without pulling a runtime dependency into the app.
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+function isWebSocketUpgrade(request) {
+    const upgrade = String(request.headers.upgrade ?? '').toLowerCase();
+    return upgrade === 'websocket' && typeof request.headers['sec-websocket-key'] === 'string';
+}
+
+function rejectUpgrade(socket, statusCode, message) {
+    socket.end(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+function acceptWebSocket(request, socket, head) {
+    const key = request.headers['sec-websocket-key'];
+    const accept = createHash('sha1').update(`${key}${HANDSHAKE_GUID}`).digest('base64');
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        '',
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    return createConnection(socket, head);
+}
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+function createConnection(socket, head) {
+    const connection = new EventEmitter();
+    let buffered = head && head.length > 0 ? Buffer.from(head) : Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+    let fragmentOpcode = 0;
+    let closed = false;
+
+    function send(data) {
+        if (closed) {
+            return false;
+        }
+
+        const isText = typeof data === 'string';
+        const payload = isText ? Buffer.from(data, 'utf8') : data;
+        socket.write(encodeFrame(isText ? OPCODE_TEXT : OPCODE_BINARY, payload));
+        return true;
+    }
+
+    function close(code = 1000, reason = '') {
+        if (closed) {
+            return;
+        }
+
+        closed = true;
+        const reasonBuffer = Buffer.from(reason, 'utf8');
+        const payload = Buffer.alloc(2 + reasonBuffer.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBuffer.copy(payload, 2);
+        socket.end(encodeFrame(OPCODE_CLOSE, payload));
+        connection.emit('close', code);
+    }
+
+    function fail(code, reason) {
+        close(code, reason);
+        socket.destroy();
+    }
+
+    function handleFrame(opcode, fin, payload) {
+        if (opcode === OPCODE_PING) {
+            socket.write(encodeFrame(OPCODE_PONG, payload));
+            return;
+        }
+
+        if (opcode === OPCODE_PONG) {
+            return;
+        }
+
+        if (opcode === OPCODE_CLOSE) {
+            const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1000;
+            close(code);
+            return;
+        }
+
+        if (opcode === OPCODE_TEXT || opcode === OPCODE_BINARY) {
+            fragments = [payload];
+            fragmentBytes = payload.length;
+            fragmentOpcode = opcode;
+        } else if (opcode === OPCODE_CONTINUATION && fragments.length > 0) {
+            fragments.push(payload);
+            fragmentBytes += payload.length;
+        } else {
+            fail(1002, 'Unexpected frame.');
+            return;
+        }
+
+        // The per-frame limit alone would let a message grow without bound
+        // through continuation frames.
+        if (fragmentBytes > MAX_MESSAGE_BYTES) {
+            fragments = [];
+            fail(1009, 'Message too large.');
+            return;
+        }
+
+        if (!fin) {
+            return;
+        }
+
+        const message = Buffer.concat(fragments);
+        fragments = [];
+        fragmentBytes = 0;
+        connection.emit('message', fragmentOpcode === OPCODE_TEXT ? message.toString('utf8') : message);
+    }
+
+    function drain() {
+        while (buffered.length >= 2 && !closed) {
+            const fin = (buffered[0] & 0x80) !== 0;
+            const opcode = buffered[0] & 0x0f;
+            const masked = (buffered[1] & 0x80) !== 0;
+            let length = buffered[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffered.length < 4) {
+                    return;
+                }
+                length = buffered.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffered.length < 10) {
+                    return;
+                }
+                length = Number(buffered.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            if (length > MAX_MESSAGE_BYTES) {
+                fail(1009, 'Message too large.');
+                return;
+            }
+
+            if (!masked) {
+                fail(1002, 'Client frames must be masked.');
+                return;
+            }
+
+            if (buffered.length < offset + 4 + length) {
+                return;
+            }
+
+            const mask = buffered.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+            for (let index = 0; index < payload.length; index += 1) {
+                payload[index] ^= mask[index % 4];
+            }
+
+            buffered = buffered.subarray(offset + 4 + length);
+            handleFrame(opcode, fin, payload);
+        }
+    }
+
+    socket.on('data', (chunk) => {
+        buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : chunk;
+        drain();
+    });
+
+    socket.on('close', () => {
+        if (!closed) {
+            closed = true;
+            connection.emit('close', 1006);
+        }
+    });
+
+    socket.on('error', () => {
+        socket.destroy();
+    });
+
+    if (buffered.length > 0) {
+        process.nextTick(drain);
+    }
+
+    return Object.assign(connection, {
+        send,
+        close,
+        get remoteAddress() {
+            return socket.remoteAddress;
+        },
+        get isOpen() {
+            return !closed;
+        },
+    });
+}
+
+module.exports = {
+    isWebSocketUpgrade,
+    rejectUpgrade,
+    acceptWebSocket,
+};
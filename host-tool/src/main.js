@@ -1,12 +1,103 @@
-const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu, Notification, shell, clipboard, safeStorage } = require('electron');
 const path = require('node:path');
-const dgram = require('node:dgram');
-const os = require('node:os');
-const { randomUUID, createHmac } = require('node:crypto');
+const fs = require('node:fs/promises');
+const { createUdpEngine } = require('./core/udp-engine');
+const { createRoster, DEFAULT_COMMAND_PORT, DEFAULT_LIFECYCLE_SETTINGS } = require('./core/roster');
+const { createJsonStore } = require('./core/json-store');
+const { createControlApi, DEFAULT_API_SETTINGS } = require('./core/control-api');
+const { createDispatcher } = require('./core/dispatch');
+const { createCommandLibrary } = require('./core/command-library');
+const { createCommandRunner } = require('./core/command-runner');
+const { createCueListStore } = require('./core/cue-lists');
+const { createCuePlayer } = require('./core/cue-player');
+const { createScheduler } = require('./core/scheduler');
+const { createDeviceGroups } = require('./core/device-groups');
+const { createDeviceInventory } = require('./core/device-inventory');
+const { createLogStore, attachEngineLog } = require('./core/log-store');
+const { createSimulator, readCapture, replayCapture } = require('./core/simulator');
+const { DEFAULT_VERIFICATION_SETTINGS } = require('./core/inbound-verifier');
+const { createKeyStore, KEY_SCOPE_DEFAULT } = require('./core/key-store');
+const { DEFAULT_NETWORK_SETTINGS, listInterfaces } = require('./core/network');
+const { DEFAULT_TRANSPORT_SETTINGS, TRANSPORT_UDP, normalizeTransportSettings } = require('./core/transports');
+const { REREGISTER_ACTION } = require('./core/wake');
+const { createSendQueue, DEFAULT_QUEUE_SETTINGS } = require('./core/send-queue');
+const { DEFAULT_FLOOD_SETTINGS } = require('./core/flood-guard');
+const { createBatcher } = require('./core/batcher');
+const { createSchemaRegistry } = require('./core/schema-registry');
+const { createTelemetry } = require('./core/telemetry');
+const { createAlertMonitor, DEFAULT_ALERT_RULES } = require('./core/alerts');
+
+const ROSTER_BATCH_MS = 250;
+const HEARTBEAT_COALESCE_MS = 1000;
+const TELEMETRY_PUSH_MS = 1000;
 
 let mainWindow = null;
-let udpSocket = null;
-let listenPort = 4949;
+let settingsStore = null;
+let commandLibrary = null;
+let commandRunner = null;
+let cueLists = null;
+let scheduler = null;
+let deviceGroups = null;
+let deviceInventory = null;
+let logStore = null;
+let activeReplay = null;
+let keyStore = null;
+let schemaRegistry = null;
+let alertMonitor = null;
+let shuttingDown = false;
+let shutdownComplete = false;
+const engine = createUdpEngine({
+    keyring: {
+        forTarget: (target) => keyStore?.forTarget(target) ?? null,
+        candidates: (query) => keyStore?.candidates(query) ?? [],
+    },
+    schemas: {
+        checkReport: (message) => schemaRegistry?.checkReport(message) ?? '',
+    },
+    paceRetry: (request, run) => sendQueue.enqueueTask(request, run),
+});
+const roster = createRoster({
+    groupsOf: (key) => deviceGroups?.groupsOf(key, roster) ?? [],
+});
+const telemetry = createTelemetry();
+const sendQueue = createSendQueue({ send: (request) => engine.send(request) });
+
+// Commands whose action has a registered schema are checked before they are
+// queued, whichever feature sent them.
+function enqueueCommand(request) {
+    schemaRegistry?.assertCommand(request);
+    return sendQueue.enqueue(request);
+}
+
+const dispatcher = createDispatcher({
+    send: (request) => enqueueCommand(request),
+    roster,
+    groups: {
+        resolveGroup: (name, source) => deviceGroups?.resolveGroup(name, source) ?? null,
+        resolveTag: (tag, source) => deviceGroups?.resolveTag(tag, source) ?? [],
+    },
+});
+function subscribeDeliveries(listener) {
+    engine.on('delivery', listener);
+    return () => engine.off('delivery', listener);
+}
+
+const cuePlayer = createCuePlayer({
+    runCommand: (request) => commandRunner.run(request),
+    subscribeDeliveries,
+});
+const simulator = createSimulator();
+const controlApi = createControlApi({
+    dispatcher,
+    roster,
+    getStatus: () => ({
+        listenPort: engine.getListenPort(),
+        transports: engine.getTransports(),
+        sendQueue: sendQueue.snapshot(),
+        floodProtection: engine.getFloodProtection(),
+    }),
+    onError: (error) => sendToRenderer('udp:error', `Control API failed: ${error.message}`),
+});
 
 function createWindow() {
     mainWindow = new BrowserWindow({
@@ -33,291 +124,655 @@ function createWindow() {
     });
 }
 
-async function ensureSocket(port = listenPort) {
-    if (udpSocket) {
-        const bound = udpSocket.address();
-        if (bound && bound.port === port) {
-            return udpSocket;
+// Key secrets are encrypted with the OS keychain (safeStorage) before they
+// touch disk; without it the store refuses to save new keys.
+const keyCodec = {
+    encrypt(secret) {
+        if (!safeStorage.isEncryptionAvailable()) {
+            throw new Error('Secure storage is not available on this system.');
         }
+        return safeStorage.encryptString(secret).toString('base64');
+    },
+    decrypt: (value) => safeStorage.decryptString(Buffer.from(value, 'base64')),
+};
+
+// Older builds kept a single shared secret in the verification settings;
+// it becomes the default key the first time the key store opens.
+function migrateLegacySecret() {
+    const legacy = settingsStore.get('inboundVerification') ?? {};
+    if (typeof legacy.sharedSecret !== 'string') {
+        return;
+    }
 
-        await closeSocket(udpSocket);
+    const hasDefault = keyStore.snapshot().keys.some((entry) => entry.scope === KEY_SCOPE_DEFAULT);
+    if (legacy.sharedSecret && !hasDefault) {
+        keyStore.save({ scope: KEY_SCOPE_DEFAULT, secret: legacy.sharedSecret });
     }
 
-    return createSocket(port);
+    const { sharedSecret, ...settings } = legacy;
+    settingsStore.set('inboundVerification', settings);
 }
 
-function closeSocket(socket) {
-    return new Promise((resolve) => {
-        if (!socket) {
-            resolve();
-            return;
-        }
-
-        const handleClose = () => {
-            socket.removeListener('close', handleClose);
-            resolve();
-        };
+function sendToRenderer(channel, payload) {
+    mainWindow?.webContents.send(channel, payload);
+}
 
-        socket.once('close', handleClose);
-        socket.close();
+// Raised alerts go to the desktop (when the rule asks for it), the activity
+// log, the packet log and the control API; cleared ones everywhere but the
+// desktop.
+function attachAlertOutputs() {
+    const logAlert = (alert, status) => logStore.append({
+        kind: 'alert',
+        deviceKey: alert.key,
+        deviceName: alert.deviceName,
+        action: alert.ruleName,
+        status,
+        detail: alert.message,
     });
-}
 
-function createSocket(port) {
-    return new Promise((resolve, reject) => {
-        const socket = dgram.createSocket('udp4');
-
-        const initialError = (error) => {
-            socket.removeListener('listening', handleListening);
-            socket.close();
-            reject(error);
-        };
-
-        const handleListening = () => {
-            socket.removeListener('error', initialError);
-            configureSocket(socket);
-            resolve(socket);
-        };
-
-        socket.once('error', initialError);
-        socket.once('listening', handleListening);
-        socket.bind(port);
+    alertMonitor.on('raised', (alert) => {
+        if (alert.notify && Notification.isSupported()) {
+            new Notification({ title: `${alert.ruleName}: ${alert.deviceName}`, body: alert.message }).show();
+        }
+        logAlert(alert, 'raised');
+        sendToRenderer('alerts:raised', alert);
+        controlApi.publish('alert', { ...alert, active: true });
+    });
+    alertMonitor.on('cleared', (alert) => {
+        logAlert(alert, 'cleared');
+        sendToRenderer('alerts:cleared', alert);
+        controlApi.publish('alert', { ...alert, active: false });
     });
 }
 
-function configureSocket(socket) {
-    udpSocket = socket;
+engine.on('listening', (info) => sendToRenderer('udp:server-listening', info));
+engine.on('closed', () => sendToRenderer('udp:server-closed'));
+// The renderer redraws the device grid for every roster update, so changes
+// are sent in batches (one per device, the most significant reason wins) and
+// heartbeats reach the activity log at most once per second per sender.
+const rosterUpdates = createBatcher({
+    intervalMs: ROSTER_BATCH_MS,
+    merge: (previous, next) => (next.reason === 'heartbeat' ? previous : next),
+    flush: (changes) => {
+        sendToRenderer('roster:changed', { changes, ...roster.snapshot() });
+        changes.forEach((change) => controlApi.publish('roster', { ...change, client: roster.get(change.key) }));
+    },
+});
+const heartbeatLog = createBatcher({
+    intervalMs: HEARTBEAT_COALESCE_MS,
+    merge: (previous, next) => ({ ...next, coalesced: previous.coalesced + 1 }),
+    flush: (packets) => packets.forEach((packet) => sendToRenderer('udp:message', packet)),
+});
 
-    try {
-        socket.setBroadcast(true);
-    } catch (error) {
-        mainWindow?.webContents.send('udp:error', `Broadcast configuration failed: ${error.message}`);
+// Sparklines and the fleet overview are redrawn from one summary a second
+// rather than per heartbeat.
+const telemetryUpdates = createBatcher({
+    intervalMs: TELEMETRY_PUSH_MS,
+    flush: () => sendToRenderer('telemetry:changed', telemetry.overview()),
+});
+
+engine.on('message', (packet, parsed) => {
+    const ingested = roster.ingest(packet, parsed);
+    if (ingested) {
+        telemetry.record(ingested.key, ingested.client, parsed.action);
     }
+    controlApi.publish('message', packet);
+    if (String(parsed?.action ?? '').toLowerCase() === 'heartbeat') {
+        heartbeatLog.add(`${packet.transport}|${packet.address}:${packet.port}`, { ...packet, coalesced: 1 });
+    } else {
+        sendToRenderer('udp:message', packet);
+    }
+});
+roster.on('changed', (change) => {
+    if (change.reason === 'removed' || change.reason === 'expired') {
+        telemetry.remove(change.key);
+    }
+    rosterUpdates.add(change.key, change);
+});
+telemetry.on('sample', (key) => telemetryUpdates.add(key, key));
+cuePlayer.on('progress', (progress) => {
+    sendToRenderer('cue:progress', progress);
+    controlApi.publish('cue', progress);
+});
+simulator.on('changed', (snapshot) => sendToRenderer('simulator:changed', snapshot));
+engine.on('rejected', (rejected) => {
+    sendToRenderer('udp:rejected', rejected);
+    controlApi.publish('rejected', rejected);
+});
+engine.on('ack', (ack) => {
+    sendToRenderer('udp:ack', ack);
+    controlApi.publish('ack', ack);
+});
+engine.on('delivery', (delivery) => {
+    sendToRenderer('udp:delivery', delivery);
+    controlApi.publish('delivery', delivery);
+});
+engine.on('socket-error', (message) => {
+    sendToRenderer('udp:error', message);
+    controlApi.publish('error', { message });
+});
+engine.on('flood-stats', (stats) => sendToRenderer('flood:stats', stats));
+engine.on('quarantined', (source) => {
+    sendToRenderer('flood:quarantined', source);
+    controlApi.publish('quarantine', { ...source, quarantined: true });
+});
+engine.on('released', (source) => {
+    sendToRenderer('flood:released', source);
+    controlApi.publish('quarantine', { ...source, quarantined: false });
+});
+engine.on('connection', (connection) => {
+    sendToRenderer('transports:connection', { ...connection, transports: engine.getTransports() });
+});
 
-    socket.on('error', (error) => {
-        mainWindow?.webContents.send('udp:error', error.message);
-    });
+sendQueue.on('progress', (progress) => sendToRenderer('queue:progress', progress));
 
-    socket.on('close', () => {
-        if (udpSocket === socket) {
-            udpSocket = null;
-        }
-        mainWindow?.webContents.send('udp:server-closed');
-    });
+ipcMain.handle('udp:send', async (_event, request) => enqueueCommand(request));
 
-    socket.on('message', (message, remote) => {
-        const payload = message.toString('utf8');
-        const packet = {
-            address: remote.address,
-            port: remote.port,
-            payload,
-        };
+ipcMain.handle('udp:set-listen-port', async (_event, portRequest) => engine.listen(portRequest));
 
-        mainWindow?.webContents.send('udp:message', packet);
-        mainWindow?.webContents.send('udp:ack', packet);
+ipcMain.handle('roster:list', async () => roster.snapshot());
+
+ipcMain.handle('roster:remove', async (_event, key) => roster.remove(String(key ?? '')));
+
+// Wake-on-LAN to the MAC the device reported, then a signed
+// RequestRegistration command to its last-known UDP address, so a client
+// that is up again registers without waiting for its next discovery.
+// Both outcomes are kept in the packet log as one `wake` entry.
+async function wakeDevice(key) {
+    const client = roster.get(key);
+    if (!client) {
+        throw new Error(`Unknown device "${key}".`);
+    }
 
-        const parsed = safeParseJson(payload);
-        if (parsed) {
-            handleHostDiscovery(socket, parsed, remote);
+    const host = (client.ipv4 || client.ipv6 || client.remoteAddress || '').trim();
+    const port = Number.isInteger(client.commandPort) ? client.commandPort : DEFAULT_COMMAND_PORT;
+    const result = { key, deviceName: client.deviceName, host, port, wake: null, reregister: null };
+
+    if (!client.macAddress) {
+        result.wake = { ok: false, error: 'The device has not reported a MAC address.' };
+    } else {
+        try {
+            result.wake = { ok: true, ...(await engine.sendWakeOnLan(client.macAddress, host)) };
+        } catch (error) {
+            result.wake = { ok: false, error: error.message };
         }
-    });
+    }
 
-    const addressInfo = socket.address();
-    listenPort = addressInfo.port;
-    mainWindow?.webContents.send('udp:server-listening', {
-        address: addressInfo.address,
-        port: addressInfo.port,
+    if (!host) {
+        result.reregister = { ok: false, error: 'The device has no known address.' };
+    } else {
+        try {
+            await enqueueCommand({
+                action: REREGISTER_ACTION,
+                payload: JSON.stringify(engine.announcementPayload(host, port)),
+                includeCmdId: false,
+                sign: true,
+                envelopeFormat: client.envelopeFormat,
+                deviceKey: key,
+                host,
+                port,
+                transport: TRANSPORT_UDP,
+                priority: 'urgent',
+            });
+            result.reregister = { ok: true };
+        } catch (error) {
+            result.reregister = { ok: false, error: error.message };
+        }
+    }
+
+    logStore?.append({
+        kind: 'wake',
+        host,
+        port,
+        deviceKey: key,
+        deviceName: client.deviceName,
+        action: 'Wake',
+        status: result.wake.ok && result.reregister.ok ? 'sent' : result.wake.ok || result.reregister.ok ? 'partial' : 'failed',
+        detail: [
+            result.wake.ok ? `Magic packet for ${result.wake.macAddress} to ${result.wake.destinations.join(', ')}` : `Wake-on-LAN: ${result.wake.error}`,
+            result.reregister.ok ? `Re-registration request to ${host}:${port}` : `Re-registration request: ${result.reregister.error}`,
+        ].join('; '),
     });
+    return result;
 }
 
-ipcMain.handle('udp:send', async (_event, request) => {
-    if (!request || typeof request !== 'object') {
-        throw new Error('Invalid request payload.');
-    }
+ipcMain.handle('roster:wake', async (_event, key) => wakeDevice(String(key ?? '')));
+
+ipcMain.handle('roster:get-lifecycle', async () => roster.getLifecycle());
 
-    const targetHost = String(request.host ?? '').trim();
-    const port = Number.parseInt(request.port, 10);
-    const action = String(request.action ?? '').trim();
-    const includeCmdId = Boolean(request.includeCmdId);
-    const explicitCmdId = typeof request.cmdId === 'string' ? request.cmdId.trim() : '';
-    const sharedSecret = typeof request.sharedSecret === 'string' ? request.sharedSecret : '';
+ipcMain.handle('roster:apply-lifecycle', async (_event, request) => {
+    const settings = roster.setLifecycle(request);
+    settingsStore.set('rosterLifecycle', settings);
+    return settings;
+});
+
+ipcMain.handle('telemetry:overview', async () => telemetry.overview());
+ipcMain.handle('telemetry:device', async (_event, key) => telemetry.history(String(key ?? '')));
+
+ipcMain.handle('alerts:list', async () => alertMonitor.snapshot());
+ipcMain.handle('alerts:save', async (_event, rule) => alertMonitor.save(rule));
+ipcMain.handle('alerts:remove', async (_event, id) => alertMonitor.remove(String(id ?? '')));
+ipcMain.handle('alerts:clear-history', async () => alertMonitor.clearHistory());
 
-    if (!targetHost) {
-        throw new Error('Target host is required.');
+// Group overrides of the roster lifecycle follow membership changes.
+ipcMain.handle('groups:sync', async (_event, document) => {
+    const groups = deviceGroups.replace(document);
+    roster.refreshTimeouts();
+    return groups;
+});
+
+function notifyLibraryChanged() {
+    sendToRenderer('library:changed', commandLibrary.list());
+}
+
+ipcMain.handle('library:list', async () => commandLibrary.list());
+
+ipcMain.handle('library:save', async (_event, preset) => {
+    const saved = commandLibrary.save(preset);
+    notifyLibraryChanged();
+    return saved;
+});
+
+ipcMain.handle('library:remove', async (_event, id) => {
+    const removed = commandLibrary.remove(String(id ?? ''));
+    notifyLibraryChanged();
+    return removed;
+});
+
+ipcMain.handle('library:import', async () => {
+    const selection = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import command presets',
+        properties: ['openFile'],
+        filters: [{ name: 'JSON', extensions: ['json'] }],
+    });
+
+    if (selection.canceled || selection.filePaths.length === 0) {
+        return { canceled: true, imported: 0 };
     }
 
-    if (!Number.isInteger(port) || port < 1 || port > 65535) {
-        throw new Error('Port must be between 1 and 65535.');
+    const raw = await fs.readFile(selection.filePaths[0], 'utf8');
+    let document;
+    try {
+        document = JSON.parse(raw);
+    } catch {
+        throw new Error('Import file is not valid JSON.');
     }
 
-    if (!action) {
-        throw new Error('Action is required.');
+    const imported = commandLibrary.importDocument(document);
+    notifyLibraryChanged();
+    return { canceled: false, imported };
+});
+
+ipcMain.handle('library:export', async () => {
+    const selection = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export command presets',
+        defaultPath: 'udp-command-presets.json',
+        filters: [{ name: 'JSON', extensions: ['json'] }],
+    });
+
+    if (selection.canceled || !selection.filePath) {
+        return { canceled: true };
     }
 
-    const timestamp = Number.isFinite(request.timestamp)
-        ? Math.trunc(request.timestamp)
-        : Date.now();
+    const document = commandLibrary.exportDocument();
+    await fs.writeFile(selection.filePath, JSON.stringify(document, null, 2), 'utf8');
+    return { canceled: false, filePath: selection.filePath, exported: document.presets.length };
+});
 
-    const payloadString = typeof request.payload === 'string' ? request.payload : '';
+ipcMain.handle('library:send', async (_event, request) => commandRunner.sendPreset(request));
 
-    const message = {
-        action,
-        timestamp,
-    };
+ipcMain.handle('schemas:list', async () => schemaRegistry.list());
+ipcMain.handle('schemas:validate', async (_event, request) => schemaRegistry.validatePayload(request?.action, request?.payload));
+ipcMain.handle('schemas:clear', async () => schemaRegistry.clear());
 
-    if (payloadString.length > 0 || request.forcePayloadField) {
-        message.payload = payloadString;
+ipcMain.handle('schemas:import', async () => {
+    const selection = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import payload schemas',
+        properties: ['openFile'],
+        filters: [{ name: 'JSON', extensions: ['json'] }],
+    });
+
+    if (selection.canceled || selection.filePaths.length === 0) {
+        return { canceled: true, imported: 0 };
     }
 
-    if (includeCmdId) {
-        message.cmdId = explicitCmdId || randomUUID().slice(0, 8);
+    const raw = await fs.readFile(selection.filePaths[0], 'utf8');
+    let document;
+    try {
+        document = JSON.parse(raw);
+    } catch {
+        throw new Error('Schema file is not valid JSON.');
     }
 
-    if (sharedSecret) {
-        const canonical = `${message.action}|${message.payload ?? ''}|${message.timestamp}`;
-        const hmac = createHmac('sha256', sharedSecret);
-        message.signature = hmac.update(canonical).digest('base64');
+    return { canceled: false, imported: schemaRegistry.importDocument(document) };
+});
+
+ipcMain.handle('cue:list', async () => cueLists.list());
+
+ipcMain.handle('cue:save', async (_event, cueList) => {
+    const saved = cueLists.save(cueList);
+    sendToRenderer('cue:changed', cueLists.list());
+    return saved;
+});
+
+ipcMain.handle('cue:remove', async (_event, id) => {
+    const removed = cueLists.remove(String(id ?? ''));
+    sendToRenderer('cue:changed', cueLists.list());
+    return removed;
+});
+
+ipcMain.handle('cue:status', async () => cuePlayer.snapshot());
+
+ipcMain.handle('cue:play', async (_event, request) => {
+    const cueList = cueLists.get(request?.id);
+    if (!cueList) {
+        throw new Error('Cue list not found.');
     }
 
-    const socket = await ensureSocket(listenPort);
-    const buffer = Buffer.from(JSON.stringify(message), 'utf8');
+    return cuePlayer.play(cueList);
+});
 
-    await new Promise((resolve, reject) => {
-        socket.send(buffer, 0, buffer.length, port, targetHost, (error) => {
-            if (error) {
-                reject(error);
-            } else {
-                resolve();
-            }
-        });
+ipcMain.handle('cue:pause', async () => cuePlayer.pause());
+ipcMain.handle('cue:resume', async () => cuePlayer.resume());
+ipcMain.handle('cue:skip', async () => cuePlayer.skip());
+ipcMain.handle('cue:abort', async () => cuePlayer.abort());
+
+ipcMain.handle('schedule:list', async () => scheduler.snapshot());
+ipcMain.handle('schedule:save', async (_event, job) => scheduler.save(job));
+ipcMain.handle('schedule:remove', async (_event, id) => scheduler.remove(String(id ?? '')));
+ipcMain.handle('schedule:set-enabled', async (_event, request) => scheduler.setEnabled(String(request?.id ?? ''), request?.enabled));
+ipcMain.handle('schedule:run-now', async (_event, id) => scheduler.runNow(String(id ?? '')));
+ipcMain.handle('schedule:clear-history', async () => scheduler.clearHistory());
+
+ipcMain.handle('logs:query', async (_event, query) => logStore.query(query));
+
+ipcMain.handle('logs:export', async (_event, request) => {
+    const format = request?.format === 'csv' ? 'csv' : 'jsonl';
+    const selection = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export packet log',
+        defaultPath: `udp-host-log.${format}`,
+        filters: [{ name: format.toUpperCase(), extensions: [format] }],
     });
 
-    return {
-        sentBytes: buffer.length,
-        message,
-    };
+    if (selection.canceled || !selection.filePath) {
+        return { canceled: true };
+    }
+
+    const exported = await logStore.exportTo(selection.filePath, request?.query, format);
+    return { canceled: false, filePath: selection.filePath, exported };
 });
 
-ipcMain.handle('udp:set-listen-port', async (_event, portRequest) => {
-    const parsed = Number.parseInt(portRequest, 10);
-    if (!Number.isInteger(parsed) || parsed < 0 || parsed > 65535) {
-        throw new Error('Listen port must be between 0 and 65535.');
-    }
+ipcMain.handle('logs:open-folder', async () => shell.openPath(logStore.directory));
+
+ipcMain.handle('verification:get-settings', async () => engine.getVerification());
 
-    const socket = await ensureSocket(parsed);
-    return socket.address();
+ipcMain.handle('verification:apply-settings', async (_event, request) => {
+    const settings = engine.setVerification(request);
+    settingsStore.set('inboundVerification', settings);
+    return settings;
 });
 
-app.whenReady().then(() => {
-    createWindow();
+ipcMain.handle('network:interfaces', async () => listInterfaces());
+ipcMain.handle('network:get-settings', async () => engine.getNetwork());
 
-    ensureSocket(listenPort).catch((error) => {
-        mainWindow?.webContents.send('udp:error', `Listener failed: ${error.message}`);
-    });
+ipcMain.handle('network:apply-settings', async (_event, request) => {
+    const settings = engine.setNetwork(request);
+    settingsStore.set('network', settings);
+    return settings;
+});
 
-    app.on('activate', () => {
-        if (BrowserWindow.getAllWindows().length === 0) {
-            createWindow();
-        }
-    });
+ipcMain.handle('transports:get-settings', async () => engine.getTransports());
+
+// Saved before applying so a port that is busy right now is retried on the
+// next launch.
+ipcMain.handle('transports:apply-settings', async (_event, request) => {
+    const settings = normalizeTransportSettings(request);
+    settingsStore.set('transports', settings);
+    return engine.setTransports(settings);
 });
 
-app.on('window-all-closed', () => {
-    if (process.platform !== 'darwin') {
-        app.quit();
-    }
+ipcMain.handle('flood:get-settings', async () => engine.getFloodProtection());
+
+ipcMain.handle('flood:apply-settings', async (_event, request) => {
+    const snapshot = engine.setFloodProtection(request);
+    settingsStore.set('floodProtection', snapshot.settings);
+    return snapshot;
 });
 
-app.on('will-quit', () => {
-    if (udpSocket) {
-        const socket = udpSocket;
-        udpSocket = null;
-        try {
-            socket.close();
-        } catch {
-            // ignore shutdown errors
-        }
-    }
+ipcMain.handle('flood:release', async (_event, source) => engine.releaseSource(source));
+ipcMain.handle('flood:reset-counters', async () => engine.resetFloodCounters());
+
+ipcMain.handle('queue:get-settings', async () => sendQueue.snapshot());
+
+ipcMain.handle('queue:apply-settings', async (_event, request) => {
+    const settings = sendQueue.setSettings(request);
+    settingsStore.set('sendQueue', settings);
+    return sendQueue.snapshot();
 });
 
-function safeParseJson(payload) {
-    if (typeof payload !== 'string' || payload.length === 0) {
-        return null;
+ipcMain.handle('queue:cancel', async () => sendQueue.cancel());
+
+ipcMain.handle('simulator:status', async () => simulator.snapshot());
+
+// Simulated headsets sign and encrypt with the default key, which the
+// listener accepts from any device without its own key.
+ipcMain.handle('simulator:start', async (_event, options) => simulator.start({
+    ...options,
+    hostPort: options?.hostPort || engine.getListenPort(),
+    sharedSecret: options?.sign || options?.encrypt ? keyStore.forTarget({})?.secret ?? '' : '',
+}));
+
+ipcMain.handle('keys:list', async () => keyStore.snapshot());
+ipcMain.handle('keys:save', async (_event, input) => keyStore.save(input));
+ipcMain.handle('keys:rotate', async (_event, id) => keyStore.rotate(String(id ?? '')));
+ipcMain.handle('keys:remove', async (_event, id) => keyStore.remove(String(id ?? '')));
+
+// Secrets never cross into the renderer; copying goes straight to the
+// clipboard so a device can be provisioned.
+ipcMain.handle('keys:copy', async (_event, id) => {
+    clipboard.writeText(keyStore.exportSecret(String(id ?? '')));
+    return true;
+});
+
+ipcMain.handle('simulator:stop', async () => simulator.stop());
+
+ipcMain.handle('simulator:replay', async (_event, request) => {
+    if (activeReplay) {
+        throw new Error('A replay is already running.');
     }
 
-    try {
-        return JSON.parse(payload);
-    } catch {
-        return null;
+    const selection = await dialog.showOpenDialog(mainWindow, {
+        title: 'Replay packet capture',
+        defaultPath: logStore.directory,
+        properties: ['openFile'],
+        filters: [{ name: 'JSONL', extensions: ['jsonl'] }],
+    });
+
+    if (selection.canceled || selection.filePaths.length === 0) {
+        return { canceled: true };
     }
-}
 
-function handleHostDiscovery(socket, message, remote) {
-    const action = typeof message.action === 'string' ? message.action.toLowerCase() : '';
-    if (action !== 'discoverhost') {
-        return;
+    const entries = await readCapture(selection.filePaths[0]);
+    if (entries.length === 0) {
+        throw new Error('Capture has no inbound packets to replay.');
     }
 
-    let requestPayload = null;
-    if (typeof message.payload === 'string' && message.payload.length > 0) {
-        requestPayload = safeParseJson(message.payload);
+    const replay = replayCapture(entries, {
+        hostPort: engine.getListenPort(),
+        speed: request?.speed,
+    });
+    activeReplay = replay;
+    replay.on('progress', (progress) => sendToRenderer('simulator:replay-progress', progress));
+    replay.done
+        .catch((error) => sendToRenderer('udp:error', `Replay failed: ${error.message}`))
+        .finally(() => {
+            if (activeReplay === replay) {
+                activeReplay = null;
+            }
+        });
+
+    return { canceled: false, filePath: selection.filePaths[0], total: entries.length };
+});
+
+ipcMain.handle('simulator:stop-replay', async () => {
+    activeReplay?.stop();
+});
+
+ipcMain.handle('api:get-settings', async () => ({
+    settings: settingsStore.get('controlApi'),
+    state: controlApi.getState(),
+}));
+
+ipcMain.handle('api:apply-settings', async (_event, request) => {
+    if (!request || typeof request !== 'object') {
+        throw new Error('Invalid API settings.');
     }
 
-    const addressInfo = socket.address();
-    const hostAddress = resolveLocalIPv4(remote.address) || addressInfo.address || '0.0.0.0';
-    const requestedCommandPort = Number.parseInt(requestPayload?.commandPort, 10);
-    const response = {
-        action: 'HostAnnouncement',
-        timestamp: Date.now(),
-        payload: JSON.stringify({
-            hostName: os.hostname(),
-            hostAddress,
-            hostPort: addressInfo.port,
-            commandPort: Number.isInteger(requestedCommandPort) ? requestedCommandPort : 0,
-        }),
+    const settings = {
+        enabled: Boolean(request.enabled),
+        bindAddress: String(request.bindAddress ?? '').trim() || DEFAULT_API_SETTINGS.bindAddress,
+        port: Number.parseInt(request.port, 10),
+        token: String(request.token ?? '').trim(),
     };
 
-    if (typeof message.cmdId === 'string' && message.cmdId.length > 0) {
-        response.cmdId = message.cmdId;
-    }
+    const state = await controlApi.apply(settings);
+    settingsStore.set('controlApi', settings);
+    return { settings, state };
+});
 
-    const buffer = Buffer.from(JSON.stringify(response), 'utf8');
-    socket.send(buffer, 0, buffer.length, remote.port, remote.address, (error) => {
-        if (error) {
-            mainWindow?.webContents.send('udp:error', `Discovery response failed: ${error.message}`);
-        }
+app.whenReady().then(() => {
+    settingsStore = createJsonStore(path.join(app.getPath('userData'), 'settings.json'), {
+        controlApi: DEFAULT_API_SETTINGS,
+        inboundVerification: DEFAULT_VERIFICATION_SETTINGS,
+        network: DEFAULT_NETWORK_SETTINGS,
+        transports: DEFAULT_TRANSPORT_SETTINGS,
+        sendQueue: DEFAULT_QUEUE_SETTINGS,
+        floodProtection: DEFAULT_FLOOD_SETTINGS,
+        rosterLifecycle: DEFAULT_LIFECYCLE_SETTINGS,
     });
-}
-
-function resolveLocalIPv4(remoteAddress) {
-    const interfaces = os.networkInterfaces();
-    const remoteParts = typeof remoteAddress === 'string' ? remoteAddress.split('.') : null;
-    let fallback = null;
+    commandLibrary = createCommandLibrary(
+        createJsonStore(path.join(app.getPath('userData'), 'command-library.json'), { presets: [] })
+    );
+    deviceGroups = createDeviceGroups(settingsStore);
+    deviceInventory = createDeviceInventory({
+        store: createJsonStore(path.join(app.getPath('userData'), 'devices.json'), { devices: [] }),
+        roster,
+        groupsOf: (key) => deviceGroups.groupsOf(key, roster),
+    });
+    schemaRegistry = createSchemaRegistry(
+        createJsonStore(path.join(app.getPath('userData'), 'schemas.json'), { schemas: [] })
+    );
+    schemaRegistry.on('changed', (list) => sendToRenderer('schemas:changed', list));
+    alertMonitor = createAlertMonitor({
+        store: createJsonStore(path.join(app.getPath('userData'), 'alerts.json'), { rules: DEFAULT_ALERT_RULES, history: [] }),
+        roster,
+        telemetry,
+        groupsOf: (key) => deviceGroups.groupsOf(key, roster),
+    });
+    alertMonitor.on('changed', (snapshot) => sendToRenderer('alerts:changed', snapshot));
+    keyStore = createKeyStore({
+        store: createJsonStore(path.join(app.getPath('userData'), 'keys.json'), { keys: [] }),
+        codec: keyCodec,
+        groupsOf: (key) => deviceGroups.groupsOf(key, roster),
+    });
+    keyStore.on('changed', (snapshot) => sendToRenderer('keys:changed', snapshot));
+    keyStore.on('rotated', (entry) => sendToRenderer('keys:rotated', entry));
+    keyStore.on('unreadable', ({ kid, error }) => {
+        const message = `Key ${kid} cannot be decrypted and is skipped: ${error}`;
+        sendToRenderer('udp:error', message);
+        controlApi.publish('error', { message });
+    });
+    logStore = createLogStore({ directory: path.join(app.getPath('userData'), 'logs') });
+    logStore.on('write-error', (error) => sendToRenderer('udp:error', `Log write failed: ${error.message}`));
+    attachEngineLog(logStore, { engine, roster });
+    attachAlertOutputs();
+    commandRunner = createCommandRunner({ dispatcher, roster, library: commandLibrary });
+    cueLists = createCueListStore(
+        createJsonStore(path.join(app.getPath('userData'), 'cue-lists.json'), { cueLists: [] })
+    );
+    scheduler = createScheduler({
+        store: createJsonStore(path.join(app.getPath('userData'), 'schedule.json'), { jobs: [], history: [] }),
+        runCommand: (request) => commandRunner.run(request),
+        subscribeDeliveries,
+    });
+    scheduler.on('changed', (snapshot) => sendToRenderer('schedule:changed', snapshot));
 
-    for (const addresses of Object.values(interfaces)) {
-        for (const details of addresses ?? []) {
-            if (!details || details.internal || details.family !== 'IPv4') {
-                continue;
-            }
+    createWindow();
 
-            fallback ??= details.address;
+    try {
+        migrateLegacySecret();
+    } catch (error) {
+        sendToRenderer('udp:error', `Shared secret migration failed: ${error.message}`);
+    }
+    engine.setVerification(settingsStore.get('inboundVerification'));
+    try {
+        engine.setNetwork(settingsStore.get('network'));
+    } catch (error) {
+        sendToRenderer('udp:error', `Network settings not applied: ${error.message}`);
+    }
+    sendQueue.setSettings(settingsStore.get('sendQueue'));
+    roster.setLifecycle(settingsStore.get('rosterLifecycle'));
+    deviceInventory.start();
+    engine.setFloodProtection(settingsStore.get('floodProtection'));
+    engine.listen(engine.getListenPort()).catch((error) => {
+        sendToRenderer('udp:error', `Listener failed: ${error.message}`);
+    });
+    engine.setTransports(settingsStore.get('transports')).catch((error) => {
+        sendToRenderer('udp:error', error.message);
+    });
+    scheduler.start();
+    keyStore.start();
+    alertMonitor.start();
+
+    const apiSettings = settingsStore.get('controlApi');
+    if (apiSettings?.enabled) {
+        controlApi.apply(apiSettings).catch((error) => {
+            sendToRenderer('udp:error', `Control API failed: ${error.message}`);
+        });
+    }
 
-            if (!remoteParts || remoteParts.length !== 4) {
-                continue;
-            }
+    app.on('activate', () => {
+        if (BrowserWindow.getAllWindows().length === 0) {
+            createWindow();
+        }
+    });
+});
 
-            const localParts = details.address.split('.');
-            if (localParts.length !== 4) {
-                continue;
-            }
+app.on('window-all-closed', () => {
+    if (process.platform !== 'darwin') {
+        app.quit();
+    }
+});
 
-            if (localParts[0] === remoteParts[0] &&
-                localParts[1] === remoteParts[1] &&
-                localParts[2] === remoteParts[2]) {
-                return details.address;
-            }
-        }
+// Quitting waits once for the packet log to reach disk: the first
+// 'will-quit' is held back until the flush finishes, then quits again.
+app.on('will-quit', (event) => {
+    if (shutdownComplete) {
+        return;
     }
 
-    return fallback;
-}
+    event.preventDefault();
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+
+    cuePlayer.abort();
+    sendQueue.cancel();
+    rosterUpdates.clear();
+    heartbeatLog.clear();
+    telemetryUpdates.clear();
+    alertMonitor?.stop();
+    deviceInventory?.stop();
+    scheduler?.stop();
+    keyStore?.stop();
+    simulator.stop();
+    activeReplay?.stop();
+    engine.close();
+    roster.dispose();
+    void controlApi.stop();
+    Promise.resolve(logStore?.flush()).finally(() => {
+        shutdownComplete = true;
+        app.quit();
+    });
+});
@@ -22,9 +22,228 @@ contextBridge.exposeInMainWorld('udpHost', {
     setListenPort(port) {
         return ipcRenderer.invoke('udp:set-listen-port', port);
     },
+    getRoster() {
+        return ipcRenderer.invoke('roster:list');
+    },
+    syncDeviceGroups(document) {
+        return ipcRenderer.invoke('groups:sync', document);
+    },
+    removeClient(key) {
+        return ipcRenderer.invoke('roster:remove', key);
+    },
+    wakeDevice(key) {
+        return ipcRenderer.invoke('roster:wake', key);
+    },
+    getRosterLifecycle() {
+        return ipcRenderer.invoke('roster:get-lifecycle');
+    },
+    applyRosterLifecycle(settings) {
+        return ipcRenderer.invoke('roster:apply-lifecycle', settings);
+    },
+    listPresets() {
+        return ipcRenderer.invoke('library:list');
+    },
+    savePreset(preset) {
+        return ipcRenderer.invoke('library:save', preset);
+    },
+    removePreset(id) {
+        return ipcRenderer.invoke('library:remove', id);
+    },
+    importPresets() {
+        return ipcRenderer.invoke('library:import');
+    },
+    exportPresets() {
+        return ipcRenderer.invoke('library:export');
+    },
+    sendPreset(request) {
+        return ipcRenderer.invoke('library:send', request);
+    },
+    listSchemas() {
+        return ipcRenderer.invoke('schemas:list');
+    },
+    importSchemas() {
+        return ipcRenderer.invoke('schemas:import');
+    },
+    clearSchemas() {
+        return ipcRenderer.invoke('schemas:clear');
+    },
+    validatePayload(request) {
+        return ipcRenderer.invoke('schemas:validate', request);
+    },
+    listCueLists() {
+        return ipcRenderer.invoke('cue:list');
+    },
+    saveCueList(cueList) {
+        return ipcRenderer.invoke('cue:save', cueList);
+    },
+    removeCueList(id) {
+        return ipcRenderer.invoke('cue:remove', id);
+    },
+    getCueStatus() {
+        return ipcRenderer.invoke('cue:status');
+    },
+    playCueList(request) {
+        return ipcRenderer.invoke('cue:play', request);
+    },
+    pauseCueList() {
+        return ipcRenderer.invoke('cue:pause');
+    },
+    resumeCueList() {
+        return ipcRenderer.invoke('cue:resume');
+    },
+    skipCueStep() {
+        return ipcRenderer.invoke('cue:skip');
+    },
+    abortCueList() {
+        return ipcRenderer.invoke('cue:abort');
+    },
+    getSchedule() {
+        return ipcRenderer.invoke('schedule:list');
+    },
+    saveJob(job) {
+        return ipcRenderer.invoke('schedule:save', job);
+    },
+    removeJob(id) {
+        return ipcRenderer.invoke('schedule:remove', id);
+    },
+    setJobEnabled(request) {
+        return ipcRenderer.invoke('schedule:set-enabled', request);
+    },
+    runJobNow(id) {
+        return ipcRenderer.invoke('schedule:run-now', id);
+    },
+    clearJobHistory() {
+        return ipcRenderer.invoke('schedule:clear-history');
+    },
+    queryLogs(query) {
+        return ipcRenderer.invoke('logs:query', query);
+    },
+    exportLogs(request) {
+        return ipcRenderer.invoke('logs:export', request);
+    },
+    openLogFolder() {
+        return ipcRenderer.invoke('logs:open-folder');
+    },
+    getVerificationSettings() {
+        return ipcRenderer.invoke('verification:get-settings');
+    },
+    applyVerificationSettings(settings) {
+        return ipcRenderer.invoke('verification:apply-settings', settings);
+    },
+    listNetworkInterfaces() {
+        return ipcRenderer.invoke('network:interfaces');
+    },
+    getNetworkSettings() {
+        return ipcRenderer.invoke('network:get-settings');
+    },
+    applyNetworkSettings(settings) {
+        return ipcRenderer.invoke('network:apply-settings', settings);
+    },
+    getTransportSettings() {
+        return ipcRenderer.invoke('transports:get-settings');
+    },
+    applyTransportSettings(settings) {
+        return ipcRenderer.invoke('transports:apply-settings', settings);
+    },
+    getFloodSettings() {
+        return ipcRenderer.invoke('flood:get-settings');
+    },
+    applyFloodSettings(settings) {
+        return ipcRenderer.invoke('flood:apply-settings', settings);
+    },
+    releaseSource(source) {
+        return ipcRenderer.invoke('flood:release', source);
+    },
+    resetFloodCounters() {
+        return ipcRenderer.invoke('flood:reset-counters');
+    },
+    getQueueSettings() {
+        return ipcRenderer.invoke('queue:get-settings');
+    },
+    applyQueueSettings(settings) {
+        return ipcRenderer.invoke('queue:apply-settings', settings);
+    },
+    cancelQueuedSends() {
+        return ipcRenderer.invoke('queue:cancel');
+    },
+    getTelemetry() {
+        return ipcRenderer.invoke('telemetry:overview');
+    },
+    getDeviceTelemetry(key) {
+        return ipcRenderer.invoke('telemetry:device', key);
+    },
+    listAlerts() {
+        return ipcRenderer.invoke('alerts:list');
+    },
+    saveAlertRule(rule) {
+        return ipcRenderer.invoke('alerts:save', rule);
+    },
+    removeAlertRule(id) {
+        return ipcRenderer.invoke('alerts:remove', id);
+    },
+    clearAlertHistory() {
+        return ipcRenderer.invoke('alerts:clear-history');
+    },
+    listKeys() {
+        return ipcRenderer.invoke('keys:list');
+    },
+    saveKey(input) {
+        return ipcRenderer.invoke('keys:save', input);
+    },
+    rotateKey(id) {
+        return ipcRenderer.invoke('keys:rotate', id);
+    },
+    removeKey(id) {
+        return ipcRenderer.invoke('keys:remove', id);
+    },
+    copyKey(id) {
+        return ipcRenderer.invoke('keys:copy', id);
+    },
+    getSimulatorStatus() {
+        return ipcRenderer.invoke('simulator:status');
+    },
+    startSimulator(options) {
+        return ipcRenderer.invoke('simulator:start', options);
+    },
+    stopSimulator() {
+        return ipcRenderer.invoke('simulator:stop');
+    },
+    replayCapture(request) {
+        return ipcRenderer.invoke('simulator:replay', request);
+    },
+    stopReplay() {
+        return ipcRenderer.invoke('simulator:stop-replay');
+    },
+    getApiSettings() {
+        return ipcRenderer.invoke('api:get-settings');
+    },
+    applyApiSettings(settings) {
+        return ipcRenderer.invoke('api:apply-settings', settings);
+    },
     onServerStatus: wrapListener('udp:server-listening'),
     onServerClosed: wrapListener('udp:server-closed'),
     onMessage: wrapListener('udp:message'),
+    onRejected: wrapListener('udp:rejected'),
     onAcknowledgement: wrapListener('udp:ack'),
+    onDelivery: wrapListener('udp:delivery'),
+    onTransportConnection: wrapListener('transports:connection'),
+    onQueueProgress: wrapListener('queue:progress'),
+    onFloodStats: wrapListener('flood:stats'),
+    onSourceQuarantined: wrapListener('flood:quarantined'),
+    onSourceReleased: wrapListener('flood:released'),
+    onRosterChanged: wrapListener('roster:changed'),
+    onTelemetry: wrapListener('telemetry:changed'),
+    onAlertsChanged: wrapListener('alerts:changed'),
+    onAlertRaised: wrapListener('alerts:raised'),
+    onAlertCleared: wrapListener('alerts:cleared'),
+    onLibraryChanged: wrapListener('library:changed'),
+    onSchemasChanged: wrapListener('schemas:changed'),
+    onCueListsChanged: wrapListener('cue:changed'),
+    onCueProgress: wrapListener('cue:progress'),
+    onScheduleChanged: wrapListener('schedule:changed'),
+    onKeysChanged: wrapListener('keys:changed'),
+    onKeyRotated: wrapListener('keys:rotated'),
+    onSimulatorChanged: wrapListener('simulator:changed'),
+    onReplayProgress: wrapListener('simulator:replay-progress'),
     onError: wrapListener('udp:error'),
 });
@@ -8,7 +8,8 @@
     const portInput = document.getElementById('targetPort');
     const actionInput = document.getElementById('action');
     const payloadInput = document.getElementById('payload');
-    const sharedSecretInput = document.getElementById('sharedSecret');
+    const signCommandsInput = document.getElementById('signCommands');
+    const manualEnvelopeFormatSelect = document.getElementById('manualEnvelopeFormat');
     const includeCmdIdInput = document.getElementById('includeCmdId');
     const cmdIdInput = document.getElementById('cmdId');
     const generateCmdIdButton = document.getElementById('generateCmdId');
@@ -19,30 +20,335 @@
     const basicCommandPanel = document.getElementById('basicCommandPanel');
     const advancedCommandPanel = document.getElementById('advancedCommandPanel');
     const autoTimestampInput = document.getElementById('autoTimestamp');
+    const expectAckInput = document.getElementById('expectAck');
+    const ackRetryDelaysInput = document.getElementById('ackRetryDelays');
+    const ackTimeoutInput = document.getElementById('ackTimeout');
     const preview = document.getElementById('preview');
+    const previewSize = document.getElementById('previewSize');
     const status = document.getElementById('status');
     const logContainer = document.getElementById('log');
     const deviceGrid = document.getElementById('deviceGrid');
     const deviceStats = document.getElementById('deviceStats');
     const selectAllButton = document.getElementById('selectAllDevices');
     const clearSelectionButton = document.getElementById('clearSelection');
+    const filterScopeSelect = document.getElementById('filterScope');
+    const filterPlatformSelect = document.getElementById('filterPlatform');
+    const filterSceneSelect = document.getElementById('filterScene');
+    const filterBuildSelect = document.getElementById('filterBuild');
+    const filterFieldSelect = document.getElementById('filterField');
+    const filterFieldValueSelect = document.getElementById('filterFieldValue');
+    const sortDevicesSelect = document.getElementById('sortDevices');
+    const sortDirectionButton = document.getElementById('sortDirection');
+    const cardFieldPathInput = document.getElementById('cardFieldPath');
+    const cardFieldLabelInput = document.getElementById('cardFieldLabel');
+    const cardFieldFormatSelect = document.getElementById('cardFieldFormat');
+    const cardFieldUnitInput = document.getElementById('cardFieldUnit');
+    const cardFieldDecimalsInput = document.getElementById('cardFieldDecimals');
+    const cardFieldWarnInput = document.getElementById('cardFieldWarn');
+    const cardFieldCriticalInput = document.getElementById('cardFieldCritical');
+    const saveCardFieldButton = document.getElementById('saveCardField');
+    const resetCardFieldButton = document.getElementById('resetCardField');
+    const cardFieldStatus = document.getElementById('cardFieldStatus');
+    const cardFieldList = document.getElementById('cardFieldList');
+    const knownMetadataFieldsList = document.getElementById('knownMetadataFields');
+    const groupNameInput = document.getElementById('groupName');
+    const saveGroupButton = document.getElementById('saveGroup');
+    const deleteGroupButton = document.getElementById('deleteGroup');
+    const groupStatus = document.getElementById('groupStatus');
+    const targetScopeSelect = document.getElementById('targetScope');
+    const knownTagsList = document.getElementById('knownTags');
+    const presetSelect = document.getElementById('presetSelect');
+    const presetParamsContainer = document.getElementById('presetParams');
+    const actionSuggestions = document.getElementById('actionSuggestions');
+    const schemaFormContainer = document.getElementById('schemaForm');
+    const schemaStatus = document.getElementById('schemaStatus');
+    const payloadFieldsContainer = document.getElementById('payloadFields');
+    const schemaSummary = document.getElementById('schemaSummary');
+    const importSchemasButton = document.getElementById('importSchemas');
+    const clearSchemasButton = document.getElementById('clearSchemas');
+    const presetNameInput = document.getElementById('presetName');
+    const presetQuickFireInput = document.getElementById('presetQuickFire');
+    const sendPresetButton = document.getElementById('sendPreset');
+    const loadPresetButton = document.getElementById('loadPreset');
+    const deletePresetButton = document.getElementById('deletePreset');
+    const savePresetButton = document.getElementById('savePreset');
+    const importPresetsButton = document.getElementById('importPresets');
+    const exportPresetsButton = document.getElementById('exportPresets');
+    const cueListSelect = document.getElementById('cueListSelect');
+    const cueListNameInput = document.getElementById('cueListName');
+    const cueStepsInput = document.getElementById('cueSteps');
+    const cueEditorStatus = document.getElementById('cueEditorStatus');
+    const newCueListButton = document.getElementById('newCueList');
+    const deleteCueListButton = document.getElementById('deleteCueList');
+    const saveCueListButton = document.getElementById('saveCueList');
+    const cueState = document.getElementById('cueState');
+    const playCueListButton = document.getElementById('playCueList');
+    const pauseCueListButton = document.getElementById('pauseCueList');
+    const skipCueStepButton = document.getElementById('skipCueStep');
+    const abortCueListButton = document.getElementById('abortCueList');
+    const cueProgressList = document.getElementById('cueProgress');
+    const jobNameInput = document.getElementById('jobName');
+    const jobTriggerTypeSelect = document.getElementById('jobTriggerType');
+    const jobRunAtInput = document.getElementById('jobRunAt');
+    const jobIntervalInput = document.getElementById('jobInterval');
+    const jobCronInput = document.getElementById('jobCron');
+    const jobCommandSelect = document.getElementById('jobCommand');
+    const jobActionInput = document.getElementById('jobAction');
+    const jobPortInput = document.getElementById('jobPort');
+    const jobPayloadInput = document.getElementById('jobPayload');
+    const jobTargetsInput = document.getElementById('jobTargets');
+    const jobExpectAckInput = document.getElementById('jobExpectAck');
+    const jobEnabledInput = document.getElementById('jobEnabled');
+    const jobEditorStatus = document.getElementById('jobEditorStatus');
+    const newJobButton = document.getElementById('newJob');
+    const deleteJobButton = document.getElementById('deleteJob');
+    const saveJobButton = document.getElementById('saveJob');
+    const jobSummary = document.getElementById('jobSummary');
+    const jobList = document.getElementById('jobList');
+    const jobHistoryList = document.getElementById('jobHistory');
+    const clearJobHistoryButton = document.getElementById('clearJobHistory');
+    const historyForm = document.getElementById('historyForm');
+    const historyDeviceInput = document.getElementById('historyDevice');
+    const historyActionInput = document.getElementById('historyAction');
+    const historyFromInput = document.getElementById('historyFrom');
+    const historyToInput = document.getElementById('historyTo');
+    const historyTextInput = document.getElementById('historyText');
+    const historySummary = document.getElementById('historySummary');
+    const historyLog = document.getElementById('historyLog');
+    const exportHistoryJsonlButton = document.getElementById('exportHistoryJsonl');
+    const exportHistoryCsvButton = document.getElementById('exportHistoryCsv');
+    const openLogFolderButton = document.getElementById('openLogFolder');
+    const apiStatus = document.getElementById('apiStatus');
+    const apiEnabledInput = document.getElementById('apiEnabled');
+    const apiBindAddressInput = document.getElementById('apiBindAddress');
+    const apiPortInput = document.getElementById('apiPort');
+    const apiTokenInput = document.getElementById('apiToken');
+    const generateApiTokenButton = document.getElementById('generateApiToken');
+    const applyApiSettingsButton = document.getElementById('applyApiSettings');
+    const verifyModeSelect = document.getElementById('verifyMode');
+    const verifyMaxSkewInput = document.getElementById('verifyMaxSkew');
+    const applyVerificationButton = document.getElementById('applyVerification');
+    const netInterfaceSelect = document.getElementById('netInterface');
+    const netMulticastTtlInput = document.getElementById('netMulticastTtl');
+    const netMulticastGroupsInput = document.getElementById('netMulticastGroups');
+    const netDirectedBroadcastInput = document.getElementById('netDirectedBroadcast');
+    const netMulticastLoopbackInput = document.getElementById('netMulticastLoopback');
+    const netIPv6Input = document.getElementById('netIPv6');
+    const netMtuInput = document.getElementById('netMtu');
+    const netChunkingInput = document.getElementById('netChunking');
+    const applyNetworkButton = document.getElementById('applyNetwork');
+    const transportTcpEnabledInput = document.getElementById('transportTcpEnabled');
+    const transportTcpPortInput = document.getElementById('transportTcpPort');
+    const transportWsEnabledInput = document.getElementById('transportWsEnabled');
+    const transportWsPortInput = document.getElementById('transportWsPort');
+    const applyTransportsButton = document.getElementById('applyTransports');
+    const transportStatus = document.getElementById('transportStatus');
+    const floodEnabledInput = document.getElementById('floodEnabled');
+    const floodRateInput = document.getElementById('floodRate');
+    const floodBurstInput = document.getElementById('floodBurst');
+    const floodThresholdInput = document.getElementById('floodThreshold');
+    const floodQuarantineSecondsInput = document.getElementById('floodQuarantineSeconds');
+    const applyFloodButton = document.getElementById('applyFlood');
+    const resetFloodCountersButton = document.getElementById('resetFloodCounters');
+    const floodStatus = document.getElementById('floodStatus');
+    const floodCounters = document.getElementById('floodCounters');
+    const floodSourcesList = document.getElementById('floodSources');
+    const queueRateInput = document.getElementById('queueRate');
+    const queueJitterInput = document.getElementById('queueJitter');
+    const queueUrgentActionsInput = document.getElementById('queueUrgentActions');
+    const applyQueueSettingsButton = document.getElementById('applyQueueSettings');
+    const queueIndicator = document.getElementById('queueIndicator');
+    const queueProgress = document.getElementById('queueProgress');
+    const queueStatus = document.getElementById('queueStatus');
+    const cancelQueueButton = document.getElementById('cancelQueue');
+    const networkStatus = document.getElementById('networkStatus');
+    const targetHostSuggestions = document.getElementById('targetHostSuggestions');
+    const verifyStatus = document.getElementById('verifyStatus');
+    const keyScopeSelect = document.getElementById('keyScope');
+    const keyTargetInput = document.getElementById('keyTarget');
+    const keySecretInput = document.getElementById('keySecret');
+    const keyRotationDaysInput = document.getElementById('keyRotationDays');
+    const keyGraceHoursInput = document.getElementById('keyGraceHours');
+    const keyEditorStatus = document.getElementById('keyEditorStatus');
+    const newKeyButton = document.getElementById('newKey');
+    const deleteKeyButton = document.getElementById('deleteKey');
+    const saveKeyButton = document.getElementById('saveKey');
+    const rotateKeyButton = document.getElementById('rotateKey');
+    const copyKeyButton = document.getElementById('copyKey');
+    const keyList = document.getElementById('keyList');
+    const keySummary = document.getElementById('keySummary');
+    const simulatorStatus = document.getElementById('simulatorStatus');
+    const simCountInput = document.getElementById('simCount');
+    const simNamePrefixInput = document.getElementById('simNamePrefix');
+    const simPlatformInput = document.getElementById('simPlatform');
+    const simSceneInput = document.getElementById('simScene');
+    const simBatteryInput = document.getElementById('simBattery');
+    const simHeartbeatInput = document.getElementById('simHeartbeat');
+    const simAckDropInput = document.getElementById('simAckDrop');
+    const simAckLatencyInput = document.getElementById('simAckLatency');
+    const simAckJitterInput = document.getElementById('simAckJitter');
+    const simSignInput = document.getElementById('simSign');
+    const simEncryptInput = document.getElementById('simEncrypt');
+    const simMetadataInput = document.getElementById('simMetadata');
+    const startSimulatorButton = document.getElementById('startSimulator');
+    const stopSimulatorButton = document.getElementById('stopSimulator');
+    const simulatorClientList = document.getElementById('simulatorClients');
+    const replaySpeedSelect = document.getElementById('replaySpeed');
+    const replayCaptureButton = document.getElementById('replayCapture');
+    const stopReplayButton = document.getElementById('stopReplay');
+    const replayStatus = document.getElementById('replayStatus');
+    const fleetSummary = document.getElementById('fleetSummary');
+    const fleetCounters = document.getElementById('fleetCounters');
+    const fleetDevices = document.getElementById('fleetDevices');
+    const deviceHistoryPanel = document.getElementById('deviceHistoryPanel');
+    const deviceHistorySummary = document.getElementById('deviceHistorySummary');
+    const closeDeviceHistoryButton = document.getElementById('closeDeviceHistory');
+    const deviceHistorySeries = document.getElementById('deviceHistorySeries');
+    const deviceSceneHistory = document.getElementById('deviceSceneHistory');
+    const alertRuleNameInput = document.getElementById('alertRuleName');
+    const alertRuleTypeSelect = document.getElementById('alertRuleType');
+    const alertRuleThresholdInput = document.getElementById('alertRuleThreshold');
+    const alertRuleScenesInput = document.getElementById('alertRuleScenes');
+    const alertRuleGroupSelect = document.getElementById('alertRuleGroup');
+    const alertRuleNotifyInput = document.getElementById('alertRuleNotify');
+    const alertRuleEnabledInput = document.getElementById('alertRuleEnabled');
+    const alertRuleStatus = document.getElementById('alertRuleStatus');
+    const newAlertRuleButton = document.getElementById('newAlertRule');
+    const deleteAlertRuleButton = document.getElementById('deleteAlertRule');
+    const saveAlertRuleButton = document.getElementById('saveAlertRule');
+    const alertRuleList = document.getElementById('alertRuleList');
+    const alertSummary = document.getElementById('alertSummary');
+    const alertList = document.getElementById('alertList');
+    const clearAlertHistoryButton = document.getElementById('clearAlertHistory');
+    const lifecycleSummary = document.getElementById('lifecycleSummary');
+    const lifecycleStaleInput = document.getElementById('lifecycleStale');
+    const lifecycleOfflineInput = document.getElementById('lifecycleOffline');
+    const lifecycleExpireInput = document.getElementById('lifecycleExpire');
+    const applyLifecycleButton = document.getElementById('applyLifecycle');
+    const lifecycleOverrideTargetSelect = document.getElementById('lifecycleOverrideTarget');
+    const lifecycleOverrideStaleInput = document.getElementById('lifecycleOverrideStale');
+    const lifecycleOverrideOfflineInput = document.getElementById('lifecycleOverrideOffline');
+    const lifecycleOverrideExpireInput = document.getElementById('lifecycleOverrideExpire');
+    const saveLifecycleOverrideButton = document.getElementById('saveLifecycleOverride');
+    const lifecycleStatus = document.getElementById('lifecycleStatus');
+    const lifecycleOverrideList = document.getElementById('lifecycleOverrideList');
     const viewTabs = Array.from(document.querySelectorAll('.view-tab'));
     const pages = new Map(Array.from(document.querySelectorAll('.page')).map((page) => [page.id, page]));
 
     const clients = new Map();
     const selectedDevices = new Set();
+    let networkSettings = null;
+    const deliveryByDevice = new Map();
     const CUSTOM_NAME_STORAGE_KEY = 'udpHost.customDeviceNames';
     const customDeviceNames = loadCustomDeviceNames();
+    const GROUPS_STORAGE_KEY = 'udpHost.deviceGroups';
+    const TAGS_STORAGE_KEY = 'udpHost.deviceTags';
+    const GROUP_SELECTOR_PREFIX = '@group:';
+    const TAG_SELECTOR_PREFIX = '@tag:';
+    let deviceGroups = loadDeviceGroups();
+    const deviceTags = loadDeviceTags();
+    const CARD_FIELDS_STORAGE_KEY = 'udpHost.cardFields';
+    let cardFields = loadCardFields();
+    const deviceFilter = { scope: '', platform: '', scene: '', build: '', metadata: {} };
+    const deviceSort = { key: 'name', descending: false };
     let discoveredHost = null;
     let currentListenMessage = '准备中...';
     let listenHasError = false;
+    let activeBatch = null;
+    let presets = [];
+    let schemas = [];
+    let schemaFormAction = null;
+    let schemaValidationTimer = null;
+    let schemaValidationSeq = 0;
+    let cueListsCache = [];
+    let cueProgress = { state: 'idle', steps: [] };
+    let schedule = { jobs: [], history: [] };
+    let editingJobId = null;
+    let keyEntries = [];
+    let editingKeyId = null;
+    const telemetryByDevice = new Map();
+    let historyDeviceKey = null;
+    let alertState = { rules: [], active: [], history: [] };
+    let editingAlertRuleId = null;
+    let rosterLifecycle = null;
 
     const DEFAULT_LISTEN_PORT = 4949;
     const MAX_LOG_ENTRIES = 200;
-    const HEARTBEAT_TIMEOUT_MS = 10_000;
-    const HEARTBEAT_TIMEOUT_SECONDS = HEARTBEAT_TIMEOUT_MS / 1000;
     const CMD_ID_MODE_AUTO = 'auto';
     const CMD_ID_MODE_MANUAL = 'manual';
+    const DEVICE_STATE_LABELS = {
+        online: '在线',
+        stale: '不稳定',
+        offline: '离线',
+        goodbye: '已下线',
+    };
+    const CUE_STATE_LABELS = {
+        idle: '空闲',
+        playing: '播放中',
+        paused: '已暂停',
+        finished: '已完成',
+        failed: '已失败',
+        aborted: '已中止',
+    };
+    const CUE_STEP_STATUS_LABELS = {
+        pending: '等待',
+        waiting: '延时中',
+        sending: '发送中',
+        'awaiting-ack': '等待 ACK',
+        done: '完成',
+        failed: '失败',
+        skipped: '已跳过',
+        aborted: '已中止',
+    };
+    const CUE_STEPS_TEMPLATE = [
+        {
+            id: 'load',
+            label: '载入场景',
+            command: { action: 'LoadScene', payload: { scene: 'Lobby' } },
+            targets: ['@online'],
+            waitFor: 'ack',
+            onFailure: 'abort',
+        },
+        {
+            label: '片尾字幕',
+            delayMs: 5000,
+            command: { action: 'ToggleCredits', payload: { enabled: true } },
+            targets: ['@online'],
+            onFailure: 'continue',
+        },
+    ];
+    const HISTORY_KIND_LABELS = {
+        send: 'SEND',
+        receive: 'RECV',
+        rejected: 'REJECT',
+        ack: 'ACK',
+        delivery: 'DELIVERY',
+        alert: 'ALERT',
+        error: 'ERROR',
+    };
+    const ALERT_TYPE_LABELS = {
+        'battery-below': '电量低于',
+        'heartbeat-missing': '心跳中断超过',
+        'packet-loss-above': '丢包率高于',
+        'unexpected-scene': '场景不在',
+    };
+    const JOB_RUN_STATUS_LABELS = {
+        running: '执行中',
+        'awaiting-ack': '等待 ACK',
+        sent: '已发送',
+        delivered: '已确认',
+        partial: '部分成功',
+        failed: '失败',
+        missed: '已错过',
+        skipped: '已跳过',
+        interrupted: '已中断',
+    };
+    const DELIVERY_STATUS_LABELS = {
+        pending: '等待 ACK',
+        delivered: '已送达',
+        failed: '失败',
+        timeout: '超时',
+    };
     function setActivePage(targetId) {
         if (!targetId || !pages.has(targetId)) {
             return;
@@ -114,6 +420,643 @@
         saveCustomDeviceNames();
     }
 
+    function readStoredJson(storageKey) {
+        if (!window.localStorage) {
+            return null;
+        }
+
+        try {
+            const raw = window.localStorage.getItem(storageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            // ignore storage read errors
+            return null;
+        }
+    }
+
+    function writeStoredJson(storageKey, value) {
+        if (!window.localStorage) {
+            return;
+        }
+
+        try {
+            window.localStorage.setItem(storageKey, JSON.stringify(value));
+        } catch {
+            // ignore storage write errors
+        }
+    }
+
+    function loadDeviceGroups() {
+        const parsed = readStoredJson(GROUPS_STORAGE_KEY);
+        return Array.isArray(parsed)
+            ? parsed.filter((group) => group && typeof group.name === 'string' && group.name.trim())
+            : [];
+    }
+
+    function loadDeviceTags() {
+        const parsed = readStoredJson(TAGS_STORAGE_KEY);
+        const tags = Object.create(null);
+        if (parsed && typeof parsed === 'object') {
+            Object.entries(parsed).forEach(([key, values]) => {
+                if (Array.isArray(values) && values.length > 0) {
+                    tags[key] = values.map(String);
+                }
+            });
+        }
+        return tags;
+    }
+
+    // Groups and tags live in localStorage like custom names; the main process
+    // keeps a mirror so presets, cue lists and jobs can target them.
+    async function syncDeviceGroups() {
+        if (!window.udpHost?.syncDeviceGroups) {
+            return;
+        }
+
+        try {
+            await window.udpHost.syncDeviceGroups({ groups: deviceGroups, tags: { ...deviceTags } });
+        } catch (error) {
+            appendLog('ERROR', `分组同步失败：${error.message}`);
+        }
+    }
+
+    function saveDeviceGroupsAndTags() {
+        writeStoredJson(GROUPS_STORAGE_KEY, deviceGroups);
+        writeStoredJson(TAGS_STORAGE_KEY, deviceTags);
+        void syncDeviceGroups();
+        renderTargetOptions();
+        renderDeviceGrid();
+    }
+
+    function getDeviceTags(key) {
+        return deviceTags[key] ?? [];
+    }
+
+    function getAllTags() {
+        const tags = new Set();
+        Object.values(deviceTags).forEach((values) => values.forEach((tag) => tags.add(tag)));
+        return Array.from(tags).sort((a, b) => a.localeCompare(b));
+    }
+
+    function addDeviceTag(key, tag) {
+        const trimmed = tag.trim();
+        if (!trimmed || getDeviceTags(key).includes(trimmed)) {
+            return;
+        }
+
+        deviceTags[key] = [...getDeviceTags(key), trimmed];
+        saveDeviceGroupsAndTags();
+    }
+
+    function removeDeviceTag(key, tag) {
+        const remaining = getDeviceTags(key).filter((entry) => entry !== tag);
+        if (remaining.length > 0) {
+            deviceTags[key] = remaining;
+        } else {
+            delete deviceTags[key];
+        }
+        saveDeviceGroupsAndTags();
+    }
+
+    function matchesFieldFilter(device, filter) {
+        return (!filter.platform || (device.platform || '').trim() === filter.platform)
+            && (!filter.scene || (device.scene || '').trim() === filter.scene)
+            && (!filter.build || (device.buildVersion || '').trim() === filter.build)
+            && Object.entries(filter.metadata ?? {}).every(([path, value]) => formatFieldKey(readMetadataField(device, path)) === value);
+    }
+
+    function loadCardFields() {
+        const parsed = readStoredJson(CARD_FIELDS_STORAGE_KEY);
+        return Array.isArray(parsed)
+            ? parsed.filter((field) => field && typeof field.path === 'string' && field.path.trim())
+            : [];
+    }
+
+    function saveCardFields() {
+        writeStoredJson(CARD_FIELDS_STORAGE_KEY, cardFields);
+        renderCardFieldList();
+        renderDeviceGrid();
+    }
+
+    // Same dotted-path lookup as the main process uses for dynamic groups.
+    function readMetadataField(device, path) {
+        return String(path ?? '').split('.').filter(Boolean).reduce(
+            (node, segment) => (node !== null && typeof node === 'object' ? node[segment] : undefined),
+            device?.metadata,
+        );
+    }
+
+    function formatFieldKey(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    function listMetadataPaths() {
+        const paths = new Set();
+        const collect = (value, prefix) => {
+            Object.entries(value ?? {}).forEach(([field, nested]) => {
+                const path = prefix ? `${prefix}.${field}` : field;
+                paths.add(path);
+                if (nested && typeof nested === 'object' && !Array.isArray(nested) && prefix.split('.').length < 3) {
+                    collect(nested, path);
+                }
+            });
+        };
+        clients.forEach((device) => collect(device.metadata, ''));
+        return Array.from(paths).sort((a, b) => a.localeCompare(b));
+    }
+
+    // A condition is a comparison against a number (`< 60`, `>= 45`) or a
+    // comma-separated list of values that match as text.
+    function matchesCondition(condition, value) {
+        const text = String(condition ?? '').trim();
+        if (!text || value === undefined || value === null) {
+            return false;
+        }
+
+        const comparison = /^(<=|>=|<|>|=)\s*(-?\d+(?:\.\d+)?)$/.exec(text);
+        if (comparison) {
+            const number = Number(value);
+            const limit = Number(comparison[2]);
+            if (!Number.isFinite(number)) {
+                return false;
+            }
+            return {
+                '<': number < limit,
+                '<=': number <= limit,
+                '>': number > limit,
+                '>=': number >= limit,
+                '=': number === limit,
+            }[comparison[1]];
+        }
+
+        const key = formatFieldKey(value).toLowerCase();
+        return text.split(',').some((entry) => entry.trim().toLowerCase() === key);
+    }
+
+    function formatCardField(field, value) {
+        if (value === undefined || value === null || value === '') {
+            return { text: '—', level: '' };
+        }
+
+        let text;
+        const decimals = Number.isInteger(field.decimals) ? field.decimals : 0;
+        if ((field.format === 'number' || field.format === 'percent') && Number.isFinite(Number(value))) {
+            text = `${Number(value).toFixed(decimals)}${field.format === 'percent' ? '%' : field.unit ? ` ${field.unit}` : ''}`;
+        } else if (field.format === 'boolean') {
+            text = value === true || value === 'true' || value === 1 ? '是' : '否';
+        } else {
+            text = `${formatFieldKey(value)}${field.unit ? ` ${field.unit}` : ''}`;
+        }
+
+        const level = matchesCondition(field.critical, value) ? 'critical' : matchesCondition(field.warn, value) ? 'warn' : '';
+        return { text, level };
+    }
+
+    function createCardFieldDetails(device) {
+        return cardFields.map((field) => {
+            const value = readMetadataField(device, field.path);
+            const { text, level } = formatCardField(field, value);
+            return createDetail(field.label || field.path, text, {
+                title: `${field.path}${level ? ` · ${level === 'critical' ? '严重' : '警告'}` : ''}`,
+                className: level ? `field-${level}` : '',
+            });
+        });
+    }
+
+    function resetCardFieldEditor() {
+        cardFieldPathInput.value = '';
+        cardFieldLabelInput.value = '';
+        cardFieldFormatSelect.value = 'text';
+        cardFieldUnitInput.value = '';
+        cardFieldDecimalsInput.value = '';
+        cardFieldWarnInput.value = '';
+        cardFieldCriticalInput.value = '';
+    }
+
+    function loadCardFieldIntoEditor(field) {
+        cardFieldPathInput.value = field.path;
+        cardFieldLabelInput.value = field.label ?? '';
+        cardFieldFormatSelect.value = field.format ?? 'text';
+        cardFieldUnitInput.value = field.unit ?? '';
+        cardFieldDecimalsInput.value = Number.isInteger(field.decimals) ? String(field.decimals) : '';
+        cardFieldWarnInput.value = field.warn ?? '';
+        cardFieldCriticalInput.value = field.critical ?? '';
+        cardFieldStatus.textContent = '';
+    }
+
+    function saveCardFieldFromEditor() {
+        const path = cardFieldPathInput.value.trim().replace(/^\.+|\.+$/g, '');
+        if (!path) {
+            cardFieldStatus.textContent = '请输入字段路径。';
+            cardFieldPathInput.focus();
+            return;
+        }
+
+        const decimals = Number.parseInt(cardFieldDecimalsInput.value, 10);
+        const field = {
+            path,
+            label: cardFieldLabelInput.value.trim(),
+            format: cardFieldFormatSelect.value,
+            unit: cardFieldUnitInput.value.trim(),
+            decimals: Number.isInteger(decimals) && decimals >= 0 ? Math.min(decimals, 6) : null,
+            warn: cardFieldWarnInput.value.trim(),
+            critical: cardFieldCriticalInput.value.trim(),
+        };
+        const index = cardFields.findIndex((entry) => entry.path === path);
+        cardFields = index >= 0
+            ? cardFields.map((entry, position) => (position === index ? field : entry))
+            : [...cardFields, field];
+        cardFieldStatus.textContent = `字段「${field.label || path}」已保存。`;
+        resetCardFieldEditor();
+        saveCardFields();
+    }
+
+    function moveCardField(path, offset) {
+        const index = cardFields.findIndex((entry) => entry.path === path);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= cardFields.length) {
+            return;
+        }
+
+        const reordered = [...cardFields];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        cardFields = reordered;
+        saveCardFields();
+    }
+
+    function removeCardField(path) {
+        cardFields = cardFields.filter((entry) => entry.path !== path);
+        if (deviceFilter.metadata[path] !== undefined || deviceSort.key === `field:${path}`) {
+            deviceFilter.metadata = {};
+            deviceSort.key = 'name';
+        }
+        saveCardFields();
+    }
+
+    function renderCardFieldList() {
+        if (!cardFieldList) {
+            return;
+        }
+
+        cardFieldList.innerHTML = '';
+        if (cardFields.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '尚未定义卡片字段。';
+            cardFieldList.append(placeholder);
+            return;
+        }
+
+        cardFields.forEach((field, index) => {
+            const item = document.createElement('li');
+
+            const title = document.createElement('div');
+            title.className = 'job-title';
+            const name = document.createElement('strong');
+            name.textContent = field.label || field.path;
+            const path = document.createElement('span');
+            path.className = 'job-meta';
+            path.textContent = field.path;
+            title.append(name, path);
+
+            const meta = document.createElement('div');
+            meta.className = 'job-meta';
+            meta.textContent = [
+                cardFieldFormatSelect.querySelector(`option[value="${field.format}"]`)?.textContent ?? field.format,
+                field.warn ? `警告 ${field.warn}` : '',
+                field.critical ? `严重 ${field.critical}` : '',
+            ].filter(Boolean).join(' · ');
+
+            const actions = document.createElement('div');
+            actions.className = 'job-actions';
+            const moveUp = createJobButton('上移', () => moveCardField(field.path, -1));
+            moveUp.disabled = index === 0;
+            const moveDown = createJobButton('下移', () => moveCardField(field.path, 1));
+            moveDown.disabled = index === cardFields.length - 1;
+            actions.append(
+                createJobButton('编辑', () => loadCardFieldIntoEditor(field)),
+                moveUp,
+                moveDown,
+                createJobButton('删除', () => removeCardField(field.path)),
+            );
+
+            item.append(title, meta, actions);
+            cardFieldList.append(item);
+        });
+    }
+
+    // Missing values sort last either way; numbers compare numerically.
+    function compareDevices(a, b) {
+        const valueOf = (entry) => {
+            if (deviceSort.key === 'scene') {
+                return entry.device.scene || '';
+            }
+            if (deviceSort.key === 'lastSeen') {
+                return entry.device.lastSeen;
+            }
+            if (deviceSort.key.startsWith('field:')) {
+                return readMetadataField(entry.device, deviceSort.key.slice('field:'.length));
+            }
+            return (entry.displayName || '').toLowerCase();
+        };
+
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+        const missingA = valueA === undefined || valueA === null || valueA === '';
+        const missingB = valueB === undefined || valueB === null || valueB === '';
+        if (missingA || missingB) {
+            return missingA === missingB ? (a.displayName || '').localeCompare(b.displayName || '') : missingA ? 1 : -1;
+        }
+
+        const numeric = Number.isFinite(Number(valueA)) && Number.isFinite(Number(valueB));
+        const order = numeric ? Number(valueA) - Number(valueB) : formatFieldKey(valueA).localeCompare(formatFieldKey(valueB));
+        if (order !== 0) {
+            return deviceSort.descending ? -order : order;
+        }
+        return (a.displayName || '').localeCompare(b.displayName || '');
+    }
+
+    function isGroupMember(group, key, device) {
+        if (group.filter) {
+            return matchesFieldFilter(device, group.filter)
+                && (!group.filter.tag || getDeviceTags(key).includes(group.filter.tag));
+        }
+
+        return Array.isArray(group.members) && group.members.includes(key);
+    }
+
+    function matchesSelector(selector, key, device) {
+        if (selector.startsWith(GROUP_SELECTOR_PREFIX)) {
+            const group = deviceGroups.find((entry) => entry.name === selector.slice(GROUP_SELECTOR_PREFIX.length));
+            return Boolean(group) && isGroupMember(group, key, device);
+        }
+
+        if (selector.startsWith(TAG_SELECTOR_PREFIX)) {
+            return getDeviceTags(key).includes(selector.slice(TAG_SELECTOR_PREFIX.length));
+        }
+
+        return true;
+    }
+
+    function matchesDeviceFilter(key, device) {
+        return matchesFieldFilter(device, deviceFilter)
+            && (!deviceFilter.scope || matchesSelector(deviceFilter.scope, key, device));
+    }
+
+    function resolveSelectorKeys(selector) {
+        return Array.from(clients.entries())
+            .filter(([key, device]) => device.online && matchesSelector(selector, key, device))
+            .map(([key]) => key);
+    }
+
+    function describeSelector(selector) {
+        if (selector.startsWith(GROUP_SELECTOR_PREFIX)) {
+            return `分组 ${selector.slice(GROUP_SELECTOR_PREFIX.length)}`;
+        }
+        return `标签 ${selector.slice(TAG_SELECTOR_PREFIX.length)}`;
+    }
+
+    function fillSelectOptions(select, options, emptyLabel) {
+        if (!select) {
+            return;
+        }
+
+        const signature = JSON.stringify([emptyLabel, options]);
+        if (select.dataset.signature === signature) {
+            return;
+        }
+
+        select.dataset.signature = signature;
+        const previous = select.value;
+        select.innerHTML = '';
+
+        const empty = document.createElement('option');
+        empty.value = '';
+        empty.textContent = emptyLabel;
+        select.append(empty);
+
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.append(option);
+        });
+
+        select.value = options.some((option) => option.value === previous) ? previous : '';
+    }
+
+    function getSelectorOptions() {
+        return [
+            ...deviceGroups.map((group) => ({
+                value: `${GROUP_SELECTOR_PREFIX}${group.name}`,
+                label: `分组 · ${group.name}${group.filter ? '（动态）' : ''}`,
+            })),
+            ...getAllTags().map((tag) => ({ value: `${TAG_SELECTOR_PREFIX}${tag}`, label: `标签 · ${tag}` })),
+        ];
+    }
+
+    function renderTargetOptions() {
+        const selectorOptions = getSelectorOptions();
+        fillSelectOptions(targetScopeSelect, selectorOptions, '已选设备 / 手动地址');
+        fillSelectOptions(filterScopeSelect, selectorOptions, '全部分组与标签');
+        if (knownTagsList) {
+            knownTagsList.innerHTML = '';
+            getAllTags().forEach((tag) => {
+                const option = document.createElement('option');
+                option.value = tag;
+                knownTagsList.append(option);
+            });
+        }
+        renderLifecycleTargets();
+        deviceFilter.scope = filterScopeSelect?.value ?? '';
+        if (deleteGroupButton) {
+            deleteGroupButton.disabled = !deviceFilter.scope.startsWith(GROUP_SELECTOR_PREFIX);
+        }
+    }
+
+    function renderFieldFilterOptions() {
+        const collect = (field) => Array.from(new Set(
+            Array.from(clients.values()).map((device) => (device[field] || '').trim()).filter(Boolean)
+        )).sort((a, b) => a.localeCompare(b)).map((value) => ({ value, label: value }));
+
+        fillSelectOptions(filterPlatformSelect, collect('platform'), '全部平台');
+        fillSelectOptions(filterSceneSelect, collect('scene'), '全部场景');
+        fillSelectOptions(filterBuildSelect, collect('buildVersion'), '全部版本');
+        deviceFilter.platform = filterPlatformSelect?.value ?? '';
+        deviceFilter.scene = filterSceneSelect?.value ?? '';
+        deviceFilter.build = filterBuildSelect?.value ?? '';
+
+        const fieldOptions = cardFields.map((field) => ({ value: field.path, label: field.label || field.path }));
+        fillSelectOptions(filterFieldSelect, fieldOptions, '自定义字段');
+        const path = filterFieldSelect?.value ?? '';
+        const values = path
+            ? Array.from(new Set(Array.from(clients.values()).map((device) => formatFieldKey(readMetadataField(device, path))).filter(Boolean)))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                .map((value) => ({ value, label: value }))
+            : [];
+        fillSelectOptions(filterFieldValueSelect, values, path ? '全部取值' : '—');
+        if (filterFieldValueSelect) {
+            filterFieldValueSelect.disabled = !path;
+        }
+        const value = filterFieldValueSelect?.value ?? '';
+        deviceFilter.metadata = path && value ? { [path]: value } : {};
+
+        fillSelectOptions(sortDevicesSelect, [
+            { value: 'scene', label: '按场景' },
+            { value: 'lastSeen', label: '按最近通信' },
+            ...cardFields.map((field) => ({ value: `field:${field.path}`, label: `按${field.label || field.path}` })),
+        ], '按名称');
+        deviceSort.key = sortDevicesSelect?.value || 'name';
+
+        if (knownMetadataFieldsList) {
+            knownMetadataFieldsList.replaceChildren(...listMetadataPaths().map((metadataPath) => {
+                const option = document.createElement('option');
+                option.value = metadataPath;
+                return option;
+            }));
+        }
+    }
+
+    function saveGroupFromSelection() {
+        const name = groupNameInput.value.trim();
+        if (!name) {
+            groupStatus.textContent = '请输入分组名称。';
+            groupNameInput.focus();
+            return;
+        }
+
+        let group;
+        if (selectedDevices.size > 0) {
+            group = { name, members: Array.from(selectedDevices) };
+        } else {
+            const filter = {
+                platform: deviceFilter.platform,
+                scene: deviceFilter.scene,
+                build: deviceFilter.build,
+                tag: deviceFilter.scope.startsWith(TAG_SELECTOR_PREFIX)
+                    ? deviceFilter.scope.slice(TAG_SELECTOR_PREFIX.length)
+                    : '',
+                metadata: { ...deviceFilter.metadata },
+            };
+            if (!Object.values(filter).some(Boolean) && Object.keys(filter.metadata).length === 0) {
+                groupStatus.textContent = '请先选择设备，或设置平台/场景/版本/标签/自定义字段筛选。';
+                return;
+            }
+            group = { name, members: [], filter };
+        }
+
+        deviceGroups = deviceGroups.filter((entry) => entry.name !== name).concat(group);
+        groupNameInput.value = '';
+        groupStatus.textContent = group.filter
+            ? `动态分组「${name}」已保存。`
+            : `分组「${name}」已保存（${group.members.length} 台设备）。`;
+        saveDeviceGroupsAndTags();
+    }
+
+    function deleteFilteredGroup() {
+        if (!deviceFilter.scope.startsWith(GROUP_SELECTOR_PREFIX)) {
+            return;
+        }
+
+        const name = deviceFilter.scope.slice(GROUP_SELECTOR_PREFIX.length);
+        deviceGroups = deviceGroups.filter((entry) => entry.name !== name);
+        groupStatus.textContent = `分组「${name}」已删除。`;
+        saveDeviceGroupsAndTags();
+    }
+
+    function createDeviceChips(key, device) {
+        const row = document.createElement('div');
+        row.className = 'device-chips';
+
+        deviceGroups.filter((group) => isGroupMember(group, key, device)).forEach((group) => {
+            const chip = document.createElement('span');
+            chip.className = 'chip group';
+            chip.textContent = group.name;
+            chip.title = '按该分组筛选';
+            chip.addEventListener('click', (event) => {
+                event.stopPropagation();
+                setDeviceFilterScope(`${GROUP_SELECTOR_PREFIX}${group.name}`);
+            });
+            row.append(chip);
+        });
+
+        getDeviceTags(key).forEach((tag) => {
+            const chip = document.createElement('span');
+            chip.className = 'chip';
+            chip.textContent = tag;
+            chip.title = '按该标签筛选';
+            chip.addEventListener('click', (event) => {
+                event.stopPropagation();
+                setDeviceFilterScope(`${TAG_SELECTOR_PREFIX}${tag}`);
+            });
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.textContent = '×';
+            removeButton.title = `移除标签 ${tag}`;
+            removeButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                removeDeviceTag(key, tag);
+            });
+            chip.append(removeButton);
+            row.append(chip);
+        });
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'ghost add-tag';
+        addButton.textContent = '+ 标签';
+        addButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = '标签';
+            input.setAttribute('list', 'knownTags');
+            let finished = false;
+            const finish = (save) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                if (save && input.value.trim()) {
+                    addDeviceTag(key, input.value);
+                } else {
+                    input.replaceWith(addButton);
+                }
+            };
+            input.addEventListener('keydown', (keyEvent) => {
+                if (keyEvent.key === 'Enter') {
+                    keyEvent.preventDefault();
+                    finish(true);
+                } else if (keyEvent.key === 'Escape') {
+                    keyEvent.preventDefault();
+                    finish(false);
+                }
+            });
+            input.addEventListener('blur', () => finish(true));
+            input.addEventListener('click', (clickEvent) => clickEvent.stopPropagation());
+            addButton.replaceWith(input);
+            input.focus();
+        });
+        row.append(addButton);
+
+        return row;
+    }
+
+    function setDeviceFilterScope(selector) {
+        if (!filterScopeSelect) {
+            return;
+        }
+
+        filterScopeSelect.value = selector;
+        deviceFilter.scope = filterScopeSelect.value;
+        deleteGroupButton.disabled = !deviceFilter.scope.startsWith(GROUP_SELECTOR_PREFIX);
+        renderDeviceGrid();
+    }
+
     function getShortDeviceId(deviceId) {
         if (!deviceId) {
             return '';
@@ -137,11 +1080,25 @@
             return shortId;
         }
 
-        if (device?.ipv4) {
-            return device.ipv4;
+        return getDeviceHost(device) || '未知设备';
+    }
+
+    function getDeviceHost(device) {
+        return String(device?.ipv4 || device?.ipv6 || device?.remoteAddress || '').trim();
+    }
+
+    // Where commands for a device go: TCP/WebSocket devices over the
+    // connection they reported on, UDP devices on their command port.
+    function getDeviceRoute(device, fallbackPort) {
+        if (device?.transport && device.transport !== 'udp') {
+            return { host: device.remoteAddress || '', port: device.remotePort, transport: device.transport };
         }
 
-        return '未知设备';
+        return {
+            host: getDeviceHost(device),
+            port: Number.isInteger(device?.commandPort) ? device.commandPort : fallbackPort,
+            transport: 'udp',
+        };
     }
 
     function normalizeBatteryLevel(value) {
@@ -197,7 +1154,7 @@
             return;
         }
 
-        const host = (device.ipv4 || device.remoteAddress || '').trim();
+        const { host, port, transport } = getDeviceRoute(device, Number.parseInt(portInput.value, 10) || 3939);
         const deviceName = getDeviceDisplayName(key, device);
 
         if (!host) {
@@ -206,21 +1163,20 @@
             return;
         }
 
-        const port = Number.isInteger(device.commandPort)
-            ? device.commandPort
-            : Number.parseInt(portInput.value, 10) || 3939;
-
         try {
             const result = await window.udpHost.sendCommand({
                 action: 'beep',
                 payload: '',
                 includeCmdId: false,
                 cmdId: '',
-                sharedSecret: sharedSecretInput.value.trim(),
+                sign: signCommandsInput.checked,
                 timestamp: Date.now(),
                 forcePayloadField: false,
+                envelopeFormat: device.envelopeFormat,
+                deviceKey: key,
                 host,
                 port,
+                transport,
             });
 
             appendLog('SEND', JSON.stringify(result.message, null, 2), { host, port, name: deviceName });
@@ -328,6 +1284,37 @@
         return `${deltaDays}d 前`;
     }
 
+    function describeLastSeen(device) {
+        const expireAfterMs = device.timeouts?.expireAfterMs;
+        const expiry = !device.online && !device.restored && expireAfterMs
+            ? ` · ${Math.max(1, Math.ceil((device.lastSeen + expireAfterMs - Date.now()) / 60000))} 分钟后自动移除`
+            : '';
+        if (device.goodbyeAt) {
+            return `已正常下线：${formatRelativeTime(device.goodbyeAt)}${expiry}`;
+        }
+        if (device.restored) {
+            return `最近通信：${formatRelativeTime(device.lastSeen)}（上次运行时记录）`;
+        }
+        if (!device.online) {
+            const offlineAfterMs = device.timeouts?.offlineAfterMs ?? rosterLifecycle?.offlineAfterMs;
+            const limit = offlineAfterMs ? `（超过 ${offlineAfterMs / 1000}s 未响应）` : '';
+            return `最近通信：${formatRelativeTime(device.lastSeen)}${limit}${expiry}`;
+        }
+        return `最近通信：${formatRelativeTime(device.lastSeen)}${device.state === 'stale' ? '（心跳延迟）' : ''}`;
+    }
+
+    // Relative times on the cards age between roster updates; state changes
+    // themselves arrive as roster events.
+    function refreshLastSeenLabels() {
+        deviceGrid?.querySelectorAll('.device-card').forEach((card) => {
+            const device = clients.get(card.dataset.key);
+            const label = card.querySelector('.last-seen');
+            if (device && label) {
+                label.textContent = describeLastSeen(device);
+            }
+        });
+    }
+
     function formatDeviceScene(device) {
         const scene = typeof device?.scene === 'string' ? device.scene.trim() : '';
         return scene || '空闲';
@@ -342,31 +1329,165 @@
         if (options.title) {
             valueEl.title = options.title;
         }
+        if (options.className) {
+            valueEl.className = options.className;
+        }
         row.append(labelEl, valueEl);
         return row;
     }
 
-    function updateSelectionSummary() {
-        if (!selectionSummary) {
-            return;
+    function createDelivery(key) {
+        const delivery = deliveryByDevice.get(key);
+        return createDetail('最近指令', formatDelivery(delivery), {
+            title: delivery?.reason || delivery?.cmdId || '',
+            className: delivery ? `delivery-status ${delivery.status}` : '',
+        });
+    }
+
+    function formatDelivery(delivery) {
+        if (!delivery) {
+            return '';
         }
 
-        const count = selectedDevices.size;
-        selectionSummary.textContent = count > 0
-            ? `目标：已选 ${count} 台设备`
-            : '目标：手动指定';
+        const label = DELIVERY_STATUS_LABELS[delivery.status] || delivery.status;
+        const attempts = delivery.attempts > 1 ? `（${delivery.attempts} 次）` : '';
+        return `${delivery.action} · ${label}${attempts}`;
     }
 
-    function updateDeviceStats() {
-        if (!deviceStats) {
+    function readAckOptions() {
+        const retryDelaysMs = (ackRetryDelaysInput?.value || '')
+            .split(/[\s,]+/)
+            .map((value) => Number.parseInt(value, 10))
+            .filter((value) => Number.isInteger(value) && value > 0);
+        const ackTimeoutMs = Number.parseInt(ackTimeoutInput?.value, 10);
+
+        return {
+            expectAck: Boolean(expectAckInput?.checked),
+            retryDelaysMs,
+            ackTimeoutMs: Number.isInteger(ackTimeoutMs) && ackTimeoutMs > 0 ? ackTimeoutMs : undefined,
+        };
+    }
+
+    function startDeliveryBatch(cmdId, action) {
+        activeBatch = {
+            cmdId,
+            action,
+            results: new Map(),
+            skipped: 0,
+        };
+    }
+
+    function recordBatchResult(targetKey, status) {
+        if (!activeBatch) {
             return;
         }
 
-        const now = Date.now();
-        let offlineCount = 0;
-        clients.forEach((device) => {
-            if (now - device.lastSeen > HEARTBEAT_TIMEOUT_MS) {
+        activeBatch.results.set(targetKey, status);
+        refreshBatchStatus();
+    }
+
+    function refreshBatchStatus() {
+        if (!activeBatch || activeBatch.results.size === 0) {
+            return;
+        }
+
+        const counts = { pending: 0, delivered: 0, failed: 0, timeout: 0 };
+        activeBatch.results.forEach((value) => {
+            counts[value] = (counts[value] ?? 0) + 1;
+        });
+
+        const parts = [
+            `${counts.delivered} 已送达`,
+            `${counts.failed + activeBatch.skipped} 失败`,
+            `${counts.timeout} 超时`,
+        ];
+        if (counts.pending > 0) {
+            parts.push(`${counts.pending} 等待中`);
+        }
+
+        status.textContent = `${activeBatch.action}：${parts.join(' / ')}`;
+    }
+
+    function handleDeliveryUpdate(delivery) {
+        const settled = delivery.status !== 'pending';
+        const targetKey = delivery.responder || delivery.deviceKey || `${delivery.host}:${delivery.port}`;
+
+        if (delivery.deviceKey) {
+            deliveryByDevice.set(delivery.deviceKey, delivery);
+        } else if (delivery.responder) {
+            clients.forEach((device, key) => {
+                if ([device.ipv4, device.ipv6, device.remoteAddress].includes(delivery.responder)) {
+                    deliveryByDevice.set(key, delivery);
+                }
+            });
+        }
+
+        if (activeBatch?.cmdId === delivery.cmdId) {
+            // A broadcast target is represented by its responders once any of them acknowledged.
+            const broadcastKey = `${delivery.host}:${delivery.port}`;
+            if (!delivery.deviceKey && delivery.responders > 0) {
+                activeBatch.results.delete(broadcastKey);
+            }
+
+            if (delivery.deviceKey || delivery.responder || delivery.responders === 0) {
+                recordBatchResult(targetKey, delivery.status);
+            } else {
+                refreshBatchStatus();
+            }
+        }
+
+        if (settled && delivery.status !== 'delivered') {
+            appendLog(
+                'DELIVERY',
+                `${delivery.action} (${delivery.cmdId})：${DELIVERY_STATUS_LABELS[delivery.status] || delivery.status}` +
+                    `${delivery.reason ? ` · ${delivery.reason}` : ''}`,
+                { host: delivery.host, port: delivery.port, name: getDeliveryTargetName(delivery) }
+            );
+        }
+
+        renderDeviceGrid();
+    }
+
+    function getDeliveryTargetName(delivery) {
+        if (!delivery.deviceKey) {
+            return delivery.responder || '';
+        }
+
+        const device = clients.get(delivery.deviceKey);
+        return device ? getDeviceDisplayName(delivery.deviceKey, device) : delivery.deviceKey;
+    }
+
+    function updateSelectionSummary() {
+        // The size estimate depends on which devices are selected.
+        buildPreview();
+        if (!selectionSummary) {
+            return;
+        }
+
+        const scope = targetScopeSelect?.value ?? '';
+        if (scope) {
+            selectionSummary.textContent = `目标：${describeSelector(scope)}（${resolveSelectorKeys(scope).length} 台在线）`;
+            return;
+        }
+
+        const count = selectedDevices.size;
+        selectionSummary.textContent = count > 0
+            ? `目标：已选 ${count} 台设备`
+            : '目标：手动指定';
+    }
+
+    function updateDeviceStats() {
+        if (!deviceStats) {
+            return;
+        }
+
+        let offlineCount = 0;
+        let staleCount = 0;
+        clients.forEach((device) => {
+            if (!device.online) {
                 offlineCount += 1;
+            } else if (device.state === 'stale') {
+                staleCount += 1;
             }
         });
 
@@ -376,12 +1497,18 @@
             const onlineCount = clients.size - offlineCount;
             const selectedCount = selectedDevices.size;
             const suffix = selectedCount > 0 ? `（已选 ${selectedCount}）` : '';
-            deviceStats.textContent = `${onlineCount} 台在线 / ${offlineCount} 台离线${suffix}`;
+            const stale = staleCount > 0 ? `（${staleCount} 台心跳延迟）` : '';
+            deviceStats.textContent = `${onlineCount} 台在线${stale} / ${offlineCount} 台离线${suffix}`;
         }
 
         if (selectAllButton) {
-            const onlineCount = clients.size - offlineCount;
-            selectAllButton.disabled = clients.size === 0 || selectedDevices.size >= onlineCount;
+            let selectableCount = 0;
+            clients.forEach((device, key) => {
+                if (device.online && matchesDeviceFilter(key, device)) {
+                    selectableCount += 1;
+                }
+            });
+            selectAllButton.disabled = selectableCount === 0 || selectedDevices.size >= selectableCount;
         }
 
         if (clearSelectionButton) {
@@ -402,6 +1529,7 @@
         }
 
         deviceGrid.innerHTML = '';
+        renderFieldFilterOptions();
 
         if (clients.size === 0) {
             const placeholder = document.createElement('p');
@@ -413,28 +1541,33 @@
             return;
         }
 
-        const now = Date.now();
-        const ordered = Array.from(clients.entries())
+        const visible = Array.from(clients.entries()).filter(([key, device]) => matchesDeviceFilter(key, device));
+        for (const key of Array.from(selectedDevices)) {
+            if (!visible.some(([visibleKey]) => visibleKey === key)) {
+                selectedDevices.delete(key);
+            }
+        }
+
+        if (visible.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '没有符合筛选条件的设备。';
+            deviceGrid.appendChild(placeholder);
+            updateSelectionSummary();
+            updateDeviceStats();
+            return;
+        }
+
+        const ordered = visible
             .map(([key, device]) => ({
                 key,
                 device,
                 displayName: getDeviceDisplayName(key, device),
             }))
-            .sort((a, b) => {
-                const nameA = (a.displayName || '').toLowerCase();
-                const nameB = (b.displayName || '').toLowerCase();
-                if (nameA !== nameB) {
-                    return nameA.localeCompare(nameB);
-                }
-
-                return (a.device.scene || '').localeCompare(b.device.scene || '');
-            });
+            .sort(compareDevices);
 
         ordered.forEach(({ key, device, displayName }) => {
-            const isOffline = now - device.lastSeen > HEARTBEAT_TIMEOUT_MS;
-            if (isOffline) {
-                selectedDevices.delete(key);
-            }
+            const isOffline = !device.online;
 
             const card = document.createElement('article');
             card.className = 'device-card';
@@ -445,6 +1578,9 @@
             if (isOffline) {
                 card.classList.add('offline');
             }
+            if (device.state === 'stale') {
+                card.classList.add('stale');
+            }
 
             const header = document.createElement('div');
             header.className = 'header';
@@ -549,7 +1685,7 @@
 
             const badge = document.createElement('span');
             badge.className = 'badge';
-            badge.textContent = isOffline ? '离线' : '在线';
+            badge.textContent = DEVICE_STATE_LABELS[device.goodbyeAt ? 'goodbye' : device.state] || (isOffline ? '离线' : '在线');
 
             const beepButton = document.createElement('button');
             beepButton.type = 'button';
@@ -569,11 +1705,25 @@
             headerActions.append(badge, beepButton);
             header.append(nameGroup, headerActions);
 
+            const quickActions = document.createElement('div');
+            quickActions.className = 'quick-actions';
+            presets.filter((preset) => preset.quickFire).forEach((preset) => {
+                const presetButton = document.createElement('button');
+                presetButton.type = 'button';
+                presetButton.className = 'preset-button';
+                presetButton.textContent = preset.name;
+                presetButton.title = `发送预设 ${preset.name}（${preset.action}）`;
+                presetButton.disabled = isOffline;
+                presetButton.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    void sendPresetToDevice(key, preset);
+                });
+                quickActions.append(presetButton);
+            });
+
             const lastSeen = document.createElement('p');
-            lastSeen.className = 'muted';
-            lastSeen.textContent = isOffline
-                ? `最近通信：超过 ${HEARTBEAT_TIMEOUT_SECONDS}s 未响应`
-                : `最近通信：${formatRelativeTime(device.lastSeen)}`;
+            lastSeen.className = 'muted last-seen';
+            lastSeen.textContent = describeLastSeen(device);
 
             const details = document.createElement('div');
             details.className = 'details';
@@ -584,11 +1734,17 @@
                     { title: device.deviceId || '' }
                 ),
                 createDetail('场景', formatDeviceScene(device), { title: device.scene || '' }),
-                createDetail('IPv4', device.ipv4 || device.remoteAddress || '未知'),
+                createDetail('IPv4', device.ipv4 || (device.ipv6 ? '—' : device.remoteAddress || '未知')),
+                createDetail('IPv6', device.ipv6 || '—'),
+                ...(device.macAddress ? [createDetail('MAC', device.macAddress)] : []),
                 createDetail('命令端口', device.commandPort ? String(device.commandPort) : (portInput.value || '—')),
+                createDetail('传输', TRANSPORT_LABELS[device.transport] || 'UDP'),
                 createDetail('平台', device.platform || '—'),
                 createDetail('版本', device.buildVersion || '—'),
-                createDetail('电量', formatBattery(device))
+                createDetail('报文', device.envelopeFormat === 'aes-gcm' ? 'AES-GCM' : '明文'),
+                createDetail('电量', formatBattery(device)),
+                ...createCardFieldDetails(device),
+                createDelivery(key)
             );
 
             const actionRow = document.createElement('div');
@@ -598,8 +1754,26 @@
                 const offlineTag = document.createElement('button');
                 offlineTag.type = 'button';
                 offlineTag.className = 'select-toggle offline-indicator';
-                offlineTag.textContent = '离线';
-                offlineTag.disabled = true;
+                offlineTag.textContent = selectedDevices.has(key) ? '取消选择' : '按最后地址选择';
+                offlineTag.title = '设备离线，命令将发送到最后已知的地址';
+                offlineTag.disabled = !getDeviceHost(device);
+                offlineTag.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    toggleDeviceSelection(key);
+                });
+
+                const wakeButton = document.createElement('button');
+                wakeButton.type = 'button';
+                wakeButton.className = 'wake-button';
+                wakeButton.textContent = '唤醒';
+                wakeButton.title = device.macAddress
+                    ? `发送 Wake-on-LAN（${device.macAddress}）并请求设备重新注册`
+                    : '设备未上报 MAC 地址，仅请求设备重新注册';
+                wakeButton.disabled = !getDeviceHost(device) && !device.macAddress;
+                wakeButton.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    void wakeDevice(key, wakeButton);
+                });
 
                 const removeButton = document.createElement('button');
                 removeButton.type = 'button';
@@ -607,13 +1781,10 @@
                 removeButton.textContent = '移除';
                 removeButton.addEventListener('click', (event) => {
                     event.stopPropagation();
-                    clients.delete(key);
-                    selectedDevices.delete(key);
-                    setStoredCustomName(key, '');
-                    renderDeviceGrid();
+                    void removeDevice(key);
                 });
 
-                actionRow.append(offlineTag, removeButton);
+                actionRow.append(offlineTag, wakeButton, removeButton);
             } else {
                 const toggleButton = document.createElement('button');
                 toggleButton.type = 'button';
@@ -626,7 +1797,12 @@
                 actionRow.append(toggleButton);
             }
 
-            card.append(header, lastSeen, details, actionRow);
+            card.classList.toggle('alerting', hasActiveAlert(key));
+            card.append(header, lastSeen, createDeviceChips(key, device), details, createDeviceTelemetry(key));
+            if (quickActions.childElementCount > 0) {
+                card.append(quickActions);
+            }
+            card.append(actionRow);
             if (!isOffline) {
                 card.addEventListener('click', (event) => {
                     if (event.target instanceof HTMLButtonElement) {
@@ -652,7 +1828,9 @@
             return;
         }
 
-        if (Date.now() - device.lastSeen > HEARTBEAT_TIMEOUT_MS) {
+        // Offline devices can still be picked by hand; commands then go to
+        // their last-known address.
+        if (!device.online && !selectedDevices.has(key) && !getDeviceHost(device)) {
             return;
         }
 
@@ -666,9 +1844,8 @@
     }
 
     function selectAllDevices() {
-        const now = Date.now();
         clients.forEach((device, key) => {
-            if (now - device.lastSeen <= HEARTBEAT_TIMEOUT_MS) {
+            if (device.online && matchesDeviceFilter(key, device)) {
                 selectedDevices.add(key);
             }
         });
@@ -688,6 +1865,9 @@
         const enabled = includeCmdIdInput.checked;
         cmdIdInput.disabled = !enabled;
         generateCmdIdButton.disabled = !enabled;
+        if (expectAckInput) {
+            expectAckInput.disabled = !enabled;
+        }
 
         if (enabled && !isCmdIdManual()) {
             setCmdIdValue(cmdIdInput.value || randomShortId(), CMD_ID_MODE_AUTO);
@@ -752,6 +1932,7 @@
     }
 
     function buildPreview() {
+        renderSchemaForm();
         const action = actionInput.value.trim();
         const includeCmdId = includeCmdIdInput.checked;
         const providedCmdId = cmdIdInput.value.trim();
@@ -784,14 +1965,18 @@
             message.cmdId = providedCmdId || '(auto)';
         }
 
-        if (sharedSecretInput.value.trim()) {
+        if (signCommandsInput.checked) {
             message.signature = '(computed)';
         }
 
         if (payloadError) {
             preview.textContent = `Payload 必须是合法 JSON。\n${payloadError.message}`;
+            renderPreviewSize(null);
+            renderSchemaStatus(null);
         } else {
             preview.textContent = JSON.stringify(message, null, 2);
+            renderPreviewSize(estimateEnvelopeBytes(message, isPreviewEncrypted()));
+            scheduleSchemaValidation(action, payloadString);
         }
 
         return {
@@ -801,6 +1986,312 @@
         };
     }
 
+    function isPreviewEncrypted() {
+        if (selectedDevices.size > 0) {
+            return Array.from(selectedDevices).some((key) => clients.get(key)?.envelopeFormat === 'aes-gcm');
+        }
+        return manualEnvelopeFormatSelect?.value === 'aes-gcm';
+    }
+
+    // Approximate wire size: placeholders are swapped for values of the real
+    // length, and AES-GCM adds base64 plus its nonce, tag and key id.
+    function estimateEnvelopeBytes(message, encrypted) {
+        const sized = { ...message };
+        if (sized.cmdId === '(auto)') {
+            sized.cmdId = 'x'.repeat(8);
+        }
+        if (sized.signature) {
+            sized.signature = 'x'.repeat(44);
+        }
+
+        const plainBytes = new TextEncoder().encode(JSON.stringify(sized)).length;
+        return encrypted ? Math.ceil(plainBytes / 3) * 4 + 100 : plainBytes;
+    }
+
+    function renderPreviewSize(bytes) {
+        if (!previewSize) {
+            return;
+        }
+
+        if (bytes === null) {
+            previewSize.textContent = '';
+            return;
+        }
+
+        const mtu = networkSettings?.mtu ?? 1500;
+        const limit = mtu - 28;
+        previewSize.style.color = '';
+        if (bytes <= limit) {
+            previewSize.textContent = `约 ${bytes} 字节（UDP 单包上限 ${limit} 字节，MTU ${mtu}）。`;
+        } else if (networkSettings?.chunking) {
+            previewSize.textContent = `约 ${bytes} 字节，超出 UDP 单包上限 ${limit} 字节，将分片发送。`;
+        } else {
+            previewSize.textContent = `约 ${bytes} 字节，超出 UDP 单包上限 ${limit} 字节（MTU ${mtu}）：UDP 发送会失败，请开启分片或改用 TCP/WebSocket。`;
+            previewSize.style.color = '#ff8a9f';
+        }
+    }
+
+    function findSchema(action) {
+        const key = String(action ?? '').trim().toLowerCase();
+        return key ? schemas.find((entry) => entry.action.toLowerCase() === key) ?? null : null;
+    }
+
+    function resolveSchemaRef(root, property) {
+        if (typeof property?.$ref !== 'string' || !property.$ref.startsWith('#/')) {
+            return property ?? {};
+        }
+        return property.$ref.slice(2).split('/').reduce((node, segment) => node?.[segment], root) ?? {};
+    }
+
+    function schemaProperties(entry) {
+        const root = entry?.payload;
+        const properties = root && typeof root === 'object' ? root.properties ?? {} : {};
+        const required = new Set(Array.isArray(root?.required) ? root.required : []);
+        return Object.entries(properties).map(([name, property]) => {
+            const resolved = resolveSchemaRef(root, property);
+            const types = Array.isArray(resolved.type) ? resolved.type : [resolved.type];
+            const type = types.find((candidate) => candidate && candidate !== 'null') ?? '';
+            const options = Array.isArray(resolved.enum) ? resolved.enum : type === 'boolean' ? [true, false] : null;
+            return {
+                name,
+                schema: resolved,
+                type,
+                options,
+                required: required.has(name),
+            };
+        });
+    }
+
+    function readPayloadObject() {
+        const raw = payloadInput.value.trim();
+        const parsed = raw ? safeJsonParse(raw) : {};
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    }
+
+    function writePayloadObject(payload) {
+        payloadInput.value = Object.keys(payload).length > 0 ? JSON.stringify(payload, null, 2) : '';
+    }
+
+    function placeholderValue(field) {
+        if (field.schema.default !== undefined) {
+            return field.schema.default;
+        }
+        if (field.options) {
+            return field.options[0];
+        }
+        return { string: '', number: 0, integer: 0, boolean: false, array: [], object: {} }[field.type] ?? null;
+    }
+
+    function createSchemaInput(field, value) {
+        if (field.options) {
+            const select = document.createElement('select');
+            const unset = document.createElement('option');
+            unset.value = '';
+            unset.textContent = field.required ? '（请选择）' : '（未设置）';
+            select.append(unset, ...field.options.map((option) => {
+                const element = document.createElement('option');
+                element.value = JSON.stringify(option);
+                element.textContent = typeof option === 'string' ? option : JSON.stringify(option);
+                return element;
+            }));
+            select.value = value === undefined ? '' : JSON.stringify(value);
+            select.dataset.kind = 'option';
+            return select;
+        }
+
+        const input = document.createElement('input');
+        if (field.type === 'number' || field.type === 'integer') {
+            input.type = 'number';
+            input.step = field.type === 'integer' ? '1' : 'any';
+            if (typeof field.schema.minimum === 'number') {
+                input.min = field.schema.minimum;
+            }
+            if (typeof field.schema.maximum === 'number') {
+                input.max = field.schema.maximum;
+            }
+            input.dataset.kind = 'number';
+        } else if (field.type === 'string') {
+            input.type = 'text';
+            input.dataset.kind = 'string';
+        } else {
+            input.type = 'text';
+            input.placeholder = 'JSON';
+            input.dataset.kind = 'json';
+        }
+        input.value = value === undefined ? '' : input.dataset.kind === 'json' ? JSON.stringify(value) : String(value);
+        return input;
+    }
+
+    // The generated form and the Payload textarea edit the same object:
+    // form edits rewrite the JSON, and textarea edits refresh the form
+    // unless the operator is typing in it.
+    function renderSchemaForm() {
+        if (!schemaFormContainer) {
+            return;
+        }
+
+        const entry = findSchema(actionInput.value);
+        const fields = schemaProperties(entry);
+        const payload = readPayloadObject();
+        renderPayloadFields(fields, payload);
+
+        if (entry?.action !== schemaFormAction) {
+            schemaFormAction = entry?.action ?? null;
+            if (entry && payload && Object.keys(payload).length === 0) {
+                const defaults = Object.fromEntries(fields
+                    .filter((field) => field.schema.default !== undefined)
+                    .map((field) => [field.name, field.schema.default]));
+                writePayloadObject(defaults);
+            }
+        } else if (schemaFormContainer.contains(document.activeElement)) {
+            return;
+        }
+
+        const values = readPayloadObject() ?? {};
+        schemaFormContainer.hidden = fields.length === 0;
+        schemaFormContainer.replaceChildren(...fields.map((field) => {
+            const wrapper = document.createElement('label');
+            wrapper.className = 'field';
+            const label = document.createElement('span');
+            label.textContent = `${field.schema.title || field.name}${field.required ? ' *' : ''}`;
+            const input = createSchemaInput(field, values[field.name]);
+            input.dataset.field = field.name;
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', syncPayloadFromSchemaForm);
+            wrapper.append(label, input);
+            if (field.schema.description) {
+                const hint = document.createElement('span');
+                hint.className = 'hint';
+                hint.textContent = field.schema.description;
+                wrapper.append(hint);
+            }
+            return wrapper;
+        }));
+    }
+
+    function syncPayloadFromSchemaForm() {
+        const payload = { ...(readPayloadObject() ?? {}) };
+        schemaFormContainer.querySelectorAll('[data-field]').forEach((input) => {
+            const name = input.dataset.field;
+            if (input.value === '') {
+                delete payload[name];
+            } else if (input.dataset.kind === 'option') {
+                payload[name] = JSON.parse(input.value);
+            } else if (input.dataset.kind === 'number') {
+                payload[name] = Number(input.value);
+            } else if (input.dataset.kind === 'json') {
+                payload[name] = safeJsonParse(input.value) ?? input.value;
+            } else {
+                payload[name] = input.value;
+            }
+        });
+        writePayloadObject(payload);
+        buildPreview();
+    }
+
+    // Field autocompletion for the raw JSON: one button per schema field the
+    // payload does not have yet.
+    function renderPayloadFields(fields, payload) {
+        if (!payloadFieldsContainer) {
+            return;
+        }
+
+        const missing = payload ? fields.filter((field) => !Object.prototype.hasOwnProperty.call(payload, field.name)) : [];
+        payloadFieldsContainer.replaceChildren(...missing.map((field) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'ghost';
+            button.textContent = `+ ${field.name}${field.required ? ' *' : ''}`;
+            button.title = [field.type, field.schema.description].filter(Boolean).join(' · ');
+            button.addEventListener('click', () => {
+                writePayloadObject({ ...(readPayloadObject() ?? {}), [field.name]: placeholderValue(field) });
+                buildPreview();
+                payloadInput.focus();
+            });
+            return button;
+        }));
+    }
+
+    function renderSchemaStatus(result) {
+        if (!schemaStatus) {
+            return;
+        }
+
+        if (!result?.known) {
+            schemaStatus.textContent = '';
+            payloadInput.classList.remove('invalid');
+            return;
+        }
+
+        if (result.errors.length === 0) {
+            schemaStatus.textContent = `Payload 符合「${result.action}」的 Schema。`;
+            schemaStatus.style.color = '';
+            payloadInput.classList.remove('invalid');
+            return;
+        }
+
+        schemaStatus.textContent = `Payload 不符合 Schema：${result.errors.slice(0, 5).map((error) => `${error.path} ${error.message}`).join('；')}`;
+        schemaStatus.style.color = '#ff8a9f';
+        payloadInput.classList.add('invalid');
+    }
+
+    // Validation runs in the main process (the same check every send goes
+    // through); responses to superseded edits are ignored.
+    function scheduleSchemaValidation(action, payload) {
+        clearTimeout(schemaValidationTimer);
+        if (!window.udpHost?.validatePayload || !findSchema(action)) {
+            renderSchemaStatus(null);
+            return;
+        }
+
+        const seq = ++schemaValidationSeq;
+        schemaValidationTimer = setTimeout(async () => {
+            try {
+                const result = await window.udpHost.validatePayload({ action, payload });
+                if (seq === schemaValidationSeq) {
+                    renderSchemaStatus({ ...result, action });
+                }
+            } catch (error) {
+                appendLog('ERROR', `Schema 校验失败：${error.message}`);
+            }
+        }, 200);
+    }
+
+    function renderSchemaRegistry() {
+        if (actionSuggestions) {
+            actionSuggestions.replaceChildren(...schemas
+                .filter((entry) => entry.direction !== 'report')
+                .map((entry) => {
+                    const option = document.createElement('option');
+                    option.value = entry.action;
+                    if (entry.description) {
+                        option.label = entry.description;
+                    }
+                    return option;
+                }));
+        }
+        if (schemaSummary) {
+            const reports = schemas.filter((entry) => entry.direction === 'report').length;
+            schemaSummary.textContent = schemas.length === 0
+                ? '尚未导入 Schema。'
+                : `${schemas.length - reports} 个指令、${reports} 个上报 Schema。`;
+        }
+        schemaFormAction = undefined;
+        buildPreview();
+    }
+
+    async function loadSchemas() {
+        if (!window.udpHost?.listSchemas) {
+            return;
+        }
+
+        try {
+            schemas = await window.udpHost.listSchemas();
+            renderSchemaRegistry();
+        } catch (error) {
+            appendLog('ERROR', `Schema 读取失败：${error.message}`);
+        }
+    }
+
     function onFormChanged() {
         buildPreview();
     }
@@ -817,97 +2308,2254 @@
         const action = String(message.action ?? '').toLowerCase();
         const payload = safeJsonParse(message.payload);
         const label = action === 'hostannouncement' ? 'HOST' : 'RECV';
-        appendLog(label, JSON.stringify(message, null, 2), meta);
+        const coalesced = packet.coalesced > 1 ? `\n（1 秒内 ${packet.coalesced} 条心跳，仅显示最新一条）` : '';
+        appendLog(label, `${JSON.stringify(message, null, 2)}${coalesced}`, meta);
+
+        if (action === 'hostannouncement') {
+            applyHostAnnouncement(payload);
+        }
+    }
+
+    function applyRosterSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.clients)) {
+            return;
+        }
+
+        if (snapshot.lifecycle) {
+            rosterLifecycle = snapshot.lifecycle;
+        }
+
+        clients.clear();
+        snapshot.clients.forEach(({ key, ...device }) => {
+            clients.set(key, device);
+        });
+        renderDeviceGrid();
+        renderFleetOverview();
+        renderLifecycleTargets();
+    }
+
+    // Devices that go offline drop out of the selection. Goodbyes and
+    // expiries are logged before the snapshot is applied, while an expired
+    // device's name is still known.
+    function handleRosterDepartures(changes) {
+        (changes ?? []).filter((change) => change.reason === 'offline').forEach((change) => {
+            selectedDevices.delete(change.key);
+        });
+        (changes ?? []).filter((change) => change.reason === 'goodbye' || change.reason === 'expired').forEach((change) => {
+            selectedDevices.delete(change.key);
+            const device = clients.get(change.key);
+            appendLog('ROSTER', change.reason === 'goodbye' ? '设备已正常下线。' : '设备长时间无通信，已自动移除。', {
+                name: device ? getDeviceDisplayName(change.key, device) : change.key,
+            });
+            if (change.reason === 'expired') {
+                deliveryByDevice.delete(change.key);
+            }
+        });
+    }
+
+    async function loadRoster() {
+        if (!window.udpHost?.getRoster) {
+            return;
+        }
+
+        try {
+            applyRosterSnapshot(await window.udpHost.getRoster());
+        } catch (error) {
+            appendLog('ERROR', `设备列表读取失败：${error.message}`);
+        }
+    }
+
+    async function wakeDevice(key, button) {
+        const device = clients.get(key);
+        const name = device ? getDeviceDisplayName(key, device) : key;
+        button.disabled = true;
+        try {
+            const result = await window.udpHost.wakeDevice(key);
+            const lines = [
+                result.wake.ok
+                    ? `Wake-on-LAN：已向 ${result.wake.destinations.join('、')} 发送 ${result.wake.macAddress} 的唤醒包`
+                    : `Wake-on-LAN 未发送：${result.wake.error}`,
+                result.reregister.ok
+                    ? `已请求 ${result.host}:${result.port} 重新注册`
+                    : `重新注册请求失败：${result.reregister.error}`,
+            ];
+            appendLog(result.wake.ok || result.reregister.ok ? 'WAKE' : 'ERROR', lines.join('\n'), {
+                name,
+                host: result.host,
+                port: result.port,
+            });
+        } catch (error) {
+            appendLog('ERROR', `唤醒失败：${error.message}`, { name });
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async function removeDevice(key) {
+        selectedDevices.delete(key);
+        deliveryByDevice.delete(key);
+        setStoredCustomName(key, '');
+
+        if (!window.udpHost?.removeClient) {
+            return;
+        }
+
+        try {
+            await window.udpHost.removeClient(key);
+        } catch (error) {
+            appendLog('ERROR', `移除设备失败：${error.message}`);
+        }
+    }
+
+    function applyHostAnnouncement(payload) {
+        if (!payload) {
+            return;
+        }
+
+        discoveredHost = {
+            hostAddress: typeof payload.hostAddress === 'string' ? payload.hostAddress : '',
+            hostName: typeof payload.hostName === 'string' ? payload.hostName : '',
+            hostPort: Number.isInteger(payload.hostPort) ? payload.hostPort : discoveredHost?.hostPort ?? 0,
+            commandPort: Number.isInteger(payload.commandPort) ? payload.commandPort : discoveredHost?.commandPort ?? 0,
+        };
+
+        if (discoveredHost.hostAddress) {
+            hostInput.value = discoveredHost.hostAddress;
+        }
+
+        if (discoveredHost.commandPort > 0) {
+            portInput.value = discoveredHost.commandPort;
+        }
+
+        refreshListenStatus();
+    }
+
+    function getSelectedPreset() {
+        return presets.find((preset) => preset.id === presetSelect?.value) ?? null;
+    }
+
+    function renderPresetOptions() {
+        if (!presetSelect) {
+            return;
+        }
+
+        const previous = presetSelect.value;
+        presetSelect.innerHTML = '';
+
+        if (presets.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = '暂无预设';
+            presetSelect.append(option);
+        }
+
+        presets.forEach((preset) => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = `${preset.name} · ${preset.action}`;
+            presetSelect.append(option);
+        });
+
+        if (presets.some((preset) => preset.id === previous)) {
+            presetSelect.value = previous;
+        }
+
+        const hasPreset = presets.length > 0;
+        sendPresetButton.disabled = !hasPreset;
+        loadPresetButton.disabled = !hasPreset;
+        deletePresetButton.disabled = !hasPreset;
+        exportPresetsButton.disabled = !hasPreset;
+        renderPresetParams();
+        renderJobCommandOptions();
+    }
+
+    function renderPresetParams() {
+        if (!presetParamsContainer) {
+            return;
+        }
+
+        presetParamsContainer.innerHTML = '';
+        const preset = getSelectedPreset();
+        (preset?.params ?? []).forEach((param) => {
+            const field = document.createElement('label');
+            field.className = param.type === 'boolean' ? 'field checkbox' : 'field';
+
+            const input = document.createElement('input');
+            input.dataset.param = param.name;
+            input.dataset.type = param.type;
+            if (param.type === 'boolean') {
+                input.type = 'checkbox';
+                input.checked = Boolean(param.default);
+            } else {
+                input.type = param.type === 'number' ? 'number' : 'text';
+                input.value = String(param.default ?? '');
+            }
+
+            const label = document.createElement('span');
+            label.textContent = param.label || `{{${param.name}}}`;
+
+            if (param.type === 'boolean') {
+                field.append(input, label);
+            } else {
+                field.append(label, input);
+            }
+            presetParamsContainer.append(field);
+        });
+    }
+
+    function readPresetParamValues() {
+        const values = {};
+        presetParamsContainer?.querySelectorAll('input[data-param]').forEach((input) => {
+            values[input.dataset.param] = input.dataset.type === 'boolean' ? input.checked : input.value;
+        });
+        return values;
+    }
+
+    async function loadPresets() {
+        if (!window.udpHost?.listPresets) {
+            return;
+        }
+
+        try {
+            presets = await window.udpHost.listPresets();
+            renderPresetOptions();
+            renderDeviceGrid();
+        } catch (error) {
+            appendLog('ERROR', `命令库读取失败：${error.message}`);
+        }
+    }
+
+    function loadPresetIntoForm() {
+        const preset = getSelectedPreset();
+        if (!preset) {
+            return;
+        }
+
+        actionInput.value = preset.action;
+        payloadInput.value = preset.payload ? JSON.stringify(JSON.parse(preset.payload), null, 2) : '';
+        if (preset.port) {
+            portInput.value = preset.port;
+        }
+        includeCmdIdInput.checked = preset.includeCmdId;
+        if (preset.cmdId) {
+            setCmdIdValue(preset.cmdId, CMD_ID_MODE_MANUAL);
+        }
+        if (expectAckInput) {
+            expectAckInput.checked = preset.expectAck;
+        }
+        presetNameInput.value = preset.name;
+        presetQuickFireInput.checked = preset.quickFire;
+        updateCmdIdState();
+        buildPreview();
+        status.textContent = `已载入预设「${preset.name}」。`;
+    }
+
+    async function savePresetFromForm() {
+        const name = presetNameInput.value.trim();
+        if (!name) {
+            status.textContent = '请填写预设名称。';
+            presetNameInput.focus();
+            return;
+        }
+
+        const existing = presets.find((preset) => preset.name === name);
+        try {
+            const saved = await window.udpHost.savePreset({
+                id: existing?.id,
+                name,
+                action: actionInput.value.trim(),
+                payload: payloadInput.value.trim(),
+                port: portInput.value,
+                includeCmdId: includeCmdIdInput.checked,
+                cmdId: isCmdIdManual() ? cmdIdInput.value.trim() : '',
+                sign: signCommandsInput.checked,
+                expectAck: Boolean(expectAckInput?.checked),
+                defaultTargets: Array.from(selectedDevices),
+                quickFire: presetQuickFireInput.checked,
+                params: existing?.params,
+            });
+            presetSelect.value = saved.id;
+            status.textContent = `预设「${saved.name}」已保存。`;
+        } catch (error) {
+            status.textContent = `保存预设失败：${error.message}`;
+        }
+    }
+
+    async function deleteSelectedPreset() {
+        const preset = getSelectedPreset();
+        if (!preset) {
+            return;
+        }
+
+        try {
+            await window.udpHost.removePreset(preset.id);
+            status.textContent = `预设「${preset.name}」已删除。`;
+        } catch (error) {
+            status.textContent = `删除预设失败：${error.message}`;
+        }
+    }
+
+    async function dispatchPreset(preset, { targets = [], values = {} } = {}) {
+        const ackOptions = readAckOptions();
+        const cmdId = preset.includeCmdId ? preset.cmdId || randomShortId() : '';
+
+        if (preset.includeCmdId && preset.expectAck) {
+            startDeliveryBatch(cmdId, preset.action);
+        } else {
+            activeBatch = null;
+        }
+
+        const result = await window.udpHost.sendPreset({
+            presetId: preset.id,
+            values,
+            targets,
+            host: hostInput.value.trim(),
+            port: portInput.value,
+            envelopeFormat: manualEnvelopeFormatSelect?.value,
+            cmdId,
+            retryDelaysMs: ackOptions.retryDelaysMs,
+            ackTimeoutMs: ackOptions.ackTimeoutMs,
+        });
+
+        result.results.forEach((entry) => {
+            const device = entry.deviceKey ? clients.get(entry.deviceKey) : null;
+            const meta = {
+                host: entry.host,
+                port: entry.port,
+                name: device ? getDeviceDisplayName(entry.deviceKey, device) : preset.name,
+            };
+
+            if (entry.ok) {
+                appendLog('SEND', JSON.stringify(entry.message, null, 2), meta);
+            } else {
+                appendLog('ERROR', entry.error, meta);
+                recordBatchResult(entry.deviceKey || `${entry.host}:${entry.port}`, 'failed');
+            }
+        });
+
+        if (activeBatch) {
+            refreshBatchStatus();
+        } else {
+            const sent = result.results.filter((entry) => entry.ok).length;
+            status.textContent = `预设「${preset.name}」已发送至 ${sent}/${result.results.length} 个目标。`;
+        }
+
+        return result;
+    }
+
+    async function sendSelectedPreset() {
+        const preset = getSelectedPreset();
+        if (!preset || !window.udpHost?.sendPreset) {
+            return;
+        }
+
+        const targetScope = targetScopeSelect?.value ?? '';
+        if (targetScope && resolveSelectorKeys(targetScope).length === 0) {
+            status.textContent = `${describeSelector(targetScope)} 中没有在线设备。`;
+            return;
+        }
+
+        try {
+            await dispatchPreset(preset, {
+                targets: targetScope ? [targetScope] : Array.from(selectedDevices),
+                values: readPresetParamValues(),
+            });
+        } catch (error) {
+            status.textContent = `发送预设失败：${error.message}`;
+            appendLog('ERROR', error.message, { name: preset.name });
+        }
+    }
+
+    async function sendPresetToDevice(key, preset) {
+        const device = clients.get(key);
+        if (!device || !window.udpHost?.sendPreset) {
+            return;
+        }
+
+        const values = preset.id === presetSelect?.value ? readPresetParamValues() : {};
+        try {
+            await dispatchPreset(preset, { targets: [key], values });
+        } catch (error) {
+            const deviceName = getDeviceDisplayName(key, device);
+            status.textContent = `向 ${deviceName} 发送预设失败：${error.message}`;
+            appendLog('ERROR', error.message, { name: deviceName });
+        }
+    }
+
+    async function importPresets() {
+        try {
+            const result = await window.udpHost.importPresets();
+            if (!result.canceled) {
+                status.textContent = `已导入 ${result.imported} 个预设。`;
+            }
+        } catch (error) {
+            status.textContent = `导入失败：${error.message}`;
+        }
+    }
+
+    async function exportPresets() {
+        try {
+            const result = await window.udpHost.exportPresets();
+            if (!result.canceled) {
+                status.textContent = `已导出 ${result.exported} 个预设。`;
+            }
+        } catch (error) {
+            status.textContent = `导出失败：${error.message}`;
+        }
+    }
+
+    function getSelectedCueList() {
+        return cueListsCache.find((cueList) => cueList.id === cueListSelect?.value) ?? null;
+    }
+
+    function renderCueListOptions() {
+        if (!cueListSelect) {
+            return;
+        }
+
+        const previous = cueListSelect.value;
+        cueListSelect.innerHTML = '';
+
+        const draft = document.createElement('option');
+        draft.value = '';
+        draft.textContent = '（新序列）';
+        cueListSelect.append(draft);
+
+        cueListsCache.forEach((cueList) => {
+            const option = document.createElement('option');
+            option.value = cueList.id;
+            option.textContent = `${cueList.name}（${cueList.steps.length} 步）`;
+            cueListSelect.append(option);
+        });
+
+        if (cueListsCache.some((cueList) => cueList.id === previous)) {
+            cueListSelect.value = previous;
+        }
+
+        refreshCueControls();
+    }
+
+    function loadCueListIntoEditor() {
+        const cueList = getSelectedCueList();
+        cueEditorStatus.textContent = '';
+
+        if (!cueList) {
+            cueListNameInput.value = '';
+            cueStepsInput.value = JSON.stringify(CUE_STEPS_TEMPLATE, null, 2);
+            refreshCueControls();
+            return;
+        }
+
+        cueListNameInput.value = cueList.name;
+        cueStepsInput.value = JSON.stringify(cueList.steps, null, 2);
+        refreshCueControls();
+    }
+
+    async function loadCueLists() {
+        if (!window.udpHost?.listCueLists) {
+            return;
+        }
+
+        try {
+            cueListsCache = await window.udpHost.listCueLists();
+            renderCueListOptions();
+            loadCueListIntoEditor();
+            renderCueProgress(await window.udpHost.getCueStatus());
+        } catch (error) {
+            appendLog('ERROR', `序列读取失败：${error.message}`);
+        }
+    }
+
+    async function saveCueListFromEditor() {
+        let steps;
+        try {
+            steps = JSON.parse(cueStepsInput.value);
+            cueStepsInput.classList.remove('invalid');
+        } catch (error) {
+            cueStepsInput.classList.add('invalid');
+            cueEditorStatus.textContent = `步骤必须是合法 JSON：${error.message}`;
+            return;
+        }
+
+        try {
+            const saved = await window.udpHost.saveCueList({
+                id: cueListSelect.value || undefined,
+                name: cueListNameInput.value,
+                steps,
+            });
+            cueListsCache = cueListsCache.filter((cueList) => cueList.id !== saved.id).concat(saved);
+            renderCueListOptions();
+            cueListSelect.value = saved.id;
+            loadCueListIntoEditor();
+            cueEditorStatus.textContent = `序列「${saved.name}」已保存。`;
+        } catch (error) {
+            cueEditorStatus.textContent = `保存失败：${error.message}`;
+        }
+    }
+
+    async function deleteSelectedCueList() {
+        const cueList = getSelectedCueList();
+        if (!cueList) {
+            return;
+        }
+
+        try {
+            await window.udpHost.removeCueList(cueList.id);
+            cueListSelect.value = '';
+            loadCueListIntoEditor();
+            cueEditorStatus.textContent = `序列「${cueList.name}」已删除。`;
+        } catch (error) {
+            cueEditorStatus.textContent = `删除失败：${error.message}`;
+        }
+    }
+
+    function isCueActive() {
+        return cueProgress.state === 'playing' || cueProgress.state === 'paused';
+    }
+
+    function refreshCueControls() {
+        if (!playCueListButton) {
+            return;
+        }
+
+        const active = isCueActive();
+        playCueListButton.disabled = active || !getSelectedCueList();
+        pauseCueListButton.disabled = !active;
+        pauseCueListButton.textContent = cueProgress.state === 'paused' ? '继续' : '暂停';
+        skipCueStepButton.disabled = !active;
+        abortCueListButton.disabled = !active;
+        deleteCueListButton.disabled = !getSelectedCueList() || (active && cueProgress.cueListId === cueListSelect.value);
+    }
+
+    function renderCueProgress(progress) {
+        if (!cueProgressList || !progress) {
+            return;
+        }
+
+        cueProgress = progress;
+        const label = CUE_STATE_LABELS[progress.state] || progress.state;
+        cueState.textContent = progress.name ? `${progress.name} · ${label}` : label;
+        cueState.classList.toggle('subtle', !isCueActive());
+
+        cueProgressList.innerHTML = '';
+        progress.steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = step.status;
+            if (index === progress.currentIndex && isCueActive()) {
+                item.classList.add('current');
+            }
+
+            const title = document.createElement('div');
+            title.className = 'step-title';
+            const name = document.createElement('strong');
+            name.textContent = `${index + 1}. ${step.label}`;
+            const stepStatus = document.createElement('span');
+            stepStatus.className = 'step-status';
+            stepStatus.textContent = CUE_STEP_STATUS_LABELS[step.status] || step.status;
+            title.append(name, stepStatus);
+            item.append(title);
+
+            if (step.detail) {
+                const detail = document.createElement('p');
+                detail.className = 'muted';
+                detail.textContent = step.detail;
+                item.append(detail);
+            }
+
+            cueProgressList.append(item);
+        });
+
+        refreshCueControls();
+    }
+
+    async function runCueControl(operation) {
+        try {
+            renderCueProgress(await operation());
+        } catch (error) {
+            cueEditorStatus.textContent = error.message;
+            appendLog('ERROR', `序列控制失败：${error.message}`);
+        }
+    }
+
+    function formatDateTime(timestamp) {
+        return Number.isFinite(timestamp)
+            ? new Date(timestamp).toLocaleString('zh-CN', { hour12: false })
+            : '—';
+    }
+
+    function toLocalInputValue(timestamp) {
+        const date = new Date(timestamp - new Date(timestamp).getTimezoneOffset() * 60_000);
+        return date.toISOString().slice(0, 19);
+    }
+
+    function describeTrigger(trigger) {
+        if (trigger.type === 'once') {
+            return `单次 · ${formatDateTime(trigger.at)}`;
+        }
+
+        if (trigger.type === 'interval') {
+            const seconds = trigger.everyMs / 1000;
+            return seconds % 60 === 0 ? `每 ${seconds / 60} 分钟` : `每 ${seconds} 秒`;
+        }
+
+        return `Cron · ${trigger.expression}`;
+    }
+
+    function describeJobCommand(job) {
+        if (job.command.presetId) {
+            const preset = presets.find((entry) => entry.id === job.command.presetId);
+            return preset ? `预设「${preset.name}」` : '预设（已删除）';
+        }
+
+        return job.command.action;
+    }
+
+    function renderJobCommandOptions() {
+        if (!jobCommandSelect) {
+            return;
+        }
+
+        const previous = jobCommandSelect.value;
+        jobCommandSelect.innerHTML = '';
+
+        const inline = document.createElement('option');
+        inline.value = '';
+        inline.textContent = '自定义指令';
+        jobCommandSelect.append(inline);
+
+        presets.forEach((preset) => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = `预设 · ${preset.name}`;
+            jobCommandSelect.append(option);
+        });
+
+        if (presets.some((preset) => preset.id === previous)) {
+            jobCommandSelect.value = previous;
+        }
+
+        refreshJobEditorFields();
+    }
+
+    function refreshJobEditorFields() {
+        const triggerType = jobTriggerTypeSelect.value;
+        document.querySelectorAll('#scheduleView [data-trigger]').forEach((field) => {
+            field.hidden = field.dataset.trigger !== triggerType;
+        });
+
+        const inline = !jobCommandSelect.value;
+        document.querySelectorAll('#scheduleView [data-command="inline"]').forEach((field) => {
+            field.hidden = !inline;
+        });
+
+        deleteJobButton.disabled = !editingJobId;
+    }
+
+    function resetJobEditor() {
+        editingJobId = null;
+        jobNameInput.value = '';
+        jobTriggerTypeSelect.value = 'once';
+        jobRunAtInput.value = toLocalInputValue(Date.now() + 3_600_000);
+        jobIntervalInput.value = '30';
+        jobCronInput.value = '';
+        jobCommandSelect.value = '';
+        jobActionInput.value = '';
+        jobPortInput.value = '';
+        jobPayloadInput.value = '';
+        jobTargetsInput.value = '@online';
+        jobExpectAckInput.checked = false;
+        jobEnabledInput.checked = true;
+        jobEditorStatus.textContent = '';
+        refreshJobEditorFields();
+        renderJobList();
+    }
+
+    function loadJobIntoEditor(job) {
+        editingJobId = job.id;
+        jobNameInput.value = job.name;
+        jobTriggerTypeSelect.value = job.trigger.type;
+        jobRunAtInput.value = toLocalInputValue(job.trigger.type === 'once' ? job.trigger.at : Date.now() + 3_600_000);
+        jobIntervalInput.value = job.trigger.type === 'interval' ? String(job.trigger.everyMs / 1000) : '30';
+        jobCronInput.value = job.trigger.type === 'cron' ? job.trigger.expression : '';
+        jobCommandSelect.value = job.command.presetId ?? '';
+        jobActionInput.value = job.command.action ?? '';
+        jobPortInput.value = job.command.port ? String(job.command.port) : '';
+        jobPayloadInput.value = job.command.payload ?? '';
+        jobTargetsInput.value = job.targets.join(', ');
+        jobExpectAckInput.checked = job.expectAck;
+        jobEnabledInput.checked = job.enabled;
+        jobEditorStatus.textContent = '';
+        refreshJobEditorFields();
+        renderJobList();
+    }
+
+    function readJobTrigger() {
+        const type = jobTriggerTypeSelect.value;
+        if (type === 'once') {
+            return { type, at: new Date(jobRunAtInput.value).getTime() };
+        }
+
+        if (type === 'interval') {
+            return { type, everyMs: Math.round(Number.parseFloat(jobIntervalInput.value) * 1000) };
+        }
+
+        return { type, expression: jobCronInput.value.trim() };
+    }
+
+    function readJobCommand() {
+        if (jobCommandSelect.value) {
+            return { presetId: jobCommandSelect.value, values: {} };
+        }
+
+        const payloadText = jobPayloadInput.value.trim();
+        if (payloadText && safeJsonParse(payloadText) === null) {
+            throw new Error('Payload 必须是合法 JSON。');
+        }
+
+        return {
+            action: jobActionInput.value.trim(),
+            payload: payloadText,
+            port: jobPortInput.value,
+        };
+    }
+
+    async function saveJobFromEditor() {
+        try {
+            const saved = await window.udpHost.saveJob({
+                id: editingJobId ?? undefined,
+                name: jobNameInput.value,
+                trigger: readJobTrigger(),
+                command: readJobCommand(),
+                targets: jobTargetsInput.value.split(',').map((target) => target.trim()).filter(Boolean),
+                expectAck: jobExpectAckInput.checked,
+                enabled: jobEnabledInput.checked,
+            });
+            editingJobId = saved.id;
+            jobEditorStatus.textContent = `任务「${saved.name}」已保存。`;
+            refreshJobEditorFields();
+            renderJobList();
+        } catch (error) {
+            jobEditorStatus.textContent = `保存失败：${error.message}`;
+        }
+    }
+
+    async function deleteEditingJob() {
+        const job = schedule.jobs.find((entry) => entry.id === editingJobId);
+        if (!job) {
+            return;
+        }
+
+        try {
+            await window.udpHost.removeJob(job.id);
+            resetJobEditor();
+            jobEditorStatus.textContent = `任务「${job.name}」已删除。`;
+        } catch (error) {
+            jobEditorStatus.textContent = `删除失败：${error.message}`;
+        }
+    }
+
+    async function runJobAction(operation) {
+        try {
+            await operation();
+        } catch (error) {
+            appendLog('ERROR', `定时任务操作失败：${error.message}`);
+        }
+    }
+
+    function createJobButton(label, onClick, className = 'ghost') {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function renderJobList() {
+        if (!jobList) {
+            return;
+        }
+
+        const active = schedule.jobs.filter((job) => job.enabled).length;
+        jobSummary.textContent = schedule.jobs.length === 0 ? '暂无任务' : `${active}/${schedule.jobs.length} 启用`;
+        jobSummary.classList.toggle('subtle', active === 0);
+
+        jobList.innerHTML = '';
+        if (schedule.jobs.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '尚未创建定时任务。';
+            jobList.append(placeholder);
+            return;
+        }
+
+        const jobs = [...schedule.jobs].sort((a, b) => (a.nextRunAt ?? Infinity) - (b.nextRunAt ?? Infinity));
+        jobs.forEach((job) => {
+            const item = document.createElement('li');
+            item.classList.toggle('disabled', !job.enabled);
+            item.classList.toggle('editing', job.id === editingJobId);
+
+            const title = document.createElement('div');
+            title.className = 'job-title';
+            const name = document.createElement('strong');
+            name.textContent = job.name;
+            const trigger = document.createElement('span');
+            trigger.className = 'job-meta';
+            trigger.textContent = describeTrigger(job.trigger);
+            title.append(name, trigger);
+
+            const meta = document.createElement('div');
+            meta.className = 'job-meta';
+            const next = job.running ? '执行中' : job.nextRunAt ? `下次：${formatDateTime(job.nextRunAt)}` : '无待执行';
+            meta.textContent = `${describeJobCommand(job)} → ${job.targets.join(', ')} · ${next}`;
+
+            const actions = document.createElement('div');
+            actions.className = 'job-actions';
+            actions.append(
+                createJobButton('编辑', () => loadJobIntoEditor(job)),
+                createJobButton('立即执行', () => {
+                    void runJobAction(() => window.udpHost.runJobNow(job.id));
+                }),
+                createJobButton(job.enabled ? '停用' : '启用', () => {
+                    void runJobAction(() => window.udpHost.setJobEnabled({ id: job.id, enabled: !job.enabled }));
+                }),
+            );
+
+            item.append(title, meta, actions);
+            jobList.append(item);
+        });
+    }
+
+    function renderJobHistory() {
+        if (!jobHistoryList) {
+            return;
+        }
+
+        jobHistoryList.innerHTML = '';
+        clearJobHistoryButton.disabled = schedule.history.length === 0;
+        if (schedule.history.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '暂无运行记录。';
+            jobHistoryList.append(placeholder);
+            return;
+        }
+
+        schedule.history.forEach((entry) => {
+            const item = document.createElement('li');
+            item.className = entry.status;
+
+            const title = document.createElement('div');
+            title.className = 'job-title';
+            const name = document.createElement('strong');
+            name.textContent = entry.jobName;
+            const runStatus = document.createElement('span');
+            runStatus.className = 'job-status';
+            runStatus.textContent = JOB_RUN_STATUS_LABELS[entry.status] || entry.status;
+            title.append(name, runStatus);
+
+            const meta = document.createElement('div');
+            meta.className = 'job-meta';
+            const timing = `计划 ${formatDateTime(entry.scheduledAt)}`;
+            meta.textContent = entry.detail ? `${timing} · ${entry.detail}` : timing;
+
+            item.append(title, meta);
+            jobHistoryList.append(item);
+        });
+    }
+
+    function applySchedule(snapshot) {
+        schedule = {
+            jobs: Array.isArray(snapshot?.jobs) ? snapshot.jobs : [],
+            history: Array.isArray(snapshot?.history) ? snapshot.history : [],
+        };
+        if (editingJobId && !schedule.jobs.some((job) => job.id === editingJobId)) {
+            editingJobId = null;
+            refreshJobEditorFields();
+        }
+        renderJobList();
+        renderJobHistory();
+    }
+
+    async function loadSchedule() {
+        if (!window.udpHost?.getSchedule) {
+            return;
+        }
+
+        try {
+            applySchedule(await window.udpHost.getSchedule());
+        } catch (error) {
+            appendLog('ERROR', `定时任务读取失败：${error.message}`);
+        }
+    }
+
+    function hasActiveAlert(key) {
+        return alertState.active.some((alert) => alert.key === key);
+    }
+
+    function formatTelemetryValue(value, unit, digits = 0) {
+        return typeof value === 'number' ? `${value.toFixed(digits)}${unit}` : '—';
+    }
+
+    function createSparkline(values, label, options = {}) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'sparkline';
+        wrapper.classList.toggle('warn', Boolean(options.warn));
+        wrapper.title = options.title ?? '';
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('viewBox', '0 0 80 22');
+        svg.setAttribute('preserveAspectRatio', 'none');
+        if (values.length > 1) {
+            const min = options.min ?? Math.min(...values);
+            const max = options.max ?? Math.max(...values);
+            const range = max - min || 1;
+            const points = values.map((value, index) => {
+                const x = (index / (values.length - 1)) * 80;
+                const y = 21 - ((Math.min(Math.max(value, min), max) - min) / range) * 20;
+                return `${x.toFixed(1)},${y.toFixed(1)}`;
+            });
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+            line.setAttribute('points', points.join(' '));
+            svg.append(line);
+        }
+
+        const text = document.createElement('span');
+        text.textContent = label;
+        wrapper.append(svg, text);
+        return wrapper;
+    }
+
+    function createTelemetrySparklines(stats) {
+        const sparklines = stats.sparklines ?? {};
+        return [
+            createSparkline(sparklines.battery ?? [], formatTelemetryValue(stats.batteryLevelPercent, '%'), {
+                min: 0,
+                max: 100,
+                warn: typeof stats.batteryLevelPercent === 'number' && stats.batteryLevelPercent < 20,
+                title: '电量',
+            }),
+            createSparkline(sparklines.interval ?? [], typeof stats.intervalMs === 'number'
+                ? `${(stats.intervalMs / 1000).toFixed(1)}s ±${Math.round(stats.jitterMs ?? 0)}ms`
+                : '—', { min: 0, title: '心跳间隔 / 抖动' }),
+            createSparkline(sparklines.loss ?? [], formatTelemetryValue(stats.lossPercent, '%', 1), {
+                min: 0,
+                warn: typeof stats.lossPercent === 'number' && stats.lossPercent > 5,
+                title: '估算丢包率',
+            }),
+        ];
+    }
+
+    function createDeviceTelemetry(key) {
+        const container = document.createElement('div');
+        container.className = 'telemetry';
+        const stats = telemetryByDevice.get(key);
+        if (stats) {
+            container.append(...createTelemetrySparklines(stats));
+        }
+        return container;
+    }
+
+    // Telemetry arrives once a second; only the sparkline rows of the device
+    // cards are replaced, so editing a card is not interrupted.
+    function refreshCardTelemetry() {
+        if (!deviceGrid) {
+            return;
+        }
+
+        deviceGrid.querySelectorAll('.device-card').forEach((card) => {
+            card.querySelector('.telemetry')?.replaceWith(createDeviceTelemetry(card.dataset.key));
+            card.classList.toggle('alerting', hasActiveAlert(card.dataset.key));
+        });
+    }
+
+    function createFleetCounter(value, label) {
+        const counter = document.createElement('div');
+        const strong = document.createElement('strong');
+        strong.textContent = value;
+        const caption = document.createElement('span');
+        caption.textContent = label;
+        counter.append(strong, caption);
+        return counter;
+    }
+
+    function average(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    function renderFleetOverview() {
+        if (!fleetDevices) {
+            return;
+        }
+
+        const devices = Array.from(clients.entries()).map(([key, device]) => ({
+            key,
+            device,
+            name: getDeviceDisplayName(key, device),
+            stats: telemetryByDevice.get(key) ?? null,
+        })).sort((a, b) => a.name.localeCompare(b.name));
+        const online = devices.filter((entry) => entry.device.online);
+        const batteries = online.map((entry) => entry.stats?.batteryLevelPercent).filter((value) => typeof value === 'number');
+        const losses = online.map((entry) => entry.stats?.lossPercent).filter((value) => typeof value === 'number');
+        const lowBattery = batteries.filter((value) => value < 20).length;
+
+        fleetSummary.textContent = devices.length === 0 ? '暂无数据' : `${online.length}/${devices.length} 在线`;
+        fleetSummary.classList.toggle('subtle', devices.length === 0);
+        fleetCounters.replaceChildren(
+            createFleetCounter(`${online.length}`, '在线设备'),
+            createFleetCounter(formatTelemetryValue(average(batteries), '%'), '平均电量'),
+            createFleetCounter(`${lowBattery}`, '电量低于 20%'),
+            createFleetCounter(formatTelemetryValue(average(losses), '%', 1), '平均丢包率'),
+            createFleetCounter(`${alertState.active.length}`, '活动告警'),
+        );
+
+        if (devices.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '暂无设备上线。';
+            fleetDevices.replaceChildren(placeholder);
+            return;
+        }
+
+        const cells = ['设备', '电量', '心跳间隔', '丢包率', '场景'].map((label) => {
+            const head = document.createElement('span');
+            head.className = 'fleet-head';
+            head.textContent = label;
+            return head;
+        });
+        devices.forEach(({ key, device, name, stats }) => {
+            const nameCell = document.createElement('strong');
+            nameCell.textContent = name;
+            nameCell.title = `${device.online ? `最近通信：${formatRelativeTime(device.lastSeen)}` : '离线'} · 点击查看历史`;
+            nameCell.classList.add('fleet-device');
+            nameCell.classList.toggle('offline', !device.online);
+            nameCell.classList.toggle('alerting', hasActiveAlert(key));
+            nameCell.classList.toggle('selected', key === historyDeviceKey);
+            nameCell.addEventListener('click', () => {
+                void openDeviceHistory(key);
+            });
+
+            const sparklines = stats
+                ? createTelemetrySparklines(stats)
+                : [0, 1, 2].map(() => createSparkline([], '—'));
+            sparklines.forEach((sparkline) => sparkline.classList.toggle('offline', !device.online));
+
+            const scene = document.createElement('span');
+            const change = stats?.lastSceneChange;
+            scene.textContent = formatDeviceScene(device);
+            scene.title = change
+                ? `${formatDateTime(change.at)}：${change.from || '空闲'} → ${change.to || '空闲'}（共 ${stats.sceneChanges} 次切换）`
+                : '';
+            scene.classList.toggle('offline', !device.online);
+            cells.push(nameCell, ...sparklines, scene);
+        });
+        fleetDevices.replaceChildren(...cells);
+    }
+
+    function createHistorySeries(series, label, format, options = {}) {
+        const values = series.map(([, value]) => value);
+        const latest = values.length > 0 ? values[values.length - 1] : null;
+        const sparkline = createSparkline(values, `${label} ${format(latest)}`, options);
+        if (series.length > 0) {
+            sparkline.title = `${formatDateTime(series[0][0])} – ${formatDateTime(series[series.length - 1][0])}，${series.length} 个样本`;
+        }
+        return sparkline;
+    }
+
+    // The full in-memory series of one device (the cards only show the
+    // latest points), plus its scene changes, newest first.
+    function renderDeviceHistory(history) {
+        const device = clients.get(historyDeviceKey);
+        deviceHistorySummary.textContent = getDeviceDisplayName(historyDeviceKey, device) || historyDeviceKey;
+        if (!history) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '该设备暂无遥测数据。';
+            deviceHistorySeries.replaceChildren(placeholder);
+            deviceSceneHistory.replaceChildren();
+            return;
+        }
+
+        const formatSeconds = (value) => (typeof value === 'number' ? `${(value / 1000).toFixed(1)}s` : '—');
+        deviceHistorySeries.replaceChildren(
+            createHistorySeries(history.battery, '电量', (value) => formatTelemetryValue(value, '%'), { min: 0, max: 100 }),
+            createHistorySeries(history.interval, '心跳间隔', formatSeconds, { min: 0 }),
+            createHistorySeries(history.jitter, '抖动', (value) => formatTelemetryValue(value, 'ms'), { min: 0 }),
+            createHistorySeries(history.loss, '估算丢包率', (value) => formatTelemetryValue(value, '%', 1), { min: 0 }),
+        );
+
+        if (history.scenes.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '暂无场景切换记录。';
+            deviceSceneHistory.replaceChildren(placeholder);
+            return;
+        }
+
+        deviceSceneHistory.replaceChildren(...[...history.scenes].reverse().map((change) => {
+            const item = document.createElement('li');
+            const title = document.createElement('div');
+            title.className = 'job-title';
+            const name = document.createElement('strong');
+            name.textContent = `${change.from || '空闲'} → ${change.to || '空闲'}`;
+            title.append(name);
+
+            const meta = document.createElement('div');
+            meta.className = 'job-meta';
+            meta.textContent = formatDateTime(change.at);
+
+            item.append(title, meta);
+            return item;
+        }));
+    }
+
+    async function loadDeviceHistory() {
+        if (!historyDeviceKey || !window.udpHost?.getDeviceTelemetry) {
+            return;
+        }
+
+        const key = historyDeviceKey;
+        try {
+            const history = await window.udpHost.getDeviceTelemetry(key);
+            if (key === historyDeviceKey) {
+                renderDeviceHistory(history);
+            }
+        } catch (error) {
+            appendLog('ERROR', `设备历史读取失败：${error.message}`);
+        }
+    }
+
+    async function openDeviceHistory(key) {
+        historyDeviceKey = key;
+        deviceHistoryPanel.hidden = false;
+        renderFleetOverview();
+        await loadDeviceHistory();
+    }
+
+    function closeDeviceHistory() {
+        historyDeviceKey = null;
+        deviceHistoryPanel.hidden = true;
+        renderFleetOverview();
+    }
+
+    function applyTelemetry(overview) {
+        telemetryByDevice.clear();
+        (Array.isArray(overview) ? overview : []).forEach((entry) => telemetryByDevice.set(entry.key, entry));
+        refreshCardTelemetry();
+        renderFleetOverview();
+        if (historyDeviceKey && !deviceHistoryPanel.hidden) {
+            void loadDeviceHistory();
+        }
+    }
+
+    async function loadTelemetry() {
+        if (!window.udpHost?.getTelemetry) {
+            return;
+        }
+
+        try {
+            applyTelemetry(await window.udpHost.getTelemetry());
+        } catch (error) {
+            appendLog('ERROR', `设备遥测读取失败：${error.message}`);
+        }
+    }
+
+    function refreshAlertRuleFields() {
+        const isScene = alertRuleTypeSelect.value === 'unexpected-scene';
+        document.querySelectorAll('[data-alert-field]').forEach((field) => {
+            field.hidden = (field.dataset.alertField === 'scenes') !== isScene;
+        });
+        fillSelectOptions(alertRuleGroupSelect, deviceGroups.map((group) => ({ value: group.name, label: group.name })), '全部设备');
+        deleteAlertRuleButton.disabled = !editingAlertRuleId;
+    }
+
+    function resetAlertRuleEditor() {
+        editingAlertRuleId = null;
+        alertRuleNameInput.value = '';
+        alertRuleTypeSelect.value = 'battery-below';
+        alertRuleThresholdInput.value = '20';
+        alertRuleScenesInput.value = '';
+        alertRuleGroupSelect.value = '';
+        alertRuleNotifyInput.checked = true;
+        alertRuleEnabledInput.checked = true;
+        alertRuleStatus.textContent = '';
+        refreshAlertRuleFields();
+        renderAlertRuleList();
+    }
+
+    function loadAlertRuleIntoEditor(rule) {
+        editingAlertRuleId = rule.id;
+        alertRuleNameInput.value = rule.name;
+        alertRuleTypeSelect.value = rule.type;
+        alertRuleThresholdInput.value = rule.threshold === null ? '' : String(rule.threshold);
+        alertRuleScenesInput.value = rule.scenes.join(', ');
+        refreshAlertRuleFields();
+        alertRuleGroupSelect.value = rule.group;
+        alertRuleNotifyInput.checked = rule.notify;
+        alertRuleEnabledInput.checked = rule.enabled;
+        alertRuleStatus.textContent = '';
+        renderAlertRuleList();
+    }
+
+    async function saveAlertRuleFromEditor() {
+        try {
+            const saved = await window.udpHost.saveAlertRule({
+                id: editingAlertRuleId ?? undefined,
+                name: alertRuleNameInput.value,
+                type: alertRuleTypeSelect.value,
+                threshold: alertRuleThresholdInput.value,
+                scenes: alertRuleScenesInput.value,
+                group: alertRuleGroupSelect.value,
+                notify: alertRuleNotifyInput.checked,
+                enabled: alertRuleEnabledInput.checked,
+            });
+            editingAlertRuleId = saved.id;
+            alertRuleStatus.textContent = `规则「${saved.name}」已保存。`;
+            refreshAlertRuleFields();
+            renderAlertRuleList();
+        } catch (error) {
+            alertRuleStatus.textContent = `保存失败：${error.message}`;
+        }
+    }
+
+    async function deleteEditingAlertRule() {
+        const rule = alertState.rules.find((entry) => entry.id === editingAlertRuleId);
+        if (!rule) {
+            return;
+        }
+
+        try {
+            await window.udpHost.removeAlertRule(rule.id);
+            resetAlertRuleEditor();
+            alertRuleStatus.textContent = `规则「${rule.name}」已删除。`;
+        } catch (error) {
+            alertRuleStatus.textContent = `删除失败：${error.message}`;
+        }
+    }
+
+    function describeAlertRule(rule) {
+        const condition = rule.type === 'unexpected-scene'
+            ? `${ALERT_TYPE_LABELS[rule.type]} ${rule.scenes.join(', ')} 中`
+            : `${ALERT_TYPE_LABELS[rule.type] || rule.type} ${rule.threshold}${rule.type === 'heartbeat-missing' ? ' 秒' : '%'}`;
+        return [condition, rule.group ? `分组 ${rule.group}` : '', rule.notify ? '桌面通知' : ''].filter(Boolean).join(' · ');
+    }
+
+    function renderAlertRuleList() {
+        if (!alertRuleList) {
+            return;
+        }
+
+        alertRuleList.innerHTML = '';
+        if (alertState.rules.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '尚未创建告警规则。';
+            alertRuleList.append(placeholder);
+            return;
+        }
+
+        alertState.rules.forEach((rule) => {
+            const item = document.createElement('li');
+            item.classList.toggle('disabled', !rule.enabled);
+            item.classList.toggle('editing', rule.id === editingAlertRuleId);
+
+            const title = document.createElement('div');
+            title.className = 'job-title';
+            const name = document.createElement('strong');
+            name.textContent = rule.name;
+            const count = alertState.active.filter((alert) => alert.ruleId === rule.id).length;
+            const state = document.createElement('span');
+            state.className = 'job-meta';
+            state.textContent = rule.enabled ? (count > 0 ? `${count} 台告警中` : '正常') : '已停用';
+            title.append(name, state);
+
+            const meta = document.createElement('div');
+            meta.className = 'job-meta';
+            meta.textContent = describeAlertRule(rule);
+
+            const actions = document.createElement('div');
+            actions.className = 'job-actions';
+            actions.append(
+                createJobButton('编辑', () => loadAlertRuleIntoEditor(rule)),
+                createJobButton(rule.enabled ? '停用' : '启用', () => {
+                    void window.udpHost.saveAlertRule({ ...rule, enabled: !rule.enabled })
+                        .catch((error) => appendLog('ERROR', `告警规则操作失败：${error.message}`));
+                }),
+            );
+
+            item.append(title, meta, actions);
+            alertRuleList.append(item);
+        });
+    }
+
+    function renderAlerts() {
+        if (!alertList) {
+            return;
+        }
+
+        alertSummary.textContent = alertState.active.length === 0 ? '无活动告警' : `${alertState.active.length} 条活动告警`;
+        alertSummary.classList.toggle('subtle', alertState.active.length === 0);
+        clearAlertHistoryButton.disabled = alertState.history.length === 0;
+
+        alertList.innerHTML = '';
+        if (alertState.history.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '暂无告警记录。';
+            alertList.append(placeholder);
+            return;
+        }
+
+        alertState.history.forEach((alert) => {
+            const item = document.createElement('li');
+            item.className = alert.clearedAt ? 'cleared' : 'raised';
+
+            const title = document.createElement('div');
+            title.className = 'job-title';
+            const name = document.createElement('strong');
+            name.textContent = `${alert.ruleName} · ${getDeviceDisplayName(alert.key, clients.get(alert.key)) || alert.deviceName}`;
+            const state = document.createElement('span');
+            state.className = 'job-status';
+            state.textContent = alert.clearedAt ? '已恢复' : '告警中';
+            title.append(name, state);
+
+            const meta = document.createElement('div');
+            meta.className = 'job-meta';
+            const timing = alert.clearedAt
+                ? `${formatDateTime(alert.raisedAt)} – ${formatDateTime(alert.clearedAt)}`
+                : formatDateTime(alert.raisedAt);
+            meta.textContent = `${timing} · ${alert.message}`;
+
+            item.append(title, meta);
+            alertList.append(item);
+        });
+    }
+
+    function applyAlerts(snapshot) {
+        alertState = {
+            rules: Array.isArray(snapshot?.rules) ? snapshot.rules : [],
+            active: Array.isArray(snapshot?.active) ? snapshot.active : [],
+            history: Array.isArray(snapshot?.history) ? snapshot.history : [],
+        };
+        if (editingAlertRuleId && !alertState.rules.some((rule) => rule.id === editingAlertRuleId)) {
+            editingAlertRuleId = null;
+        }
+        if (alertRuleList) {
+            refreshAlertRuleFields();
+        }
+        renderAlertRuleList();
+        renderAlerts();
+        refreshCardTelemetry();
+        renderFleetOverview();
+    }
+
+    async function loadAlerts() {
+        if (!window.udpHost?.listAlerts) {
+            return;
+        }
+
+        try {
+            applyAlerts(await window.udpHost.listAlerts());
+        } catch (error) {
+            appendLog('ERROR', `告警规则读取失败：${error.message}`);
+        }
+    }
+
+    function formatLifecycleTimeouts(timeouts) {
+        const parts = [];
+        if (timeouts.staleAfterMs !== undefined) {
+            parts.push(timeouts.staleAfterMs ? `延迟 ${timeouts.staleAfterMs / 1000}s` : '不标记延迟');
+        }
+        if (timeouts.offlineAfterMs !== undefined) {
+            parts.push(`离线 ${timeouts.offlineAfterMs / 1000}s`);
+        }
+        if (timeouts.expireAfterMs !== undefined) {
+            parts.push(timeouts.expireAfterMs ? `${timeouts.expireAfterMs / 60000} 分钟后移除` : '不自动移除');
+        }
+        return parts.join(' · ');
+    }
+
+    function describeLifecycleTarget(target) {
+        if (target.startsWith(GROUP_SELECTOR_PREFIX)) {
+            return `分组 · ${target.slice(GROUP_SELECTOR_PREFIX.length)}`;
+        }
+        const device = clients.get(target);
+        return device ? getDeviceDisplayName(target, device) : target;
+    }
+
+    function renderLifecycleTargets() {
+        fillSelectOptions(lifecycleOverrideTargetSelect, [
+            ...deviceGroups.map((group) => ({ value: `${GROUP_SELECTOR_PREFIX}${group.name}`, label: `分组 · ${group.name}` })),
+            ...Array.from(clients.entries()).map(([key, device]) => ({ value: key, label: getDeviceDisplayName(key, device) })),
+        ], '选择设备或分组');
+    }
+
+    // Empty inputs are left out so the setting is inherited.
+    function readTimeoutInput(input, unitMs) {
+        const value = input.value.trim();
+        return value === '' ? undefined : Math.round(Number(value) * unitMs);
+    }
+
+    function renderLifecycle(settings) {
+        if (!lifecycleOverrideList || !settings) {
+            return;
+        }
+
+        rosterLifecycle = settings;
+        lifecycleStaleInput.value = settings.staleAfterMs / 1000;
+        lifecycleOfflineInput.value = settings.offlineAfterMs / 1000;
+        lifecycleExpireInput.value = settings.expireAfterMs / 60000;
+        lifecycleSummary.textContent = formatLifecycleTimeouts(settings);
+        renderLifecycleTargets();
+
+        lifecycleOverrideList.innerHTML = '';
+        if (settings.overrides.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '所有设备使用上方的默认设置。';
+            lifecycleOverrideList.append(placeholder);
+            return;
+        }
+
+        settings.overrides.forEach((override) => {
+            const item = document.createElement('li');
+
+            const title = document.createElement('div');
+            title.className = 'job-title';
+            const name = document.createElement('strong');
+            name.textContent = describeLifecycleTarget(override.target);
+            title.append(name);
+
+            const meta = document.createElement('div');
+            meta.className = 'job-meta';
+            meta.textContent = formatLifecycleTimeouts(override);
+
+            const actions = document.createElement('div');
+            actions.className = 'job-actions';
+            actions.append(
+                createJobButton('编辑', () => loadLifecycleOverride(override)),
+                createJobButton('删除', () => {
+                    void applyLifecycle({
+                        ...rosterLifecycle,
+                        overrides: rosterLifecycle.overrides.filter((entry) => entry.target !== override.target),
+                    }, `已删除 ${describeLifecycleTarget(override.target)} 的单独设置。`);
+                }),
+            );
+
+            item.append(title, meta, actions);
+            lifecycleOverrideList.append(item);
+        });
+    }
+
+    function loadLifecycleOverride(override) {
+        lifecycleOverrideTargetSelect.value = override.target;
+        lifecycleOverrideStaleInput.value = override.staleAfterMs === undefined ? '' : override.staleAfterMs / 1000;
+        lifecycleOverrideOfflineInput.value = override.offlineAfterMs === undefined ? '' : override.offlineAfterMs / 1000;
+        lifecycleOverrideExpireInput.value = override.expireAfterMs === undefined ? '' : override.expireAfterMs / 60000;
+        lifecycleStatus.textContent = '';
+    }
+
+    async function applyLifecycle(settings, message) {
+        try {
+            renderLifecycle(await window.udpHost.applyRosterLifecycle(settings));
+            lifecycleStatus.textContent = message;
+        } catch (error) {
+            lifecycleStatus.textContent = `应用失败：${error.message}`;
+        }
+    }
+
+    function saveLifecycleOverride() {
+        const target = lifecycleOverrideTargetSelect.value;
+        if (!target) {
+            lifecycleStatus.textContent = '请选择设备或分组。';
+            return;
+        }
+
+        const override = {
+            target,
+            staleAfterMs: readTimeoutInput(lifecycleOverrideStaleInput, 1000),
+            offlineAfterMs: readTimeoutInput(lifecycleOverrideOfflineInput, 1000),
+            expireAfterMs: readTimeoutInput(lifecycleOverrideExpireInput, 60000),
+        };
+        if (Object.values(override).filter((value) => value !== undefined).length === 1) {
+            lifecycleStatus.textContent = '至少填写一项时长。';
+            return;
+        }
+
+        void applyLifecycle({
+            ...rosterLifecycle,
+            overrides: (rosterLifecycle?.overrides ?? []).filter((entry) => entry.target !== target).concat(override),
+        }, `已保存 ${describeLifecycleTarget(target)} 的单独设置。`);
+    }
+
+    async function loadLifecycle() {
+        if (!window.udpHost?.getRosterLifecycle) {
+            return;
+        }
+
+        try {
+            renderLifecycle(await window.udpHost.getRosterLifecycle());
+        } catch (error) {
+            appendLog('ERROR', `在线判定设置读取失败：${error.message}`);
+        }
+    }
+
+    function readHistoryQuery() {
+        const kinds = Array.from(document.querySelectorAll('input[name="historyKind"]:checked'))
+            .map((input) => input.value);
+        const from = historyFromInput.value ? new Date(historyFromInput.value).getTime() : 0;
+        const to = historyToInput.value ? new Date(historyToInput.value).getTime() : 0;
+
+        return {
+            kinds,
+            device: historyDeviceInput.value.trim(),
+            action: historyActionInput.value.trim(),
+            text: historyTextInput.value.trim(),
+            from,
+            to,
+        };
+    }
+
+    function createHistoryEntry(entry) {
+        const element = document.createElement('div');
+        element.className = 'log-entry';
+
+        const metaRow = document.createElement('div');
+        metaRow.className = 'meta';
+        const parts = [
+            `${formatDateTime(entry.timestamp)} · ${HISTORY_KIND_LABELS[entry.kind] || entry.kind}`,
+        ];
+        const deviceName = entry.deviceKey
+            ? getDeviceDisplayName(entry.deviceKey, clients.get(entry.deviceKey) ?? { deviceName: entry.deviceName })
+            : entry.deviceName;
+        if (deviceName) {
+            parts.push(deviceName);
+        }
+        if (entry.host) {
+            parts.push(`${entry.host}${entry.port ? `:${entry.port}` : ''}`);
+        }
+        if (entry.status) {
+            parts.push(entry.status);
+        }
+        metaRow.textContent = parts.join(' · ');
+
+        const payload = document.createElement('pre');
+        payload.className = 'payload';
+        const body = entry.data === undefined
+            ? ''
+            : typeof entry.data === 'string' ? entry.data : JSON.stringify(entry.data, null, 2);
+        payload.textContent = [entry.detail, body].filter(Boolean).join('\n');
+
+        element.append(metaRow, payload);
+        return element;
+    }
+
+    async function queryHistory() {
+        if (!window.udpHost?.queryLogs) {
+            return;
+        }
+
+        historySummary.textContent = '查询中...';
+        try {
+            const result = await window.udpHost.queryLogs(readHistoryQuery());
+            historyLog.innerHTML = '';
+            result.entries.forEach((entry) => historyLog.append(createHistoryEntry(entry)));
+            historySummary.textContent = result.truncated
+                ? `显示最新 ${result.entries.length} / ${result.total} 条`
+                : `共 ${result.total} 条`;
+            historySummary.classList.toggle('subtle', result.total === 0);
+        } catch (error) {
+            historySummary.textContent = '查询失败';
+            appendLog('ERROR', `历史日志查询失败：${error.message}`);
+        }
+    }
+
+    async function exportHistory(format) {
+        try {
+            const result = await window.udpHost.exportLogs({ format, query: readHistoryQuery() });
+            if (!result.canceled) {
+                historySummary.textContent = `已导出 ${result.exported} 条`;
+                historySummary.title = result.filePath;
+            }
+        } catch (error) {
+            historySummary.textContent = '导出失败';
+            appendLog('ERROR', `日志导出失败：${error.message}`);
+        }
+    }
+
+    function renderApiState(result) {
+        if (!apiStatus || !result) {
+            return;
+        }
+
+        const { settings, state } = result;
+        if (settings) {
+            apiEnabledInput.checked = Boolean(settings.enabled);
+            apiBindAddressInput.value = settings.bindAddress || '127.0.0.1';
+            apiPortInput.value = settings.port ?? 4950;
+            apiTokenInput.value = settings.token || '';
+        }
+
+        if (state?.running) {
+            apiStatus.textContent = `运行中 ${state.address}:${state.port}`;
+        } else {
+            apiStatus.textContent = settings?.enabled ? '未运行' : '未启用';
+        }
+        apiStatus.classList.toggle('subtle', !state?.running);
+        apiStatus.style.color = '';
+    }
+
+    async function loadApiSettings() {
+        if (!window.udpHost?.getApiSettings) {
+            return;
+        }
+
+        try {
+            renderApiState(await window.udpHost.getApiSettings());
+        } catch (error) {
+            appendLog('ERROR', `控制 API 配置读取失败：${error.message}`);
+        }
+    }
+
+    async function applyApiSettings() {
+        if (!window.udpHost?.applyApiSettings) {
+            return;
+        }
+
+        if (apiEnabledInput.checked && !apiTokenInput.value.trim()) {
+            apiTokenInput.value = randomApiToken();
+        }
+
+        try {
+            const result = await window.udpHost.applyApiSettings({
+                enabled: apiEnabledInput.checked,
+                bindAddress: apiBindAddressInput.value,
+                port: apiPortInput.value,
+                token: apiTokenInput.value,
+            });
+            renderApiState(result);
+            appendLog('API', result.state.running
+                ? `控制 API 已启动：${result.state.address}:${result.state.port}`
+                : '控制 API 已停止。');
+        } catch (error) {
+            apiStatus.textContent = `启动失败：${error.message}`;
+            apiStatus.classList.remove('subtle');
+            apiStatus.style.color = '#ff8a9f';
+            appendLog('ERROR', `控制 API 启动失败：${error.message}`);
+        }
+    }
+
+    function randomApiToken() {
+        if (window.crypto?.getRandomValues) {
+            const bytes = new Uint8Array(24);
+            window.crypto.getRandomValues(bytes);
+            return Array.from(bytes, (value) => value.toString(16).padStart(2, '0')).join('');
+        }
+
+        return `${randomShortId()}${randomShortId()}${randomShortId()}`;
+    }
+
+    function renderVerificationSettings(settings) {
+        if (!verifyModeSelect || !settings) {
+            return;
+        }
+
+        verifyModeSelect.value = settings.mode;
+        verifyMaxSkewInput.value = Math.round(settings.maxSkewMs / 1000);
+    }
+
+    async function loadVerificationSettings() {
+        if (!window.udpHost?.getVerificationSettings) {
+            return;
+        }
+
+        try {
+            renderVerificationSettings(await window.udpHost.getVerificationSettings());
+        } catch (error) {
+            appendLog('ERROR', `入站校验配置读取失败：${error.message}`);
+        }
+    }
+
+    async function applyVerificationSettings() {
+        try {
+            const settings = await window.udpHost.applyVerificationSettings({
+                mode: verifyModeSelect.value,
+                maxSkewMs: Number(verifyMaxSkewInput.value) * 1000,
+            });
+            renderVerificationSettings(settings);
+            verifyStatus.textContent = settings.mode === 'off'
+                ? '入站校验已关闭。'
+                : `入站校验已启用（${settings.mode === 'enforce' ? '拒绝' : '仅标记'}）。`;
+            verifyStatus.style.color = '';
+        } catch (error) {
+            verifyStatus.textContent = `应用失败：${error.message}`;
+            verifyStatus.style.color = '#ff8a9f';
+        }
+    }
+
+    let networkInterfaces = [];
+
+    function renderNetworkSettings(settings) {
+        if (!netInterfaceSelect || !settings) {
+            return;
+        }
+
+        netInterfaceSelect.innerHTML = '';
+        const automatic = document.createElement('option');
+        automatic.value = '';
+        automatic.textContent = '自动（按路由表）';
+        netInterfaceSelect.append(automatic);
+        const byName = new Map();
+        networkInterfaces.filter((entry) => !entry.internal).forEach((entry) => {
+            byName.set(entry.name, [...(byName.get(entry.name) ?? []), entry.cidr]);
+        });
+        byName.forEach((cidrs, name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${name} · ${cidrs.join(', ')}`;
+            netInterfaceSelect.append(option);
+        });
+        if (settings.interface && !networkInterfaces.some((entry) => entry.name === settings.interface)) {
+            const missing = document.createElement('option');
+            missing.value = settings.interface;
+            missing.textContent = `${settings.interface}（不可用）`;
+            netInterfaceSelect.append(missing);
+        }
+
+        netInterfaceSelect.value = settings.interface;
+        netMulticastTtlInput.value = settings.multicastTtl;
+        netMulticastGroupsInput.value = settings.multicastGroups.join(', ');
+        netDirectedBroadcastInput.checked = settings.directedBroadcast;
+        netMulticastLoopbackInput.checked = settings.multicastLoopback;
+        netIPv6Input.checked = settings.ipv6;
+        netMtuInput.value = settings.mtu;
+        netChunkingInput.checked = settings.chunking;
+        networkSettings = settings;
+        renderTargetHostSuggestions(settings);
+        buildPreview();
+    }
+
+    // Offers every directed broadcast and joined group as a manual target.
+    function renderTargetHostSuggestions(settings) {
+        if (!targetHostSuggestions) {
+            return;
+        }
+
+        const entries = [['255.255.255.255', '全部广播']];
+        networkInterfaces
+            .filter((entry) => !entry.internal && entry.broadcast)
+            .forEach((entry) => entries.push([entry.broadcast, `${entry.name} 定向广播`]));
+        settings.multicastGroups.forEach((group) => entries.push([group, '组播']));
+
+        targetHostSuggestions.innerHTML = '';
+        entries.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.label = label;
+            targetHostSuggestions.append(option);
+        });
+    }
+
+    async function loadNetworkSettings() {
+        if (!window.udpHost?.getNetworkSettings) {
+            return;
+        }
+
+        try {
+            networkInterfaces = await window.udpHost.listNetworkInterfaces();
+            renderNetworkSettings(await window.udpHost.getNetworkSettings());
+        } catch (error) {
+            appendLog('ERROR', `网络设置读取失败：${error.message}`);
+        }
+    }
+
+    async function applyNetworkSettings() {
+        try {
+            networkInterfaces = await window.udpHost.listNetworkInterfaces();
+            const settings = await window.udpHost.applyNetworkSettings({
+                interface: netInterfaceSelect.value,
+                multicastTtl: netMulticastTtlInput.value,
+                multicastGroups: netMulticastGroupsInput.value,
+                directedBroadcast: netDirectedBroadcastInput.checked,
+                multicastLoopback: netMulticastLoopbackInput.checked,
+                ipv6: netIPv6Input.checked,
+                mtu: netMtuInput.value,
+                chunking: netChunkingInput.checked,
+            });
+            renderNetworkSettings(settings);
+            const selected = networkInterfaces.filter((entry) => entry.name === settings.interface);
+            const family = settings.ipv6 ? 'IPv4 + IPv6' : '仅 IPv4';
+            networkStatus.textContent = selected.length > 0
+                ? `已使用 ${settings.interface}（${selected.map((entry) => entry.address).join('，')}），${family}。`
+                : `已按路由表自动选择接口，${family}。`;
+            networkStatus.style.color = '';
+        } catch (error) {
+            networkStatus.textContent = `应用失败：${error.message}`;
+            networkStatus.style.color = '#ff8a9f';
+        }
+    }
+
+    const TRANSPORT_LABELS = {
+        udp: 'UDP',
+        tcp: 'TCP',
+        websocket: 'WebSocket',
+    };
+
+    function renderTransportSettings(transports) {
+        if (!transportTcpEnabledInput || !transports) {
+            return;
+        }
+
+        transportTcpEnabledInput.checked = transports.tcp.enabled;
+        transportTcpPortInput.value = transports.tcp.port;
+        transportWsEnabledInput.checked = transports.websocket.enabled;
+        transportWsPortInput.value = transports.websocket.port;
+        renderTransportStatus(transports);
+    }
+
+    function renderTransportStatus(transports) {
+        if (!transportStatus || !transports) {
+            return;
+        }
+
+        transportStatus.textContent = ['tcp', 'websocket']
+            .filter((name) => transports[name].enabled)
+            .map((name) => (transports[name].listening
+                ? `${TRANSPORT_LABELS[name]} 监听 ${transports[name].port}，${transports[name].connections} 个连接`
+                : `${TRANSPORT_LABELS[name]} 未监听`))
+            .concat('UDP 始终启用')
+            .join('；') + '。';
+        transportStatus.style.color = '';
+    }
+
+    async function loadTransportSettings() {
+        if (!window.udpHost?.getTransportSettings) {
+            return;
+        }
+
+        try {
+            renderTransportSettings(await window.udpHost.getTransportSettings());
+        } catch (error) {
+            appendLog('ERROR', `传输设置读取失败：${error.message}`);
+        }
+    }
+
+    async function applyTransportSettings() {
+        const settings = {
+            tcp: { enabled: transportTcpEnabledInput.checked, port: transportTcpPortInput.value },
+            websocket: { enabled: transportWsEnabledInput.checked, port: transportWsPortInput.value },
+        };
+
+        try {
+            renderTransportSettings(await window.udpHost.applyTransportSettings(settings));
+        } catch (error) {
+            transportStatus.textContent = `应用失败：${error.message}`;
+            transportStatus.style.color = '#ff8a9f';
+        }
+    }
+
+    function renderFloodSettings(settings) {
+        if (!floodEnabledInput || !settings) {
+            return;
+        }
+
+        floodEnabledInput.checked = settings.enabled;
+        floodRateInput.value = settings.packetsPerSecond;
+        floodBurstInput.value = settings.burst;
+        floodThresholdInput.value = settings.quarantineThreshold;
+        floodQuarantineSecondsInput.value = Math.round(settings.quarantineMs / 1000);
+    }
+
+    function renderFloodStats(stats) {
+        if (!floodCounters || !stats) {
+            return;
+        }
+
+        const { totals } = stats;
+        floodCounters.textContent = `已接收 ${totals.accepted} · 限流 ${totals.throttled} · 丢弃 ${totals.dropped} · 隔离 ${totals.quarantines} 次`;
+        floodStatus.textContent = !stats.settings.enabled
+            ? '已关闭'
+            : stats.quarantined.length > 0 ? `${stats.quarantined.length} 个来源隔离中` : '已启用';
+        floodStatus.style.color = stats.quarantined.length > 0 ? '#ff8a9f' : '';
+
+        const quarantined = new Set(stats.quarantined.map((entry) => entry.source));
+        const entries = stats.quarantined.concat(stats.noisiest.filter((entry) => !quarantined.has(entry.source)));
+        floodSourcesList.replaceChildren(...entries.map((entry) => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${entry.source} · 限流 ${entry.throttled} · 丢弃 ${entry.dropped}` +
+                (entry.quarantinedUntil ? ` · 隔离至 ${new Date(entry.quarantinedUntil).toLocaleTimeString()}` : '');
+            item.append(label);
+
+            if (entry.quarantinedUntil) {
+                item.classList.add('quarantined');
+                const releaseButton = document.createElement('button');
+                releaseButton.type = 'button';
+                releaseButton.className = 'ghost';
+                releaseButton.textContent = '解除隔离';
+                releaseButton.addEventListener('click', () => {
+                    void window.udpHost.releaseSource(entry.source);
+                });
+                item.append(releaseButton);
+            }
+            return item;
+        }));
+    }
+
+    async function loadFloodSettings() {
+        if (!window.udpHost?.getFloodSettings) {
+            return;
+        }
+
+        try {
+            const stats = await window.udpHost.getFloodSettings();
+            renderFloodSettings(stats.settings);
+            renderFloodStats(stats);
+        } catch (error) {
+            appendLog('ERROR', `流量保护设置读取失败：${error.message}`);
+        }
+    }
+
+    async function applyFloodSettings() {
+        try {
+            const stats = await window.udpHost.applyFloodSettings({
+                enabled: floodEnabledInput.checked,
+                packetsPerSecond: floodRateInput.value,
+                burst: floodBurstInput.value,
+                quarantineThreshold: floodThresholdInput.value,
+                quarantineMs: Number(floodQuarantineSecondsInput.value) * 1000,
+            });
+            renderFloodSettings(stats.settings);
+            renderFloodStats(stats);
+        } catch (error) {
+            floodCounters.textContent = `应用失败：${error.message}`;
+        }
+    }
+
+    function renderQueueSettings(settings) {
+        if (!queueRateInput || !settings) {
+            return;
+        }
+
+        queueRateInput.value = settings.packetsPerSecond;
+        queueJitterInput.value = settings.jitterMs;
+        queueUrgentActionsInput.value = settings.urgentActions.join(', ');
+    }
+
+    // Shown while a paced batch is running; stays up with the final count
+    // once the queue has drained.
+    function renderQueueProgress(progress) {
+        if (!queueIndicator || !progress) {
+            return;
+        }
+
+        queueIndicator.hidden = progress.total === 0;
+        cancelQueueButton.disabled = progress.depth === 0;
+        queueProgress.max = Math.max(progress.total, 1);
+        queueProgress.value = progress.sent + progress.failed + progress.cancelled;
+
+        const parts = [`${progress.sent}/${progress.total} 已发送`];
+        if (progress.depth > 0) {
+            parts.push(`排队 ${progress.depth}`);
+        }
+        if (progress.failed > 0) {
+            parts.push(`失败 ${progress.failed}`);
+        }
+        if (progress.cancelled > 0) {
+            parts.push(`取消 ${progress.cancelled}`);
+        }
+        queueStatus.textContent = parts.join('，');
+    }
+
+    async function loadQueueSettings() {
+        if (!window.udpHost?.getQueueSettings) {
+            return;
+        }
+
+        try {
+            const snapshot = await window.udpHost.getQueueSettings();
+            renderQueueSettings(snapshot.settings);
+            renderQueueProgress(snapshot);
+        } catch (error) {
+            appendLog('ERROR', `发送队列设置读取失败：${error.message}`);
+        }
+    }
+
+    async function applyQueueSettings() {
+        try {
+            const snapshot = await window.udpHost.applyQueueSettings({
+                packetsPerSecond: queueRateInput.value,
+                jitterMs: queueJitterInput.value,
+                urgentActions: queueUrgentActionsInput.value,
+            });
+            renderQueueSettings(snapshot.settings);
+            status.textContent = snapshot.settings.packetsPerSecond > 0
+                ? `发送速率已设为 ${snapshot.settings.packetsPerSecond} 包/秒。`
+                : '已关闭发送限速。';
+        } catch (error) {
+            status.textContent = `发送队列设置失败：${error.message}`;
+        }
+    }
+
+    const KEY_SCOPE_LABELS = {
+        default: '默认',
+        device: '设备',
+        group: '分组',
+    };
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const HOUR_MS = 60 * 60 * 1000;
+
+    function describeKeyScope(entry) {
+        return entry.scope === 'default'
+            ? KEY_SCOPE_LABELS.default
+            : `${KEY_SCOPE_LABELS[entry.scope]}「${entry.target}」`;
+    }
+
+    function refreshKeyEditorFields() {
+        const editing = keyEntries.some((entry) => entry.id === editingKeyId);
+        keyScopeSelect.disabled = editing;
+        keyTargetInput.disabled = editing || keyScopeSelect.value === 'default';
+        rotateKeyButton.disabled = !editing;
+        copyKeyButton.disabled = !editing;
+        deleteKeyButton.disabled = !editing;
+    }
+
+    function resetKeyEditor() {
+        editingKeyId = null;
+        keyScopeSelect.value = 'device';
+        keyTargetInput.value = '';
+        keySecretInput.value = '';
+        keyRotationDaysInput.value = '';
+        keyGraceHoursInput.value = '24';
+        keyEditorStatus.textContent = '';
+        refreshKeyEditorFields();
+        renderKeyList();
+    }
+
+    function loadKeyIntoEditor(entry) {
+        editingKeyId = entry.id;
+        keyScopeSelect.value = entry.scope;
+        keyTargetInput.value = entry.target;
+        keySecretInput.value = '';
+        keyRotationDaysInput.value = entry.rotation.everyMs ? String(entry.rotation.everyMs / DAY_MS) : '';
+        keyGraceHoursInput.value = String(entry.rotation.graceMs / HOUR_MS);
+        keyEditorStatus.textContent = '';
+        refreshKeyEditorFields();
+        renderKeyList();
+    }
+
+    function renderKeys(snapshot) {
+        keyEntries = snapshot?.keys ?? [];
+        if (editingKeyId && !keyEntries.some((entry) => entry.id === editingKeyId)) {
+            editingKeyId = null;
+        }
+        refreshKeyEditorFields();
+        renderKeyList();
+    }
+
+    function renderKeyList() {
+        if (!keyList) {
+            return;
+        }
+
+        keySummary.textContent = keyEntries.length === 0 ? '暂无密钥' : `${keyEntries.length} 个密钥`;
+        keySummary.classList.toggle('subtle', keyEntries.length === 0);
+
+        keyList.innerHTML = '';
+        if (keyEntries.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = '尚未配置密钥，签名与加密指令将无法发送。';
+            keyList.append(placeholder);
+            return;
+        }
+
+        const order = ['device', 'group', 'default'];
+        const entries = [...keyEntries].sort((a, b) => order.indexOf(a.scope) - order.indexOf(b.scope) ||
+            a.target.localeCompare(b.target));
+        entries.forEach((entry) => {
+            const item = document.createElement('li');
+            item.classList.toggle('editing', entry.id === editingKeyId);
+
+            const title = document.createElement('div');
+            title.className = 'job-title';
+            const name = document.createElement('strong');
+            name.textContent = describeKeyScope(entry);
+            const kid = document.createElement('span');
+            kid.className = 'job-meta';
+            kid.textContent = `kid ${entry.current.kid} · 指纹 ${entry.current.fingerprint}`;
+            if (entry.current.unreadable) {
+                kid.textContent += ' · 无法解密，请轮换或重新输入密钥';
+            } else if (entry.current.undistributed) {
+                kid.textContent += entry.previous
+                    ? ' · 新密钥尚未复制分发，发送仍使用旧密钥'
+                    : ' · 新密钥尚未复制分发';
+            }
+            title.append(name, kid);
+
+            const meta = document.createElement('div');
+            meta.className = 'job-meta';
+            const parts = [`创建：${formatDateTime(entry.current.createdAt)}`];
+            parts.push(entry.nextRotationAt ? `下次轮换：${formatDateTime(entry.nextRotationAt)}` : '不自动轮换');
+            if (entry.previous) {
+                parts.push(`旧密钥 ${entry.previous.kid} 接受至 ${formatDateTime(entry.previous.acceptUntil)}`);
+            }
+            meta.textContent = parts.join(' · ');
+
+            const actions = document.createElement('div');
+            actions.className = 'job-actions';
+            actions.append(createJobButton('编辑', () => loadKeyIntoEditor(entry)));
+
+            item.append(title, meta, actions);
+            keyList.append(item);
+        });
+    }
+
+    async function loadKeys() {
+        if (!window.udpHost?.listKeys) {
+            return;
+        }
+
+        try {
+            renderKeys(await window.udpHost.listKeys());
+        } catch (error) {
+            appendLog('ERROR', `密钥列表读取失败：${error.message}`);
+        }
+    }
+
+    function readKeyDuration(input, unitMs) {
+        const value = Number.parseFloat(input.value);
+        return Number.isFinite(value) && value > 0 ? Math.round(value * unitMs) : 0;
+    }
 
-        if (action === 'hostannouncement') {
-            applyHostAnnouncement(payload);
-            return;
+    async function saveKeyFromEditor() {
+        try {
+            const saved = await window.udpHost.saveKey({
+                id: editingKeyId ?? undefined,
+                scope: keyScopeSelect.value,
+                target: keyTargetInput.value,
+                secret: keySecretInput.value,
+                rotationEveryMs: readKeyDuration(keyRotationDaysInput, DAY_MS),
+                graceMs: readKeyDuration(keyGraceHoursInput, HOUR_MS),
+            });
+            editingKeyId = saved.id;
+            keySecretInput.value = '';
+            keyEditorStatus.textContent = `${describeKeyScope(saved)}密钥已保存（kid ${saved.current.kid}）。`;
+            refreshKeyEditorFields();
+            renderKeyList();
+        } catch (error) {
+            keyEditorStatus.textContent = `保存失败：${error.message}`;
         }
+    }
 
-        if (!payload) {
+    async function runKeyAction(operation, successText) {
+        if (!editingKeyId) {
             return;
         }
 
-        if (action === 'registerclient' || action === 'heartbeat') {
-            upsertClient(packet, {
-                deviceId: payload.deviceId ?? payload.deviceID,
-                deviceName: payload.deviceName,
-                platform: payload.platform,
-                buildVersion: payload.buildVersion,
-                ipv4: payload.ipv4,
-                scene: payload.scene,
-                commandPort: Number.isInteger(payload.commandPort) ? payload.commandPort : undefined,
-                batteryLevelPercent: normalizeBatteryLevel(payload.batteryLevelPercent),
-                batteryStatus: normalizeBatteryStatus(payload.batteryStatus),
-            });
+        try {
+            await operation(editingKeyId);
+            keyEditorStatus.textContent = successText;
+        } catch (error) {
+            keyEditorStatus.textContent = `操作失败：${error.message}`;
         }
     }
 
-    function upsertClient(packet, payload) {
-        const key = payload?.deviceId || packet.address || `client-${clients.size + 1}`;
-        const now = Date.now();
-        const current = clients.get(key) || {
-            deviceId: payload?.deviceId || key,
-            deviceName: payload?.deviceName || '',
-            platform: payload?.platform || '',
-            buildVersion: payload?.buildVersion || '',
-            ipv4: payload?.ipv4 || packet.address,
-            scene: payload?.scene || '',
-            commandPort: payload?.commandPort,
-            batteryLevelPercent: payload?.batteryLevelPercent,
-            batteryStatus: payload?.batteryStatus,
-            remoteAddress: packet.address,
-            remotePort: packet.port,
-            firstSeen: now,
-            lastSeen: now,
-        };
-
-        const updated = {
-            ...current,
-            remoteAddress: packet.address,
-            remotePort: packet.port,
-            lastSeen: now,
-        };
+    function renderSimulatorState(snapshot) {
+        if (!simulatorStatus || !snapshot) {
+            return;
+        }
 
-        Object.entries(payload ?? {}).forEach(([prop, value]) => {
-            if (value !== undefined && value !== null) {
-                updated[prop] = value;
-            }
+        const running = Boolean(snapshot.running);
+        simulatorStatus.textContent = running ? `运行中 · ${snapshot.clients.length} 台` : '未运行';
+        simulatorStatus.classList.toggle('subtle', !running);
+        startSimulatorButton.disabled = running;
+        stopSimulatorButton.disabled = !running;
+
+        simulatorClientList.innerHTML = '';
+        snapshot.clients.forEach((client) => {
+            const item = document.createElement('li');
+            item.textContent = `${client.deviceName} · 端口 ${client.commandPort} · 心跳 ${client.heartbeats} · ` +
+                `命令 ${client.commands} · ACK ${client.acked} · 丢弃 ${client.dropped} · 发现 ${client.announcements}`;
+            simulatorClientList.append(item);
         });
+    }
 
-        updated.ipv4 = updated.ipv4 || packet.address;
-        updated.scene = updated.scene || current.scene;
-        updated.commandPort = updated.commandPort || Number.parseInt(portInput.value, 10) || 3939;
-
-        if (!updated.deviceName) {
-            updated.deviceName = updated.deviceId;
+    async function loadSimulatorStatus() {
+        if (!window.udpHost?.getSimulatorStatus) {
+            return;
         }
 
-        clients.set(key, updated);
-        renderDeviceGrid();
+        try {
+            renderSimulatorState(await window.udpHost.getSimulatorStatus());
+        } catch (error) {
+            appendLog('ERROR', `模拟器状态读取失败：${error.message}`);
+        }
     }
 
-    function applyHostAnnouncement(payload) {
-        if (!payload) {
+    async function startSimulator() {
+        const metadataText = simMetadataInput?.value.trim() ?? '';
+        const metadata = metadataText ? safeJsonParse(metadataText) : {};
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+            appendLog('ERROR', '额外心跳字段必须是 JSON 对象。');
             return;
         }
 
-        discoveredHost = {
-            hostAddress: typeof payload.hostAddress === 'string' ? payload.hostAddress : '',
-            hostName: typeof payload.hostName === 'string' ? payload.hostName : '',
-            hostPort: Number.isInteger(payload.hostPort) ? payload.hostPort : discoveredHost?.hostPort ?? 0,
-            commandPort: Number.isInteger(payload.commandPort) ? payload.commandPort : discoveredHost?.commandPort ?? 0,
-        };
-
-        if (discoveredHost.hostAddress) {
-            hostInput.value = discoveredHost.hostAddress;
+        startSimulatorButton.disabled = true;
+        try {
+            const snapshot = await window.udpHost.startSimulator({
+                count: simCountInput.value,
+                namePrefix: simNamePrefixInput.value,
+                platform: simPlatformInput.value,
+                scene: simSceneInput.value,
+                batteryLevel: simBatteryInput.value,
+                heartbeatIntervalMs: simHeartbeatInput.value,
+                ackDropRate: Number(simAckDropInput.value) / 100,
+                ackLatencyMs: simAckLatencyInput.value,
+                ackJitterMs: simAckJitterInput.value,
+                sign: simSignInput.checked,
+                encrypt: simEncryptInput.checked,
+                metadata,
+            });
+            renderSimulatorState(snapshot);
+            appendLog('SIM', `已启动 ${snapshot.clients.length} 台虚拟设备。`);
+        } catch (error) {
+            startSimulatorButton.disabled = false;
+            appendLog('ERROR', `模拟器启动失败：${error.message}`);
         }
+    }
 
-        if (discoveredHost.commandPort > 0) {
-            portInput.value = discoveredHost.commandPort;
+    async function stopSimulator() {
+        try {
+            renderSimulatorState(await window.udpHost.stopSimulator());
+            appendLog('SIM', '模拟器已停止。');
+        } catch (error) {
+            appendLog('ERROR', `模拟器停止失败：${error.message}`);
         }
+    }
 
-        refreshListenStatus();
+    function renderReplayProgress(progress) {
+        const playing = progress.state === 'playing';
+        replayCaptureButton.disabled = playing;
+        stopReplayButton.disabled = !playing;
+        const label = playing ? '回放中' : progress.state === 'stopped' ? '已停止' : '回放完成';
+        replayStatus.textContent = `${label}：${progress.sent} / ${progress.total} 条`;
+    }
+
+    async function startReplay() {
+        replayCaptureButton.disabled = true;
+        try {
+            const result = await window.udpHost.replayCapture({ speed: Number(replaySpeedSelect.value) });
+            if (result.canceled) {
+                replayCaptureButton.disabled = false;
+                return;
+            }
+            appendLog('SIM', `开始回放 ${result.total} 条报文：${result.filePath}`);
+        } catch (error) {
+            replayCaptureButton.disabled = false;
+            replayStatus.textContent = `回放失败：${error.message}`;
+            appendLog('ERROR', `日志回放失败：${error.message}`);
+        }
     }
 
     async function applyListenPort(value) {
@@ -962,8 +4610,10 @@
         advancedTabButton.addEventListener('click', () => setCommandTab('advanced'));
     }
 
-    [hostInput, portInput, actionInput, payloadInput, sharedSecretInput, cmdIdInput, timestampInput]
+    [hostInput, portInput, actionInput, payloadInput, cmdIdInput, timestampInput]
         .forEach((input) => input.addEventListener('input', onFormChanged));
+    signCommandsInput.addEventListener('change', onFormChanged);
+    manualEnvelopeFormatSelect?.addEventListener('change', onFormChanged);
 
     generateCmdIdButton.addEventListener('click', () => {
         setCmdIdValue(randomShortId(), CMD_ID_MODE_AUTO);
@@ -975,6 +4625,65 @@
         buildPreview();
     });
 
+    [
+        [filterScopeSelect, 'scope'],
+        [filterPlatformSelect, 'platform'],
+        [filterSceneSelect, 'scene'],
+        [filterBuildSelect, 'build'],
+    ].forEach(([select, field]) => {
+        select?.addEventListener('change', () => {
+            deviceFilter[field] = select.value;
+            if (field === 'scope') {
+                deleteGroupButton.disabled = !select.value.startsWith(GROUP_SELECTOR_PREFIX);
+            }
+            renderDeviceGrid();
+        });
+    });
+
+    filterFieldSelect?.addEventListener('change', () => {
+        renderDeviceGrid();
+    });
+
+    filterFieldValueSelect?.addEventListener('change', () => {
+        renderDeviceGrid();
+    });
+
+    sortDevicesSelect?.addEventListener('change', () => {
+        renderDeviceGrid();
+    });
+
+    if (sortDirectionButton) {
+        sortDirectionButton.addEventListener('click', () => {
+            deviceSort.descending = !deviceSort.descending;
+            sortDirectionButton.textContent = deviceSort.descending ? '降序' : '升序';
+            renderDeviceGrid();
+        });
+    }
+
+    if (saveCardFieldButton) {
+        saveCardFieldButton.addEventListener('click', saveCardFieldFromEditor);
+        resetCardFieldButton.addEventListener('click', () => {
+            resetCardFieldEditor();
+            cardFieldStatus.textContent = '';
+        });
+        renderCardFieldList();
+    }
+
+    if (saveGroupButton) {
+        saveGroupButton.addEventListener('click', saveGroupFromSelection);
+        deleteGroupButton.addEventListener('click', deleteFilteredGroup);
+        groupNameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                saveGroupFromSelection();
+            }
+        });
+    }
+
+    if (targetScopeSelect) {
+        targetScopeSelect.addEventListener('change', updateSelectionSummary);
+    }
+
     if (selectAllButton) {
         selectAllButton.addEventListener('click', selectAllDevices);
     }
@@ -987,6 +4696,244 @@
         applyListenPort(listenPortInput.value);
     });
 
+    if (presetSelect) {
+        presetSelect.addEventListener('change', renderPresetParams);
+        sendPresetButton.addEventListener('click', () => {
+            void sendSelectedPreset();
+        });
+        loadPresetButton.addEventListener('click', loadPresetIntoForm);
+        deletePresetButton.addEventListener('click', () => {
+            void deleteSelectedPreset();
+        });
+        savePresetButton.addEventListener('click', () => {
+            void savePresetFromForm();
+        });
+        importPresetsButton.addEventListener('click', () => {
+            void importPresets();
+        });
+        exportPresetsButton.addEventListener('click', () => {
+            void exportPresets();
+        });
+    }
+
+    if (cueListSelect) {
+        cueListSelect.addEventListener('change', loadCueListIntoEditor);
+        newCueListButton.addEventListener('click', () => {
+            cueListSelect.value = '';
+            loadCueListIntoEditor();
+            cueListNameInput.focus();
+        });
+        deleteCueListButton.addEventListener('click', () => {
+            void deleteSelectedCueList();
+        });
+        saveCueListButton.addEventListener('click', () => {
+            void saveCueListFromEditor();
+        });
+        playCueListButton.addEventListener('click', () => {
+            const cueList = getSelectedCueList();
+            if (!cueList) {
+                return;
+            }
+
+            void runCueControl(() => window.udpHost.playCueList({ id: cueList.id }));
+        });
+        pauseCueListButton.addEventListener('click', () => {
+            void runCueControl(() => (cueProgress.state === 'paused'
+                ? window.udpHost.resumeCueList()
+                : window.udpHost.pauseCueList()));
+        });
+        skipCueStepButton.addEventListener('click', () => {
+            void runCueControl(() => window.udpHost.skipCueStep());
+        });
+        abortCueListButton.addEventListener('click', () => {
+            void runCueControl(() => window.udpHost.abortCueList());
+        });
+    }
+
+    if (jobList) {
+        jobTriggerTypeSelect.addEventListener('change', refreshJobEditorFields);
+        jobCommandSelect.addEventListener('change', refreshJobEditorFields);
+        newJobButton.addEventListener('click', () => {
+            resetJobEditor();
+            jobNameInput.focus();
+        });
+        deleteJobButton.addEventListener('click', () => {
+            void deleteEditingJob();
+        });
+        saveJobButton.addEventListener('click', () => {
+            void saveJobFromEditor();
+        });
+        clearJobHistoryButton.addEventListener('click', () => {
+            void runJobAction(() => window.udpHost.clearJobHistory());
+        });
+        resetJobEditor();
+    }
+
+    if (alertRuleList) {
+        alertRuleTypeSelect.addEventListener('change', refreshAlertRuleFields);
+        newAlertRuleButton.addEventListener('click', () => {
+            resetAlertRuleEditor();
+            alertRuleNameInput.focus();
+        });
+        deleteAlertRuleButton.addEventListener('click', () => {
+            void deleteEditingAlertRule();
+        });
+        saveAlertRuleButton.addEventListener('click', () => {
+            void saveAlertRuleFromEditor();
+        });
+        clearAlertHistoryButton.addEventListener('click', () => {
+            void window.udpHost.clearAlertHistory()
+                .catch((error) => appendLog('ERROR', `告警记录清空失败：${error.message}`));
+        });
+        resetAlertRuleEditor();
+    }
+
+    if (lifecycleOverrideList) {
+        applyLifecycleButton.addEventListener('click', () => {
+            void applyLifecycle({
+                ...rosterLifecycle,
+                staleAfterMs: readTimeoutInput(lifecycleStaleInput, 1000),
+                offlineAfterMs: readTimeoutInput(lifecycleOfflineInput, 1000),
+                expireAfterMs: readTimeoutInput(lifecycleExpireInput, 60000),
+            }, '已应用。');
+        });
+        saveLifecycleOverrideButton.addEventListener('click', saveLifecycleOverride);
+    }
+
+    if (historyForm) {
+        historyForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            void queryHistory();
+        });
+        exportHistoryJsonlButton.addEventListener('click', () => {
+            void exportHistory('jsonl');
+        });
+        exportHistoryCsvButton.addEventListener('click', () => {
+            void exportHistory('csv');
+        });
+        openLogFolderButton.addEventListener('click', () => {
+            void window.udpHost?.openLogFolder?.();
+        });
+    }
+
+    if (applyNetworkButton) {
+        applyNetworkButton.addEventListener('click', () => {
+            void applyNetworkSettings();
+        });
+    }
+
+    if (applyTransportsButton) {
+        applyTransportsButton.addEventListener('click', () => {
+            void applyTransportSettings();
+        });
+    }
+
+    if (closeDeviceHistoryButton) {
+        closeDeviceHistoryButton.addEventListener('click', () => {
+            closeDeviceHistory();
+        });
+    }
+
+    if (importSchemasButton) {
+        importSchemasButton.addEventListener('click', async () => {
+            try {
+                const result = await window.udpHost.importSchemas();
+                if (!result.canceled) {
+                    status.textContent = `已导入 ${result.imported} 个 Schema。`;
+                }
+            } catch (error) {
+                status.textContent = `Schema 导入失败：${error.message}`;
+            }
+        });
+    }
+
+    if (clearSchemasButton) {
+        clearSchemasButton.addEventListener('click', async () => {
+            if (schemas.length > 0 && window.confirm('清空所有 Payload Schema？')) {
+                await window.udpHost.clearSchemas();
+            }
+        });
+    }
+
+    if (applyFloodButton) {
+        applyFloodButton.addEventListener('click', () => {
+            void applyFloodSettings();
+        });
+    }
+
+    if (resetFloodCountersButton) {
+        resetFloodCountersButton.addEventListener('click', async () => {
+            renderFloodStats(await window.udpHost.resetFloodCounters());
+        });
+    }
+
+    if (applyQueueSettingsButton) {
+        applyQueueSettingsButton.addEventListener('click', () => {
+            void applyQueueSettings();
+        });
+    }
+
+    if (cancelQueueButton) {
+        cancelQueueButton.addEventListener('click', async () => {
+            const cancelled = await window.udpHost.cancelQueuedSends();
+            appendLog('WARN', `已取消 ${cancelled} 条排队中的发送。`);
+        });
+    }
+
+    if (applyVerificationButton) {
+        applyVerificationButton.addEventListener('click', () => {
+            void applyVerificationSettings();
+        });
+    }
+
+    if (saveKeyButton) {
+        keyScopeSelect.addEventListener('change', refreshKeyEditorFields);
+        newKeyButton.addEventListener('click', resetKeyEditor);
+        saveKeyButton.addEventListener('click', () => {
+            void saveKeyFromEditor();
+        });
+        rotateKeyButton.addEventListener('click', () => {
+            void runKeyAction((id) => window.udpHost.rotateKey(id), '已轮换，旧密钥在宽限期内仍被接受。');
+        });
+        copyKeyButton.addEventListener('click', () => {
+            void runKeyAction((id) => window.udpHost.copyKey(id), '当前密钥已复制到剪贴板。');
+        });
+        deleteKeyButton.addEventListener('click', () => {
+            void runKeyAction(async (id) => {
+                await window.udpHost.removeKey(id);
+                editingKeyId = null;
+                refreshKeyEditorFields();
+            }, '密钥已删除。');
+        });
+    }
+
+    if (startSimulatorButton) {
+        startSimulatorButton.addEventListener('click', () => {
+            void startSimulator();
+        });
+        stopSimulatorButton.addEventListener('click', () => {
+            void stopSimulator();
+        });
+        replayCaptureButton.addEventListener('click', () => {
+            void startReplay();
+        });
+        stopReplayButton.addEventListener('click', () => {
+            void window.udpHost?.stopReplay?.();
+        });
+    }
+
+    if (applyApiSettingsButton) {
+        applyApiSettingsButton.addEventListener('click', () => {
+            void applyApiSettings();
+        });
+    }
+
+    if (generateApiTokenButton) {
+        generateApiTokenButton.addEventListener('click', () => {
+            apiTokenInput.value = randomApiToken();
+        });
+    }
+
     listenPortInput.addEventListener('keydown', (event) => {
         if (event.key === 'Enter') {
             event.preventDefault();
@@ -1006,7 +4953,27 @@
     renderDeviceGrid();
     updateListenStatus('绑定中...');
     applyListenPort(DEFAULT_LISTEN_PORT);
-    setInterval(renderDeviceGrid, 15000);
+    void loadApiSettings();
+    void loadVerificationSettings();
+    void loadNetworkSettings();
+    void loadTransportSettings();
+    void loadQueueSettings();
+    void loadFloodSettings();
+    void loadSimulatorStatus();
+    resetKeyEditor();
+    void loadKeys();
+    void loadRoster();
+    renderPresetOptions();
+    void loadPresets();
+    void loadSchemas();
+    void loadCueLists();
+    renderTargetOptions();
+    void syncDeviceGroups();
+    void loadSchedule();
+    void loadTelemetry();
+    void loadAlerts();
+    void loadLifecycle();
+    setInterval(refreshLastSeenLabels, 5000);
     setActivePage(viewTabs[0]?.dataset.target || 'devicesView');
 
     form.addEventListener('submit', async (event) => {
@@ -1015,7 +4982,6 @@
 
         const action = actionInput.value.trim();
         const includeCmdId = includeCmdIdInput.checked;
-        const sharedSecret = sharedSecretInput.value.trim();
         if (autoTimestampInput?.checked) {
             timestampInput.value = Date.now();
         }
@@ -1023,16 +4989,33 @@
             setCmdIdValue(randomShortId(), CMD_ID_MODE_AUTO);
         }
         const previewState = buildPreview();
-        const cmdId = cmdIdInput.value.trim();
-        const selectedTargets = Array.from(selectedDevices)
+        const cmdId = cmdIdInput.value.trim() || (includeCmdId ? randomShortId() : '');
+        const ackOptions = readAckOptions();
+        const trackDelivery = includeCmdId && ackOptions.expectAck;
+        const targetScope = targetScopeSelect?.value ?? '';
+        const selectedTargets = (targetScope ? resolveSelectorKeys(targetScope) : Array.from(selectedDevices))
             .map((key) => ({ key, device: clients.get(key) }))
             .filter((entry) => Boolean(entry.device));
 
+        if (targetScope && selectedTargets.length === 0) {
+            status.textContent = `${describeSelector(targetScope)} 中没有在线设备。`;
+            return;
+        }
+
         if (previewState.payloadError) {
             status.textContent = '请先修复 Payload JSON。';
             return;
         }
 
+        if (findSchema(action) && window.udpHost?.validatePayload) {
+            const validation = await window.udpHost.validatePayload({ action, payload: previewState.payloadString });
+            if (validation.errors.length > 0) {
+                renderSchemaStatus({ ...validation, action });
+                status.textContent = 'Payload 不符合 Schema，请先修正。';
+                return;
+            }
+        }
+
         if (!action) {
             status.textContent = 'Action 不能为空。';
             actionInput.focus();
@@ -1051,25 +5034,38 @@
             payload: previewState.payloadString,
             includeCmdId,
             cmdId,
-            sharedSecret,
+            sign: signCommandsInput.checked,
             timestamp: previewState.timestamp,
             forcePayloadField: payloadInput.value.trim().length > 0,
+            expectAck: trackDelivery,
+            retryDelaysMs: ackOptions.retryDelaysMs,
+            ackTimeoutMs: ackOptions.ackTimeoutMs,
         };
 
+        if (trackDelivery) {
+            startDeliveryBatch(cmdId, action);
+        } else {
+            activeBatch = null;
+        }
+
         if (selectedTargets.length > 0) {
             let successCount = 0;
             const failures = [];
 
-            for (const { key, device } of selectedTargets) {
-                const host = (device.ipv4 || device.remoteAddress || '').trim();
-                const devicePort = Number.isInteger(device.commandPort) ? device.commandPort : port;
+            // Every device is handed to the main-process send queue at once;
+            // the queue paces them, so the loop does not wait per device.
+            await Promise.all(selectedTargets.map(async ({ key, device }) => {
+                const { host, port: devicePort, transport } = getDeviceRoute(device, port);
                 const deviceName = getDeviceDisplayName(key, device) || host || '未知设备';
 
                 if (!host) {
                     const message = `${deviceName}：缺少 IP，已跳过。`;
                     failures.push(message);
                     appendLog('WARN', message, { name: deviceName });
-                    continue;
+                    if (activeBatch) {
+                        activeBatch.skipped += 1;
+                    }
+                    return;
                 }
 
                 try {
@@ -1077,6 +5073,9 @@
                         ...requestTemplate,
                         host,
                         port: devicePort,
+                        transport,
+                        deviceKey: key,
+                        envelopeFormat: device.envelopeFormat,
                     });
 
                     successCount += 1;
@@ -1089,12 +5088,17 @@
                     const failureMessage = `${deviceName}：${error.message}`;
                     failures.push(failureMessage);
                     appendLog('ERROR', error.message, { host, port: devicePort, name: deviceName });
+                    recordBatchResult(key, 'failed');
                 }
-            }
+            }));
 
             if (failures.length > 0) {
-                status.textContent = `${successCount} 台成功，${failures.length} 台失败。`;
                 console.warn('Command failures', failures);
+            }
+            if (activeBatch) {
+                refreshBatchStatus();
+            } else if (failures.length > 0) {
+                status.textContent = `${successCount} 台成功，${failures.length} 台失败。`;
             } else {
                 status.textContent = `已向 ${successCount} 台设备发送命令。`;
             }
@@ -1111,11 +5115,14 @@
                     ...requestTemplate,
                     host,
                     port,
+                    envelopeFormat: manualEnvelopeFormatSelect?.value,
                 });
 
                 status.textContent = `发送成功（${result.sentBytes} bytes）。`;
                 appendLog('SEND', JSON.stringify(result.message, null, 2), { host, port });
+                refreshBatchStatus();
             } catch (error) {
+                activeBatch = null;
                 status.textContent = `发送失败：${error.message}`;
                 appendLog('ERROR', error.message);
             }
@@ -1126,7 +5133,7 @@
         window.udpHost.onServerStatus((info) => {
             if (info?.port !== undefined) {
                 listenPortInput.value = info.port;
-                updateListenStatus(`监听端口 ${info.port}`);
+                updateListenStatus(`监听端口 ${info.port}${info.ipv6 ? '（IPv4 + IPv6）' : '（仅 IPv4）'}`);
             }
         });
     }
@@ -1147,17 +5154,162 @@
         });
     }
 
+    if (window.udpHost?.onRosterChanged) {
+        window.udpHost.onRosterChanged((snapshot) => {
+            handleRosterDepartures(snapshot?.changes);
+            applyRosterSnapshot(snapshot);
+        });
+    }
+
+    if (window.udpHost?.onTelemetry) {
+        window.udpHost.onTelemetry((overview) => {
+            applyTelemetry(overview);
+        });
+    }
+
+    if (window.udpHost?.onAlertsChanged) {
+        window.udpHost.onAlertsChanged((snapshot) => {
+            applyAlerts(snapshot);
+        });
+    }
+
+    if (window.udpHost?.onAlertRaised) {
+        window.udpHost.onAlertRaised((alert) => {
+            appendLog('ALERT', `${alert.ruleName}：${alert.message}`, { name: alert.deviceName });
+        });
+    }
+
+    if (window.udpHost?.onAlertCleared) {
+        window.udpHost.onAlertCleared((alert) => {
+            appendLog('ALERT', `${alert.ruleName} 已恢复。`, { name: alert.deviceName });
+        });
+    }
+
+    if (window.udpHost?.onSchemasChanged) {
+        window.udpHost.onSchemasChanged((list) => {
+            schemas = Array.isArray(list) ? list : [];
+            renderSchemaRegistry();
+        });
+    }
+
+    if (window.udpHost?.onLibraryChanged) {
+        window.udpHost.onLibraryChanged((list) => {
+            presets = Array.isArray(list) ? list : [];
+            renderPresetOptions();
+            renderDeviceGrid();
+        });
+    }
+
+    if (window.udpHost?.onCueListsChanged) {
+        window.udpHost.onCueListsChanged((list) => {
+            cueListsCache = Array.isArray(list) ? list : [];
+            renderCueListOptions();
+        });
+    }
+
+    if (window.udpHost?.onCueProgress) {
+        window.udpHost.onCueProgress((progress) => {
+            renderCueProgress(progress);
+        });
+    }
+
+    if (window.udpHost?.onScheduleChanged) {
+        window.udpHost.onScheduleChanged((snapshot) => {
+            applySchedule(snapshot);
+        });
+    }
+
+    if (window.udpHost?.onKeysChanged) {
+        window.udpHost.onKeysChanged((snapshot) => {
+            renderKeys(snapshot);
+        });
+    }
+
+    if (window.udpHost?.onKeyRotated) {
+        window.udpHost.onKeyRotated((entry) => {
+            appendLog('KEY', `${describeKeyScope(entry)}密钥已轮换为 ${entry.current.kid}。`);
+        });
+    }
+
+    if (window.udpHost?.onSimulatorChanged) {
+        window.udpHost.onSimulatorChanged((snapshot) => {
+            renderSimulatorState(snapshot);
+        });
+    }
+
+    if (window.udpHost?.onReplayProgress) {
+        window.udpHost.onReplayProgress((progress) => {
+            renderReplayProgress(progress);
+        });
+    }
+
+    if (window.udpHost?.onRejected) {
+        window.udpHost.onRejected((rejected) => {
+            const verdict = rejected.enforced ? '已拒绝' : '已标记';
+            appendLog('REJECT', `${verdict}：${rejected.reason}\n${rejected.payload}`, {
+                host: rejected.address,
+                port: rejected.port,
+                name: rejected.action || undefined,
+            });
+        });
+    }
+
     if (window.udpHost?.onAcknowledgement) {
         window.udpHost.onAcknowledgement((ack) => {
+            const name = ack.matched ? `cmdId ${ack.cmdId}` : `未匹配 cmdId ${ack.cmdId}`;
             try {
                 const parsed = JSON.parse(ack.payload);
-                appendLog('ACK', JSON.stringify(parsed, null, 2), { host: ack.address, port: ack.port });
+                appendLog('ACK', JSON.stringify(parsed, null, 2), { host: ack.address, port: ack.port, name });
             } catch {
-                appendLog('ACK', ack.payload, { host: ack.address, port: ack.port });
+                appendLog('ACK', ack.payload, { host: ack.address, port: ack.port, name });
+            }
+        });
+    }
+
+    if (window.udpHost?.onDelivery) {
+        window.udpHost.onDelivery((delivery) => {
+            if (delivery?.cmdId) {
+                handleDeliveryUpdate(delivery);
             }
         });
     }
 
+    if (window.udpHost?.onTransportConnection) {
+        window.udpHost.onTransportConnection((connection) => {
+            const label = TRANSPORT_LABELS[connection.transport] || connection.transport;
+            appendLog(
+                'SOCKET',
+                `${label} 客户端${connection.connected ? '已连接' : '已断开'}。`,
+                { host: connection.address, port: connection.port }
+            );
+            renderTransportStatus(connection.transports);
+        });
+    }
+
+    if (window.udpHost?.onFloodStats) {
+        window.udpHost.onFloodStats((stats) => {
+            renderFloodStats(stats);
+        });
+    }
+
+    if (window.udpHost?.onSourceQuarantined) {
+        window.udpHost.onSourceQuarantined((source) => {
+            appendLog('WARN', `来源 ${source.source} 已被隔离：${source.reason}`);
+        });
+    }
+
+    if (window.udpHost?.onSourceReleased) {
+        window.udpHost.onSourceReleased((source) => {
+            appendLog('WARN', `来源 ${source.source} 已解除隔离。`);
+        });
+    }
+
+    if (window.udpHost?.onQueueProgress) {
+        window.udpHost.onQueueProgress((progress) => {
+            renderQueueProgress(progress);
+        });
+    }
+
     if (window.udpHost?.onError) {
         window.udpHost.onError((message) => {
             updateListenStatus(`Socket 错误：${message}`, true);
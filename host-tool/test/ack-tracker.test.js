@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAckTracker, parseAcknowledgement, ackWindowMs } = require('../src/core/ack-tracker');
+const { delay } = require('./helpers');
+
+function createTracker() {
+    const transmits = [];
+    const deliveries = [];
+    const tracker = createAckTracker({
+        transmit: async (buffer, port, host, options) => {
+            transmits.push({ host, port, attempt: options.attempt });
+        },
+    });
+    tracker.on('delivery', (delivery) => deliveries.push(delivery));
+    return { tracker, transmits, deliveries };
+}
+
+function track(tracker, host, port, options = {}) {
+    const message = { action: 'Beep', cmdId: 'c1', timestamp: Date.now() };
+    return tracker.track(message, Buffer.from(JSON.stringify(message)), { host, port, ...options });
+}
+
+test('parseAcknowledgement reads the cmdId from the envelope or the payload', () => {
+    assert.deepEqual(parseAcknowledgement({ action: 'Ack', cmdId: 'a' }), { cmdId: 'a', ok: true, reason: '' });
+    assert.equal(parseAcknowledgement({ action: 'CommandAck', payload: '{"cmdId":"b"}' }).cmdId, 'b');
+    assert.equal(parseAcknowledgement({ action: 'Ack', payload: '{"cmdId":"b","status":"failed"}' }).ok, false);
+    assert.equal(parseAcknowledgement({ action: 'Heartbeat', cmdId: 'a' }), null);
+    assert.equal(parseAcknowledgement({ action: 'Ack' }), null);
+});
+
+test('an ack settles the target with the matching host and port', () => {
+    const { tracker, deliveries } = createTracker();
+    track(tracker, '10.0.0.1', 3939, { retryDelaysMs: [], ackTimeoutMs: 1000 });
+    track(tracker, '10.0.0.2', 3939, { retryDelaysMs: [], ackTimeoutMs: 1000 });
+
+    assert.equal(tracker.resolve({ cmdId: 'c1', ok: true, reason: '' }, { address: '10.0.0.2', port: 50000 }), true);
+    assert.equal(tracker.resolve({ cmdId: 'other', ok: true, reason: '' }, { address: '10.0.0.1', port: 50000 }), false);
+
+    const settled = deliveries.filter((delivery) => delivery.status !== 'pending');
+    assert.deepEqual(settled.map((delivery) => [delivery.host, delivery.status]), [['10.0.0.2', 'delivered']]);
+    assert.equal(tracker.isPending('c1'), true);
+    tracker.clear();
+});
+
+test('devices sharing an address each settle their own port', () => {
+    const { tracker, deliveries } = createTracker();
+    track(tracker, '127.0.0.1', 41001, { retryDelaysMs: [], ackTimeoutMs: 1000 });
+    track(tracker, '127.0.0.1', 41002, { retryDelaysMs: [], ackTimeoutMs: 1000 });
+
+    tracker.resolve({ cmdId: 'c1', ok: true, reason: '' }, { address: '127.0.0.1', port: 41002 });
+    tracker.resolve({ cmdId: 'c1', ok: false, reason: 'busy' }, { address: '127.0.0.1', port: 41001 });
+
+    const settled = deliveries.filter((delivery) => delivery.status !== 'pending');
+    assert.deepEqual(settled.map((delivery) => [delivery.port, delivery.status, delivery.reason]), [
+        [41002, 'delivered', ''],
+        [41001, 'failed', 'busy'],
+    ]);
+    assert.equal(tracker.isPending('c1'), false);
+});
+
+test('unacknowledged sends are retried on schedule and then time out', async () => {
+    const { tracker, transmits, deliveries } = createTracker();
+    track(tracker, '10.0.0.1', 3939, { retryDelaysMs: [10, 10], ackTimeoutMs: 20 });
+
+    await delay(120);
+    assert.deepEqual(transmits.map((entry) => entry.attempt), [2, 3]);
+    const last = deliveries[deliveries.length - 1];
+    assert.equal(last.status, 'timeout');
+    assert.equal(last.attempts, 3);
+    assert.equal(tracker.isPending('c1'), false);
+});
+
+test('an ack during the retry window stops further retries', async () => {
+    const { tracker, transmits } = createTracker();
+    track(tracker, '10.0.0.1', 3939, { retryDelaysMs: [15, 15], ackTimeoutMs: 20 });
+
+    await delay(25);
+    tracker.resolve({ cmdId: 'c1', ok: true, reason: '' }, { address: '10.0.0.1', port: 3939 });
+    await delay(80);
+    assert.equal(transmits.length, 1);
+});
+
+test('a failed retry settles the target as failed', async () => {
+    const deliveries = [];
+    const tracker = createAckTracker({
+        transmit: async () => {
+            throw new Error('Send cancelled.');
+        },
+    });
+    tracker.on('delivery', (delivery) => deliveries.push(delivery));
+    track(tracker, '10.0.0.1', 3939, { retryDelaysMs: [5], ackTimeoutMs: 20 });
+
+    await delay(30);
+    assert.equal(deliveries[deliveries.length - 1].status, 'failed');
+    assert.equal(deliveries[deliveries.length - 1].reason, 'Send cancelled.');
+});
+
+test('ackWindowMs adds the retry delays to the final timeout', () => {
+    assert.equal(ackWindowMs(), 500 + 1000 + 2000 + 3000);
+    assert.equal(ackWindowMs({ retryDelaysMs: [100], ackTimeoutMs: 50 }), 150);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronTime } = require('../src/core/cron');
+
+test('parses lists, ranges, steps and names', () => {
+    const schedule = parseCron('0,30 9-17/4 * jan-mar mon-fri');
+    assert.deepEqual([...schedule.minutes], [0, 30]);
+    assert.deepEqual([...schedule.hours], [9, 13, 17]);
+    assert.deepEqual([...schedule.months], [1, 2, 3]);
+    assert.deepEqual([...schedule.daysOfWeek], [1, 2, 3, 4, 5]);
+    assert.equal(schedule.anyDay, false);
+});
+
+test('expands aliases and treats weekday 7 as Sunday', () => {
+    assert.deepEqual([...parseCron('@hourly').minutes], [0]);
+    assert.deepEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+});
+
+test('rejects malformed expressions', () => {
+    for (const expression of ['* * * *', '60 * * * *', '1,,2 * * * *', '0 1, * * *', '0x1 * * * *', '*/0 * * * *', '5-1 * * * *']) {
+        assert.throws(() => parseCron(expression), Error, expression);
+    }
+});
+
+test('nextCronTime finds the next matching minute in local time', () => {
+    const after = new Date(2026, 0, 5, 10, 7, 30).getTime();
+    assert.equal(nextCronTime(parseCron('*/15 * * * *'), after), new Date(2026, 0, 5, 10, 15).getTime());
+    assert.equal(nextCronTime(parseCron('0 9 * * mon'), after), new Date(2026, 0, 12, 9, 0).getTime());
+});
+
+test('nextCronTime returns null for dates that never occur', () => {
+    assert.equal(nextCronTime(parseCron('0 0 31 2 *'), Date.now()), null);
+});
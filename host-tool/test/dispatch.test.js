@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDispatcher } = require('../src/core/dispatch');
+const { createSendQueue } = require('../src/core/send-queue');
+const { buildEnvelope } = require('../src/core/envelope');
+const { delay } = require('./helpers');
+
+const TARGETS = ['10.0.0.1', '10.0.0.2', '10.0.0.3'].map((host) => ({ host, port: 3939, deviceKey: host }));
+
+function createQueuedDispatcher(settings) {
+    const sent = [];
+    const queue = createSendQueue({
+        send: async (request) => {
+            const message = buildEnvelope(request);
+            sent.push({ host: request.host, cmdId: message.cmdId });
+            return { sentBytes: 1, message };
+        },
+        settings,
+    });
+    return { queue, sent, dispatcher: createDispatcher({ send: (request) => queue.enqueue(request), roster: {} }) };
+}
+
+test('a batch is queued at once and shares one cmdId', async () => {
+    const { queue, sent, dispatcher } = createQueuedDispatcher({ packetsPerSecond: 20 });
+    const outcome = dispatcher.dispatch({ action: 'Beep', includeCmdId: true, priority: 'normal' }, TARGETS);
+
+    assert.equal(queue.snapshot().depth, 2);
+    const { cmdId, results } = await outcome;
+    assert.match(cmdId, /^[0-9a-f]{8}$/);
+    assert.deepEqual(sent.map((entry) => entry.cmdId), [cmdId, cmdId, cmdId]);
+    assert.deepEqual(results.map((result) => result.ok), [true, true, true]);
+});
+
+test('cancelling the queue drops every device still waiting', async () => {
+    const { queue, sent, dispatcher } = createQueuedDispatcher({ packetsPerSecond: 5 });
+    const outcome = dispatcher.dispatch({ action: 'Load', includeCmdId: true }, TARGETS);
+    await delay(10);
+
+    assert.equal(queue.cancel(), 2);
+    const { results } = await outcome;
+    assert.deepEqual(results.map((result) => result.error ?? 'sent'), ['sent', 'Send cancelled.', 'Send cancelled.']);
+    assert.deepEqual(sent.map((entry) => entry.host), ['10.0.0.1']);
+});
+
+test('targets without an address are reported, not sent', async () => {
+    const { sent, dispatcher } = createQueuedDispatcher({ packetsPerSecond: 0 });
+    const { cmdId, results } = await dispatcher.dispatch({ action: 'Beep', cmdId: 'fixed', includeCmdId: true }, [{ host: '', port: 3939, deviceKey: 'lost' }, TARGETS[0]]);
+
+    assert.equal(cmdId, 'fixed');
+    assert.equal(results[0].error, 'Device has no known address.');
+    assert.equal(sent.length, 1);
+});
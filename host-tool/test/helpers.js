@@ -0,0 +1,19 @@
+// In-memory stand-in for createJsonStore.
+function createMemoryStore(initial = {}) {
+    const data = structuredClone(initial);
+    return {
+        get: (key) => data[key],
+        set: (key, value) => {
+            data[key] = value;
+        },
+    };
+}
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    createMemoryStore,
+    delay,
+};
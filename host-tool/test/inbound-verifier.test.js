@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createInboundVerifier } = require('../src/core/inbound-verifier');
+const { signEnvelope } = require('../src/core/envelope');
+
+const SECRET = 'test-secret';
+
+function heartbeat({ deviceId = 'quest-01', cmdId, timestamp = Date.now(), secret = SECRET } = {}) {
+    const message = { action: 'Heartbeat', timestamp, payload: JSON.stringify({ deviceId }) };
+    if (cmdId) {
+        message.cmdId = cmdId;
+    }
+    return secret ? signEnvelope(message, secret) : message;
+}
+
+const secretsFor = () => [SECRET];
+
+test('does nothing while verification is off', () => {
+    const verifier = createInboundVerifier();
+    assert.equal(verifier.check(heartbeat({ secret: '' }), { secretsFor }), null);
+});
+
+test('rejects missing and bad signatures and unknown senders', () => {
+    const verifier = createInboundVerifier({ mode: 'enforce' });
+    assert.equal(verifier.check(heartbeat({ secret: '' }), { secretsFor }), 'Missing signature.');
+    assert.equal(verifier.check(heartbeat({ secret: 'other' }), { secretsFor }), 'Bad signature.');
+    assert.equal(verifier.check(heartbeat(), { secretsFor: () => [] }), 'No key configured for this sender.');
+    assert.equal(verifier.check(heartbeat(), { secretsFor }), null);
+});
+
+test('ignores actions that are not verified', () => {
+    const verifier = createInboundVerifier({ mode: 'enforce' });
+    assert.equal(verifier.check({ action: 'Telemetry', timestamp: Date.now() }, { secretsFor }), null);
+});
+
+test('rejects timestamps outside the skew window', () => {
+    const verifier = createInboundVerifier({ mode: 'flag', maxSkewMs: 1000 });
+    const now = Date.now();
+    assert.match(verifier.check(heartbeat({ timestamp: now - 1500 }), { secretsFor, now }), /outside the ±1s window/);
+    assert.match(verifier.check(heartbeat({ timestamp: now + 1500 }), { secretsFor, now }), /outside the ±1s window/);
+    assert.equal(verifier.check(heartbeat({ timestamp: now - 500 }), { secretsFor, now }), null);
+});
+
+test('rejects a replayed signature or cmdId from the same sender', () => {
+    const verifier = createInboundVerifier({ mode: 'enforce' });
+    const packet = heartbeat();
+    assert.equal(verifier.check(packet, { secretsFor }), null);
+    assert.equal(verifier.check(packet, { secretsFor }), 'Replayed packet.');
+
+    assert.equal(verifier.check(heartbeat({ cmdId: '7' }), { secretsFor, sender: 'quest-01' }), null);
+    assert.equal(verifier.check(heartbeat({ cmdId: '7' }), { secretsFor, sender: 'quest-01' }), 'Replayed cmdId "7".');
+});
+
+test('scopes cmdIds per sender', () => {
+    const verifier = createInboundVerifier({ mode: 'enforce' });
+    assert.equal(verifier.check(heartbeat({ deviceId: 'a', cmdId: '1' }), { secretsFor, sender: 'a' }), null);
+    assert.equal(verifier.check(heartbeat({ deviceId: 'b', cmdId: '1' }), { secretsFor, sender: 'b' }), null);
+});
+
+test('encrypted packets skip the signature but not the replay check', () => {
+    const verifier = createInboundVerifier({ mode: 'enforce' });
+    const packet = heartbeat({ secret: '', cmdId: '9' });
+    assert.equal(verifier.check(packet, { authenticated: true, sender: 'quest-01' }), null);
+    assert.equal(verifier.check(packet, { authenticated: true, sender: 'quest-01' }), 'Replayed cmdId "9".');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKeyStore } = require('../src/core/key-store');
+const { createMemoryStore, delay } = require('./helpers');
+
+const codec = {
+    encrypt: (value) => Buffer.from(value).toString('base64'),
+    decrypt: (value) => Buffer.from(value, 'base64').toString('utf8'),
+};
+
+function createStore(options = {}) {
+    return createKeyStore({ store: createMemoryStore({ keys: [] }), codec, ...options });
+}
+
+test('resolves device, then group, then default keys', () => {
+    const keyStore = createStore({ groupsOf: (key) => (key === 'quest-02' ? ['stage'] : []) });
+    keyStore.save({ scope: 'default', secret: 'default-secret' });
+    keyStore.save({ scope: 'group', target: 'stage', secret: 'group-secret' });
+    keyStore.save({ scope: 'device', target: 'quest-01', secret: 'device-secret' });
+
+    assert.equal(keyStore.forTarget({ deviceKey: 'quest-01' }).secret, 'device-secret');
+    assert.equal(keyStore.forTarget({ deviceKey: 'quest-02' }).secret, 'group-secret');
+    assert.equal(keyStore.forTarget({ deviceKey: 'quest-03' }).secret, 'default-secret');
+    assert.equal(keyStore.forTarget({}).secret, 'default-secret');
+});
+
+test('never exposes secrets in snapshots', () => {
+    const keyStore = createStore();
+    keyStore.save({ scope: 'default', secret: 'hidden' });
+    assert.equal(JSON.stringify(keyStore.snapshot()).includes('hidden'), false);
+});
+
+test('rotation keeps the previous secret acceptable for the grace period', () => {
+    const keyStore = createStore();
+    const saved = keyStore.save({ scope: 'default', secret: 'old-secret', graceMs: 60_000 });
+    const rotated = keyStore.rotate(saved.id, 'new-secret');
+
+    assert.equal(rotated.previous.kid, saved.current.kid);
+    assert.deepEqual(keyStore.candidates({}).map((key) => key.secret), ['new-secret', 'old-secret']);
+    assert.deepEqual(keyStore.candidates({ kid: saved.current.kid }).map((key) => key.secret), ['old-secret']);
+});
+
+test('an expired grace period drops the previous secret', async () => {
+    const keyStore = createStore();
+    const saved = keyStore.save({ scope: 'default', secret: 'old-secret', graceMs: 20 });
+    keyStore.rotate(saved.id, 'new-secret');
+
+    await delay(30);
+    assert.deepEqual(keyStore.candidates({}).map((key) => key.secret), ['new-secret']);
+});
+
+test('a secret the codec cannot decrypt is skipped and reported once', () => {
+    const store = createMemoryStore({ keys: [] });
+    createKeyStore({ store, codec }).save({ scope: 'default', secret: 'lost' });
+    const broken = createKeyStore({
+        store,
+        codec: { ...codec, decrypt: () => { throw new Error('keychain unavailable'); } },
+    });
+    const reports = [];
+    broken.on('unreadable', (report) => reports.push(report));
+
+    assert.deepEqual(broken.candidates({}), []);
+    assert.deepEqual(broken.candidates({}), []);
+    assert.equal(reports.length, 1);
+    assert.throws(() => broken.forTarget({}), /cannot be decrypted/);
+    assert.equal(broken.snapshot().keys[0].current.unreadable, true);
+});
+
+test('outgoing commands keep the previous secret until a generated one is distributed', () => {
+    const keyStore = createStore();
+    const saved = keyStore.save({ scope: 'default', secret: 'old-secret', graceMs: 60_000 });
+    const rotated = keyStore.rotate(saved.id);
+
+    assert.equal(rotated.current.undistributed, true);
+    assert.deepEqual(keyStore.forTarget({}), { id: saved.current.kid, secret: 'old-secret' });
+    assert.equal(keyStore.candidates({}).length, 2);
+
+    const secret = keyStore.exportSecret(saved.id);
+    assert.deepEqual(keyStore.forTarget({}), { id: rotated.current.kid, secret });
+    assert.equal(keyStore.snapshot().keys[0].current.undistributed, undefined);
+});
+
+test('an operator-supplied secret is used for outgoing commands at once', () => {
+    const keyStore = createStore();
+    const saved = keyStore.save({ scope: 'default', secret: 'old-secret' });
+    keyStore.rotate(saved.id, 'new-secret');
+    assert.equal(keyStore.forTarget({}).secret, 'new-secret');
+});
+
+test('signing moves to an undistributed secret once the grace period ends', async () => {
+    const keyStore = createStore();
+    const saved = keyStore.save({ scope: 'default', secret: 'old-secret', graceMs: 20 });
+    const rotated = keyStore.rotate(saved.id);
+    assert.equal(keyStore.forTarget({}).secret, 'old-secret');
+
+    await delay(30);
+    assert.equal(keyStore.forTarget({}).id, rotated.current.kid);
+});
+
+test('a due automatic rotation does not change the signing secret', () => {
+    const store = createMemoryStore({ keys: [] });
+    const keyStore = createKeyStore({ store, codec });
+    const saved = keyStore.save({ scope: 'default', secret: 'old-secret', rotationEveryMs: 60_000 });
+    store.set('keys', store.get('keys').map((entry) => ({ ...entry, nextRotationAt: Date.now() - 1 })));
+
+    keyStore.start();
+    keyStore.stop();
+    const [entry] = keyStore.snapshot().keys;
+    assert.notEqual(entry.current.kid, saved.current.kid);
+    assert.deepEqual(keyStore.forTarget({}), { id: saved.current.kid, secret: 'old-secret' });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { attachEngineLog } = require('../src/core/log-store');
+
+function attach() {
+    const entries = [];
+    const engine = new EventEmitter();
+    const roster = { get: () => null, findByAddress: () => null };
+    attachEngineLog({ append: (entry) => entries.push(entry) }, { engine, roster });
+    return { engine, entries };
+}
+
+test('encrypted sends are logged without their decrypted envelope', () => {
+    const { engine, entries } = attach();
+    const message = { action: 'LoadScene', cmdId: 'c1', payload: '{"scene":"secret"}' };
+    engine.emit('sent', { host: '10.0.0.1', port: 3939, message, encrypted: true, attempt: 1, chunks: 1 });
+    engine.emit('sent', { host: '10.0.0.1', port: 3939, message, encrypted: false, attempt: 1, chunks: 1 });
+
+    assert.equal(entries[0].action, 'LoadScene');
+    assert.equal(entries[0].cmdId, 'c1');
+    assert.equal(entries[0].detail, 'Encrypted');
+    assert.equal(entries[0].data, undefined);
+    assert.deepEqual(entries[1].data, message);
+});
+
+test('encrypted inbound packets are logged without their payload', () => {
+    const { engine, entries } = attach();
+    const packet = { address: '10.0.0.1', port: 5000, encrypted: true, payload: '{"action":"Heartbeat"}' };
+    engine.emit('message', packet, { action: 'Heartbeat' });
+    engine.emit('ack', { ...packet, cmdId: 'c1', ok: true, matched: true });
+
+    assert.deepEqual(entries.map((entry) => entry.data), [undefined, undefined]);
+    assert.equal(entries[0].action, 'Heartbeat');
+});
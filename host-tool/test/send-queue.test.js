@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSendQueue, normalizeQueueSettings } = require('../src/core/send-queue');
+const { delay } = require('./helpers');
+
+function createRecordingQueue(settings) {
+    const sent = [];
+    const queue = createSendQueue({
+        send: async (request) => {
+            sent.push(request.action);
+            return { chunks: 1 };
+        },
+        settings,
+    });
+    return { queue, sent };
+}
+
+test('normalizes settings with fallbacks', () => {
+    assert.deepEqual(normalizeQueueSettings({ packetsPerSecond: 'x', jitterMs: -1, urgentActions: ' Stop , beep,' }), {
+        packetsPerSecond: 20,
+        jitterMs: 0,
+        urgentActions: ['Stop', 'beep'],
+    });
+});
+
+test('urgent actions and priorities skip the paced lane', async () => {
+    const { queue, sent } = createRecordingQueue({ packetsPerSecond: 10 });
+    const normal = [queue.enqueue({ action: 'Load1' }), queue.enqueue({ action: 'Load2' })];
+    await queue.enqueue({ action: 'STOP' });
+    await queue.enqueue({ action: 'Custom', priority: 'urgent' });
+
+    assert.deepEqual(sent, ['Load1', 'STOP', 'Custom']);
+    await Promise.all(normal);
+    assert.deepEqual(sent, ['Load1', 'STOP', 'Custom', 'Load2']);
+});
+
+test('a priority of normal queues an otherwise urgent action', () => {
+    const { queue } = createRecordingQueue();
+    assert.equal(queue.laneFor({ action: 'stop', priority: 'normal' }), 'normal');
+    assert.equal(queue.laneFor({ action: 'stop' }), 'urgent');
+});
+
+test('paces the normal lane', async () => {
+    const { queue } = createRecordingQueue({ packetsPerSecond: 50 });
+    const started = Date.now();
+    await Promise.all([1, 2, 3].map((index) => queue.enqueue({ action: `A${index}` })));
+    assert.ok(Date.now() - started >= 35);
+});
+
+test('cancel rejects every waiting send and counts it', async () => {
+    const { queue, sent } = createRecordingQueue({ packetsPerSecond: 5 });
+    const results = [1, 2, 3].map((index) => queue.enqueue({ action: `A${index}` }).then(() => 'sent', (error) => error.message));
+    await delay(10);
+
+    assert.equal(queue.cancel(), 2);
+    assert.deepEqual(await Promise.all(results), ['sent', 'Send cancelled.', 'Send cancelled.']);
+    assert.deepEqual(sent, ['A1']);
+    assert.equal(queue.snapshot().cancelled, 2);
+    assert.equal(queue.snapshot().depth, 0);
+});
+
+test('enqueueTask paces work that does not go through send', async () => {
+    const { queue, sent } = createRecordingQueue({ packetsPerSecond: 0 });
+    const result = await queue.enqueueTask({ action: 'Beep' }, async () => ({ chunks: 2, retried: true }));
+    assert.deepEqual(result, { chunks: 2, retried: true });
+    assert.deepEqual(sent, []);
+});
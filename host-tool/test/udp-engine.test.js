@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('node:dgram');
+const { createUdpEngine } = require('../src/core/udp-engine');
+const { createSimulator } = require('../src/core/simulator');
+const { signEnvelope, safeParseJson } = require('../src/core/envelope');
+
+const SECRET = 'batch-secret';
+const HOST = '127.0.0.1';
+
+async function startEngine(t) {
+    const engine = createUdpEngine({ sharedSecret: SECRET, verification: { mode: 'enforce' } });
+    const rejected = [];
+    engine.on('rejected', (packet) => rejected.push(packet.reason));
+    const { port } = await engine.listen(0);
+    t.after(() => engine.close());
+    return { engine, port, rejected };
+}
+
+function settledDeliveries(engine, count) {
+    return new Promise((resolve) => {
+        const settled = [];
+        engine.on('delivery', (delivery) => {
+            if (delivery.status !== 'pending') {
+                settled.push(delivery);
+            }
+            if (settled.length === count) {
+                resolve(settled);
+            }
+        });
+    });
+}
+
+function sendBatch(engine, ports) {
+    return Promise.all(ports.map((port) => engine.send({
+        host: HOST,
+        port,
+        action: 'Beep',
+        cmdId: 'batch-1',
+        includeCmdId: true,
+        sign: true,
+        expectAck: true,
+        retryDelaysMs: [],
+        ackTimeoutMs: 1000,
+    })));
+}
+
+test('a batch acked by simulated devices on one address is delivered to all of them', async (t) => {
+    const { engine, port, rejected } = await startEngine(t);
+    const simulator = createSimulator();
+    const { clients } = await simulator.start({ count: 3, hostPort: port, sharedSecret: SECRET, discover: false });
+    t.after(() => simulator.stop());
+
+    const deliveries = settledDeliveries(engine, 3);
+    await sendBatch(engine, clients.map((client) => client.commandPort));
+
+    assert.deepEqual((await deliveries).map((delivery) => delivery.status), ['delivered', 'delivered', 'delivered']);
+    assert.deepEqual(rejected, []);
+});
+
+test('acks without a deviceId are told apart by source port', async (t) => {
+    const { engine, port, rejected } = await startEngine(t);
+    const devices = await Promise.all([1, 2, 3].map(() => new Promise((resolve) => {
+        const socket = dgram.createSocket('udp4');
+        socket.on('message', (packet) => {
+            const command = safeParseJson(packet.toString('utf8'));
+            const ack = signEnvelope({
+                action: 'Ack',
+                cmdId: command.cmdId,
+                timestamp: Date.now(),
+                payload: JSON.stringify({ cmdId: command.cmdId, success: true }),
+            }, SECRET);
+            socket.send(JSON.stringify(ack), port, HOST);
+        });
+        socket.bind(0, HOST, () => resolve(socket));
+    })));
+    t.after(() => devices.forEach((socket) => socket.close()));
+
+    const deliveries = settledDeliveries(engine, 3);
+    await sendBatch(engine, devices.map((socket) => socket.address().port));
+
+    assert.deepEqual((await deliveries).map((delivery) => delivery.status), ['delivered', 'delivered', 'delivered']);
+    assert.deepEqual(rejected, []);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { acceptWebSocket } = require('../src/core/websocket');
+
+function createFakeSocket() {
+    const socket = new EventEmitter();
+    socket.destroyed = false;
+    socket.write = () => true;
+    socket.end = () => {};
+    socket.setNoDelay = () => {};
+    socket.destroy = () => {
+        socket.destroyed = true;
+    };
+    return socket;
+}
+
+// Masked client frame with a 64-bit length and an all-zero mask.
+function clientFrame(opcode, fin, payload) {
+    const header = Buffer.alloc(14);
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+    return Buffer.concat([header, payload]);
+}
+
+function connect() {
+    const socket = createFakeSocket();
+    const connection = acceptWebSocket({ headers: { 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' } }, socket, null);
+    const events = { messages: [], closes: [] };
+    connection.on('message', (message) => events.messages.push(message));
+    connection.on('close', (code) => events.closes.push(code));
+    return { socket, events };
+}
+
+test('reassembles fragmented messages', () => {
+    const { socket, events } = connect();
+    socket.emit('data', clientFrame(0x1, false, Buffer.from('{"a":')));
+    socket.emit('data', clientFrame(0x0, true, Buffer.from('1}')));
+    assert.deepEqual(events.messages, ['{"a":1}']);
+});
+
+test('closes with 1009 when fragments add up past the message limit', () => {
+    const { socket, events } = connect();
+    const half = Buffer.alloc(600 * 1024, 0x20);
+    socket.emit('data', clientFrame(0x1, false, half));
+    assert.deepEqual(events.closes, []);
+
+    socket.emit('data', clientFrame(0x0, false, half));
+    assert.deepEqual(events.closes, [1009]);
+    assert.equal(socket.destroyed, true);
+    assert.deepEqual(events.messages, []);
+});